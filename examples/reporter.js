@@ -1,7 +1,9 @@
 "use strict";
 
 module.exports = {
-	reporter: function (res) {
+	// Reporters write to 'opts.out', which is stdout or, with
+	// '--reporter path/to/reporter.js:outfile', a file.
+	reporter: function (res, data, opts) {
 		var len = res.length;
 		var str = "";
 
@@ -14,7 +16,7 @@ module.exports = {
 		});
 
 		if (str) {
-			process.stdout.write(str + "\n" + len + " error" +
+			((opts && opts.out) || process.stdout).write(str + "\n" + len + " error" +
 				((len === 1) ? "" : "s") + "\n");
 		}
 	}
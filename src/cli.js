@@ -2,20 +2,48 @@
 
 var _           = require("underscore");
 var cli         = require("cli");
+var child       = require("child_process");
+var crypto      = require("crypto");
+var fs          = require("fs");
 var path        = require("path");
 var shjs        = require("shelljs");
 var minimatch   = require("minimatch");
 var htmlparser  = require("htmlparser2");
 var jshint      = require("./jshint.js");
+var messages    = require("./messages.js");
 var defReporter = require("./reporters/default").reporter;
+var metrics     = require("./reporters/metrics.js");
 
 var OPTIONS = {
 	"config": ["c", "Custom configuration file", "string", false ],
-	"reporter": ["reporter", "Custom reporter (<PATH>|jslint|checkstyle)", "string", undefined ],
+	"reporter": ["reporter",
+		"Reporter to use, can be repeated (<NAME>|<PATH>|<MODULE>[:<OUTFILE>])", "string", undefined ],
+	"color": ["color", "Use colors in reporters that support them"],
 	"exclude": ["exclude",
 		"Exclude files matching the given filename pattern (same as .jshintignore)", "string", null],
 	"exclude-path": ["exclude-path", "Pass in a custom jshintignore file path", "string", null],
 	"verbose": ["verbose", "Show message codes"],
+	"fix": ["fix", "Automatically fix problems where possible"],
+	"watch": ["watch", "Keep running and relint files when they change"],
+	"cache": ["cache", "Only lint files that changed since the last run"],
+	"jobs": ["j", "Number of processes to lint files with (default is 1)", "number", 1],
+	"baseline": ["baseline", "Only report warnings that are not in the baseline file",
+		"string", null],
+	"write-baseline": ["write-baseline", "Write the current warnings to a baseline file",
+		"string", null],
+	"max-warnings": ["max-warnings",
+		"Number of warnings to allow before failing (default is 0, -1 for any)", "number", null],
+	"quiet": ["quiet", "Report errors only"],
+	"lsp": ["lsp", "Run a Language Server Protocol server over stdio"],
+	"metrics-format": ["metrics-format",
+		"Output format of the metrics reporter (default depends on the output file, or text)",
+		metrics.FORMATS],
+	"metrics-sort": ["metrics-sort", "Metric the metrics reporter sorts by", metrics.METRICS,
+		"complexity"],
+	"metrics-top": ["metrics-top", "Number of functions and files the metrics reporter lists",
+		"number", null],
+	"cache-location": ["cache-location",
+		"Path to the cache file (default is .jshintcache)", "string", ".jshintcache"],
 	"show-non-errors": ["show-non-errors", "Show additional data generated by jshint"],
 	"extra-ext": ["e",
 		"Comma-separated list of file extensions to use (default is .js)", "string", ""],
@@ -80,6 +108,48 @@ function removeComments(str) {
 	return str;
 }
 
+// Paths of the files each configuration file was read from: the file
+// itself and the files it extends. Watch mode looks for changes in them.
+var configSources = {};
+
+/**
+ * Reads and parses a configuration file and the files it extends.
+ *
+ * @param {string} fp a path to the config file
+ * @returns {object} config object
+ * @throws {Error} if a file can't be found or parsed
+ */
+function readConfig(fp) {
+	var config, base;
+
+	if (!fp) {
+		return {};
+	}
+
+	if (!shjs.test("-e", fp)) {
+		throw new Error("Can't find config file: " + fp);
+	}
+
+	try {
+		config = JSON.parse(removeComments(shjs.cat(fp)));
+	} catch (err) {
+		throw new Error("Can't parse config file: " + fp);
+	}
+
+	config.dirname = path.dirname(fp);
+	configSources[path.resolve(fp)] = [ path.resolve(fp) ];
+
+	if (config['extends']) {
+		base = path.resolve(config.dirname, config['extends']);
+		_.extend(config, readConfig(base));
+		delete config['extends'];
+
+		configSources[path.resolve(fp)] = [ path.resolve(fp) ].concat(configSources[base]);
+	}
+
+	return config;
+}
+
 /**
  * Tries to find a configuration file in either project directory
  * or in the home directory. Configuration files are named
@@ -114,15 +184,26 @@ function findConfig(file) {
 function loadNpmConfig(file) {
 	var dir = path.dirname(path.resolve(file));
 	var fp  = findFile("package.json", dir);
+	var config;
 
 	if (!fp)
 		return null;
 
+	// The file is read every time, not required, since watch mode
+	// reads it again when it changes.
 	try {
-		return require(fp).jshintConfig;
+		config = JSON.parse(shjs.cat(fp)).jshintConfig;
 	} catch (e) {
 		return null;
 	}
+
+	// Paths in the configuration are relative to the package, just like
+	// the ones in a '.jshintrc' are relative to it.
+	if (config) {
+		config.dirname = path.dirname(fp);
+	}
+
+	return config || null;
 }
 
 /**
@@ -140,6 +221,153 @@ function loadReporter(fp) {
 	}
 }
 
+// Built-in reporters that can be picked with '--reporter <NAME>'.
+var REPORTERS = {
+	"default":    "./reporters/default.js",
+	"jslint":     "./reporters/jslint_xml.js",
+	"checkstyle": "./reporters/checkstyle.js",
+	"sarif":      "./reporters/sarif.js",
+	"junit":      "./reporters/junit.js",
+	"tap":        "./reporters/tap.js",
+	"codeframe":  "./reporters/codeframe.js",
+	"json":       "./reporters/json.js",
+	"ndjson":     "./reporters/ndjson.js",
+	"metrics":    "./reporters/metrics.js"
+};
+
+/**
+ * Finds a reporter by its built-in name, its path relative to the
+ * current directory or its npm module name, in that order.
+ *
+ * @param {string} name a reporter name, path or module name
+ * @returns {function} the reporter function or 'null'
+ */
+function findReporter(name) {
+	var reporter;
+
+	if (_.has(REPORTERS, name))
+		return loadReporter(REPORTERS[name]);
+
+	reporter = loadReporter(path.resolve(process.cwd(), name));
+
+	// Module names are resolved from the current directory so that
+	// reporters installed for the project are found too.
+	if (!reporter && !(/^(\.|\/|\\|[a-zA-Z]:)/).test(name)) {
+		try {
+			reporter = loadReporter(require.resolve(name, { paths: [ process.cwd() ] }));
+		} catch (err) {
+			reporter = loadReporter(name);
+		}
+	}
+
+	return reporter;
+}
+
+/**
+ * Returns the values of all '--reporter' arguments; the cli module only
+ * keeps the last one.
+ *
+ * @param {array} args arguments in the process.argv format
+ * @returns {array} reporter specs, 'name' or 'name:outfile'
+ */
+function reporterArgs(args) {
+	var specs = [];
+
+	args.forEach(function (arg, index) {
+		if (arg === "--reporter" && index + 1 < args.length)
+			specs.push(args[index + 1]);
+		else if (arg.indexOf("--reporter=") === 0)
+			specs.push(arg.slice("--reporter=".length));
+	});
+
+	return specs;
+}
+
+/**
+ * Loads the reporters given on the command line. Each spec is a reporter
+ * name, optionally followed by a colon and the file to write its output
+ * to. Reporters get the stream to write to in 'opts.out' and the output
+ * file, if any, in 'opts.outfile'.
+ *
+ * @param {array} specs reporter specs, see 'reporterArgs'
+ * @returns {function|object} an object-style reporter that runs all the
+ *                            given reporters, the reporter itself when there
+ *                            is only one writing to stdout, or 'undefined'
+ *                            for the default reporter.
+ */
+function loadReporters(specs) {
+	var reporters = [];
+
+	specs.forEach(function (spec) {
+		var match = /^((?:[a-zA-Z]:[\/\\])?[^:]*)(?::(.+))?$/.exec(spec);
+		var reporter = findReporter(match[1]);
+
+		if (!reporter) {
+			cli.error("Can't load reporter file: " + match[1]);
+			process.exit(1);
+			return;
+		}
+
+		reporters.push({ reporter: reporter, outfile: match[2] ? path.resolve(match[2]) : null });
+	});
+
+	if (reporters.length === 0)
+		return undefined;
+
+	if (reporters.length === 1 && !reporters[0].outfile)
+		return reporters[0].reporter;
+
+	// Hooks are called for each reporter in turn.
+	function each(name, args) {
+		reporters.forEach(function (entry) {
+			if (entry.hooks[name]) {
+				entry.hooks[name].apply(entry.hooks, args.concat(entry.opts));
+			}
+		});
+	}
+
+	return {
+		onStart: function (files, opts) {
+			reporters.forEach(function (entry) {
+				var chunks = entry.chunks = [];
+
+				entry.hooks = entry.hooks || hooks(entry.reporter);
+				entry.opts = _.extend({}, opts, {
+					out: process.stdout,
+					outfile: entry.outfile,
+					color: opts.color && !entry.outfile
+				});
+
+				// Output files are written at once, when the reporter is done.
+				if (entry.outfile) {
+					entry.opts.out = { write: function (str) { chunks.push(str); return true; } };
+				}
+			});
+
+			each("onStart", [ files ]);
+		},
+
+		onFile: function (file, errors, data) {
+			each("onFile", [ file, errors, data ]);
+		},
+
+		onEnd: function (summary) {
+			each("onEnd", [ summary ]);
+
+			reporters.forEach(function (entry) {
+				if (!entry.outfile)
+					return;
+
+				try {
+					fs.writeFileSync(entry.outfile, entry.chunks.join(""));
+				} catch (err) {
+					cli.error("Can't write reporter output: " + entry.outfile);
+				}
+			});
+		}
+	};
+}
+
 // Storage for memoized results from find file
 // Should prevent lots of directory traversal &
 // lookups when liniting an entire project
@@ -321,6 +549,46 @@ function collect(fp, files, ignores, ext) {
 	files.push(fp);
 }
 
+/**
+ * Expands a minimatch pattern into the files it matches, walking the
+ * directory before its first wildcard. Patterns without wildcards are
+ * returned as they are.
+ *
+ * @param {string} pattern a path or a minimatch pattern
+ * @returns {array} a list of paths
+ */
+function expand(pattern) {
+	var parts = pattern.split("/");
+	var base = [];
+	var files = [];
+
+	if (!/[*?\[\]{}]/.test(pattern))
+		return [ pattern ];
+
+	while (parts.length > 1 && !/[*?\[\]{}]/.test(parts[0])) {
+		base.push(parts.shift());
+	}
+
+	base = base.join("/") || ".";
+	pattern = parts.join("/");
+
+	function walk(dir) {
+		shjs.ls(dir).forEach(function (item) {
+			var fp = path.join(dir, item);
+
+			if (shjs.test("-d", fp))
+				walk(fp);
+			else if (minimatch(path.relative(base, fp).replace(/\\/g, "/"), pattern))
+				files.push(fp);
+		});
+	}
+
+	if (shjs.test("-d", base))
+		walk(base);
+
+	return files;
+}
+
 /**
  * Runs JSHint against provided file and saves the result
  *
@@ -329,11 +597,14 @@ function collect(fp, files, ignores, ext) {
  * @param {object} config  an object with JSHint configuration
  * @param {object} data    a pointer to an object with extra data
  * @param {string} file    (optional) file name that is being linted
+ *
+ * @returns {array} warnings with fixes; their ranges point into 'code'
  */
 function lint(code, results, config, data, file) {
 	var globals;
 	var lintData;
 	var buffer = [];
+	var offset;
 
 	config = config || {};
 	config = JSON.parse(JSON.stringify(config));
@@ -352,11 +623,18 @@ function lint(code, results, config, data, file) {
 		delete config.globals;
 	}
 
-	delete config.dirname;
 	buffer.push(code);
 	buffer = buffer.join("\n");
-	buffer = buffer.replace(/^\uFEFF/, ""); // Remove potential Unicode BOM.
+	offset = buffer.length - code.length; // Where the code starts in the buffer.
+
+	// Remove potential Unicode BOM.
+	if (buffer.charAt(0) === "\uFEFF") {
+		buffer = buffer.slice(1);
+		offset -= 1;
+	}
 
+	// Relative plugin paths are relative to 'dirname', the directory of
+	// the configuration file, which JSHint is passed along with the options.
 	var report = jshint.run(buffer, config, globals);
 	if (!report.success) {
 		report.data.errors.forEach(function (err) {
@@ -370,10 +648,593 @@ function lint(code, results, config, data, file) {
 
 	if (lintData) {
 		lintData.file = file || "stdin";
+
+		// Reporters can't look up the messages of plugins, which may have
+		// been loaded in a worker process, so they come with the data.
+		var custom = _.reject(jshint.messages(), function (msg) { return messages.get(msg.code) });
+		if (custom.length > 0) {
+			lintData.messages = custom;
+		}
+
 		data.push(lintData);
 	}
+
+	// Fixes are made against the buffer, so they are moved back into the
+	// code and the ones that fall into prerequisites are dropped.
+	return (report.data.errors || []).filter(function (err) {
+		return err && err.fix && err.fix.range[0] >= offset;
+	}).map(function (err) {
+		return _.extend({}, err, {
+			fix: {
+				range: [ err.fix.range[0] - offset, err.fix.range[1] - offset ],
+				text: err.fix.text
+			}
+		});
+	});
+}
+
+/**
+ * Applies the fixes of the given warnings to the code. Fixes are applied
+ * from the start of the code to its end and a fix that overlaps a fix
+ * before it is skipped; that warning stays unfixed.
+ *
+ * @param {string} code     code that was linted
+ * @param {array}  warnings warnings with fixes, as returned by 'lint'
+ *
+ * @returns {object} { code, fixed } with the new code and the list of
+ *                   warnings that were fixed.
+ */
+function applyFixes(code, warnings) {
+	var out = [];
+	var fixed = [];
+	var last = 0;
+
+	_.sortBy(warnings, function (err) { return err.fix.range[0]; }).forEach(function (err) {
+		var range = err.fix.range;
+
+		if (range[0] < last || range[1] > code.length)
+			return;
+
+		out.push(code.slice(last, range[0]), err.fix.text);
+		last = range[1];
+		fixed.push(err);
+	});
+
+	out.push(code.slice(last));
+	return { code: out.join(""), fixed: fixed };
+}
+
+/**
+ * Fixes the code as far as it is safe to do so: the fixed code is linted
+ * again and thrown away if it has any error or warning the original code
+ * didn't have, such as a syntax error. Fixes may only remove warnings.
+ *
+ * @param {string} code   code that needs to be fixed
+ * @param {object} config an object with JSHint configuration
+ * @param {string} file   file name that is being fixed
+ *
+ * @returns {object} { code, fixed } as returned by 'applyFixes' or 'null'
+ *                   if nothing could be fixed.
+ */
+function fix(code, config, file) {
+	var before = [];
+	var after = [];
+	var result = applyFixes(code, lint(code, before, config, [], file));
+	var counts;
+
+	if (result.fixed.length === 0)
+		return null;
+
+	lint(result.code, after, config, [], file);
+
+	// Positions change with the fixes, so warnings are compared by their
+	// code and message.
+	function count(results) {
+		return _.countBy(results, function (res) {
+			return res.error.code + " " + res.error.message;
+		});
+	}
+
+	counts = count(before);
+
+	return _.some(count(after), function (n, key) { return n > (counts[key] || 0); }) ?
+		null : result;
+}
+
+/**
+ * Applies the 'overrides' section of a configuration to a file. It maps
+ * minimatch patterns, relative to the configuration file, to options.
+ * Options for all patterns that match the file are merged in order on top
+ * of the base options; 'globals' and 'severity' are merged rather than replaced.
+ *
+ * @param {object} config config object
+ * @param {string} file   a path to the file
+ * @returns {object} config object for the file, without 'overrides'
+ */
+function applyOverrides(config, file) {
+	var overrides = config.overrides;
+	var rel;
+
+	if (!overrides) {
+		return config;
+	}
+
+	config = _.omit(config, "overrides");
+	rel = path.relative(config.dirname || process.cwd(), path.resolve(file)).replace(/\\/g, "/");
+
+	_.each(overrides, function (options, pattern) {
+		var prev = config;
+
+		if (!minimatch(rel, pattern, { matchBase: true })) {
+			return;
+		}
+
+		config = _.extend({}, config, options);
+
+		[ "globals", "severity" ].forEach(function (key) {
+			if (prev[key] && options[key]) {
+				config[key] = _.extend({}, prev[key], options[key]);
+			}
+		});
+	});
+
+	return config;
+}
+
+/**
+ * Returns the configuration for a file: the one given on the command line
+ * or the one from the nearest 'package.json' or '.jshintrc', with its
+ * overrides applied.
+ *
+ * @param {string}   file a path to the file
+ * @param {object}   opts post-processed options from 'interpret'
+ * @param {function} load (optional) function to load '.jshintrc' files
+ *                        with, 'loadConfig' by default
+ * @returns {object} config object
+ */
+function configFor(file, opts, load) {
+	var config = opts.config || loadNpmConfig(file) || (load || exports.loadConfig)(findConfig(file));
+	return applyOverrides(config, file);
+}
+
+/**
+ * Lints a file with its own configuration, fixing it first if asked to,
+ * and saves the results.
+ *
+ * @param {string} file    a path to the file
+ * @param {string} code    contents of the file
+ * @param {object} opts    post-processed options from 'interpret'
+ * @param {object} results a pointer to an object with results
+ * @param {object} data    a pointer to an object with extra data
+ */
+function lintFile(file, code, opts, results, data) {
+	var config = configFor(file, opts);
+	var js = extract(code, opts.extract);
+	var fixes;
+
+	try {
+		// Code extracted from HTML is not fixed since the fixes
+		// can't be mapped back to the file.
+		if (opts.fix && js === code) {
+			fixes = fix(code, config, file);
+		}
+
+		if (fixes) {
+			try {
+				fs.writeFileSync(file, fixes.code);
+				js = fixes.code;
+			} catch (err) {
+				cli.error("Can't write " + file);
+				fixes = null;
+			}
+		}
+
+		lint(js, results, config, data, file);
+	} catch (err) {
+		// Plugins that can't be loaded or that throw stop the run, just
+		// like reporters that can't be loaded. Not everything thrown is
+		// an Error with a message.
+		cli.error(err.message || "Can't lint " + file);
+		process.exit(1);
+		return;
+	}
+
+	if (fixes) {
+		_.last(data).fixed = fixes.fixed;
+	}
+}
+
+/**
+ * Returns a string that changes whenever one of the given files changes.
+ *
+ * @param {array} files paths to the files
+ * @returns {string} a stamp made of paths, sizes and modification times
+ */
+function stampFiles(files) {
+	return files.map(function (fp) {
+		var stat;
+
+		if (!fp)
+			return "";
+
+		try {
+			stat = fs.statSync(fp);
+		} catch (err) {
+			return fp;
+		}
+
+		return fp + ":" + stat.size + ":" + stat.mtime.getTime();
+	}).join("|");
+}
+
+/**
+ * Returns a string that changes whenever the file or one of its
+ * configuration files changes: the one given on the command line or the
+ * ones JSHint would look up for it, and the files they extend.
+ *
+ * @param {string} file a path to the file
+ * @param {object} opts post-processed options from 'interpret'
+ * @returns {string} a stamp, see 'stampFiles'
+ */
+function stamp(file, opts) {
+	var dir = path.dirname(path.resolve(file));
+	var config = opts.configFile ? path.resolve(opts.configFile) : findConfig(file);
+	var files = opts.configFile ? [ file ] : [ file, findFile("package.json", dir) ];
+
+	return stampFiles(files.concat(configSources[config] || [ config ]));
+}
+
+/**
+ * Returns the cache key for a file. It changes whenever the file, its
+ * configuration, the contents of its prerequisites or plugins or the
+ * JSHint version change.
+ *
+ * @param {string} code   contents of the file
+ * @param {object} config an object with JSHint configuration
+ * @param {object} opts   post-processed options from 'interpret'
+ * @returns {string} a hexadecimal hash
+ */
+function cacheKey(code, config, opts) {
+	var hash = crypto.createHash("sha1");
+	var parts = [ VERSION, JSON.stringify(config), opts.extract || "", opts.fix ? "fix" : "" ];
+
+	(config.prereq || []).forEach(function (fp) {
+		fp = path.join(config.dirname, fp);
+		parts.push(shjs.test("-e", fp) ? shjs.cat(fp) : "");
+	});
+
+	// Plugins are found the way JSHint loads them; ones that can't be
+	// found fail the run anyway.
+	(config.plugins || []).forEach(function (name) {
+		var fp;
+
+		if (typeof name !== "string")
+			return;
+
+		try {
+			fp = require.resolve((/^\.\.?[\/\\]/).test(name) ?
+				path.resolve(config.dirname || "", name) : name);
+		} catch (err) {
+			fp = null;
+		}
+
+		parts.push(fp && shjs.test("-e", fp) ? shjs.cat(fp) : "");
+	});
+
+	parts.push(code);
+	parts.forEach(function (part) {
+		hash.update(part + "\u0000", "utf8");
+	});
+
+	return hash.digest("hex");
+}
+
+/**
+ * Reads the cache file. A missing or broken cache file is an empty cache.
+ *
+ * @param {string} fp a path to the cache file
+ * @returns {object} cached results and data for each file, with their keys
+ */
+function loadCache(fp) {
+	try {
+		return JSON.parse(fs.readFileSync(fp, "utf8"));
+	} catch (err) {
+		return {};
+	}
+}
+
+/**
+ * Writes the cache file. Failing to write it is not fatal.
+ *
+ * @param {string} fp    a path to the cache file
+ * @param {object} cache cached results and data for each file
+ */
+function saveCache(fp, cache) {
+	try {
+		fs.writeFileSync(fp, JSON.stringify(cache));
+	} catch (err) {
+		cli.error("Can't write cache file: " + fp);
+	}
+}
+
+/**
+ * Lints a file that was read by 'run'.
+ *
+ * @param {object} item { file, code, key } where key is the cache key
+ * @param {object} opts post-processed options from 'interpret'
+ * @returns {object} { key, results, data } for the file
+ */
+function lintItem(item, opts) {
+	var entry = { key: item.key, results: [], data: [] };
+	lintFile(item.file, item.code, opts, entry.results, entry.data);
+	return entry;
+}
+
+/**
+ * Lints files in worker processes. Each worker is sent the next file in
+ * the list as soon as it is done with the previous one.
+ *
+ * @param {array}    items   files to lint, see 'lintItem'
+ * @param {object}   opts    post-processed options from 'interpret'
+ * @param {function} onEntry a callback that receives the index of the file
+ *                           in 'run' and its { key, results, data } as soon
+ *                           as it is linted
+ * @param {function} cb      a callback to call when all files are linted
+ */
+function parallel(items, opts, onEntry, cb) {
+	var queue = items.slice();
+	var workers = Math.min(opts.jobs, items.length);
+	var running = workers;
+
+	// Reporters can be functions; workers don't need them.
+	var options = _.omit(opts, "reporter");
+
+	function next(worker) {
+		var item = queue.shift();
+
+		if (item) {
+			worker.send({ item: item });
+			return;
+		}
+
+		worker.done = true;
+		worker.disconnect();
+
+		running -= 1;
+		if (running === 0) {
+			cb();
+		}
+	}
+
+	_.times(workers, function () {
+		var worker = child.fork(__filename);
+
+		worker.on("message", function (msg) {
+			onEntry(msg.index, msg.entry);
+			next(worker);
+		});
+
+		worker.on("exit", function (code) {
+			if (!worker.done) {
+				cli.error("Worker process exited with code " + code);
+				process.exit(1);
+			}
+		});
+
+		worker.send({ opts: options });
+		next(worker);
+	});
 }
 
+/**
+ * Returns the file name and the fingerprint a warning is stored under in
+ * a baseline file. The fingerprint is made of the warning code and a hash
+ * of the line it was found on, not its position, so it survives changes
+ * to unrelated lines. File names are relative to the baseline file.
+ *
+ * @param {object} result a result as passed to the reporter
+ * @param {string} fp     a path to the baseline file
+ * @returns {object} { file, key }
+ */
+function fingerprint(result, fp) {
+	var hash = crypto.createHash("sha1");
+	hash.update((result.error.source || "").trim(), "utf8");
+
+	return {
+		file: path.relative(path.dirname(fp), path.resolve(result.file)).replace(/\\/g, "/"),
+		key: result.error.code + ":" + hash.digest("hex")
+	};
+}
+
+/**
+ * Writes the baseline file: the number of warnings with each fingerprint,
+ * for each file.
+ *
+ * @param {string} fp      a path to the baseline file
+ * @param {array}  results results as passed to the reporter
+ */
+function writeBaseline(fp, results) {
+	var baseline = {};
+
+	results.forEach(function (result) {
+		var print = fingerprint(result, fp);
+		var counts = baseline[print.file] = baseline[print.file] || {};
+		counts[print.key] = (counts[print.key] || 0) + 1;
+	});
+
+	try {
+		fs.writeFileSync(fp, JSON.stringify(baseline, null, 2) + "\n");
+	} catch (err) {
+		cli.error("Can't write baseline file: " + fp);
+		process.exit(1);
+	}
+}
+
+/**
+ * Reads the baseline file.
+ *
+ * @param {string} fp a path to the baseline file
+ * @returns {object} the number of warnings with each fingerprint, for each file
+ */
+function loadBaseline(fp) {
+	try {
+		return JSON.parse(fs.readFileSync(fp, "utf8"));
+	} catch (err) {
+		cli.error("Can't read baseline file: " + fp);
+		process.exit(1);
+		return {};
+	}
+}
+
+/**
+ * Removes the warnings that are in the baseline. When a line has more
+ * warnings with the same code than the baseline has, the extra ones are
+ * kept. The counts in the baseline are used up along the way.
+ *
+ * @param {object} baseline the baseline, see 'loadBaseline'
+ * @param {string} fp       a path to the baseline file
+ * @param {array}  results  results as passed to the reporter
+ * @returns {array} results that are not in the baseline
+ */
+function filterBaseline(baseline, fp, results) {
+	return results.filter(function (result) {
+		var print = fingerprint(result, fp);
+		var counts = baseline[print.file];
+
+		if (!counts || !counts[print.key])
+			return true;
+
+		counts[print.key] -= 1;
+		return false;
+	});
+}
+
+/**
+ * Turns a reporter into an object-style reporter. Object-style reporters
+ * have any of these methods, called as files are linted:
+ *
+ *   onStart(files, opts)              - with the list of files to lint
+ *   onFile(file, errors, data, opts)  - for each file, in the order of the
+ *                                       list, with its errors and its data
+ *   onEnd(summary, opts)              - with { files, errors, warnings, passed }
+ *
+ * Function-style reporters are called with all results and data in the end.
+ *
+ * @param {function|object} reporter a reporter
+ * @returns {object} an object-style reporter
+ */
+function hooks(reporter) {
+	var results = [];
+	var data = [];
+
+	if (typeof reporter !== "function")
+		return reporter;
+
+	return {
+		onStart: function () {
+			results = [];
+			data = [];
+		},
+
+		onFile: function (file, errors, fileData) {
+			errors.forEach(function (error) {
+				results.push({ file: file, error: error });
+			});
+
+			if (fileData) {
+				data.push(fileData);
+			}
+		},
+
+		onEnd: function (summary, opts) {
+			reporter(results, data, opts);
+		}
+	};
+}
+
+/**
+ * Returns the functions 'run' and 'watch' report files with: 'start' with
+ * the list of files, 'file' for each file in that order, and 'end', which
+ * returns whether the run passed. Baselines and '--quiet' are applied on
+ * the way.
+ *
+ * A run fails when there are errors or more warnings than '--max-warnings'
+ * allows; without '--max-warnings' any warning fails it, unless warnings
+ * are not reported because of '--quiet', and a negative number allows any
+ * number of warnings. Whether a result is an error or
+ * a warning depends on its code and the 'severity' configuration.
+ *
+ * @param {object} opts post-processed options from 'interpret'
+ * @returns {object} { start, file, end }
+ */
+function reporting(opts) {
+	var reporter = hooks(opts.reporter || defReporter);
+	var options = { verbose: opts.verbose, color: opts.color, metrics: opts.metrics };
+	var summary = { files: 0, errors: 0, warnings: 0 };
+	var written = [];
+	var baseline = null;
+
+	// A baseline written by this run holds all of its results.
+	if (opts.baseline && opts.baseline !== opts.writeBaseline) {
+		baseline = loadBaseline(opts.baseline);
+	}
+
+	return {
+		start: function (files) {
+			if (reporter.onStart) {
+				reporter.onStart(files, options);
+			}
+		},
+
+		file: function (file, results, data) {
+			var errors;
+
+			if (opts.writeBaseline) {
+				written = written.concat(results);
+			}
+
+			if (opts.baseline) {
+				results = baseline ? filterBaseline(baseline, opts.baseline, results) : [];
+			}
+
+			errors = results.filter(function (result) {
+				return result.error.type === "error";
+			});
+
+			summary.files += 1;
+			summary.errors += errors.length;
+			summary.warnings += results.length - errors.length;
+
+			if (reporter.onFile) {
+				reporter.onFile(file, _.pluck(opts.quiet ? errors : results, "error"),
+					data || null, options);
+			}
+		},
+
+		end: function () {
+			var max = typeof opts.maxWarnings === "number" ? opts.maxWarnings : (opts.quiet ? -1 : 0);
+
+			if (opts.writeBaseline) {
+				writeBaseline(opts.writeBaseline, written);
+			}
+
+			summary.passed = summary.errors === 0 && (max < 0 || summary.warnings <= max);
+
+			if (reporter.onEnd) {
+				reporter.onEnd(summary, options);
+			}
+
+			return summary.passed;
+		}
+	};
+}
+
+// The cache is invalidated when JSHint itself changes.
+var VERSION = require("../package.json").version;
+
+// How often, in milliseconds, watch mode looks for changed files.
+var WATCH_INTERVAL = 500;
+
 var exports = {
 	extract: extract,
 
@@ -384,31 +1245,26 @@ var exports = {
 	 * @returns {object} config object
 	 */
 	loadConfig: function (fp) {
-		if (!fp) {
-			return {};
-		}
-
-		if (!shjs.test("-e", fp)) {
-			cli.error("Can't find config file: " + fp);
-			process.exit(1);
-		}
-
 		try {
-			var config = JSON.parse(removeComments(shjs.cat(fp)));
-			config.dirname = path.dirname(fp);
-
-			if (config['extends']) {
-				_.extend(config, exports.loadConfig(path.resolve(config.dirname, config['extends'])));
-				delete config['extends'];
-			}
-
-			return config;
+			return readConfig(fp);
 		} catch (err) {
-			cli.error("Can't parse config file: " + fp);
+			cli.error(err.message);
 			process.exit(1);
 		}
 	},
 
+	readConfig: readConfig,
+	configFor: configFor,
+	lint: lint,
+
+	/**
+	 * Forgets where configuration files were found, for programs that keep
+	 * running while configuration files are added or removed.
+	 */
+	clearLookups: function () {
+		findFileResults = {};
+	},
+
 	/**
 	 * Gathers all files that need to be linted
 	 *
@@ -435,6 +1291,96 @@ var exports = {
 		return files;
 	},
 
+	/**
+	 * Lints files for programs that embed JSHint. Unlike 'run' it never
+	 * exits the process or prints anything: files that can't be linted,
+	 * for example because they don't exist or their configuration is
+	 * broken, have an 'error' instead.
+	 *
+	 * @param {array|string} patterns files, directories or minimatch patterns
+	 * @param {object}   options (optional) options:
+	 *                     config     - Configuration object or a path to a
+	 *                                  configuration file for all files; by
+	 *                                  default each file has its own
+	 *                     ignores    - A list of files/dirs to ignore, the
+	 *                                  ones in .jshintignore by default
+	 *                     extensions - A list of non-dot-js extensions to check
+	 *                     extract    - When to extract scripts from HTML
+	 * @param {function} cb callback called with an error if the options are
+	 *                      wrong and an object:
+	 *                        files    - { file, errors, data, error } for each
+	 *                                   file, where 'errors' are the JSHint
+	 *                                   warnings and 'error' is set if the file
+	 *                                   couldn't be linted
+	 *                        errors   - Number of errors in all files
+	 *                        warnings - Number of warnings in all files
+	 */
+	lintFiles: function (patterns, options, cb) {
+		var config = null;
+		var report = { files: [], errors: 0, warnings: 0 };
+
+		if (typeof options === "function") {
+			cb = options;
+			options = {};
+		}
+
+		options = options || {};
+
+		function done(err, result) {
+			process.nextTick(function () { cb(err, result); });
+		}
+
+		try {
+			config = typeof options.config === "string" ?
+				readConfig(path.resolve(options.config)) : options.config;
+		} catch (err) {
+			return void done(err);
+		}
+
+		function check(file) {
+			var entry = { file: file, errors: [], data: null };
+			var results = [];
+			var data = [];
+			var code;
+
+			report.files.push(entry);
+
+			try {
+				code = shjs.cat(file);
+				lint(extract(code, options.extract), results,
+					configFor(file, { config: config }, readConfig), data, file);
+			} catch (err) {
+				entry.error = err;
+				return;
+			}
+
+			entry.errors = _.pluck(results, "error");
+			entry.data = data[0] || null;
+
+			entry.errors.forEach(function (error) {
+				report[error.type === "error" ? "errors" : "warnings"] += 1;
+			});
+		}
+
+		[].concat(patterns).forEach(function (pattern) {
+			expand(pattern).forEach(function (target) {
+				if (!shjs.test("-e", target)) {
+					report.files.push({ file: target, errors: [], data: null,
+						error: new Error("Can't open " + target) });
+					return;
+				}
+
+				exports.gather({
+					args: [ target ],
+					ignores: options.ignores,
+					extensions: [].concat(options.extensions || []).join(",")
+				}).forEach(check);
+			});
+		});
+
+		done(null, report);
+	},
+
 	/**
 	 * Gathers all files that need to be linted, lints them, sends them to
 	 * a reporter and returns the overall result.
@@ -442,9 +1388,19 @@ var exports = {
 	 * @param {object} post-processed options from 'interpret':
 	 *                 args     - CLI arguments
 	 *                 config   - Configuration object
-	 *                 reporter - Reporter function
+	 *                 configFile - Path to the file 'config' was read from
+	 *                 reporter - Reporter function or object, see 'hooks'
 	 *                 ignores  - A list of files/dirs to ignore
 	 *                 extensions - A list of non-dot-js extensions to check
+	 *                 fix      - Apply fixes to the linted files
+	 *                 cache    - Path to the cache file, if results are cached
+	 *                 jobs     - Number of processes to lint files with
+	 *                 baseline - Path to the baseline file, if it is applied
+	 *                 writeBaseline - Path to write the baseline file to
+	 *                 maxWarnings - Number of warnings to allow, see 'reporting'
+	 *                 quiet    - Report errors only
+	 *                 color    - Ask the reporter to use colors
+	 *                 metrics  - Options of the metrics reporter: format, sort, top
 	 * @param {function} cb a callback to call when function is finished
 	 *                   asynchronously.
 	 *
@@ -453,22 +1409,37 @@ var exports = {
 	 */
 	run: function (opts, cb) {
 		var files = exports.gather(opts);
-		var results = [];
-		var data = [];
+		var reporter = reporting(opts);
 
 		if (opts.useStdin) {
 			cli.withStdin(function (code) {
-				lint(extract(code, opts.extract), results, opts.config || {}, data);
-				(opts.reporter || defReporter)(results, data, { verbose: opts.verbose });
-				cb(results.length === 0);
+				var results = [];
+				var data = [];
+
+				try {
+					lint(extract(code, opts.extract), results,
+						_.omit(opts.config || {}, "overrides"), data);
+				} catch (err) {
+					cli.error(err.message || "Can't lint stdin");
+					process.exit(1);
+					return;
+				}
+
+				reporter.start([ "stdin" ]);
+				reporter.file("stdin", results, data[0]);
+				cb(reporter.end());
 			});
 
 			return null;
 		}
 
-		files.forEach(function (file) {
-			var config = opts.config || loadNpmConfig(file) || exports.loadConfig(findConfig(file));
-			var code;
+		var cache = opts.cache ? loadCache(opts.cache) : null;
+		var entries = [];
+		var pending = [];
+		var next = 0;
+
+		function read(file, index) {
+			var code, key;
 
 			try {
 				code = shjs.cat(file);
@@ -477,11 +1448,168 @@ var exports = {
 				process.exit(1);
 			}
 
-			lint(extract(code, opts.extract), results, config, data, file);
+			// Files that didn't change have their results replayed from the cache.
+			if (cache) {
+				key = cacheKey(code, configFor(file, opts), opts);
+
+				if (_.has(cache, file) && cache[file].key === key) {
+					entries[index] = cache[file];
+					return null;
+				}
+			}
+
+			return { index: index, file: file, code: code, key: key };
+		}
+
+		// Files are reported in order, each one as soon as it and all files
+		// before it are linted.
+		function flush() {
+			var entry, file;
+
+			while (next < files.length && entries[next]) {
+				entry = entries[next];
+				file = files[next];
+				entries[next] = null;
+				next += 1;
+
+				// A fixed file has changed on disk, so it is linted again next time.
+				if (cache && _.some(_.pluck(entry.data, "fixed"))) {
+					delete cache[file];
+				} else if (cache) {
+					cache[file] = entry;
+				}
+
+				reporter.file(file, entry.results, entry.data[0]);
+			}
+		}
+
+		function finish() {
+			// Files that were not linted in this run are dropped, so that
+			// the cache doesn't keep the results of removed files.
+			if (cache) {
+				saveCache(opts.cache, _.pick(cache, files));
+			}
+
+			return reporter.end();
+		}
+
+		reporter.start(files);
+
+		files.forEach(function (file, index) {
+			var item = read(file, index);
+
+			if (item && opts.jobs > 1) {
+				pending.push(item);
+			} else if (item) {
+				entries[index] = lintItem(item, opts);
+			}
+
+			flush();
 		});
 
-		(opts.reporter || defReporter)(results, data, { verbose: opts.verbose });
-		return results.length === 0;
+		if (pending.length > 1) {
+			parallel(pending, opts, function (index, entry) {
+				entries[index] = entry;
+				flush();
+			}, function () {
+				cb(finish());
+			});
+
+			return null;
+		}
+
+		pending.forEach(function (item) {
+			entries[item.index] = lintItem(item, opts);
+			flush();
+		});
+
+		return finish();
+	},
+
+	/**
+	 * Lints the files like 'run' and then keeps checking them. Files that
+	 * changed, or whose configuration files changed, are linted again and
+	 * the reporter is called with the results for all files. The
+	 * configuration given with '--config' is read again when it changes.
+	 * New files are picked up and ignores are applied just like in 'run'.
+	 *
+	 * @param {object} post-processed options from 'interpret', see 'run'
+	 *
+	 * @returns {object} a watcher with a 'close' method that stops it
+	 */
+	watch: function (opts) {
+		var linted = {}; // Results, data and stamp for each file.
+		var configKey = opts.configFile ? stamp(opts.configFile, opts) : null;
+		var timer;
+
+		function check() {
+			var changed = false;
+			var reporter;
+			var current = {};
+
+			// Configuration files may have been added or removed.
+			findFileResults = {};
+
+			if (opts.configFile && stamp(opts.configFile, opts) !== configKey) {
+				try {
+					opts = _.extend({}, opts, { config: readConfig(opts.configFile) });
+				} catch (err) {
+					cli.error(err.message);
+				}
+
+				configKey = stamp(opts.configFile, opts);
+			}
+
+			exports.gather(opts).forEach(function (file) {
+				var entry = linted[file];
+				var key = stamp(file, opts);
+				var code;
+
+				if (!entry || entry.key !== key) {
+					try {
+						code = shjs.cat(file);
+					} catch (err) {
+						return;
+					}
+
+					entry = { key: key, results: [], data: [] };
+					lintFile(file, code, opts, entry.results, entry.data);
+					changed = true;
+				}
+
+				current[file] = entry;
+			});
+
+			if (_.difference(_.keys(linted), _.keys(current)).length) {
+				changed = true;
+			}
+
+			linted = current;
+
+			if (!changed) {
+				return;
+			}
+
+			if (process.stdout.isTTY) {
+				process.stdout.write("\u001b[2J\u001b[0;0H"); // Clear the screen.
+			}
+
+			reporter = reporting(_.omit(opts, "writeBaseline"));
+			reporter.start(_.keys(current));
+			_.each(current, function (entry, file) {
+				reporter.file(file, entry.results, entry.data[0]);
+			});
+			reporter.end();
+		}
+
+		check();
+		timer = setInterval(check, WATCH_INTERVAL);
+
+		return {
+			close: function () {
+				clearInterval(timer);
+			}
+		};
 	},
 
 	/**
@@ -512,38 +1640,38 @@ var exports = {
 			config = exports.loadConfig(options.config);
 		}
 
+		// The server lints the documents the editor sends instead of files.
+		if (options.lsp) {
+			require("./lsp.js").listen(process.stdin, process.stdout, {
+				config: config,
+				extract: options.extract
+			});
+			return;
+		}
+
+		var specs = reporterArgs(args);
+		var name = specs.length === 1 ? specs[0] : null;
+
+		// Deprecated reporter options and '--show-non-errors' replace the
+		// reporter, as they always did. Only reporters given with several
+		// '--reporter' options are combined.
 		switch (true) {
-		// JSLint reporter
-		case options.reporter === "jslint":
+		case name === "jslint":
 		case options["jslint-reporter"]:
-			options.reporter = "./reporters/jslint_xml.js";
+			specs = [ "jslint" ];
 			break;
 
-		// CheckStyle (XML) reporter
-		case options.reporter === "checkstyle":
+		case name === "checkstyle":
 		case options["checkstyle-reporter"]:
-			options.reporter = "./reporters/checkstyle.js";
+			specs = [ "checkstyle" ];
 			break;
 
 		// Reporter that displays additional JSHint data
 		case options["show-non-errors"]:
-			options.reporter = "./reporters/non_error.js";
-			break;
-
-		// Custom reporter
-		case options.reporter !== undefined:
-			options.reporter = path.resolve(process.cwd(), options.reporter);
+			specs = [ path.join(__dirname, "reporters/non_error.js") ];
 		}
 
-		var reporter;
-		if (options.reporter) {
-			reporter = loadReporter(options.reporter);
-
-			if (reporter === null) {
-				cli.error("Can't load reporter file: " + options.reporter);
-				process.exit(1);
-			}
-		}
+		var reporter = loadReporters(specs);
 
 		// This is a hack. exports.run is both sync and async function
 		// because I needed stdin support (and cli.withStdin is async)
@@ -570,17 +1698,57 @@ var exports = {
 			}
 		}
 
-		done(exports.run({
+		var opts = {
 			args:       cli.args,
 			config:     config,
+			configFile: options.config ? path.resolve(options.config) : null,
 			reporter:   reporter,
 			ignores:    loadIgnores(options.exclude, options["exclude-path"]),
 			extensions: options["extra-ext"],
 			verbose:    options.verbose,
 			extract:    options.extract,
+			fix:        options.fix,
+			cache:      options.cache ? path.resolve(options["cache-location"]) : null,
+			jobs:       options.jobs,
+			baseline:   options.baseline ? path.resolve(options.baseline) : null,
+			writeBaseline: options["write-baseline"] ? path.resolve(options["write-baseline"]) : null,
+			maxWarnings: options["max-warnings"],
+			quiet:      options.quiet,
+			metrics:    {
+				format: options["metrics-format"],
+				sort:   options["metrics-sort"],
+				top:    options["metrics-top"]
+			},
+			color:      options.color,
 			useStdin:   {"-": true, "/dev/stdin": true}[args[args.length - 1]]
-		}, done));
+		};
+
+		// Watch mode keeps the process running, so there is no exit code.
+		if (options.watch && !opts.useStdin) {
+			exports.watch(opts);
+			return;
+		}
+
+		done(exports.run(opts, done));
 	}
 };
 
 module.exports = exports;
+
+// Worker processes started by 'run' get the options first and then the
+// files to lint, one at a time, and send back the results for each file.
+
+if (require.main === module) {
+	(function () {
+		var opts;
+
+		process.on("message", function (msg) {
+			if (msg.opts) {
+				opts = msg.opts;
+				return;
+			}
+
+			process.send({ index: msg.item.index, entry: lintItem(msg.item, opts) });
+		});
+	}());
+}
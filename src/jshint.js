@@ -1,6 +1,7 @@
 "use strict";
 
 var _      = require("underscore");
+var path   = require("path");
 var parser = require("./parser.js");
 var style  = require("./style.js");
 var types  = require("./types.js");
@@ -28,9 +29,16 @@ function groupvars(acc, val, key, list) {
 //  * Options like '-W001' go the 'ignored' category with value true.
 //  * List 'exported' is converted into an object with items as keys and true as value.
 //  * List 'predef' is converted into an object with two categories (see groupvars).
+//  * List 'plugins' goes into the 'plugins' category as is.
+//  * String 'dirname', the directory relative plugin paths are relative to,
+//    goes into the 'dirname' category as is.
+//  * Flag 'ast' goes into the 'ast' category as is.
+//  * Map 'severity' goes into the 'severity' category as is. Codes that are
+//    'off' also go into the 'ignored' category.
 //  * Everything else goes into the 'passed' category.
 //
-// Returns an { ignored, exported, blacklist, variables, passed } object.
+// Returns an { ignored, exported, blacklist, variables, plugins, dirname, ast, severity,
+// passed } object.
 
 function groupopts(acc, val, name) {
 	if (/^-W\d{3}$/g.test(name)) { // -WXXX syntax to ignore warnings
@@ -45,6 +53,22 @@ function groupopts(acc, val, name) {
 	case "predef":
 		acc = _.reduce(val, groupvars, acc);
 		break;
+	case "plugins":
+		acc.plugins = val;
+		break;
+	case "dirname":
+		acc.dirname = val;
+		break;
+	case "ast":
+		acc.ast = val;
+		break;
+	case "severity":
+		_.each(val, function (level, code) {
+			if (level === "off")
+				acc.ignored[code] = true;
+		});
+		acc.severity = val;
+		break;
 	default:
 		acc.passed[name] = val;
 	}
@@ -52,10 +76,49 @@ function groupopts(acc, val, name) {
 	return acc;
 }
 
+// Halstead volume of the given function metrics: the number of operators
+// and operands times the log2 of the number of distinct ones.
+
+function volume(list) {
+	var seen = { operators: Object.create(null), operands: Object.create(null) };
+	var length = 0;
+	var vocabulary = 0;
+
+	list.forEach(function (metrics) {
+		[ "operators", "operands" ].forEach(function (kind) {
+			// Not _.each, which takes tables with a 'length' for arrays.
+			Object.keys(metrics[kind]).forEach(function (value) {
+				length += metrics[kind][value];
+
+				if (!seen[kind][value]) {
+					seen[kind][value] = true;
+					vocabulary += 1;
+				}
+			});
+		});
+	});
+
+	return vocabulary > 1 ? round(length * Math.log(vocabulary) / Math.LN2) : 0;
+}
+
+// Maintainability index, scaled to 0-100 like in Visual Studio. Higher is
+// better.
+
+function maintainability(volume, complexity, lines) {
+	var index = 171 - 5.2 * Math.log(Math.max(volume, 1)) - 0.23 * complexity -
+		16.2 * Math.log(Math.max(lines, 1));
+
+	return round(Math.max(0, index * 100 / 171));
+}
+
+function round(num) {
+	return Math.round(num * 100) / 100;
+}
+
 // Convert completed parser state into something consumable by the client.
 
 function normalize(state) {
-	var fu, f, i, j, n, globals;
+	var fu, f, i, j, n, v, tkn, globals;
 	var data = { functions: [], options: _.clone(state.option) };
 	var implieds = [];
 
@@ -91,6 +154,25 @@ function normalize(state) {
 			fu[functionicity[j]] = [];
 		}
 
+		// Sort every name the function knows about into its category. Unused
+		// function declarations are marked as 'unction' by the parser.
+
+		for (n in f) {
+			if (!_.has(f, n) || n.charAt(0) === "(")
+				continue;
+
+			v = f[n] === "unction" ? "unused" : f[n];
+			if (!_.isArray(fu[v]))
+				continue;
+
+			tkn = f["(tokens)"][n];
+			fu[v].push({
+				name: n,
+				line: tkn ? tkn.line : f["(line)"],
+				character: tkn ? tkn.character : f["(character)"]
+			});
+		}
+
 		for (j = 0; j < functionicity.length; j += 1) {
 			if (fu[functionicity[j]].length === 0) {
 				delete fu[functionicity[j]];
@@ -107,12 +189,35 @@ function normalize(state) {
 		fu.metrics = {
 			complexity: f["(metrics)"].complexity,
 			parameters: (f["(params)"] || []).length,
-			statements: f["(metrics)"].statements
+			statements: f["(metrics)"].statements,
+			depth: f["(metrics)"].depth,
+			lines: Math.max((fu.last || fu.line) - fu.line + 1, 1),
+			volume: volume([ f["(metrics)"] ])
 		};
 
+		fu.metrics.maintainability = maintainability(fu.metrics.volume,
+			fu.metrics.complexity, fu.metrics.lines);
+
 		data.functions.push(fu);
 	}
 
+	// File metrics count every decision point once, so the complexity of a
+	// file is one more than the decision points of all its code.
+
+	var all = _.pluck(state.functions, "(metrics)");
+
+	data.metrics = {
+		complexity: _.reduce(all, function (sum, m) { return sum + m.complexity - 1; }, 1),
+		statements: _.reduce(all, function (sum, m) { return sum + m.statements; }, 0),
+		depth: _.max(_.pluck(all, "depth")),
+		functions: data.functions.length,
+		lines: state.lines || 1,
+		volume: volume(all)
+	};
+
+	data.metrics.maintainability = maintainability(data.metrics.volume,
+		data.metrics.complexity, data.metrics.lines);
+
 	if (state.unused.length > 0) {
 		data.unused = state.unused;
 	}
@@ -120,27 +225,163 @@ function normalize(state) {
 	return data;
 }
 
+// Turn a plugin into a function that takes the extension API. A plugin can
+// be a module name or path, a module object with a 'register' method (just
+// like style.js and types.js) or the register function itself. Relative
+// paths are relative to 'dirname', or to the current directory without one.
+
+function plugin(mod, dirname) {
+	var name = mod;
+
+	if (typeof mod === "string") {
+		try {
+			mod = require(/^\.\.?[\/\\]/.test(mod) ? path.resolve(dirname || "", mod) : mod);
+		} catch (err) {
+			throw new Error("Can't load plugin: " + name + " (" + err.message.split("\n")[0] + ")");
+		}
+	}
+
+	if (mod && typeof mod.register === "function")
+		return mod.register;
+
+	if (typeof mod === "function")
+		return mod;
+
+	throw new Error("Invalid plugin: " + mod);
+}
+
+// A linter owns a parser, with its own state, plugins and messages, so that
+// several linters with different plugins and options can be used at the
+// same time. A linter runs one source at a time. Plugins given to the
+// constructor are used in every run, the ones in the 'plugins' option only
+// in the run they are given to.
+
+function Linter(plugins) {
+	this.parser  = parser.create();
+	this.plugins = (plugins || []).map(function (mod) { return plugin(mod) });
+}
+
+Linter.prototype = {
+	// Parse the source and return the completed parser state.
+
+	check: function (src, opts, vars) {
+		var self = this;
+		var options = {
+			passed:    {},
+			ignored:   {},
+			exported:  {},
+			variables: {},
+			blacklist: {},
+			plugins:   [],
+			ast:       false,
+			severity:  {}
+		};
+
+		_.reduce(opts || {}, groupopts, options);
+		_.reduce(vars || {}, groupvars, options);
+
+		try {
+			self.parser.reset();
+			self.parser.extend(style.register);
+			self.parser.extend(types.register);
+			self.plugins.forEach(function (fn) { self.parser.extend(fn) });
+			options.plugins.forEach(function (mod) {
+				self.parser.extend(plugin(mod, options.dirname));
+			});
+			return self.parser.parse(src, options);
+		} catch (err) {
+			// A syntax error that no statement recovered from is reported
+			// rather than thrown.
+			if (err.name === "SyntaxRecovery")
+				return self.parser.stop(err);
+
+			if (err.name !== "ParseError") throw err;
+			return err.state;
+		}
+	},
+
+	// Lint the source and return { success, data }. With the 'ast' option
+	// set the result also has an 'ast' property holding the ESTree Program
+	// node, or null if the parser gave up before reaching the end of the
+	// source.
+
+	run: function (src, opts, vars) {
+		var state, result;
+
+		if (!src || !src.length)
+			return null;
+
+		state = this.check(src, opts, vars);
+		result = { success: state.errors.length === 0, data: normalize(state) };
+
+		if (opts && opts.ast)
+			result.ast = state.ast || null;
+
+		return result;
+	},
+
+	// Returns all messages of the linter: the built-in ones and the ones its
+	// plugins registered in the last run.
+
+	messages: function () {
+		return this.parser.messages.all();
+	}
+};
+
+// The linter behind run() and the JSHINT facade.
+var linter = new Linter();
+
 function run(src, opts, vars) {
-	var options = { passed: {}, ignored: {}, exported: {}, variables: {}, blacklist: {} };
-	var state;
+	return linter.run(src, opts, vars);
+}
 
-	if (!src || !src.length)
+// Convert an error object into the format used by the classic JSHINT API:
+// 'reason', 'character' and 'evidence' instead of 'message', 'ch' and 'source'.
+
+function classic(err) {
+	if (!err)
 		return null;
 
-	_.reduce(opts || {}, groupopts, options);
-	_.reduce(vars || {}, groupvars, options);
-
-	try {
-		parser.reset();
-		parser.extend(style.register);
-		parser.extend(types.register);
-		state = parser.parse(src, options);
-	} catch (err) {
-		if (err.name !== "ParseError") throw err;
-		state = err.state;
-	}
+	return {
+		id:        "(error)",
+		code:      err.code,
+		reason:    err.message,
+		evidence:  err.source,
+		line:      err.line,
+		character: err.ch !== undefined ? err.ch : err.character,
+		scope:     err.scope
+	};
+}
+
+// JSHINT-compatible stateful facade on top of run(). Editor plugins, build
+// tools and the browser and Rhino bundles call JSHINT(source, options, globals)
+// and then read the results from JSHINT.errors and JSHINT.data().
+
+var lastData = null;
+
+function JSHINT(src, opts, vars) {
+	var state = linter.check(src || "", opts, vars);
 
-	return { success: state.errors.length === 0, data: normalize(state) };
+	JSHINT.errors    = state.errors.map(classic);
+	JSHINT.scope     = state.program;
+	JSHINT.internals = state.scripts;
+
+	lastData = normalize(state);
+	if (lastData.errors)
+		lastData.errors = JSHINT.errors;
+
+	return JSHINT.errors.length === 0;
 }
 
-exports.run = run;
\ No newline at end of file
+JSHINT.errors    = [];
+JSHINT.scope     = "(main)";
+JSHINT.internals = [];
+
+JSHINT.data = function () {
+	return lastData;
+};
+
+exports.run = run;
+exports.messages = function () { return linter.messages() };
+exports.Linter = Linter;
+exports.JSHINT = JSHINT;
@@ -58,14 +58,24 @@ var Token = {
  */
 function Lexer(source, options) {
 	var lines = source;
+	var breaks = [];
 
 	if (typeof lines === "string") {
+		breaks = lines.match(/\r\n|\r|\n/g) || [];
 		lines = lines
 			.replace(/\r\n/g, "\n")
 			.replace(/\r/g, "\n")
 			.split("\n");
 	}
 
+	// Offsets of the line starts in the original source. Line breaks can
+	// be one or two characters long.
+
+	this.offsets = [ 0 ];
+	for (var j = 1; j < lines.length; j += 1) {
+		this.offsets[j] = this.offsets[j - 1] + lines[j - 1].length + (breaks[j - 1] || "\n").length;
+	}
+
 	this.emitter = new events.EventEmitter();
 	this.prereg = true;
 
@@ -94,6 +104,24 @@ Lexer.prototype = {
 		return { line: this.line, ch: this.char, from: this.from };
 	},
 
+	/*
+	 * Convert a position reported by the lexer, a line and a column with
+	 * tabs expanded to the indentation width, into the column and the
+	 * character offset in the original source.
+	 */
+	locate: function (line, column) {
+		var text = this.source[line - 1] || "";
+		var col = 0;
+		var i = 0;
+
+		while (i < text.length && col < column) {
+			col += text.charAt(i) === "\t" ? this.tab.length : 1;
+			i += 1;
+		}
+
+		return { column: i, offset: (this.offsets[line - 1] || 0) + i };
+	},
+
 	/*
 	 * Return the next i character without actually moving the
 	 * char pointer.
@@ -362,6 +390,18 @@ Lexer.prototype = {
 				}
 			});
 
+			// Suppression comments get their own comment types:
+			// "jshint-disable", "jshint-enable" and "jshint-disable-next-line".
+
+			var suppression = commentType === "jshint" &&
+				/^-(disable-next-line|disable|enable)(?=\s|$)/.exec(body);
+
+			if (suppression) {
+				commentType = "jshint-" + suppression[1];
+				label = label + suppression[0];
+				body = body.substr(suppression[0].length);
+			}
+
 			return {
 				type: Token.Comment,
 				commentType: commentType,
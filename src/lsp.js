@@ -0,0 +1,413 @@
+"use strict";
+
+var _       = require("underscore");
+var path    = require("path");
+var cli     = require("./cli.js");
+var VERSION = require("../package.json").version;
+
+// JSON-RPC error codes used by the Language Server Protocol.
+var PARSE_ERROR      = -32700;
+var METHOD_NOT_FOUND = -32601;
+var INTERNAL_ERROR   = -32603;
+
+// LSP diagnostic severities.
+var SEVERITY = { error: 1, warning: 2 };
+
+// LSP message type of 'window/logMessage' for errors.
+var LOG_ERROR = 1;
+
+/**
+ * Returns the path of a 'file:' URI, or null for other URIs such as
+ * unsaved documents.
+ *
+ * @param {string} uri a document URI
+ * @returns {string} a path to the file
+ */
+function uriToPath(uri) {
+	if (!/^file:\/\//.test(uri))
+		return null;
+
+	var fp = decodeURIComponent(uri.replace(/^file:\/\/[^\/]*/, ""));
+
+	// file:///C:/dir/file.js
+	if (/^\/[a-zA-Z]:/.test(fp))
+		fp = fp.slice(1);
+
+	return path.normalize(fp);
+}
+
+/**
+ * Converts the line and column of a JSHint warning into an LSP position.
+ * JSHint columns are 1-based and count tabs as 'indent' characters, LSP
+ * characters are 0-based offsets into the line.
+ *
+ * @param {array}  lines  lines of the document
+ * @param {number} line   1-based line number
+ * @param {number} column 1-based column
+ * @param {number} indent width of a tab
+ * @returns {object} { line, character }
+ */
+function position(lines, line, column, indent) {
+	var index = Math.min(Math.max(line - 1, 0), lines.length - 1);
+	var text = lines[index] || "";
+	var col = 1;
+	var i = 0;
+
+	while (i < text.length && col < column) {
+		col += text.charAt(i) === "\t" ? indent : 1;
+		i += 1;
+	}
+
+	return { line: index, character: i };
+}
+
+/**
+ * Returns the LSP position of a character offset in the text.
+ *
+ * @param {string} text   document text
+ * @param {number} offset character offset
+ * @returns {object} { line, character }
+ */
+function offsetToPosition(text, offset) {
+	var before = text.slice(0, offset).split(/\r\n|\r|\n/);
+	return { line: before.length - 1, character: _.last(before).length };
+}
+
+/**
+ * Creates a language server. It keeps the open documents, lints them with
+ * 'cli.lint' whenever they are opened or changed and publishes the results
+ * as diagnostics. Configuration is looked up for each document like the
+ * command line does, unless one is given in 'opts.config'.
+ *
+ * @param {object}   opts options:
+ *                        config  - Configuration object for all documents
+ *                        extract - When to extract scripts from HTML
+ *                        exit    - Function to exit with, 'process.exit'
+ *                                  by default
+ * @param {function} send function to send a message object to the client
+ * @returns {object} { handle } where 'handle' takes a message object from
+ *                   the client
+ */
+function createServer(opts, send) {
+	var documents = {};
+	var shutdown = false;
+
+	opts = opts || {};
+
+	function notify(method, params) {
+		send({ jsonrpc: "2.0", method: method, params: params });
+	}
+
+	// Lints a document and publishes its diagnostics. Errors from the
+	// configuration, such as a missing file, or from linting, such as a
+	// plugin that can't be loaded, are reported on the first line instead
+	// of stopping the server.
+	function check(doc) {
+		var file = doc.file || path.resolve("stdin");
+		var lines = doc.text.split(/\r\n|\r|\n/);
+		var results = [];
+		var data = [];
+		var fixes = [];
+		var config, code, indent;
+
+		try {
+			config = cli.configFor(file, opts, cli.readConfig);
+			code = cli.extract(doc.text, doc.languageId === "html" ? "always" : opts.extract);
+
+			// Fixes only apply when the whole document was linted.
+			fixes = cli.lint(code, results, config, data, doc.file || "stdin");
+		} catch (err) {
+			doc.errors = [];
+			notify("textDocument/publishDiagnostics", {
+				uri: doc.uri,
+				version: doc.version,
+				diagnostics: [ {
+					range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+					severity: SEVERITY.error,
+					source: "jshint",
+					message: err.message || "Can't lint " + file
+				} ]
+			});
+			return;
+		}
+
+		if (code !== doc.text)
+			fixes = [];
+
+		indent = (data[0] && data[0].options && data[0].options.indent) || 4;
+
+		doc.errors = results.map(function (result) {
+			var error = result.error;
+			var column = error.ch !== undefined ? error.ch : error.character;
+			var start = position(lines, error.line, column, indent);
+			var end, word;
+
+			// Warnings that are a single point get the word at that point,
+			// or one character, so that there's something to underline.
+			if (error.endLine > error.line || (error.endLine === error.line && error.endCh > column)) {
+				end = position(lines, error.endLine, error.endCh, indent);
+			} else {
+				word = (/^[\w$]+/).exec((lines[start.line] || "").slice(start.character));
+				end = { line: start.line, character: start.character + (word ? word[0].length : 1) };
+			}
+
+			return {
+				error: _.find(fixes, function (fix) {
+					return fix.code === error.code && fix.line === error.line && fix.ch === error.ch;
+				}) || error,
+
+				diagnostic: {
+					range: { start: start, end: end },
+					severity: SEVERITY[error.type] || SEVERITY.warning,
+					code: error.code,
+					source: "jshint",
+					message: error.message
+				}
+			};
+		});
+
+		notify("textDocument/publishDiagnostics", {
+			uri: doc.uri,
+			version: doc.version,
+			diagnostics: _.pluck(doc.errors, "diagnostic")
+		});
+	}
+
+	// Quick fixes for the given diagnostics: the fix JSHint has for the
+	// warning, if any, and suppression comments for the line and the file.
+	function codeActions(doc, diagnostics) {
+		var actions = [];
+		var lines = doc.text.split(/\r\n|\r|\n/);
+
+		function edit(title, diagnostic, edits) {
+			var changes = {};
+			changes[doc.uri] = edits;
+
+			actions.push({
+				title: title,
+				kind: "quickfix",
+				diagnostics: [ diagnostic ],
+				edit: { changes: changes }
+			});
+		}
+
+		function insert(line, text) {
+			var pos = { line: line, character: 0 };
+			return { range: { start: pos, end: pos }, newText: text };
+		}
+
+		(diagnostics || []).forEach(function (diagnostic) {
+			var entry = _.find(doc.errors || [], function (entry) {
+				return entry.diagnostic.code === diagnostic.code &&
+					_.isEqual(entry.diagnostic.range.start, diagnostic.range.start);
+			});
+
+			if (!entry)
+				return;
+
+			var error = entry.error;
+			var line = entry.diagnostic.range.start.line;
+			var top = /^#!/.test(lines[0]) ? 1 : 0;
+
+			if (error.fix) {
+				edit("Fix: " + error.message, entry.diagnostic, [ {
+					range: {
+						start: offsetToPosition(doc.text, error.fix.range[0]),
+						end: offsetToPosition(doc.text, error.fix.range[1])
+					},
+					newText: error.fix.text
+				} ]);
+			}
+
+			// Only warnings can be suppressed.
+			if (!/^W\d{3}$/.test(error.code))
+				return;
+
+			edit("Disable " + error.code + " for this line", entry.diagnostic, [
+				insert(line, (/^\s*/).exec(lines[line] || "")[0] +
+					"// jshint-disable-next-line " + error.code + "\n")
+			]);
+
+			edit("Disable " + error.code + " for this file", entry.diagnostic, [
+				insert(top, "/* jshint-disable " + error.code + " */\n")
+			]);
+		});
+
+		return actions;
+	}
+
+	var requests = {
+		"initialize": function () {
+			return {
+				capabilities: {
+					textDocumentSync: { openClose: true, change: 1 },
+					codeActionProvider: { codeActionKinds: [ "quickfix" ] }
+				},
+				serverInfo: { name: "jshint", version: VERSION }
+			};
+		},
+
+		"shutdown": function () {
+			shutdown = true;
+			return null;
+		},
+
+		"textDocument/codeAction": function (params) {
+			var doc = documents[params.textDocument.uri];
+			return doc ? codeActions(doc, params.context && params.context.diagnostics) : [];
+		}
+	};
+
+	var notifications = {
+		"exit": function () {
+			(opts.exit || process.exit)(shutdown ? 0 : 1);
+		},
+
+		"textDocument/didOpen": function (params) {
+			var item = params.textDocument;
+
+			documents[item.uri] = {
+				uri: item.uri,
+				file: uriToPath(item.uri),
+				languageId: item.languageId,
+				version: item.version,
+				text: item.text
+			};
+
+			check(documents[item.uri]);
+		},
+
+		// Documents are synced in full, so the last change has the text.
+		"textDocument/didChange": function (params) {
+			var doc = documents[params.textDocument.uri];
+			var change = _.last(params.contentChanges || []);
+
+			if (!doc || !change)
+				return;
+
+			doc.version = params.textDocument.version;
+			doc.text = change.text;
+			check(doc);
+		},
+
+		"textDocument/didClose": function (params) {
+			var uri = params.textDocument.uri;
+
+			delete documents[uri];
+			notify("textDocument/publishDiagnostics", { uri: uri, diagnostics: [] });
+		},
+
+		// Configuration files may have changed, been added or removed.
+		"workspace/didChangeWatchedFiles": function () {
+			cli.clearLookups();
+			_.each(documents, check);
+		}
+	};
+
+	return {
+		handle: function (message) {
+			var result;
+
+			// Notifications have no response, so their errors are logged.
+			if (message.id === undefined) {
+				try {
+					if (_.has(notifications, message.method))
+						notifications[message.method](message.params || {});
+				} catch (err) {
+					notify("window/logMessage", { type: LOG_ERROR, message: err.message || String(err) });
+				}
+				return;
+			}
+
+			if (!_.has(requests, message.method)) {
+				send({
+					jsonrpc: "2.0",
+					id: message.id,
+					error: { code: METHOD_NOT_FOUND, message: "Unknown method: " + message.method }
+				});
+				return;
+			}
+
+			try {
+				result = requests[message.method](message.params || {});
+			} catch (err) {
+				send({
+					jsonrpc: "2.0",
+					id: message.id,
+					error: { code: INTERNAL_ERROR, message: err.message }
+				});
+				return;
+			}
+
+			send({ jsonrpc: "2.0", id: message.id, result: result });
+		}
+	};
+}
+
+/**
+ * Runs a language server that reads messages from 'input' and writes
+ * them to 'output', both framed with 'Content-Length' headers.
+ *
+ * @param {object} input  readable stream, usually stdin
+ * @param {object} output writable stream, usually stdout
+ * @param {object} opts   options, see 'createServer'
+ * @returns {object} the server
+ */
+function listen(input, output, opts) {
+	var buffer = null;
+
+	function send(message) {
+		var body = JSON.stringify(message);
+		output.write("Content-Length: " + Buffer.byteLength(body, "utf8") + "\r\n\r\n" + body);
+	}
+
+	var server = createServer(opts, send);
+
+	input.on("data", function (chunk) {
+		buffer = buffer ? Buffer.concat([ buffer, chunk ]) : chunk;
+
+		for (;;) {
+			var header = buffer.toString("binary");
+			var end = header.indexOf("\r\n\r\n");
+			var match, length, body, message;
+
+			if (end === -1)
+				return;
+
+			match = /Content-Length:\s*(\d+)/i.exec(header.slice(0, end));
+
+			// Skip headers without a length; there's no way to find the body.
+			if (!match) {
+				buffer = buffer.slice(end + 4);
+				continue;
+			}
+
+			length = parseInt(match[1], 10);
+			if (buffer.length < end + 4 + length)
+				return;
+
+			body = buffer.slice(end + 4, end + 4 + length).toString("utf8");
+			buffer = buffer.slice(end + 4 + length);
+
+			try {
+				message = JSON.parse(body);
+			} catch (err) {
+				send({
+					jsonrpc: "2.0",
+					id: null,
+					error: { code: PARSE_ERROR, message: "Can't parse message" }
+				});
+				continue;
+			}
+
+			server.handle(message);
+		}
+	});
+
+	return server;
+}
+
+module.exports = {
+	createServer: createServer,
+	listen: listen
+};
@@ -12,20 +12,6 @@ function make(type, messages) {
 	}, {});
 }
 
-function get(code, args) {
-	var msg = _.clone(
-		/^W\d{3}$/.test(code) ? warnings[code] :
-		/^E\d{3}$/.test(code) ? errors[code]   :
-		null
-	);
-
-	if (!msg)
-		return null;
-
-	_.each(args || [], function (val) { msg.desc = msg.desc.replace(/\{([^{}]*)\}/, val) });
-	return msg;
-}
-
 var errors = make("error", {
 	// JSHint options
 	E001: "Bad option: '{a}'.",
@@ -79,7 +65,7 @@ var errors = make("error", {
 	E038: null,
 	E039: "Function declarations are not invocable. Wrap the whole function invocation in parens.",
 	E040: "Each value should have its own case label.",
-	E041: "Unrecoverable syntax error.",
+	E041: "Syntax error; skipped to line {a}.",
 	E042: "Stopping.",
 	E043: "Too many errors.",
 	E044: "'{a}' is already defined and can't be redefined.",
@@ -89,7 +75,8 @@ var errors = make("error", {
 	E048: "Let declaration not directly within block.",
 	E049: "A {a} cannot be named '{b}'.",
 	E050: "Mozilla requires the yield expression to be parenthesized here.",
-	E051: "Regular parameters cannot come after default parameters."
+	E051: "Regular parameters cannot come after default parameters.",
+	E052: "Unrecoverable syntax error."
 });
 
 var warnings = make("warning", {
@@ -216,7 +203,72 @@ var warnings = make("warning", {
 	W120: "You might be leaking a variable ({a}) here.",
 	W121: "Extending prototype of native object: '{a}'.",
 	W122: "Invalid typeof value '{a}'",
-	W123: "'{a}' is already defined in outer scope."
+	W123: "'{a}' is already defined in outer scope.",
+	W124: "Unused suppression of {a}.",
+	W125: "Missing reason for suppression (add one after '--')."
 });
 
-exports.get = get;
\ No newline at end of file
+// Returns a message registry: the built-in messages and the ones plugins
+// registered with it. Every parser has its own registry, so plugin messages
+// of one parser can't clash with those of another.
+
+function create() {
+	// Messages registered by plugins. They live separately from the built-in
+	// ones so that they can be thrown away between runs.
+	var custom = {};
+
+	function get(code, args) {
+		var msg = _.clone(
+			_.has(custom, code)    ? custom[code]   :
+			/^W\d{3}$/.test(code) ? warnings[code] :
+			/^E\d{3}$/.test(code) ? errors[code]   :
+			null
+		);
+
+		if (!msg)
+			return null;
+
+		_.each(args || [], function (val) { msg.desc = msg.desc.replace(/\{([^{}]*)\}/, val) });
+		return msg;
+	}
+
+	// Register a new message. Codes follow the built-in format (W or E
+	// followed by three digits) and must not be taken already.
+
+	function register(code, desc) {
+		var type = { W: "warning", E: "error" }[code.charAt(0)];
+
+		if (!/^[WE]\d{3}$/.test(code))
+			throw new Error("Invalid message code: " + code);
+
+		if (get(code))
+			throw new Error("Message code is already in use: " + code);
+
+		custom[code] = { type: type, code: code, desc: desc };
+	}
+
+	function reset() {
+		custom = {};
+	}
+
+	// Returns all messages that are in use, built-in ones first, sorted by
+	// code. Retired codes have no description and are left out.
+
+	function all() {
+		var sorted = function (msgs) {
+			return _.sortBy(_.filter(_.values(msgs), function (msg) { return msg.desc !== null }),
+				"code");
+		};
+
+		return sorted(errors).concat(sorted(warnings), sorted(custom));
+	}
+
+	return { get: get, register: register, reset: reset, all: all };
+}
+
+// The built-in messages alone.
+var builtin = create();
+
+exports.get = builtin.get;
+exports.all = builtin.all;
+exports.create = create;
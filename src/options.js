@@ -100,6 +100,11 @@ exports.multi = {
 	                      // "outer"  - check for variables defined in outer scopes as well
 	                      // false    - same as inner
 	                      // true     - allow variable shadowing
+	suppress     : true,  // check suppression comments (jshint-disable etc.):
+	                      //   false    - don't check them
+	                      //   "unused" - warn about suppressions that suppress nothing
+	                      //   "reason" - warn about suppressions without a reason
+	                      //   true     - both "unused" and "reason"
 };
 
 // These are JSHint boolean options which are shared with JSLint
@@ -7,7 +7,7 @@
 var _        = require("underscore");
 var events   = require("events");
 var vars     = require("./vars.js");
-var messages = require("./messages.js");
+var registry = require("./messages.js");
 var Lexer    = require("./lex.js").Lexer;
 var reg      = require("./reg.js");
 var options  = require("./options.js");
@@ -33,4052 +33,5262 @@ var varmap = {
 	nonstandard: [ vars.nonstandard ]
 };
 
-// Extension API
+// Message types for the levels used in the 'severity' configuration.
+// Level 'off' doesn't need one since those codes are ignored.
+var SEVERITY = { warn: "warning", error: "error" };
 
-var syntax   = {};
-var emitter  = new events.EventEmitter();
-var state    = {};
+// Returns a new parser. Parsers share nothing: each one has its own state,
+// symbol table, extensions and messages, so that any number of them can be
+// used at the same time.
 
-var api = {
-	isStrictMode: function () {
-		return state.directive["use strict"];
-	},
+function create() {
+	var messages = registry.create();
 
-	getOption: function (name) {
-		return state.option[name] || null;
-	},
+	// Extension API
 
-	getEnvironment: function (name, strict) {
-		// Assuming that chronologically ES3 < ES5 < ES6/ESNext < Mozilla
+	var syntax   = {};
+	var emitter  = new events.EventEmitter();
+	var state    = {};
+	var custom   = {}; // Options registered by plugins.
 
-		switch (name) {
-			case "moz":
-				return strict ? state.option.moz && !state.option.esnext :
-				                state.option.moz;
-			case "es6":
-				return strict ? state.option.esnext && !state.option.moz :
-				                state.option.moz || state.option.esnext;
-			case "es5":
-				return !state.option.es3;
-			case "es3":
-				return strict ? state.option.es3 && !state.option.moz && !state.option.esnext :
-				                state.option.es3;
-		}
-	},
-
-	warn: function (code, data) {
-		warn.call(null, code, { coord: { line: data.line, ch: data.char }, args: data.data });
-	},
-
-	on: function (names, listener) {
-		names.split(" ").forEach(function (name) {
-			emitter.on(name, listener);
-		}.bind(this));
-	}
-};
+	var api = {
+		isStrictMode: function () {
+			return state.directive["use strict"];
+		},
 
-var anonname;    // The guessed name for anonymous functions.
-var declared;    // Globals that were declared using /*global ... */ syntax.
-var exported;    // Variables that are used outside of the current file.
-var funct;       // The current function
-var globalscope; // The global scope
-var inblock;
-var indent;
-var lookahead;
-var lex;
-var noreach;
-var predefined;  // Global variables defined by option
-var scope;       // The current scope
-var stack;
-var warnings;
-
-function checkOption(name, t) {
-	name = name.trim();
-
-	if (/^[+-]W\d{3}$/g.test(name))
-		return true;
+		getOption: function (name) {
+			return state.option[name] || null;
+		},
 
-	if (options.multi[name] === undefined && options.simple[name] === undefined) {
-		if (t.type !== "jslint") {
-			warn("E001", { token: t, args: [name] });
-			return false;
-		}
-	}
+		getEnvironment: function (name, strict) {
+			// Assuming that chronologically ES3 < ES5 < ES6/ESNext < Mozilla
+
+			switch (name) {
+				case "moz":
+					return strict ? state.option.moz && !state.option.esnext :
+					                state.option.moz;
+				case "es6":
+					return strict ? state.option.esnext && !state.option.moz :
+					                state.option.moz || state.option.esnext;
+				case "es5":
+					return !state.option.es3;
+				case "es3":
+					return strict ? state.option.es3 && !state.option.moz && !state.option.esnext :
+					                state.option.es3;
+			}
+		},
 
-	return true;
-}
+		// Warnings start at 'line' and 'char' and end at 'endLine' and 'endChar'
+		// if given, or cover the span of an AST 'node' instead. Extensions can
+		// attach a fix to their warnings: { line, from, to, text } replaces the
+		// characters between columns 'from' and 'to' of a line with the text.
+		// Columns are the ones reported in the lexer events.
 
-function isIdentifier(tkn, value) {
-	if (!tkn)
-		return false;
+		warn: function (code, data) {
+			var fix = data.fix;
 
-	if (!tkn.identifier || tkn.value !== value)
-		return false;
+			warn.call(null, code, {
+				node: data.node,
+				coord: { line: data.line, ch: data.char, endLine: data.endLine, endCh: data.endChar },
+				args: data.data,
+				fix: fix && edit({ line: fix.line, ch: fix.from }, { line: fix.line, ch: fix.to }, fix.text)
+			});
+		},
 
-	return true;
-}
+		on: function (names, listener) {
+			names.split(" ").forEach(function (name) {
+				emitter.on(name, listener);
+			}.bind(this));
+		},
 
-function isReserved(token) {
-	if (!token.reserved) {
-		return false;
-	}
-	var meta = token.meta;
+		// Plugins can introduce their own message codes and options. Registered
+		// options pass the option check and can be set just like the built-in
+		// ones, both from the configuration and from inline comments.
 
-	if (meta && meta.isFutureReservedWord && api.getEnvironment("es5")) {
-		// ES3 FutureReservedWord in an ES5 environment.
-		if (!meta.es5) {
-			return false;
-		}
+		addMessage: function (code, desc) {
+			messages.register(code, desc);
+		},
 
-		// Some ES5 FutureReservedWord identifiers are active only
-		// within a strict mode environment.
-		if (meta.strictOnly) {
-			if (!state.option.strict && !state.directive["use strict"]) {
-				return false;
-			}
-		}
+		addOption: function (name) {
+			if (_.has(options.simple, name) || _.has(options.multi, name))
+				throw new Error("Option is already defined: " + name);
 
-		if (token.isProperty) {
-			return false;
+			custom[name] = true;
 		}
-	}
-
-	return true;
-}
+	};
 
-// Produce an error warning.
-function quit(code, line, chr) {
-	var pct = Math.floor((line / lex.source.length) * 100);
-	var msg = messages.get(code);
-	var nt  = state.tokens.next || {};
-
-	state.errors.push({
-		scope     : "(main)",
-		type      : "error",
-		message   : msg.desc + " (" + pct + "% scanned).",
-		code      : msg.code,
-		line      : line || nt.line,
-		character : chr || nt.from,
-	});
+	var anonname;    // The guessed name for anonymous functions.
+	var braces;      // Number of '{' tokens minus the number of '}' tokens so far
+	var declared;    // Globals that were declared using /*global ... */ syntax.
+	var exported;    // Variables that are used outside of the current file.
+	var fatal;       // Lexer error that the current statement can't get past
+	var funct;       // The current function
+	var globalscope; // The global scope
+	var inblock;
+	var indent;
+	var lookahead;
+	var lex;
+	var noreach;
+	var predefined;  // Global variables defined by option
+	var recoveries;  // Positions of syntax errors the parser skipped past
+	var scope;       // The current scope
+	var stack;
+	var warnings;
+
+	// AST events. Extensions can subscribe to nodes in the Mozilla Parser API
+	// format: the parser emits the node type when it recognizes a node and the
+	// type with an ':exit' suffix once the node is complete. Identifiers and
+	// literals are not emitted since the lexer events already cover them.
+
+	function nodeOf(t) {
+		return t && _.has(t, "node") ? t.node : null;
+	}
+
+	function startOf(t) {
+		t = nodeOf(t) || t;
+		return t.loc ? t.loc.start : { line: t.line, column: t.from - 1 };
+	}
+
+	function endOf(t) {
+		return t.loc ? t.loc.end : { line: t.line, column: t.character - 1 };
+	}
+
+	function enter(type, from, props) {
+		var node = _.extend({ type: type }, props, {
+			loc: { start: startOf(from), end: null }
+		});
 
-	state.errors.push(null);
+		if (type !== "Identifier" && type !== "Literal")
+			emitter.emit(type, node);
 
-	throw { name: "ParseError", state: state };
-}
+		return node;
+	}
 
-function isundef(scope, code, opts) {
-	return state.undefs.push([scope, code, opts]);
-}
+	function exit(node, t) {
+		node.loc.end = endOf(t || state.tokens.curr);
 
-function warn(code, opts) {
-	opts = opts || {};
-	var msg = messages.get(code, opts.args || []);
-	var line, ch, token;
-
-	if (state.ignored[code])
-		return;
-
-	if (opts.coord) {
-		line = opts.coord.line || 0;
-		ch = opts.coord.ch || 0;
-	} else {
-		token = opts.token || state.tokens.next;
-		if (token.id === "(end)") token = state.tokens.curr;
-
-		line = token.line || 0;
-		ch = token.from || 0;
-	}
-
-	state.errors.push({
-		code:    msg.code,
-		type:    msg.type,
-		line:    line,
-		ch:      ch,
-		message: msg.desc,
-		source:  lex.source[line - 1] || "",
-		scope:   state.program
-	});
+		if (node.type !== "Identifier" && node.type !== "Literal")
+			emitter.emit(node.type + ":exit", node);
 
-	if (state.option.passfail)
-		quit("E042", line, ch);
+		return node;
+	}
 
-	warnings += 1;
-	if (warnings >= state.option.maxerr)
-		quit("E043", line, ch);
-}
+	function leaf(type, t, props) {
+		return exit(enter(type, t, props), t);
+	}
 
-// name: string
-// opts: { type: string, token: token, islet: bool, unused: bool }
-function addlabel(name, opts) {
-	opts = opts || {};
+	function identNode(t) {
+		return leaf("Identifier", t, { name: t.value });
+	}
 
-	var type  = opts.type;
-	var islet = opts.islet;
+	function checkOption(name, t) {
+		name = name.trim();
 
-	// Define name in the current function in the current scope.
-	if (type === "exception") {
-		if (_.has(funct["(context)"], name) && funct[name] !== true && !state.option.node) {
-			warn("W002", { token: state.tokens.next, args: [name] });
-		}
-	}
+		if (/^[+-]W\d{3}$/g.test(name))
+			return true;
 
-	if (_.has(funct, name) && !funct["(global)"]) {
-		if (funct[name] === true) {
-			if (state.option.latedef) {
-				if ((state.option.latedef === true && _.contains([funct[name], type], "unction")) ||
-						!_.contains([funct[name], type], "unction")) {
-					warn("W003", { token: state.tokens.next, args: [name] });
-				}
-			}
-		} else {
-			if ((!state.option.shadow || _.contains([ "inner", "outer" ], state.option.shadow)) &&
-					type !== "exception" || funct["(blockscope)"].getlabel(name)) {
-				warn("W004", { token: state.tokens.next, args: [name] });
+		if (options.multi[name] === undefined && options.simple[name] === undefined &&
+				!_.has(custom, name)) {
+			if (t.type !== "jslint") {
+				warn("E001", { token: t, args: [name] });
+				return false;
 			}
 		}
-	}
 
-	if (funct["(context)"] && _.has(funct["(context)"], name) && type !== "function") {
-		if (state.option.shadow === "outer") {
-			warn("W123", { token: state.tokens.next, args: [name] });
-		}
+		return true;
 	}
 
-	// a double definition of a let variable in same block throws a TypeError
-	if (funct["(blockscope)"] && funct["(blockscope)"].current.has(name)) {
-		warn("E044", { token: state.tokens.next, args: [name] });
-	}
+	function isIdentifier(tkn, value) {
+		if (!tkn)
+			return false;
 
-	// if the identifier is from a let, adds it only to the current blockscope
-	if (islet) {
-		funct["(blockscope)"].current.add(name, type, state.tokens.curr);
-	} else {
+		if (!tkn.identifier || tkn.value !== value)
+			return false;
 
-		funct[name] = type;
+		return true;
+	}
 
-		if (opts.token) {
-			funct["(tokens)"][name] = opts.token;
+	function isReserved(token) {
+		if (!token.reserved) {
+			return false;
 		}
+		var meta = token.meta;
 
-		utils.setprop(funct, name, { unused: opts.unused || false });
+		if (meta && meta.isFutureReservedWord && api.getEnvironment("es5")) {
+			// ES3 FutureReservedWord in an ES5 environment.
+			if (!meta.es5) {
+				return false;
+			}
 
-		if (funct["(global)"]) {
-			globalscope[name] = funct;
-			if (_.has(state.implied, name)) {
-				if (state.option.latedef) {
-					if ((state.option.latedef === true && _.contains([funct[name], type], "unction")) ||
-							!_.contains([funct[name], type], "unction")) {
-						warn("W003", { token: state.tokens.next, args: [name] });
-					}
+			// Some ES5 FutureReservedWord identifiers are active only
+			// within a strict mode environment.
+			if (meta.strictOnly) {
+				if (!state.option.strict && !state.directive["use strict"]) {
+					return false;
 				}
+			}
 
-				delete state.implied[name];
+			if (token.isProperty) {
+				return false;
 			}
-		} else {
-			scope[name] = funct;
 		}
-	}
-}
 
-function doOption() {
-	var nt = state.tokens.next;
-	var body = nt.body.split(",").map(function (s) { return s.trim(); });
-
-	if (nt.type === "globals") {
-		body.forEach(function (g) {
-			g = g.split(":");
-			var key = (g[0] || "").trim();
-			var val = (g[1] || "").trim();
-
-			if (key.charAt(0) === "-") {
-				key = key.slice(1);
-				val = false;
-
-				state.blacklist[key] = true;
-				delete predefined[key];
-				return;
-			}
+		return true;
+	}
 
-			predefined[key] = (val === "true");
-			declared[key] = nt;
+	// Produce an error warning.
+	function quit(code, line, chr) {
+		var pct = Math.floor((line / lex.source.length) * 100);
+		var msg = messages.get(code);
+		var nt  = state.tokens.next || {};
+
+		line = line || nt.line;
+		chr  = chr || nt.from;
+
+		state.errors.push({
+			scope     : "(main)",
+			type      : "error",
+			message   : msg.desc + " (" + pct + "% scanned).",
+			code      : msg.code,
+			line      : line,
+			character : chr,
+			endLine   : line,
+			endCh     : chr,
+			range     : [ offset(line, chr), offset(line, chr) ]
 		});
 
-		return;
+		state.errors.push(null);
+
+		throw { name: "ParseError", state: state };
+	}
+
+	// Give up on the current statement after a syntax error. statements()
+	// catches the exception, skips to where the next statement is likely to
+	// start and goes on from there.
+
+	function fail(line, chr) {
+		var nt = state.tokens.next || {};
+		throw { name: "SyntaxRecovery", line: line || nt.line, ch: chr || nt.from };
+	}
+
+	// Saves the parser state that a statement can leave behind if it is cut
+	// short by a syntax error.
+
+	function checkpoint() {
+		return {
+			token:      state.tokens.next,
+			funct:      funct,
+			scope:      scope,
+			indent:     indent,
+			inblock:    inblock,
+			noreach:    noreach,
+			braces:     braces,
+			option:     state.option,
+			ignored:    state.ignored,
+			directive:  _.clone(state.directive),
+			functions:  state.functions.length,
+			blocks:     funct["(blockscope)"].depth(),
+			comparrays: funct["(comparray)"].depth(),
+			blockDepth: funct["(metrics)"].blockDepth,
+			breakage:   funct["(breakage)"],
+			loopage:    funct["(loopage)"]
+		};
 	}
 
-	if (nt.type === "exported")
-		return void body.forEach(function (e) { exported[e] = true });
+	// Restores the state saved before the statement that failed and skips
+	// tokens up to the next ';', a '}' that closes the enclosing block or a
+	// statement keyword, whichever comes first. Braces opened since the
+	// statement started have to be closed before any of them counts, except
+	// for the block of the statement, such as the body of an 'if' with a
+	// broken condition: checking goes on with the statements in it.
+	// Warnings after the error are marked since they may be caused by it.
 
-	var numvals = [
-		"maxstatements",
-		"maxparams",
-		"maxdepth",
-		"maxcomplexity",
-		"maxerr",
-		"indent"
-	];
+	function recover(err, saved) {
+		var t, line;
 
-	if (nt.type === "jshint" || nt.type === "jslint") {
-		body.forEach(function (g) {
-			g = g.split(":");
-			var key = (g[0] || "").trim();
-			var val = (g[1] || "").trim();
-
-			if (!checkOption(key, nt)) {
-				return;
+		function skip() {
+			try {
+				advance();
+			} catch (e) {
+				// Other syntax errors in the skipped code don't matter.
+				if (e.name !== "SyntaxRecovery") throw e;
 			}
+		}
 
-			if (numvals.indexOf(key) >= 0) {
-				// GH988 - numeric options can be disabled by setting them to `false`
-				if (val !== "false") {
-					val = +val;
-
-					if (typeof val !== "number" || !isFinite(val) || val <= 0 || Math.floor(val) !== val) {
-						warn("E032", { token: nt, args: [g[1].trim()] });
-						return;
-					}
+		funct   = saved.funct;
+		scope   = saved.scope;
+		indent  = saved.indent;
+		inblock = saved.inblock;
+		noreach = saved.noreach;
 
-					state.option[key] = val;
-				} else {
-					if (key !== "indent") {
-						state.option[key] = false;
-					}
-				}
+		state.option    = saved.option;
+		state.ignored   = saved.ignored;
+		state.directive = saved.directive;
+		state.functions.splice(saved.functions);
 
-				return;
-			}
+		funct["(blockscope)"].unwind(saved.blocks);
+		funct["(comparray)"].unwind(saved.comparrays);
+		funct["(metrics)"].blockDepth = saved.blockDepth;
+		funct["(breakage)"] = saved.breakage;
+		funct["(loopage)"]  = saved.loopage;
 
-			if (key === "validthis") {
-				// `validthis` is valid only within a function scope.
+		recoveries.push({ line: err.line, ch: err.ch });
+		fatal = null;
 
-				if (funct["(global)"])
-					return void warn("E009");
+		// Skip at least one token so that the same error can't happen again.
+		if (state.tokens.next === saved.token)
+			skip();
 
-				if (val !== "true" && val !== "false")
-					return void warn("E002", { token: nt });
+		for (;;) {
+			t = state.tokens.next;
 
-				state.option.validthis = (val === "true");
-				return;
-			}
+			if (t.id === "(end)")
+				break;
 
-			if (key === "shadow") {
-				switch (val) {
-				case "true":
-					state.option.shadow = true;
-					break;
-				case "outer":
-					state.option.shadow = "outer";
-					break;
-				case "false":
-				case "inner":
-					state.option.shadow = "inner";
+			if (braces <= saved.braces) {
+				if (t.id === ";") {
+					skip();
 					break;
-				default:
-					warn("E002", { token: nt });
 				}
 
-				return;
-			}
-
-			if (key === "unused") {
-				switch (val) {
-				case "true":
-					state.option.unused = true;
-					break;
-				case "false":
-					state.option.unused = false;
-					break;
-				case "vars":
-				case "strict":
-					state.option.unused = val;
+				if (t.id === "}" || t.id === "case" || t.id === "default")
 					break;
-				default:
-					warn("E002", { token: nt });
-				}
-				return;
-			}
 
-			if (key === "latedef") {
-				switch (val) {
-				case "true":
-					state.option.latedef = true;
+				if (t.fud && t.reserved && !t.isProperty)
 					break;
-				case "false":
-					state.option.latedef = false;
-					break;
-				case "nofunc":
-					state.option.latedef = "nofunc";
-					break;
-				default:
-					warn("E002", { token: nt });
-				}
-				return;
-			}
 
-			if (key === "ignore") {
-				switch (val) {
-				case "start":
-					lex.ignoring = true;
-					break;
-				case "end":
-					lex.ignoring = false;
-					break;
-				case "line":
-					// Any errors or warnings that happened on the current line, make them go away.
-					state.errors = _.reject(state.errors, function (error) {
-						// nt.line returns to the current line
-						return error.line === nt.line;
-					});
-					break;
-				default:
-					warn("E002", { token: nt });
-				}
-				return;
-			}
+				// Braces after these tokens open a block rather than an object.
+				if (t.id === "{" && _.contains([ ")", "else", "do", "try", "finally" ],
+						state.tokens.curr.id)) {
+					if (!line) {
+						line = peek().line;
+						warn("E041", { coord: { line: err.line, ch: err.ch }, args: [ line ] });
+					}
 
-			if (key === "globalstrict" && val === "true" && state.option.strict !== false) {
-				state.option.globalstrict = true;
-				state.option.strict = true;
-				return;
-			}
+					block(true);
 
-			var match = /^([+-])(W\d{3})$/g.exec(key);
-			if (match) {
-				// ignore for -W..., unignore for +W...
-				state.ignored[match[2]] = (match[1] === "-");
-				return;
+					// The other branches of an 'if' or a 'try' are checked the same way.
+					if (!_.contains([ "else", "catch", "finally" ], state.tokens.next.id))
+						return;
+					continue;
+				}
 			}
 
-			var tn;
-			if (val === "true" || val === "false") {
-				if (nt.type === "jslint") {
-					tn = options.renamed[key] || key;
-					state.option[tn] = (val === "true");
+			skip();
+		}
 
-					if (options.inverted[tn] !== undefined) {
-						state.option[tn] = !state.option[tn];
-					}
-				} else {
-					state.option[key] = (val === "true");
-				}
+		if (!line)
+			warn("E041", { coord: { line: err.line, ch: err.ch }, args: [ state.tokens.next.line ] });
+	}
 
-				// Add new globals to the 'predefined' collection if needed.
-				if (varmap[key] && val === "true")
-					varmap[key].forEach(function (vars) { _.extend(predefined, vars) });
+	function isundef(scope, code, opts) {
+		return state.undefs.push([scope, code, opts]);
+	}
 
-				return;
-			}
+	// Returns the raw source offset of a line and column.
 
-			warn("E002", { token: nt });
-		});
+	function offset(line, ch) {
+		return lex.locate(line, ch - 1).offset;
 	}
-}
 
-function convertToken(token) {
-	var obj;
+	// Returns a text edit that replaces the source between two positions with
+	// the text. Positions are lines and columns as in token 'from' and
+	// 'character'; the edit range holds raw source offsets, as AST ranges do.
 
-	function reserved(obj, isprop) {
-		var meta = obj.meta;
+	function edit(start, end, text) {
+		return {
+			range: [ offset(start.line, start.ch), offset(end.line, end.ch) ],
+			text: text
+		};
+	}
 
-		if (!obj.reserved)
-			return false;
+	function removeToken(t) {
+		return edit({ line: t.line, ch: t.from }, { line: t.line, ch: t.character }, "");
+	}
 
-		if (!meta || !meta.isFutureReservedWord || !api.getEnvironment("es5"))
-			return true;
+	function insertAfter(t, text) {
+		return edit({ line: t.line, ch: t.character }, { line: t.line, ch: t.character }, text);
+	}
 
-		// ES3 FutureReservedWord in an ES5 environment.
-		if (!meta.es5)
-			return false;
+	// Returns where the span of a token ends. A token that starts an
+	// expression holds the node of the expression, which may go further.
 
-		// Some ES5 FutureReservedWord identifiers are active only
-		// within a strict mode environment.
-		if (meta.strictOnly && !state.option.strict && !state.directive["use strict"])
-			return false;
+	function tokenEnd(token) {
+		var node = nodeOf(token);
 
-		if (isprop)
-			return false;
+		if (node && node.loc.end && node.loc.start.line === token.line &&
+				node.loc.start.column === token.from - 1) {
+			return { line: node.loc.end.line, ch: node.loc.end.column + 1 };
+		}
 
-		return true;
+		return { line: token.line || 0, ch: token.character || 0 };
 	}
 
-	if (token.id)
-		return token;
+	// Warnings span from 'line' and 'ch' to 'endLine' and 'endCh', which is
+	// the column right after the last character. 'range' has the same span
+	// as raw source offsets. The span is the one of the token, of the node
+	// or between the coordinates; coordinates without an end are a point.
+	//
+	// opts: { token: token, node: node, coord: { line, ch, endLine, endCh },
+	//         args: array, fix: edit }
 
-	if (token.type === "(punctuator)")
-		obj = Object.create(syntax[token.value] || syntax["(error)"]);
+	function warn(code, opts) {
+		opts = opts || {};
+		var msg = messages.get(code, opts.args || []);
+		var line, ch, end, loc, token, err;
 
-	if (token.type === "(identifier)") {
-		if (_.has(syntax, token.value)) {
-			obj = Object.create(syntax[token.value] || syntax["(error)"]);
+		if (state.ignored[code])
+			return;
 
-			// If this can't be a reserved keyword, reset the object.
-			if (!reserved(obj, state.tokens.curr.id === "." && token.type === "(identifier)"))
-				obj = null;
+		if (opts.node) {
+			loc = opts.node.loc;
+			line = loc.start.line;
+			ch = loc.start.column + 1;
+			end = loc.end ? { line: loc.end.line, ch: loc.end.column + 1 } : {};
+		} else if (opts.coord) {
+			line = opts.coord.line || 0;
+			ch = opts.coord.ch || 0;
+			end = { line: opts.coord.endLine, ch: opts.coord.endCh };
+		} else {
+			token = opts.token || state.tokens.next;
+			if (token.id === "(end)") token = state.tokens.curr;
+
+			line = token.line || 0;
+			ch = token.from || 0;
+			end = tokenEnd(token);
 		}
-	}
 
-	if (!obj)
-		obj = Object.create(syntax[token.type]);
+		if (suppressed(code, line))
+			return;
 
-	obj.identifier = (token.type === "(identifier)");
-	obj.check = token.check;
-	obj.type  = obj.type || token.type;
-	obj.value = token.value;
-	obj.line  = token.pos.line;
-	obj.from  = token.pos.from;
-	obj.character = token.pos.ch;
+		end.line = end.line || line;
+		end.ch = end.ch || (end.line === line ? ch : 1);
+
+		if (end.line < line || (end.line === line && end.ch < ch))
+			end = { line: line, ch: ch };
+
+		err = {
+			code:    msg.code,
+			type:    SEVERITY[state.severity[code]] || msg.type,
+			line:    line,
+			ch:      ch,
+			endLine: end.line,
+			endCh:   end.ch,
+			range:   [ offset(line, ch), offset(end.line, end.ch) ],
+			message: msg.desc,
+			source:  lex.source[line - 1] || "",
+			scope:   state.program
+		};
 
-	if (state.tokens.curr.id === "." && obj.identifier)
-		obj.isProperty = true;
+		// Anything past a syntax error that the parser skipped may be caused
+		// by the error rather than by the code itself, so it isn't fixed.
+		var after = _.last(_.filter(recoveries, function (pos) {
+			return pos.line < line || (pos.line === line && pos.ch < ch);
+		}));
 
-	return obj;
-}
+		if (after)
+			err.afterSyntaxError = _.clone(after);
+		else if (opts.fix)
+			err.fix = opts.fix;
 
-// We need a peek function. If it has an argument, it peeks that much farther
-// ahead. It is used to distinguish
-//	   for ( var i in ...
-// from
-//	   for ( var i = ...
+		state.errors.push(err);
 
-function peek(p) {
-	var i = p || 0, j = 0, t;
+		if (state.option.passfail)
+			quit("E042", line, ch);
 
-	while (j <= i) {
-		t = lookahead[j];
-		if (!t) {
-			t = lookahead[j] = convertToken(lex.token());
-		}
-		j += 1;
+		warnings += 1;
+		if (warnings >= state.option.maxerr)
+			quit("E043", line, ch);
 	}
-	return t;
-}
 
-// Produce the next token. It looks for programming errors.
+	// name: string
+	// opts: { type: string, token: token, islet: bool, unused: bool }
+	function addlabel(name, opts) {
+		opts = opts || {};
 
-function advance(id, t) {
-	switch (state.tokens.curr.id) {
-	case "(number)":
-		if (state.tokens.next.id === ".") {
-			warn("W005", { token: state.tokens.curr });
-		}
-		break;
-	case "-":
-		if (state.tokens.next.id === "-" || state.tokens.next.id === "--") {
-			warn("W006");
-		}
-		break;
-	case "+":
-		if (state.tokens.next.id === "+" || state.tokens.next.id === "++") {
-			warn("W007");
-		}
-		break;
-	}
+		var type  = opts.type;
+		var islet = opts.islet;
 
-	if (state.tokens.curr.type === "(string)" || state.tokens.curr.identifier) {
-		anonname = state.tokens.curr.value;
-	}
+		// Define name in the current function in the current scope.
+		if (type === "exception") {
+			if (_.has(funct["(context)"], name) && funct[name] !== true && !state.option.node) {
+				warn("W002", { token: state.tokens.next, args: [name] });
+			}
+		}
 
-	if (id && state.tokens.next.id !== id) {
-		if (t) {
-			if (state.tokens.next.id === "(end)") {
-				warn("E019", { token: t, args: [t.id] });
+		if (_.has(funct, name) && !funct["(global)"]) {
+			if (funct[name] === true) {
+				if (state.option.latedef) {
+					if ((state.option.latedef === true && _.contains([funct[name], type], "unction")) ||
+							!_.contains([funct[name], type], "unction")) {
+						warn("W003", { token: state.tokens.next, args: [name] });
+					}
+				}
 			} else {
-				warn("E020", {
-					token: state.tokens.next,
-					args: [id, t.id, t.line, state.tokens.next.value]
-				});
+				if ((!state.option.shadow || _.contains([ "inner", "outer" ], state.option.shadow)) &&
+						type !== "exception" || funct["(blockscope)"].getlabel(name)) {
+					warn("W004", { token: state.tokens.next, args: [name] });
+				}
 			}
-		} else if (state.tokens.next.type !== "(identifier)" || state.tokens.next.value !== id) {
-			warn("W116", { token: state.tokens.next, args: [id, state.tokens.next.value] });
 		}
-	}
 
-	state.tokens.prev = state.tokens.curr;
-	state.tokens.curr = state.tokens.next;
-	for (;;) {
-		state.tokens.next = lookahead.shift() || convertToken(lex.token());
-
-		if (!state.tokens.next) { // No more tokens left, give up
-			quit("E041", state.tokens.curr.line);
+		if (funct["(context)"] && _.has(funct["(context)"], name) && type !== "function") {
+			if (state.option.shadow === "outer") {
+				warn("W123", { token: state.tokens.next, args: [name] });
+			}
 		}
 
-		if (state.tokens.next.id === "(end)" || state.tokens.next.id === "(error)") {
-			return;
+		// a double definition of a let variable in same block throws a TypeError
+		if (funct["(blockscope)"] && funct["(blockscope)"].current.has(name)) {
+			warn("E044", { token: state.tokens.next, args: [name] });
 		}
 
-		if (state.tokens.next.isSpecial) {
-			doOption();
+		// if the identifier is from a let, adds it only to the current blockscope
+		if (islet) {
+			funct["(blockscope)"].current.add(name, type, state.tokens.curr);
 		} else {
-			if (state.tokens.next.id !== "(endline)") {
-				break;
+
+			funct[name] = type;
+
+			if (opts.token) {
+				funct["(tokens)"][name] = opts.token;
+			}
+
+			utils.setprop(funct, name, { unused: opts.unused || false });
+
+			if (funct["(global)"]) {
+				globalscope[name] = funct;
+				if (_.has(state.implied, name)) {
+					if (state.option.latedef) {
+						if ((state.option.latedef === true && _.contains([funct[name], type], "unction")) ||
+								!_.contains([funct[name], type], "unction")) {
+							warn("W003", { token: state.tokens.next, args: [name] });
+						}
+					}
+
+					delete state.implied[name];
+				}
+			} else {
+				scope[name] = funct;
 			}
 		}
 	}
-}
 
-function isInfix(token) {
-	return token.infix || (!token.identifier && !!token.led);
-}
+	// Suppression comments turn warnings off for a range of lines:
+	//
+	//   // jshint-disable-next-line W098, W117 -- reason
+	//   /* jshint-disable W083 */ ... /* jshint-enable W083 */
+	//
+	// Every listed code gets its own entry in state.suppressions so that the
+	// enable comment can close them one by one and unused ones can be reported
+	// separately. A comment without codes covers all warnings.
 
-function isEndOfExpr() {
-	var curr = state.tokens.curr;
-	var next = state.tokens.next;
-	if (next.id === ";" || next.id === "}" || next.id === ":") {
-		return true;
-	}
-	if (isInfix(next) === isInfix(curr) || (curr.id === "yield" && api.getEnvironment("moz", true))) {
-		return curr.line !== next.line;
-	}
-	return false;
-}
+	function suppress(nt) {
+		var parts  = nt.body.split("--");
+		var codes  = _.compact(parts[0].split(/[\s,]+/));
+		var reason = parts.slice(1).join("--").trim();
 
-// This is the heart of JSHINT, the Pratt parser. In addition to parsing, it
-// is looking for ad hoc lint patterns. We add .fud to Pratt's model, which is
-// like .nud except that it is only used on the first token of a statement.
-// Having .fud makes it much easier to define statement-oriented languages like
-// JavaScript. I retained Pratt's nomenclature.
+		if (!_.every(codes, function (code) { return (/^W\d{3}$/).test(code) }))
+			return void warn("E002", { token: nt });
 
-// .nud  Null denotation
-// .fud  First null denotation
-// .led  Left denotation
-//  lbp  Left binding power
-//  rbp  Right binding power
+		if (nt.type === "jshint-enable") {
+			state.suppressions.forEach(function (entry) {
+				if (entry.to !== Infinity)
+					return;
+
+				if (codes.length === 0 || _.contains(codes, entry.code))
+					entry.to = nt.line;
+			});
 
-// They are elements of the parsing method called Top Down Operator Precedence.
+			return;
+		}
 
-function expression(rbp, initial) {
-	var left, isArray = false, isObject = false, isLetExpr = false;
+		if (!reason && (state.option.suppress === true || state.option.suppress === "reason"))
+			warn("W125", { token: nt });
 
-	// if current expression is a let expression
-	if (!initial && state.tokens.next.value === "let" && peek(0).value === "(") {
-		if (!api.getEnvironment("moz", true))
-			warn("W118", { token: state.tokens.next, args: ["let expressions"] });
+		var range = nt.type === "jshint-disable-next-line" ?
+			{ from: nt.line + 1, to: nt.line + 1 } : { from: nt.line, to: Infinity };
 
-		isLetExpr = true;
-		// create a new block scope we use only for the current expression
-		funct["(blockscope)"].stack();
-		advance("let");
-		advance("(");
-		syntax["let"].fud.call(syntax["let"].fud, false);
-		advance(")");
+		(codes.length ? codes : [null]).forEach(function (code) {
+			state.suppressions.push(_.extend({ code: code, token: nt, used: false }, range));
+		});
 	}
 
-	if (state.tokens.next.id === "(end)")
-		warn("E006", { token: state.tokens.curr });
+	// Returns true if a suppression comment covers the warning.
 
-	advance();
+	function suppressed(code, line) {
+		var entry = code.charAt(0) === "W" && _.find(state.suppressions, function (entry) {
+			return (entry.code === null || entry.code === code) &&
+				line >= entry.from && line <= entry.to;
+		});
+
+		if (!entry)
+			return false;
 
-	if (initial) {
-		anonname = "anonymous";
-		funct["(verb)"] = state.tokens.curr.value;
+		entry.used = true;
+		return true;
 	}
 
-	if (initial === true && state.tokens.curr.fud) {
-		left = state.tokens.curr.fud();
-	} else {
-		if (state.tokens.curr.nud) {
-			left = state.tokens.curr.nud();
-		} else {
-			warn("E030", { token: state.tokens.curr, args: [state.tokens.curr.id] });
-		}
-
-		while (rbp < state.tokens.next.lbp && !isEndOfExpr()) {
-			isArray = state.tokens.curr.value === "Array";
-			isObject = state.tokens.curr.value === "Object";
-
-			// #527, new Foo.Array(), Foo.Array(), new Foo.Object(), Foo.Object()
-			// Line breaks in IfStatement heads exist to satisfy the checkJSHint
-			// "Line too long." error.
-			if (left && (left.value || (left.first && left.first.value))) {
-				// If the left.value is not "new", or the left.first.value is a "."
-				// then safely assume that this is not "new Array()" and possibly
-				// not "new Object()"...
-				if (left.value !== "new" ||
-				  (left.first && left.first.value && left.first.value === ".")) {
-					isArray = false;
-					// ...In the case of Object, if the left.value and state.tokens.curr.value
-					// are not equal, then safely assume that this not "new Object()"
-					if (left.value !== state.tokens.curr.value) {
-						isObject = false;
-					}
-				}
-			}
+	function doOption() {
+		var nt = state.tokens.next;
+		var body = nt.body.split(",").map(function (s) { return s.trim(); });
 
-			advance();
+		if (/^jshint-(disable|enable)/.test(nt.type))
+			return void suppress(nt);
 
-			if (isArray && state.tokens.curr.id === "(" && state.tokens.next.id === ")") {
-				warn("W009", { token: state.tokens.curr });
-			}
+		if (nt.type === "globals") {
+			body.forEach(function (g) {
+				g = g.split(":");
+				var key = (g[0] || "").trim();
+				var val = (g[1] || "").trim();
 
-			if (isObject && state.tokens.curr.id === "(" && state.tokens.next.id === ")") {
-				warn("W010", { token: state.tokens.curr });
-			}
+				if (key.charAt(0) === "-") {
+					key = key.slice(1);
+					val = false;
 
-			if (left && state.tokens.curr.led) {
-				left = state.tokens.curr.led(left);
-			} else {
-				warn("E033", { token: state.tokens.curr, args: [state.tokens.curr.id] });
-			}
-		}
-	}
-	if (isLetExpr) {
-		funct["(blockscope)"].unstack();
-	}
-	return left;
-}
+					state.blacklist[key] = true;
+					delete predefined[key];
+					return;
+				}
 
-function comma(opts) {
-	opts = opts || {};
-	if (!opts.peek) advance(",");
-
-	if (state.tokens.next.identifier && !(opts.property && api.getEnvironment("es5"))) {
-		// Keywords that cannot follow a comma operator.
-		switch (state.tokens.next.value) {
-		case "break":
-		case "case":
-		case "catch":
-		case "continue":
-		case "default":
-		case "do":
-		case "else":
-		case "finally":
-		case "for":
-		case "if":
-		case "in":
-		case "instanceof":
-		case "return":
-		case "switch":
-		case "throw":
-		case "try":
-		case "var":
-		case "let":
-		case "while":
-		case "with":
-			warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
-			return false;
+				predefined[key] = (val === "true");
+				declared[key] = nt;
+			});
+
+			return;
 		}
-	}
 
-	if (state.tokens.next.type === "(punctuator)") {
-		switch (state.tokens.next.value) {
-		case "}":
-		case "]":
-		case ",":
-			if (opts.allowTrailing) {
-				return true;
-			}
+		if (nt.type === "exported")
+			return void body.forEach(function (e) { exported[e] = true });
 
-			/* falls through */
-		case ")":
-			warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
-			return false;
-		}
-	}
-	return true;
-}
+		var numvals = [
+			"maxstatements",
+			"maxparams",
+			"maxdepth",
+			"maxcomplexity",
+			"maxerr",
+			"indent"
+		];
 
-// Functional constructors for making the symbols that will be inherited by
-// tokens.
+		if (nt.type === "jshint" || nt.type === "jslint") {
+			body.forEach(function (g) {
+				g = g.split(":");
+				var key = (g[0] || "").trim();
+				var val = (g[1] || "").trim();
 
-function symbol(s, p) {
-	var x = syntax[s];
-	if (!x || typeof x !== "object") {
-		syntax[s] = x = {
-			id: s,
-			lbp: p,
-			value: s
-		};
-	}
-	return x;
-}
+				if (!checkOption(key, nt)) {
+					return;
+				}
 
-function delim(s) {
-	return symbol(s, 0);
-}
+				if (numvals.indexOf(key) >= 0) {
+					// GH988 - numeric options can be disabled by setting them to `false`
+					if (val !== "false") {
+						val = +val;
 
-function stmt(s, f) {
-	var x = delim(s);
-	x.identifier = x.reserved = true;
-	x.fud = f;
-	return x;
-}
+						if (typeof val !== "number" || !isFinite(val) || val <= 0 || Math.floor(val) !== val) {
+							warn("E032", { token: nt, args: [g[1].trim()] });
+							return;
+						}
 
-function blockstmt(s, f) {
-	var x = stmt(s, f);
-	x.block = true;
-	return x;
-}
+						state.option[key] = val;
+					} else {
+						if (key !== "indent") {
+							state.option[key] = false;
+						}
+					}
 
-function reserveName(x) {
-	var c = x.id.charAt(0);
-	if ((c >= "a" && c <= "z") || (c >= "A" && c <= "Z")) {
-		x.identifier = x.reserved = true;
-	}
-	return x;
-}
+					return;
+				}
 
-function prefix(s, f) {
-	var x = symbol(s, 150);
-	reserveName(x);
+				if (key === "validthis") {
+					// `validthis` is valid only within a function scope.
 
-	x.nud = (typeof f === "function") ? f : function () {
-		this.right = expression(150);
-		this.arity = "unary";
-		if (this.id === "++" || this.id === "--") {
-			if (state.option.plusplus) {
-				warn("W016", { token: this, args: [this.id] });
-			} else if (this.right && (!this.right.identifier || isReserved(this.right)) &&
-					this.right.id !== "." && this.right.id !== "[") {
-				warn("W017", { token: this });
-			}
-		}
+					if (funct["(global)"])
+						return void warn("E009");
 
-		return this;
-	};
-
-	return x;
-}
+					if (val !== "true" && val !== "false")
+						return void warn("E002", { token: nt });
 
-function type(s, f) {
-	var x = delim(s);
-	x.type = s;
-	x.nud = f;
-	return x;
-}
+					state.option.validthis = (val === "true");
+					return;
+				}
 
-function reserve(name, func) {
-	var x = type(name, func);
-	x.identifier = true;
-	x.reserved = true;
-	return x;
-}
+				if (key === "shadow") {
+					switch (val) {
+					case "true":
+						state.option.shadow = true;
+						break;
+					case "outer":
+						state.option.shadow = "outer";
+						break;
+					case "false":
+					case "inner":
+						state.option.shadow = "inner";
+						break;
+					default:
+						warn("E002", { token: nt });
+					}
 
-function FutureReservedWord(name, meta) {
-	var x = type(name, (meta && meta.nud) || function () {
-		return this;
-	});
+					return;
+				}
 
-	meta = meta || {};
-	meta.isFutureReservedWord = true;
+				if (key === "unused") {
+					switch (val) {
+					case "true":
+						state.option.unused = true;
+						break;
+					case "false":
+						state.option.unused = false;
+						break;
+					case "vars":
+					case "strict":
+						state.option.unused = val;
+						break;
+					default:
+						warn("E002", { token: nt });
+					}
+					return;
+				}
 
-	x.value = name;
-	x.identifier = true;
-	x.reserved = true;
-	x.meta = meta;
+				if (key === "suppress") {
+					switch (val) {
+					case "true":
+						state.option.suppress = true;
+						break;
+					case "false":
+						state.option.suppress = false;
+						break;
+					case "unused":
+					case "reason":
+						state.option.suppress = val;
+						break;
+					default:
+						warn("E002", { token: nt });
+					}
+					return;
+				}
 
-	return x;
-}
+				if (key === "latedef") {
+					switch (val) {
+					case "true":
+						state.option.latedef = true;
+						break;
+					case "false":
+						state.option.latedef = false;
+						break;
+					case "nofunc":
+						state.option.latedef = "nofunc";
+						break;
+					default:
+						warn("E002", { token: nt });
+					}
+					return;
+				}
 
-function reservevar(s, v) {
-	return reserve(s, function () {
-		if (typeof v === "function") {
-			v(this);
-		}
-		return this;
-	});
-}
+				if (key === "ignore") {
+					switch (val) {
+					case "start":
+						lex.ignoring = true;
+						break;
+					case "end":
+						lex.ignoring = false;
+						break;
+					case "line":
+						// Any errors or warnings that happened on the current line, make them go away.
+						state.errors = _.reject(state.errors, function (error) {
+							// nt.line returns to the current line
+							return error.line === nt.line;
+						});
+						break;
+					default:
+						warn("E002", { token: nt });
+					}
+					return;
+				}
 
-function infix(s, f, p) {
-	var x = symbol(s, p);
-	reserveName(x);
-	x.infix = true;
-	x.led = function (left) {
-		if (s === "in" && left.id === "!") {
-			warn("W018", { token: left, args: ["!"] });
-		}
-		if (typeof f === "function") {
-			return f(left, this);
-		} else {
-			this.left = left;
-			this.right = expression(p);
-			return this;
-		}
-	};
-	return x;
-}
+				if (key === "globalstrict" && val === "true" && state.option.strict !== false) {
+					state.option.globalstrict = true;
+					state.option.strict = true;
+					return;
+				}
 
-function application(s) {
-	var x = symbol(s, 42);
+				var match = /^([+-])(W\d{3})$/g.exec(key);
+				if (match) {
+					// ignore for -W..., unignore for +W...
+					state.ignored[match[2]] = (match[1] === "-");
+					return;
+				}
 
-	x.led = function (left) {
-		if (!api.getEnvironment("es6")) {
-			warn("W104", { token: state.tokens.curr, args: ["arrow function syntax (=>)"] });
-		}
+				var tn;
+				if (val === "true" || val === "false") {
+					if (nt.type === "jslint") {
+						tn = options.renamed[key] || key;
+						state.option[tn] = (val === "true");
 
-		this.left = left;
-		this.right = doFunction(undefined, undefined, false, left);
-		return this;
-	};
-	return x;
-}
+						if (options.inverted[tn] !== undefined) {
+							state.option[tn] = !state.option[tn];
+						}
+					} else {
+						state.option[key] = (val === "true");
+					}
 
-function relation(s, f) {
-	var x = symbol(s, 100);
+					// Add new globals to the 'predefined' collection if needed.
+					if (varmap[key] && val === "true")
+						varmap[key].forEach(function (vars) { _.extend(predefined, vars) });
 
-	x.led = function (left) {
-		var right = expression(100);
+					return;
+				}
 
-		if (isIdentifier(left, "NaN") || isIdentifier(right, "NaN")) {
-			warn("W019", { token: this });
-		} else if (f) {
-			f.apply(this, [left, right]);
+				warn("E002", { token: nt });
+			});
 		}
+	}
 
-		if (!left || !right) {
-			quit("E041", state.tokens.curr.line);
-		}
+	function convertToken(token) {
+		var obj;
 
-		if (left.id === "!") {
-			warn("W018", { token: left, args: ["!"] });
-		}
+		function reserved(obj, isprop) {
+			var meta = obj.meta;
 
-		if (right.id === "!") {
-			warn("W018", { token: right, args: ["!"] });
-		}
+			if (!obj.reserved)
+				return false;
 
-		this.left = left;
-		this.right = right;
-		return this;
-	};
-	return x;
-}
+			if (!meta || !meta.isFutureReservedWord || !api.getEnvironment("es5"))
+				return true;
 
-function isPoorRelation(node) {
-	return node &&
-		  ((node.type === "(number)" && +node.value === 0) ||
-		   (node.type === "(string)" && node.value === "") ||
-		   (node.type === "null" && !state.option.eqnull) ||
-			node.type === "true" ||
-			node.type === "false" ||
-			node.type === "undefined");
-}
+			// ES3 FutureReservedWord in an ES5 environment.
+			if (!meta.es5)
+				return false;
 
-// Checks whether the 'typeof' operator is used with the correct
-// value. For docs on 'typeof' see:
-// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/typeof
+			// Some ES5 FutureReservedWord identifiers are active only
+			// within a strict mode environment.
+			if (meta.strictOnly && !state.option.strict && !state.directive["use strict"])
+				return false;
 
-function isTypoTypeof(left, right) {
-	if (state.option.notypeof)
-		return false;
+			if (isprop)
+				return false;
 
-	if (!left || !right)
-		return false;
+			return true;
+		}
 
-	var values = [
-		"undefined", "object", "boolean", "number",
-		"string", "function", "xml", "object"
-	];
+		if (token.id)
+			return token;
 
-	if (right.type === "(identifier)" && right.value === "typeof" && left.type === "(string)")
-		return !_.contains(values, left.value);
+		if (token.type === "(punctuator)")
+			obj = Object.create(syntax[token.value] || syntax["(error)"]);
 
-	return false;
-}
+		if (token.type === "(identifier)") {
+			if (_.has(syntax, token.value)) {
+				obj = Object.create(syntax[token.value] || syntax["(error)"]);
 
-function findNativePrototype(left) {
-	var natives = [
-		"Array", "ArrayBuffer", "Boolean", "Collator", "DataView", "Date",
-		"DateTimeFormat", "Error", "EvalError", "Float32Array", "Float64Array",
-		"Function", "Infinity", "Intl", "Int16Array", "Int32Array", "Int8Array",
-		"Iterator", "Number", "NumberFormat", "Object", "RangeError",
-		"ReferenceError", "RegExp", "StopIteration", "String", "SyntaxError",
-		"TypeError", "Uint16Array", "Uint32Array", "Uint8Array", "Uint8ClampedArray",
-		"URIError"
-	];
+				// If this can't be a reserved keyword, reset the object.
+				if (!reserved(obj, state.tokens.curr.id === "." && token.type === "(identifier)"))
+					obj = null;
+			}
+		}
 
-	function walkPrototype(obj) {
-		if (typeof obj !== "object") return;
-		return obj.right === "prototype" ? obj : walkPrototype(obj.left);
-	}
+		if (!obj)
+			obj = Object.create(syntax[token.type]);
 
-	function walkNative(obj) {
-		while (!obj.identifier && typeof obj.left === "object")
-		  obj = obj.left;
+		obj.identifier = (token.type === "(identifier)");
+		obj.check = token.check;
+		obj.type  = obj.type || token.type;
+		obj.value = token.value;
+		obj.line  = token.pos.line;
+		obj.from  = token.pos.from;
+		obj.character = token.pos.ch;
 
-		if (obj.identifier && natives.indexOf(obj.value) >= 0)
-		  return obj.value;
+		if (state.tokens.curr.id === "." && obj.identifier)
+			obj.isProperty = true;
+
+		return obj;
 	}
 
-	var prototype = walkPrototype(left);
-	if (prototype) return walkNative(prototype);
-}
+	// We need a peek function. If it has an argument, it peeks that much farther
+	// ahead. It is used to distinguish
+	//	   for ( var i in ...
+	// from
+	//	   for ( var i = ...
 
-function assignop(s, f, p) {
-	var x = infix(s, typeof f === "function" ? f : function (left, that) {
-		that.left = left;
+	function peek(p) {
+		var i = p || 0;
 
-		if (left) {
-			if (state.option.freeze) {
-				var nativeObject = findNativePrototype(left);
-				if (nativeObject)
-					warn("W121", { token: left, args: [nativeObject] });
-			}
+		while (lookahead.length <= i) {
+			lookahead.push(convertToken(lex.token()));
+		}
+		return lookahead[i];
+	}
 
-			if (predefined[left.value] === false &&
-					scope[left.value]["(global)"] === true) {
-				warn("W020", { token: left });
-			} else if (left["function"]) {
-				warn("W021", { token: left, args: [left.value] });
-			}
+	// Produce the next token. It looks for programming errors.
 
-			if (funct[left.value] === "const") {
-				warn("E013", { token: left, args: [left.value] });
+	function advance(id, t) {
+		switch (state.tokens.curr.id) {
+		case "(number)":
+			if (state.tokens.next.id === ".") {
+				warn("W005", { token: state.tokens.curr });
 			}
+			break;
+		case "-":
+			if (state.tokens.next.id === "-" || state.tokens.next.id === "--") {
+				warn("W006");
+			}
+			break;
+		case "+":
+			if (state.tokens.next.id === "+" || state.tokens.next.id === "++") {
+				warn("W007");
+			}
+			break;
+		}
 
-			if (left.id === ".") {
-				if (!left.left) {
-					warn("E031", { token: that });
-				} else if (left.left.value === "arguments" && !state.directive["use strict"]) {
-					warn("E031", { token: that });
-				}
+		if (state.tokens.curr.type === "(string)" || state.tokens.curr.identifier) {
+			anonname = state.tokens.curr.value;
+		}
 
-				that.right = expression(10);
-				return that;
-			} else if (left.id === "[") {
-				if (state.tokens.curr.left.first) {
-					state.tokens.curr.left.first.forEach(function (t) {
-						if (funct[t.value] === "const") {
-							warn("E013", { token: t, args: [t.value] });
-						}
+		if (id && state.tokens.next.id !== id) {
+			if (t) {
+				if (state.tokens.next.id === "(end)") {
+					warn("E019", { token: t, args: [t.id] });
+				} else {
+					warn("E020", {
+						token: state.tokens.next,
+						args: [id, t.id, t.line, state.tokens.next.value]
 					});
-				} else if (!left.left) {
-					warn("E031", { token: that });
-				} else if (left.left.value === "arguments" && !state.directive["use strict"]) {
-					warn("E031", { token: that });
-				}
-				that.right = expression(10);
-				return that;
-			} else if (left.identifier && !isReserved(left)) {
-				if (funct[left.value] === "exception") {
-					warn("W022", { token: left });
 				}
-				that.right = expression(10);
-				return that;
-			}
-
-			if (left === syntax["function"]) {
-				warn("W023", { token: state.tokens.curr });
+			} else if (state.tokens.next.type !== "(identifier)" || state.tokens.next.value !== id) {
+				warn("W116", { token: state.tokens.next, args: [id, state.tokens.next.value] });
 			}
 		}
 
-		warn("E031", { token: that });
-	}, p);
+		state.tokens.prev = state.tokens.curr;
+		state.tokens.curr = state.tokens.next;
+		countToken(state.tokens.curr);
 
-	x.exps = true;
-	x.assign = true;
-	return x;
-}
+		if (state.tokens.curr.id === "{")
+			braces += 1;
+		else if (state.tokens.curr.id === "}")
+			braces -= 1;
 
-function bitwise(s, f, p) {
-	var x = symbol(s, p);
-	reserveName(x);
-	x.led = (typeof f === "function") ? f : function (left) {
-		if (state.option.bitwise) {
-			warn("W016", { token: this, args: [this.id] });
-		}
-		this.left = left;
-		this.right = expression(p);
-		return this;
-	};
-	return x;
-}
+		for (;;) {
+			state.tokens.next = lookahead.shift() || convertToken(lex.token());
 
-function bitwiseassignop(s) {
-	return assignop(s, function (left, that) {
-		if (state.option.bitwise) {
-			warn("W016", { token: that, args: [that.id] });
-		}
-		if (left) {
-			if (left.id === "." || left.id === "[" ||
-					(left.identifier && !isReserved(left))) {
-				expression(10);
-				return that;
+			if (!state.tokens.next) { // No more tokens left, give up
+				fail(state.tokens.curr.line);
 			}
-			if (left === syntax["function"]) {
-				warn("W023", { token: state.tokens.curr });
+
+			if (state.tokens.next.id === "(end)" || state.tokens.next.id === "(error)") {
+				break;
 			}
-			return that;
-		}
-		warn("E031", { token: that });
-	}, 20);
-}
 
-function suffix(s) {
-	var x = symbol(s, 150);
+			if (state.tokens.next.isSpecial) {
+				doOption();
+			} else {
+				if (state.tokens.next.id !== "(endline)") {
+					break;
+				}
+			}
+		}
 
-	x.led = function (left) {
-		if (state.option.plusplus) {
-			warn("W016", { token: this, args: [this.id] });
-		} else if ((!left.identifier || isReserved(left)) && left.id !== "." && left.id !== "[") {
-			warn("W017", { token: this });
+		// The lexer couldn't make sense of what came after the current token.
+		if (fatal) {
+			fail(fatal.line, fatal.from);
 		}
+	}
 
-		this.left = left;
-		return this;
-	};
-	return x;
-}
+	function isInfix(token) {
+		return token.infix || (!token.identifier && !!token.led);
+	}
 
-// fnparam means that this identifier is being defined as a function
-// argument (see identifier())
-// prop means that this identifier is that of an object property
+	function isEndOfExpr() {
+		var curr = state.tokens.curr;
+		var next = state.tokens.next;
+		if (next.id === ";" || next.id === "}" || next.id === ":") {
+			return true;
+		}
+		if (isInfix(next) === isInfix(curr) ||
+				(curr.id === "yield" && api.getEnvironment("moz", true))) {
+			return curr.line !== next.line;
+		}
+		return false;
+	}
 
-function optionalidentifier(fnparam, prop) {
-	if (!state.tokens.next.identifier)
-		return;
+	// This is the heart of JSHINT, the Pratt parser. In addition to parsing, it
+	// is looking for ad hoc lint patterns. We add .fud to Pratt's model, which is
+	// like .nud except that it is only used on the first token of a statement.
+	// Having .fud makes it much easier to define statement-oriented languages like
+	// JavaScript. I retained Pratt's nomenclature.
 
-	advance();
+	// .nud  Null denotation
+	// .fud  First null denotation
+	// .led  Left denotation
+	//  lbp  Left binding power
+	//  rbp  Right binding power
 
-	var curr = state.tokens.curr;
-	var val  = state.tokens.curr.value;
+	// They are elements of the parsing method called Top Down Operator Precedence.
 
-	switch (true) {
-	case !isReserved(curr):
-	case prop && api.getEnvironment("es5"):
-	case fnparam && val === "undefined":
-		return val;
-	}
+	function expression(rbp, initial) {
+		var left, isArray = false, isObject = false, isLetExpr = false, letExpr;
 
-	warn("W024", { token: state.tokens.curr, args: [state.tokens.curr.id] });
-	return val;
-}
+		// if current expression is a let expression
+		if (!initial && state.tokens.next.value === "let" && peek(0).value === "(") {
+			if (!api.getEnvironment("moz", true))
+				warn("W118", { token: state.tokens.next, args: ["let expressions"] });
 
-// fnparam means that this identifier is being defined as a function
-// argument
-// prop means that this identifier is that of an object property
-function identifier(fnparam, prop) {
-	var i = optionalidentifier(fnparam, prop);
-	if (i) {
-		return i;
-	}
-	if (state.tokens.curr.id === "function" && state.tokens.next.id === "(") {
-		warn("W025");
-	} else {
-		warn("E030", { token: state.tokens.next, args: [state.tokens.next.value] });
-	}
-}
+			isLetExpr = true;
+			letExpr = enter("LetExpression", state.tokens.next, { head: [], body: null });
+			// create a new block scope we use only for the current expression
+			funct["(blockscope)"].stack();
+			advance("let");
+			advance("(");
+			letExpr.head = nodeOf(syntax["let"].fud.call(state.tokens.prev, false)).declarations;
+			advance(")");
+		}
 
-function reachable(s) {
-	var i = 0, t;
-	if (state.tokens.next.id !== ";" || noreach) {
-		return;
-	}
-	for (;;) {
-		do {
-			t = peek(i);
-			i += 1;
-		} while (t.id != "(end)" && t.id === "(comment)");
+		if (state.tokens.next.id === "(end)")
+			warn("E006", { token: state.tokens.curr });
 
-		if (t.reach) {
-			return;
-		}
-		if (t.id !== "(endline)") {
-			if (t.id === "function") {
-				if (state.option.latedef === true) {
-					warn("W026", { token: t });
-				}
-				break;
-			}
+		advance();
 
-			warn("W027", { token: t, args: [t.value, s] });
-			break;
+		if (initial) {
+			anonname = "anonymous";
+			funct["(verb)"] = state.tokens.curr.value;
 		}
-	}
-}
 
-function statement() {
-	var values;
-	var i = indent, r, s = scope, t = state.tokens.next;
+		if (initial === true && state.tokens.curr.fud) {
+			left = state.tokens.curr.fud();
+		} else {
+			if (state.tokens.curr.nud) {
+				left = state.tokens.curr.nud();
+			} else {
+				warn("E030", { token: state.tokens.curr, args: [state.tokens.curr.id] });
+			}
 
-	if (t.id === ";") {
-		advance(";");
-		return;
-	}
+			while (rbp < state.tokens.next.lbp && !isEndOfExpr()) {
+				isArray = state.tokens.curr.value === "Array";
+				isObject = state.tokens.curr.value === "Object";
+
+				// #527, new Foo.Array(), Foo.Array(), new Foo.Object(), Foo.Object()
+				// Line breaks in IfStatement heads exist to satisfy the checkJSHint
+				// "Line too long." error.
+				if (left && (left.value || (left.first && left.first.value))) {
+					// If the left.value is not "new", or the left.first.value is a "."
+					// then safely assume that this is not "new Array()" and possibly
+					// not "new Object()"...
+					if (left.value !== "new" ||
+					  (left.first && left.first.value && left.first.value === ".")) {
+						isArray = false;
+						// ...In the case of Object, if the left.value and state.tokens.curr.value
+						// are not equal, then safely assume that this not "new Object()"
+						if (left.value !== state.tokens.curr.value) {
+							isObject = false;
+						}
+					}
+				}
 
-	// Is this a labelled statement?
-	var res = isReserved(t);
+				advance();
 
-	// We're being more tolerant here: if someone uses
-	// a FutureReservedWord as a label, we warn but proceed
-	// anyway.
+				if (isArray && state.tokens.curr.id === "(" && state.tokens.next.id === ")") {
+					warn("W009", { token: state.tokens.curr, fix: literalFix(left, "[]") });
+				}
 
-	if (res && t.meta && t.meta.isFutureReservedWord && peek().id === ":") {
-		warn("W024", { token: t, args: [t.id] });
-		res = false;
-	}
+				if (isObject && state.tokens.curr.id === "(" && state.tokens.next.id === ")") {
+					warn("W010", { token: state.tokens.curr, fix: literalFix(left, "{}") });
+				}
 
-	// detect a destructuring assignment
-	if (_.has(["[", "{"], t.value)) {
-		if (lookupBlockType().isDestAssign) {
-			if (!api.getEnvironment("es6")) {
-				warn("W104", { token: state.tokens.curr, args: ["destructuring expression"] });
+				if (left && state.tokens.curr.led) {
+					left = state.tokens.curr.led(left);
+				} else {
+					warn("E033", { token: state.tokens.curr, args: [state.tokens.curr.id] });
+				}
 			}
-			values = destructuringExpression();
-			values.forEach(function (tok) {
-				isundef(funct, "W117", { token: tok.token, args: [tok.id] });
-			});
-			advance("=");
-			destructuringExpressionMatch(values, expression(10, true));
-			advance(";");
-			return;
 		}
-	}
-	if (t.identifier && !res && peek().id === ":") {
-		advance();
-		advance(":");
-		scope = Object.create(s);
-		addlabel(t.value, { type: "label" });
-
-		if (!state.tokens.next.labelled && state.tokens.next.value !== "{") {
-			warn("W028", { token: state.tokens.next, args: [t.value, state.tokens.next.value] });
+		if (isLetExpr) {
+			funct["(blockscope)"].unstack();
+			letExpr.body = nodeOf(left);
+			if (left) {
+				left.node = exit(letExpr);
+			}
 		}
-
-		state.tokens.next.label = t.value;
-		t = state.tokens.next;
+		return left;
 	}
 
-	// Is it a lonely block?
+	// Replaces 'new Array()' or 'new Object()', from the 'new' token to the
+	// closing parenthesis, with a literal.
 
-	if (t.id === "{") {
-		// Is it a switch case block?
-		//
-		//	switch (foo) {
-		//		case bar: { <= here.
-		//			...
-		//		}
-		//	}
-		var iscase = (funct["(verb)"] === "case" && state.tokens.curr.value === ":");
-		block(true, true, false, false, iscase);
-		return;
-	}
+	function literalFix(left, text) {
+		if (left.id !== "new")
+			return null;
 
-	// Parse the statement.
-	r = expression(0, true);
+		return edit(
+			{ line: left.line, ch: left.from },
+			{ line: state.tokens.next.line, ch: state.tokens.next.character },
+			text);
+	}
 
-	// Look for the final semicolon.
+	function comma(opts) {
+		opts = opts || {};
+		if (!opts.peek) advance(",");
 
-	if (!t.block) {
-		if (!state.option.expr && (!r || !r.exps)) {
-			warn("W030", { token: state.tokens.curr });
-		} else if (state.option.nonew && r && r.left && r.id === "(" && r.left.id === "new") {
-			warn("W031", { token: t });
+		if (state.tokens.next.identifier && !(opts.property && api.getEnvironment("es5"))) {
+			// Keywords that cannot follow a comma operator.
+			switch (state.tokens.next.value) {
+			case "break":
+			case "case":
+			case "catch":
+			case "continue":
+			case "default":
+			case "do":
+			case "else":
+			case "finally":
+			case "for":
+			case "if":
+			case "in":
+			case "instanceof":
+			case "return":
+			case "switch":
+			case "throw":
+			case "try":
+			case "var":
+			case "let":
+			case "while":
+			case "with":
+				warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
+				return false;
+			}
 		}
 
-		if (state.tokens.next.id !== ";") {
-			if (!state.option.asi) {
-				// If this is the last statement in a block that ends on
-				// the same line *and* option lastsemic is on, ignore the warning.
-				// Otherwise, complain about missing semicolon.
-				if (!state.option.lastsemic || state.tokens.next.id !== "}" ||
-					state.tokens.next.line !== state.tokens.curr.line) {
-					warn("W033", { coord: {
-						line: state.tokens.curr.line,
-						ch: state.tokens.curr.character
-					}});
+		if (state.tokens.next.type === "(punctuator)") {
+			switch (state.tokens.next.value) {
+			case "}":
+			case "]":
+			case ",":
+				if (opts.allowTrailing) {
+					return true;
 				}
+
+				/* falls through */
+			case ")":
+				warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
+				return false;
 			}
-		} else {
-			advance(";");
 		}
+		return true;
 	}
 
-	// Restore the indentation.
+	// Functional constructors for making the symbols that will be inherited by
+	// tokens.
 
-	indent = i;
-	scope = s;
-	return r;
-}
+	function symbol(s, p) {
+		var x = syntax[s];
+		if (!x || typeof x !== "object") {
+			syntax[s] = x = {
+				id: s,
+				lbp: p,
+				value: s
+			};
+		}
+		return x;
+	}
 
-function statements(startLine) {
-	var a = [], p;
+	function delim(s) {
+		return symbol(s, 0);
+	}
 
-	while (!state.tokens.next.reach && state.tokens.next.id !== "(end)") {
-		if (state.tokens.next.id === ";") {
-			p = peek();
+	function stmt(s, f) {
+		var x = delim(s);
+		x.identifier = x.reserved = true;
+		x.fud = f;
+		return x;
+	}
 
-			if (!p || (p.id !== "(" && p.id !== "[")) {
-				warn("W032");
-			}
+	function blockstmt(s, f) {
+		var x = stmt(s, f);
+		x.block = true;
+		return x;
+	}
 
-			advance(";");
-		} else {
-			a.push(statement(startLine === state.tokens.next.line));
+	function reserveName(x) {
+		var c = x.id.charAt(0);
+		if ((c >= "a" && c <= "z") || (c >= "A" && c <= "Z")) {
+			x.identifier = x.reserved = true;
 		}
+		return x;
 	}
-	return a;
-}
 
-/*
- * read all directives
- * recognizes a simple form of asi, but always
- * warns, if it is used
- */
-function directives() {
-	var i, p, pn;
-
-	for (;;) {
-		if (state.tokens.next.id === "(string)") {
-			p = peek(0);
-			if (p.id === "(endline)") {
-				i = 1;
-				do {
-					pn = peek(i);
-					i = i + 1;
-				} while (pn.id === "(endline)");
-
-				if (pn.id !== ";") {
-					if (pn.id !== "(string)" && pn.id !== "(number)" &&
-						pn.id !== "(regexp)" && pn.identifier !== true &&
-						pn.id !== "}") {
-						break;
-					}
-					warn("W033", { token: state.tokens.next });
-				} else {
-					p = pn;
+	function prefix(s, f) {
+		var x = symbol(s, 150);
+		reserveName(x);
+
+		x.nud = (typeof f === "function") ? f : function () {
+			var update = this.id === "++" || this.id === "--";
+			var node = enter(update ? "UpdateExpression" : "UnaryExpression", this, {
+				operator: this.id,
+				prefix: true,
+				argument: null
+			});
+
+			this.right = expression(150);
+			this.arity = "unary";
+			node.argument = nodeOf(this.right);
+			this.node = exit(node);
+
+			if (update) {
+				if (state.option.plusplus) {
+					warn("W016", { token: this, args: [this.id] });
+				} else if (this.right && (!this.right.identifier || isReserved(this.right)) &&
+						this.right.id !== "." && this.right.id !== "[") {
+					warn("W017", { token: this });
 				}
-			} else if (p.id === "}") {
-				// Directive with no other statements, warn about missing semicolon
-				warn("W033", { token: p });
-			} else if (p.id !== ";") {
-				break;
 			}
 
-			advance();
-			if (state.directive[state.tokens.curr.value]) {
-				warn("W034", { token: state.tokens.curr, args: [state.tokens.curr.value] });
-			}
+			return this;
+		};
 
-			if (state.tokens.curr.value === "use strict") {
-				state.option.undef = true;
-			}
+		return x;
+	}
 
-			// there's no directive negation, so always set to true
-			state.directive[state.tokens.curr.value] = true;
+	function type(s, f) {
+		var x = delim(s);
+		x.type = s;
+		x.nud = f;
+		return x;
+	}
 
-			if (p.id === ";") {
-				advance(";");
-			}
-			continue;
-		}
-		break;
+	function reserve(name, func) {
+		var x = type(name, func);
+		x.identifier = true;
+		x.reserved = true;
+		return x;
 	}
-}
 
-/*
- * Parses a single block. A block is a sequence of statements wrapped in
- * braces.
- *
- * ordinary   - true for everything but function bodies and try blocks.
- * stmt       - true if block can be a single statement (e.g. in if/for/while).
- * isfunc     - true if block is a function body
- * isfatarrow - true if block is a body of a fat arrow function
- * iscase     - true if block is a switch case block
- */
-function block(ordinary, stmt, isfunc, isfatarrow, iscase) {
-	var a;
-	var b = inblock;
-	var old_indent = indent;
-	var m;
-	var s = scope;
-	var t;
-	var line;
-	var d;
-
-	inblock = ordinary;
-
-	if (!ordinary || !state.option.funcscope)
-		scope = Object.create(scope);
-
-	t = state.tokens.next;
-
-	var metrics = funct["(metrics)"];
-	var max = state.option.maxdepth;
-	metrics.blockDepth += 1;
-
-	if (max && metrics.blockDepth > 0 && metrics.blockDepth === max + 1) {
-		warn("W073", { token: null, args: [ metrics.blockDepth ] });
-	}
-
-	if (state.tokens.next.id === "{") {
-		advance("{");
+	function FutureReservedWord(name, meta) {
+		var x = type(name, (meta && meta.nud) || function () {
+			this.node = name === "super" ? leaf("Super", this) : identNode(this);
+			return this;
+		});
 
-		// create a new block scope
-		funct["(blockscope)"].stack();
+		meta = meta || {};
+		meta.isFutureReservedWord = true;
 
-		line = state.tokens.curr.line;
-		if (state.tokens.next.id !== "}") {
-			indent += state.option.indent;
-			while (!ordinary && state.tokens.next.from > indent) {
-				indent += state.option.indent;
+		x.value = name;
+		x.identifier = true;
+		x.reserved = true;
+		x.meta = meta;
+
+		return x;
+	}
+
+	function reservevar(s, v) {
+		var x = reserve(s, function () {
+			if (typeof v === "function") {
+				v(this);
 			}
 
-			if (isfunc) {
-				m = {};
-				for (d in state.directive) {
-					if (_.has(state.directive, d)) {
-						m[d] = state.directive[d];
-					}
-				}
-				directives();
+			switch (s) {
+			case "this":
+				this.node = leaf("ThisExpression", this);
+				break;
+			case "true":
+			case "false":
+				this.node = leaf("Literal", this, { value: s === "true" });
+				break;
+			case "null":
+				this.node = leaf("Literal", this, { value: null });
+				break;
+			default:
+				this.node = identNode(this);
+			}
+			return this;
+		});
 
-				if (state.option.strict && funct["(context)"]["(global)"]) {
-					if (!m["use strict"] && !state.directive["use strict"]) {
-						warn("E007");
-					}
-				}
+		// Values like 'this' and 'null' are operands in the Halstead metrics.
+		x.operand = true;
+		return x;
+	}
+
+	function infix(s, f, p) {
+		var x = symbol(s, p);
+		reserveName(x);
+		x.infix = true;
+		x.led = function (left) {
+			if (s === "in" && left.id === "!") {
+				warn("W018", { token: left, args: ["!"] });
+			}
+			if (typeof f === "function") {
+				return f(left, this);
+			} else {
+				this.node = binary(s === "&&" ? "LogicalExpression" : "BinaryExpression", left, this, p);
+				return this;
 			}
+		};
+		return x;
+	}
 
-			a = statements(line);
+	// Returns a copy of the AST with the positions converted from the lexer's
+	// coordinates (tabs are expanded to the indentation width) into columns and
+	// character offsets in the original source.
 
-			metrics.statements += a.length;
+	function located(value) {
+		var copy, start, end;
 
-			if (isfunc) {
-				state.directive = m;
-			}
+		if (_.isArray(value))
+			return value.map(located);
 
-			indent -= state.option.indent;
-		}
-		advance("}", t);
+		if (!value || typeof value.type !== "string" || !value.loc)
+			return value;
 
-		funct["(blockscope)"].unstack();
+		start = lex.locate(value.loc.start.line, value.loc.start.column);
+		end = value.loc.end ? lex.locate(value.loc.end.line, value.loc.end.column) : start;
+		copy = {};
 
-		indent = old_indent;
-	} else if (!ordinary) {
-		if (isfunc) {
-			m = {};
-			if (stmt && !isfatarrow && !api.getEnvironment("moz", true)) {
-				warn("W118", { token: state.tokens.curr, args: ["function closure expressions"] });
-			}
+		_.each(value, function (val, key) {
+			copy[key] = located(val);
+		});
 
-			if (!stmt) {
-				for (d in state.directive) {
-					if (_.has(state.directive, d)) {
-						m[d] = state.directive[d];
-					}
-				}
-			}
-			expression(10);
+		copy.loc = {
+			start: { line: value.loc.start.line, column: start.column },
+			end: { line: (value.loc.end || value.loc.start).line, column: end.column }
+		};
+		copy.range = [ start.offset, end.offset ];
+		return copy;
+	}
 
-			if (state.option.strict && funct["(context)"]["(global)"]) {
-				if (!m["use strict"] && !state.directive["use strict"]) {
-					warn("E007");
-				}
-			}
-		} else {
-			warn("E021", { token: state.tokens.next, args: ["{", state.tokens.next.value] });
-		}
-	} else {
+	// Returns the node for a list of comma-separated expressions that were
+	// parsed one by one. It ends with the last expression, not with the
+	// parenthesis that may close the list.
 
-		// check to avoid let declaration not within a block
-		funct["(nolet)"] = true;
+	function sequence(exprs) {
+		var node;
 
-		if (!stmt || state.option.curly) {
-			warn("W116", { token: state.tokens.next, args: ["{", state.tokens.next.value] });
+		if (exprs.length < 2) {
+			return nodeOf(exprs[0]);
 		}
 
-		noreach = true;
-		indent += state.option.indent;
-		// test indentation only if statement is in new line
-		a = [statement(state.tokens.next.line === state.tokens.curr.line)];
-		indent -= state.option.indent;
-		noreach = false;
+		node = enter("SequenceExpression", exprs[0], {
+			expressions: _.compact(exprs.map(nodeOf))
+		});
 
-		delete funct["(nolet)"];
-	}
-	// Don't clear and let it propagate out if it is "break", "return", or "throw" in switch case
-	if (!(iscase && ["break", "return", "throw"].indexOf(funct["(verb)"]) != -1)) {
-		funct["(verb)"] = null;
+		return exit(node, _.last(node.expressions));
 	}
 
-	if (!ordinary || !state.option.funcscope) scope = s;
-	inblock = b;
-	metrics.blockDepth -= 1;
-	return a;
-}
+	// Parses the right operand of a binary operator and returns its node.
+
+	function binary(type, left, that, p) {
+		var node = enter(type, left || that, { operator: that.id, left: nodeOf(left), right: null });
+		that.left = left;
+		that.right = expression(p);
+		node.right = nodeOf(that.right);
+		return exit(node);
+	}
 
-function note_implied(tkn) {
-	var name = tkn.value;
-	var desc = Object.getOwnPropertyDescriptor(state.implied, name);
+	function application(s) {
+		var x = symbol(s, 42);
 
-	if (!desc)
-		state.implied[name] = [tkn.line];
-	else
-		desc.value.push(tkn.line);
-}
+		x.led = function (left) {
+			if (!api.getEnvironment("es6")) {
+				warn("W104", { token: state.tokens.curr, args: ["arrow function syntax (=>)"] });
+			}
 
-// Build the syntax table by declaring the syntactic elements of the language.
+			this.left = left;
+			this.right = doFunction(undefined, undefined, false, left,
+				_.isArray(left) ? left.paren : left);
+			this.node = this.right["(node)"];
+			return this;
+		};
+		return x;
+	}
 
-type("(number)", function () {
-	return this;
-});
+	function relation(s, f) {
+		var x = symbol(s, 100);
 
-type("(string)", function () {
-	return this;
-});
+		x.led = function (left) {
+			var node = enter("BinaryExpression", left || this, {
+				operator: s,
+				left: nodeOf(left),
+				right: null
+			});
+			var right = expression(100);
 
-syntax["(identifier)"] = {
-	type: "(identifier)",
-	lbp: 0,
-	identifier: true,
+			node.right = nodeOf(right);
+			this.node = exit(node);
 
-	nud: function () {
-		var v = this.value;
-		var s = scope[v];
-		var f;
-		var block;
-
-		if (typeof s === "function") {
-			// Protection against accidental inheritance.
-			s = undefined;
-		} else if (!funct["(blockscope)"].current.has(v) && typeof s === "boolean") {
-			f = funct;
-			funct = state.functions[0];
-			addlabel(v, { type: "var" });
-			s = funct;
-			funct = f;
-		}
-
-		if (_.has(funct, "(blockscope)")) {
-			block = funct["(blockscope)"].getlabel(v);
-		}
-
-		// The name is in scope and defined in the current function.
-		if (funct === s || block) {
-			// Change 'unused' to 'var', and reject labels.
-			// the name is in a block scope
-			switch (block ? block[v]["(type)"] : funct[v]) {
-			case "unused":
-				if (block) block[v]["(type)"] = "var";
-				else funct[v] = "var";
-				break;
-			case "unction":
-				if (block) block[v]["(type)"] = "function";
-				else funct[v] = "function";
-				this["function"] = true;
-				break;
-			case "const":
-				utils.setprop(funct, v, { unused: false });
-				break;
-			case "function":
-				this["function"] = true;
-				break;
-			case "label":
-				warn("W037", { token: state.tokens.curr, args: [v] });
-				break;
-			}
-		} else if (funct["(global)"]) {
-			// The name is not defined in the function.  If we are in the global
-			// scope, then we have an undefined variable.
-			//
-			// Operators typeof and delete do not raise runtime errors even if
-			// the base object of a reference is null so no need to display warning
-			// if we're inside of typeof or delete.
-
-			if (typeof predefined[v] !== "boolean") {
-				// Attempting to subscript a null reference will throw an
-				// error, even within the typeof and delete operators
-				if (!(anonname === "typeof" || anonname === "delete") ||
-					(state.tokens.next && (state.tokens.next.value === "." ||
-						state.tokens.next.value === "["))) {
-
-					// if we're in a list comprehension, variables are declared
-					// locally and used before being defined. So we check
-					// the presence of the given variable in the comp array
-					// before declaring it undefined.
-
-					if (!funct["(comparray)"].check(v)) {
-						isundef(funct, "W117", { token: state.tokens.curr, args: [v] });
-					}
-				}
+			if (isIdentifier(left, "NaN") || isIdentifier(right, "NaN")) {
+				warn("W019", { token: this });
+			} else if (f) {
+				f.apply(this, [left, right]);
 			}
 
-			note_implied(state.tokens.curr);
-		} else {
-			// If the name is already defined in the current
-			// function, but not as outer, then there is a scope error.
+			if (!left || !right) {
+				fail(state.tokens.curr.line, state.tokens.curr.from);
+			}
 
-			switch (funct[v]) {
-			case "closure":
-			case "function":
-			case "var":
-			case "unused":
-				warn("W038", { token: state.tokens.curr, args: [v] });
-				break;
-			case "label":
-				warn("W037", { token: state.tokens.curr, args: [v] });
-				break;
-			case "outer":
-			case "global":
-				break;
-			default:
-				// If the name is defined in an outer function, make an outer entry,
-				// and if it was unused, make it var.
-				if (s === true) {
-					funct[v] = true;
-				} else if (s === null) {
-					warn("W039", { token: state.tokens.curr, args: [v] });
-					note_implied(state.tokens.curr);
-				} else if (typeof s !== "object") {
-					// Operators typeof and delete do not raise runtime errors even
-					// if the base object of a reference is null so no need to
-					//
-					// display warning if we're inside of typeof or delete.
-					// Attempting to subscript a null reference will throw an
-					// error, even within the typeof and delete operators
-					if (!(anonname === "typeof" || anonname === "delete") ||
-						(state.tokens.next &&
-							(state.tokens.next.value === "." || state.tokens.next.value === "["))) {
+			if (left.id === "!") {
+				warn("W018", { token: left, args: ["!"] });
+			}
 
-						isundef(funct, "W117", { token: state.tokens.curr, args: [v] });
-					}
-					funct[v] = true;
-					note_implied(state.tokens.curr);
-				} else {
-					switch (s[v]) {
-					case "function":
-					case "unction":
-						this["function"] = true;
-						s[v] = "closure";
-						funct[v] = s["(global)"] ? "global" : "outer";
-						break;
-					case "var":
-					case "unused":
-						s[v] = "closure";
-						funct[v] = s["(global)"] ? "global" : "outer";
-						break;
-					case "const":
-						utils.setprop(s, v, { unused: false });
-						break;
-					case "closure":
-						funct[v] = s["(global)"] ? "global" : "outer";
-						break;
-					case "label":
-						warn("W037", { token: state.tokens.curr, args: [v] });
-					}
-				}
+			if (right.id === "!") {
+				warn("W018", { token: right, args: ["!"] });
 			}
-		}
-		return this;
-	},
 
-	led: function () {
-		warn("E033", { token: state.tokens.next, args: [state.tokens.next.value] });
+			this.left = left;
+			this.right = right;
+			return this;
+		};
+		return x;
 	}
-};
 
-type("(regexp)", function () {
-	return this;
-});
-
-// ECMAScript parser
-
-delim("(endline)");
-delim("(begin)");
-delim("(end)").reach = true;
-delim("(error)").reach = true;
-delim("}").reach = true;
-delim(")");
-delim("]");
-delim("\"").reach = true;
-delim("'").reach = true;
-delim(";");
-delim(":").reach = true;
-delim("#");
-
-reserve("else");
-reserve("case").reach = true;
-reserve("catch");
-reserve("default").reach = true;
-reserve("finally");
-reservevar("arguments", function (x) {
-	if (state.directive["use strict"] && funct["(global)"]) {
-		warn("E008", { token: x });
-	}
-});
-reservevar("eval");
-reservevar("false");
-reservevar("Infinity");
-reservevar("null");
-reservevar("this", function (x) {
-	if (state.directive["use strict"] && !state.option.validthis && ((funct["(statement)"] &&
-			funct["(name)"].charAt(0) > "Z") || funct["(global)"])) {
-		warn("W040", { token: x });
-	}
-});
-reservevar("true");
-reservevar("undefined");
-
-assignop("=", "assign", 20);
-assignop("+=", "assignadd", 20);
-assignop("-=", "assignsub", 20);
-assignop("*=", "assignmult", 20);
-assignop("/=", "assigndiv", 20).nud = function () { warn("E014") };
-assignop("%=", "assignmod", 20);
-
-bitwiseassignop("&=", "assignbitand", 20);
-bitwiseassignop("|=", "assignbitor", 20);
-bitwiseassignop("^=", "assignbitxor", 20);
-bitwiseassignop("<<=", "assignshiftleft", 20);
-bitwiseassignop(">>=", "assignshiftright", 20);
-bitwiseassignop(">>>=", "assignshiftrightunsigned", 20);
-infix(",", function (left, that) {
-	var expr;
-	that.exprs = [left];
-	if (!comma({peek: true})) {
-		return that;
-	}
-	while (true) {
-		if (!(expr = expression(10)))  {
-			break;
-		}
-		that.exprs.push(expr);
-		if (state.tokens.next.value !== "," || !comma()) {
-			break;
-		}
-	}
-	return that;
-}, 10, true);
-
-infix("?", function (left, that) {
-	increaseComplexityCount();
-	that.left = left;
-	that.right = expression(10);
-	advance(":");
-	that["else"] = expression(10);
-	return that;
-}, 30);
-
-var orPrecendence = 40;
-infix("||", function (left, that) {
-	increaseComplexityCount();
-	that.left = left;
-	that.right = expression(orPrecendence);
-	return that;
-}, orPrecendence);
-infix("&&", "and", 50);
-bitwise("|", "bitor", 70);
-bitwise("^", "bitxor", 80);
-bitwise("&", "bitand", 90);
-
-relation("==", function (left, right) {
-	var eqnull = state.option.eqnull && (left.value === "null" || right.value === "null");
-
-	switch (true) {
-		case !eqnull && state.option.eqeqeq:
-			this.from = this.character;
-			warn("W116", { token: this, args: ["===", "=="] });
-			break;
-		case isPoorRelation(left):
-			warn("W041", { token: this, args: ["===", left.value] });
-			break;
-		case isPoorRelation(right):
-			warn("W041", { token: this, args: ["===", right.value] });
-			break;
-		case isTypoTypeof(right, left):
-			warn("W122", { token: this, args: [right.value] });
-			break;
-		case isTypoTypeof(left, right):
-			warn("W122", { token: this, args: [left.value] });
+	function isPoorRelation(node) {
+		return node &&
+			  ((node.type === "(number)" && +node.value === 0) ||
+			   (node.type === "(string)" && node.value === "") ||
+			   (node.type === "null" && !state.option.eqnull) ||
+				node.type === "true" ||
+				node.type === "false" ||
+				node.type === "undefined");
 	}
 
-	return this;
-});
+	// Checks whether the 'typeof' operator is used with the correct
+	// value. For docs on 'typeof' see:
+	// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/typeof
 
-relation("===", function (left, right) {
-	if (isTypoTypeof(right, left))
-		warn("W122", { token: this, args: [right.value] });
-	else if (isTypoTypeof(left, right))
-		warn("W122", { token: this, args: [left.value] });
+	function isTypoTypeof(left, right) {
+		if (state.option.notypeof)
+			return false;
 
-	return this;
-});
+		if (!left || !right)
+			return false;
 
-relation("!=", function (left, right) {
-	var eqnull = state.option.eqnull && (left.value === "null" || right.value === "null");
+		var values = [
+			"undefined", "object", "boolean", "number",
+			"string", "function", "xml", "object"
+		];
 
-	switch (true) {
-		case !eqnull && state.option.eqeqeq:
-			this.from = this.character;
-			warn("W116", { token: this, args: ["!==", "!="] });
-			break;
-		case isPoorRelation(left):
-			warn("W041", { token: this, args: ["!==", left.value] });
-			break;
-		case isPoorRelation(right):
-			warn("W041", { token: this, args: ["!==", right.value] });
-			break;
-		case isTypoTypeof(right, left):
-			warn("W122", { token: this, args: [right.value] });
-			break;
-		case isTypoTypeof(left, right):
-			warn("W122", { token: this, args: [left.value] });
-	}
+		if (right.type === "(identifier)" && right.value === "typeof" && left.type === "(string)")
+			return !_.contains(values, left.value);
 
-	return this;
-});
-
-relation("!==", function (left, right) {
-	if (isTypoTypeof(right, left))
-		warn("W122", { token: this, args: [right.value] });
-	else if (isTypoTypeof(left, right))
-		warn("W122", { token: this, args: [left.value] });
-
-	return this;
-});
-
-relation("<");
-relation(">");
-relation("<=");
-relation(">=");
-bitwise("<<", "shiftleft", 120);
-bitwise(">>", "shiftright", 120);
-bitwise(">>>", "shiftrightunsigned", 120);
-infix("in", "in", 120);
-infix("instanceof", "instanceof", 120);
-infix("+", function (left, that) {
-	var right = expression(130);
-	if (left && right && left.id === "(string)" && right.id === "(string)") {
-		left.value += right.value;
-		left.character = right.character;
-		if (!state.option.scripturl && reg.javascriptURL.test(left.value)) {
-			warn("W050", { token: left });
-		}
-		return left;
-	}
-	that.left = left;
-	that.right = right;
-	return that;
-}, 130);
-prefix("+", "num");
-prefix("+++", function () {
-	warn("W007");
-	this.right = expression(150);
-	this.arity = "unary";
-	return this;
-});
-infix("+++", function (left) {
-	warn("W007");
-	this.left = left;
-	this.right = expression(130);
-	return this;
-}, 130);
-infix("-", "sub", 130);
-prefix("-", "neg");
-prefix("---", function () {
-	warn("W006");
-	this.right = expression(150);
-	this.arity = "unary";
-	return this;
-});
-infix("---", function (left) {
-	warn("W006");
-	this.left = left;
-	this.right = expression(130);
-	return this;
-}, 130);
-infix("*", "mult", 140);
-infix("/", "div", 140);
-infix("%", "mod", 140);
-
-suffix("++", "postinc");
-prefix("++", "preinc");
-syntax["++"].exps = true;
-
-suffix("--", "postdec");
-prefix("--", "predec");
-syntax["--"].exps = true;
-prefix("delete", function () {
-	var p = expression(10);
-	if (!p || (p.id !== "." && p.id !== "[")) {
-		warn("W051");
-	}
-	this.first = p;
-	return this;
-}).exps = true;
-
-prefix("~", function () {
-	if (state.option.bitwise) {
-		warn("W052", { token: this, args: ["~"] });
-	}
-	expression(150);
-	return this;
-});
-
-prefix("...", function () {
-	if (!api.getEnvironment("es6"))
-		warn("W104", { token: this, args: ["spread/rest operator"] });
-
-	if (!state.tokens.next.identifier)
-		warn("E030", { token: state.tokens.next, args: [state.tokens.next.value] });
-
-	expression(150);
-	return this;
-});
-
-prefix("!", function () {
-	// These are operators that should not be used with the ! operator.
-	var bang = [ "<", "<=", "==", "===", "!==", "!=", ">", ">=", "+", "-", "*", "/", "%" ];
-
-	this.right = expression(150);
-	this.arity = "unary";
-
-	if (!this.right)
-		quit("E041", this.line || 0); // '!' followed by nothing? Give up.
-
-	if (_.contains(bang, this.right.id))
-		warn("W018", { token: this, args: ["!"] });
-
-	return this;
-});
-
-prefix("typeof", "typeof");
-prefix("new", function () {
-	var c = expression(155), i;
-	if (c && c.id !== "function") {
-		if (c.identifier) {
-			c["new"] = true;
-			switch (c.value) {
-			case "Number":
-			case "String":
-			case "Boolean":
-			case "Math":
-			case "JSON":
-				warn("W053", { token: state.tokens.prev, args: [c.value] });
-				break;
-			case "Function":
-				if (!state.option.evil) {
-					warn("W054");
-				}
-				break;
-			case "Date":
-			case "RegExp":
-			case "this":
-				break;
-			default:
-				if (c.id !== "function") {
-					i = c.value.substr(0, 1);
-				}
-			}
-		} else {
-			if (c.id !== "." && c.id !== "[" && c.id !== "(") {
-				warn("W056", { token: state.tokens.curr });
-			}
-		}
-	} else {
-		if (!state.option.supernew)
-			warn("W057", { token: this });
+		return false;
 	}
 
-	if (state.tokens.next.id !== "(" && !state.option.supernew) {
-		warn("W058", { token: state.tokens.curr, args: [state.tokens.curr.value] });
-	}
-	this.first = c;
-	return this;
-});
-syntax["new"].exps = true;
+	function findNativePrototype(left) {
+		var natives = [
+			"Array", "ArrayBuffer", "Boolean", "Collator", "DataView", "Date",
+			"DateTimeFormat", "Error", "EvalError", "Float32Array", "Float64Array",
+			"Function", "Infinity", "Intl", "Int16Array", "Int32Array", "Int8Array",
+			"Iterator", "Number", "NumberFormat", "Object", "RangeError",
+			"ReferenceError", "RegExp", "StopIteration", "String", "SyntaxError",
+			"TypeError", "Uint16Array", "Uint32Array", "Uint8Array", "Uint8ClampedArray",
+			"URIError"
+		];
 
-prefix("void").exps = true;
+		function walkPrototype(obj) {
+			if (typeof obj !== "object") return;
+			return obj.right === "prototype" ? obj : walkPrototype(obj.left);
+		}
 
-infix(".", function (left, that) {
-	var m = identifier(false, true);
+		function walkNative(obj) {
+			while (!obj.identifier && typeof obj.left === "object")
+			  obj = obj.left;
 
-	that.left = left;
-	that.right = m;
+			if (obj.identifier && natives.indexOf(obj.value) >= 0)
+			  return obj.value;
+		}
 
-	if (m && m === "hasOwnProperty" && state.tokens.next.value === "=") {
-		warn("W001");
+		var prototype = walkPrototype(left);
+		if (prototype) return walkNative(prototype);
 	}
 
-	if (left && left.value === "arguments" && (m === "callee" || m === "caller")) {
-		if (state.option.noarg)
-			warn("W059", { token: left, args: [m] });
-		else if (state.directive["use strict"])
-			warn("E008");
-	} else if (!state.option.evil && left && left.value === "document" &&
-			(m === "write" || m === "writeln")) {
-		warn("W060", { token: left });
-	}
+	function assignop(s, f, p) {
+		var x = infix(s, typeof f === "function" ? f : function (left, that) {
+			that.left = left;
 
-	if (!state.option.evil && (m === "eval" || m === "execScript")) {
-		warn("W061");
-	}
+			if (left) {
+				if (state.option.freeze) {
+					var nativeObject = findNativePrototype(left);
+					if (nativeObject)
+						warn("W121", { token: left, args: [nativeObject] });
+				}
+
+				if (predefined[left.value] === false &&
+						scope[left.value]["(global)"] === true) {
+					warn("W020", { token: left });
+				} else if (left["function"]) {
+					warn("W021", { token: left, args: [left.value] });
+				}
 
-	return that;
-}, 160, true);
+				if (funct[left.value] === "const") {
+					warn("E013", { token: left, args: [left.value] });
+				}
 
-infix("(", function (left, that) {
-	var n = 0;
-	var p = [];
+				if (left.id === ".") {
+					if (!left.left) {
+						warn("E031", { token: that });
+					} else if (left.left.value === "arguments" && !state.directive["use strict"]) {
+						warn("E031", { token: that });
+					}
 
-	if (left) {
-		if (left.type === "(identifier)") {
-			if (left.value.match(/^[A-Z]([A-Z0-9_$]*[a-z][A-Za-z0-9_$]*)?$/)) {
-				if ("Number String Boolean Date Object".indexOf(left.value) === -1) {
-					if (left.value === "Math") {
-						warn("W063", { token: left });
+					return assignment(left, that);
+				} else if (left.id === "[") {
+					if (state.tokens.curr.left.first) {
+						state.tokens.curr.left.first.forEach(function (t) {
+							if (funct[t.value] === "const") {
+								warn("E013", { token: t, args: [t.value] });
+							}
+						});
+					} else if (!left.left) {
+						warn("E031", { token: that });
+					} else if (left.left.value === "arguments" && !state.directive["use strict"]) {
+						warn("E031", { token: that });
+					}
+					return assignment(left, that);
+				} else if (left.identifier && !isReserved(left)) {
+					if (funct[left.value] === "exception") {
+						warn("W022", { token: left });
 					}
+					return assignment(left, that);
 				}
-			}
-		}
-	}
 
-	if (state.tokens.next.id !== ")") {
-		for (;;) {
-			p[p.length] = expression(10);
-			n += 1;
-			if (state.tokens.next.id !== ",") {
-				break;
+				if (left === syntax["function"]) {
+					warn("W023", { token: state.tokens.curr });
+				}
 			}
-			comma();
-		}
-	}
 
-	advance(")");
+			warn("E031", { token: that });
+		}, p);
 
-	// Tracking of "internal" scripts, like eval containing a static string
-	function addInternal(elem, src) {
-		state.scripts.push({ id: "(internal)", elem: elem, value: src });
+		x.exps = true;
+		x.assign = true;
+		return x;
 	}
 
-	if (typeof left === "object") {
-		if (api.getEnvironment("es3") && left.value === "parseInt" && n === 1) {
-			warn("W065", { token: state.tokens.curr });
-		}
-		if (!state.option.evil) {
-			if (left.value === "eval" || left.value === "Function" || left.value === "execScript") {
-				warn("W061", { token: left });
+	// Array and object literals on the left of "=" are destructuring
+	// targets, and so are the literals that are elements or property values
+	// of one. Whether the literal that starts at 't' is one is decided by the
+	// token after its closing bracket, before it is parsed, so that its node
+	// is a pattern from its first event on. The search stops at directives,
+	// which can change how the code after them is read.
 
-				if (p[0] && [0].id === "(string)")
-					addInternal(left, p[0].value);
+	function isPattern(t) {
+		var depth = 1;
+		var i = -1;
+		var next;
 
-			} else if (p[0] && p[0].id === "(string)" &&
-				(left.value === "setTimeout" || left.value === "setInterval")) {
-				warn("W066", { token: left });
-				addInternal(left, p[0].value);
+		do {
+			next = i === -1 ? state.tokens.next : peek(i);
+			i += 1;
 
-			// window.setTimeout/setInterval
-			} else if (p[0] && p[0].id === "(string)" && left.value === "." &&
-				left.left.value === "window" &&
-				(left.right === "setTimeout" || left.right === "setInterval")) {
-				warn("W066", { token: left });
-				addInternal(left, p[0].value);
+			if (next.id === "[" || next.id === "{") {
+				depth += 1;
+			} else if (next.id === "]" || next.id === "}") {
+				depth -= 1;
 			}
-		}
-		if (!left.identifier && left.id !== "." && left.id !== "[" &&
-				left.id !== "(" && left.id !== "&&" && left.id !== "||" &&
-				left.id !== "?") {
-			warn("W067", { token: left });
-		}
-	}
-
-	that.left = left;
-	return that;
-}, 155, true).exps = true;
-
-prefix("(", function () {
-	var bracket, brackets = [];
-	var pn, pn1, i = 0;
-	var ret;
-
-	do {
-		pn = peek(i);
-		i += 1;
-		pn1 = peek(i);
-		i += 1;
-	} while (pn.value !== ")" && pn1.value !== "=>" && pn1.value !== ";" && pn1.type !== "(end)");
+		} while (depth > 0 && next.id !== "(end)" && next.id !== "(comment)");
 
-	var exprs = [];
+		if (depth > 0)
+			return false;
 
-	if (state.tokens.next.id !== ")") {
-		for (;;) {
-			if (pn1.value === "=>" && state.tokens.next.value === "{") {
-				bracket = state.tokens.next;
-				bracket.left = destructuringExpression();
-				brackets.push(bracket);
-				for (var t in bracket.left) {
-					exprs.push(bracket.left[t].token);
-				}
-			} else {
-				exprs.push(expression(10));
-			}
-			if (state.tokens.next.id !== ",") {
-				break;
-			}
-			comma();
-		}
+		next = peek(i);
+		return next.id === "=" || (t.inPattern === true && _.contains([ ",", "]", "}" ], next.id));
 	}
 
-	advance(")", this);
+	// Parses the right-hand side of an assignment once its target is checked.
 
-	if (state.tokens.next.value === "=>") {
-		return exprs;
-	}
-	if (!exprs.length) {
-		return;
-	}
-	if (exprs.length > 1) {
-		ret = Object.create(syntax[","]);
-		ret.exprs = exprs;
-	} else {
-		ret = exprs[0];
-	}
-	if (ret) {
-		ret.paren = true;
+	function assignment(left, that) {
+		var node = enter("AssignmentExpression", left, {
+			operator: that.id,
+			left: nodeOf(left),
+			right: null
+		});
+		that.right = expression(10);
+		node.right = nodeOf(that.right);
+		that.node = exit(node);
+		return that;
 	}
-	return ret;
-});
-
-application("=>");
 
-infix("[", function (left, that) {
-	var e = expression(10), s;
-	if (e && e.type === "(string)") {
-		if (!state.option.evil && (e.value === "eval" || e.value === "execScript")) {
-			warn("W061", { token: that });
-		}
-
-		if (!state.option.sub && reg.identifier.test(e.value)) {
-			s = syntax[e.value];
-		}
+	function bitwise(s, f, p) {
+		var x = symbol(s, p);
+		reserveName(x);
+		x.led = (typeof f === "function") ? f : function (left) {
+			if (state.option.bitwise) {
+				warn("W016", { token: this, args: [this.id] });
+			}
+			this.node = binary("BinaryExpression", left, this, p);
+			return this;
+		};
+		return x;
 	}
-	advance("]", that);
 
-	if (e && e.value === "hasOwnProperty" && state.tokens.next.value === "=") {
-		warn("W001");
+	function bitwiseassignop(s) {
+		return assignop(s, function (left, that) {
+			if (state.option.bitwise) {
+				warn("W016", { token: that, args: [that.id] });
+			}
+			if (left) {
+				if (left.id === "." || left.id === "[" ||
+						(left.identifier && !isReserved(left))) {
+					return assignment(left, that);
+				}
+				if (left === syntax["function"]) {
+					warn("W023", { token: state.tokens.curr });
+				}
+				return that;
+			}
+			warn("E031", { token: that });
+		}, 20);
 	}
 
-	that.left = left;
-	that.right = e;
-	return that;
-}, 160, true);
+	function suffix(s) {
+		var x = symbol(s, 150);
 
-function comprehensiveArrayExpression() {
-	var res = {};
-	res.exps = true;
-	funct["(comparray)"].stack();
-
-	// Handle reversed for expressions, used in spidermonkey
-	var reversed = false;
-	if (state.tokens.next.value !== "for") {
-		reversed = true;
-
-		if (!api.getEnvironment("moz", true))
-			warn("W116", { token: state.tokens.next, args: ["for", state.tokens.next.value] });
+		x.led = function (left) {
+			if (state.option.plusplus) {
+				warn("W016", { token: this, args: [this.id] });
+			} else if ((!left.identifier || isReserved(left)) && left.id !== "." && left.id !== "[") {
+				warn("W017", { token: this });
+			}
 
-		funct["(comparray)"].setState("use");
-		res.right = expression(10);
+			this.left = left;
+			this.node = exit(enter("UpdateExpression", left, {
+				operator: this.id,
+				prefix: false,
+				argument: nodeOf(left)
+			}));
+			return this;
+		};
+		return x;
 	}
 
-	advance("for");
-	if (state.tokens.next.value === "each") {
-		advance("each");
+	// fnparam means that this identifier is being defined as a function
+	// argument (see identifier())
+	// prop means that this identifier is that of an object property
+
+	function optionalidentifier(fnparam, prop) {
+		if (!state.tokens.next.identifier)
+			return;
 
-		if (!api.getEnvironment("moz", true))
-			warn("W118", { token: state.tokens.curr, args: ["for each"] });
-	}
-	advance("(");
-	funct["(comparray)"].setState("define");
-	res.left = expression(130);
-	if (_.contains(["in", "of"], state.tokens.next.value)) {
 		advance();
-	} else {
-		warn("E045", { token: state.tokens.curr });
-	}
-	funct["(comparray)"].setState("generate");
-	expression(10);
 
-	advance(")");
-	if (state.tokens.next.value === "if") {
-		advance("if");
-		advance("(");
-		funct["(comparray)"].setState("filter");
-		res.filter = expression(10);
-		advance(")");
-	}
+		var curr = state.tokens.curr;
+		var val  = state.tokens.curr.value;
 
-	if (!reversed) {
-		funct["(comparray)"].setState("use");
-		res.right = expression(10);
-	}
+		switch (true) {
+		case !isReserved(curr):
+		case prop && api.getEnvironment("es5"):
+		case fnparam && val === "undefined":
+			return val;
+		}
 
-	advance("]");
-	funct["(comparray)"].unstack();
-	return res;
-}
+		warn("W024", { token: state.tokens.curr, args: [state.tokens.curr.id] });
+		return val;
+	}
 
-prefix("[", function () {
-	var blocktype = lookupBlockType(true);
-	if (blocktype.isCompArray) {
-		if (!api.getEnvironment("es6")) {
-			warn("W119", { token: state.tokens.curr, args: ["array comprehension"] });
+	// fnparam means that this identifier is being defined as a function
+	// argument
+	// prop means that this identifier is that of an object property
+	function identifier(fnparam, prop) {
+		var i = optionalidentifier(fnparam, prop);
+		if (i) {
+			return i;
 		}
-		return comprehensiveArrayExpression();
-	} else if (blocktype.isDestAssign && !api.getEnvironment("es6")) {
-		warn("W104", { token: state.tokens.curr, args: ["destructuring assignment"] });
-	}
-	var b = state.tokens.curr.line !== state.tokens.next.line;
-	this.first = [];
-	if (b) {
-		indent += state.option.indent;
-		if (state.tokens.next.from === indent + state.option.indent) {
-			indent += state.option.indent;
+		if (state.tokens.curr.id === "function" && state.tokens.next.id === "(") {
+			warn("W025");
+		} else {
+			warn("E030", { token: state.tokens.next, args: [state.tokens.next.value] });
 		}
 	}
-	while (state.tokens.next.id !== "(end)") {
-		while (state.tokens.next.id === ",") {
-			if (!api.getEnvironment("es5"))
-				warn("W070");
-			advance(",");
-		}
-		if (state.tokens.next.id === "]") {
-			break;
+
+	function reachable(s) {
+		var i = 0, t;
+		if (state.tokens.next.id !== ";" || noreach) {
+			return;
 		}
-		this.first.push(expression(10));
-		if (state.tokens.next.id === ",") {
-			comma({ allowTrailing: true });
-			if (state.tokens.next.id === "]" && !api.getEnvironment("es5", true)) {
-				warn("W070", { token: state.tokens.curr });
+		for (;;) {
+			do {
+				t = peek(i);
+				i += 1;
+			} while (t.id != "(end)" && t.id === "(comment)");
+
+			if (t.reach) {
+				return;
+			}
+			if (t.id !== "(endline)") {
+				if (t.id === "function") {
+					if (state.option.latedef === true) {
+						warn("W026", { token: t });
+					}
+					break;
+				}
+
+				warn("W027", { token: t, args: [t.value, s] });
 				break;
 			}
-		} else {
-			break;
 		}
 	}
-	if (b) {
-		indent -= state.option.indent;
-	}
-	advance("]", this);
-	return this;
-}, 160);
 
-function property_name() {
-	var id = optionalidentifier(false, true);
+	function statement() {
+		var values, value;
+		var i = indent, r, s = scope, t = state.tokens.next;
+		var label, node, last;
 
-	if (!id) {
-		if (state.tokens.next.id === "(string)") {
-			id = state.tokens.next.value;
-			advance();
-		} else if (state.tokens.next.id === "(number)") {
-			id = state.tokens.next.value.toString();
-			advance();
+		// Wrap the statement into its label, if any.
+		function labelled(r) {
+			if (label) {
+				label.body = nodeOf(r);
+				r = r || {};
+				r.node = exit(label);
+			}
+			return r;
 		}
-	}
 
-	if (id === "hasOwnProperty") {
-		warn("W001");
-	}
+		if (t.id === ";") {
+			advance(";");
+			return { node: leaf("EmptyStatement", state.tokens.curr) };
+		}
 
-	return id;
-}
+		// Is this a labelled statement?
+		var res = isReserved(t);
 
-function functionparams(parsed) {
-	var curr, next;
-	var params = [];
-	var ident;
-	var tokens = [];
-	var t;
-	var pastDefault = false;
-
-	if (parsed) {
-		if (parsed instanceof Array) {
-			for (var i in parsed) {
-				curr = parsed[i];
-				if (_.contains(["{", "["], curr.id)) {
-					for (t in curr.left) {
-						t = tokens[t];
-						if (t.id) {
-							params.push(t.id);
-							addlabel(t.id, { type: "unused", token: t.token });
-						}
-					}
-				} else if (curr.value === "...") {
-					if (!api.getEnvironment("es6")) {
-						warn("W104", { token: curr, args: ["spread/rest operator"] });
-					}
-					continue;
-				} else {
-					addlabel(curr.value, { type: "unused", token: curr });
+		// We're being more tolerant here: if someone uses
+		// a FutureReservedWord as a label, we warn but proceed
+		// anyway.
+
+		if (res && t.meta && t.meta.isFutureReservedWord && peek().id === ":") {
+			warn("W024", { token: t, args: [t.id] });
+			res = false;
+		}
+
+		// detect a destructuring assignment
+		if (_.has(["[", "{"], t.value)) {
+			if (lookupBlockType().isDestAssign) {
+				if (!api.getEnvironment("es6")) {
+					warn("W104", { token: state.tokens.curr, args: ["destructuring expression"] });
 				}
-			}
-			return params;
-		} else {
-			if (parsed.identifier === true) {
-				addlabel(parsed.value, { type: "unused", token: parsed });
-				return [parsed];
+				node = enter("ExpressionStatement", t, { expression: null });
+				values = destructuringExpression();
+				values.forEach(function (tok) {
+					isundef(funct, "W117", { token: tok.token, args: [tok.id] });
+				});
+				advance("=");
+				r = enter("AssignmentExpression", t, { operator: "=", left: nodeOf(values), right: null });
+				value = expression(10, true);
+				destructuringExpressionMatch(values, value);
+				r.right = nodeOf(value);
+				node.expression = exit(r);
+				advance(";");
+				return { node: exit(node) };
 			}
 		}
-	}
+		if (t.identifier && !res && peek().id === ":") {
+			advance();
+			label = enter("LabeledStatement", t, { label: identNode(t), body: null });
+			advance(":");
+			scope = Object.create(s);
+			addlabel(t.value, { type: "label", token: t });
 
-	next = state.tokens.next;
+			if (!state.tokens.next.labelled && state.tokens.next.value !== "{") {
+				warn("W028", { token: state.tokens.next, args: [t.value, state.tokens.next.value] });
+			}
 
-	advance("(");
+			state.tokens.next.label = t.value;
+			t = state.tokens.next;
+		}
 
-	if (state.tokens.next.id === ")") {
-		advance(")");
-		return;
-	}
+		// Is it a lonely block?
 
-	for (;;) {
-		if (_.contains(["{", "["], state.tokens.next.id)) {
-			tokens = destructuringExpression();
-			for (t in tokens) {
-				t = tokens[t];
-				if (t.id) {
-					params.push(t.id);
-					addlabel(t.id, { type: "unused", token: t.token });
-				}
-			}
-		} else if (state.tokens.next.value === "...") {
-			if (!api.getEnvironment("es6")) {
-				warn("W104", { token: state.tokens.next, args: ["spread/rest operator"] });
-			}
-			advance("...");
-			ident = identifier(true);
-			params.push(ident);
-			addlabel(ident, { type: "unused", token: state.tokens.curr });
-		} else {
-			ident = identifier(true);
-			params.push(ident);
-			addlabel(ident, { type: "unused", token: state.tokens.curr });
+		if (t.id === "{") {
+			// Is it a switch case block?
+			//
+			//	switch (foo) {
+			//		case bar: { <= here.
+			//			...
+			//		}
+			//	}
+			var iscase = (funct["(verb)"] === "case" && state.tokens.curr.value === ":");
+			return labelled({ node: block(true, true, false, false, iscase).node });
 		}
 
-		// it is a syntax error to have a regular argument after a default argument
-		if (pastDefault) {
-			if (state.tokens.next.id !== "=") {
-				warn("E051", { token: state.tokens.current });
-			}
-		}
-		if (state.tokens.next.id === "=") {
-			if (!api.getEnvironment("es6")) {
-				warn("W119", { token: state.tokens.next, args: ["default parameters"] });
-			}
-			advance("=");
-			pastDefault = true;
-			expression(10);
-		}
-		if (state.tokens.next.id === ",") {
-			comma();
-		} else {
-			advance(")", next);
-			return params;
+		// Parse the statement.
+		if (!t.fud) {
+			node = enter("ExpressionStatement", t, { expression: null });
 		}
-	}
-}
-
-function doFunction(name, statement, generator, fatarrowparams) {
-	var f;
-	var oldOption  = state.option;
-	var oldIgnored = state.ignored;
-	var oldScope   = scope;
-
-	state.option   = Object.create(state.option);
-	state.ignored  = Object.create(state.ignored);
-	scope          = Object.create(scope);
 
-	funct = utils.functor(name || "\"" + anonname + "\"", state.tokens.next, scope, {
-		"(statement)": statement,
-		"(context)":   funct,
-		"(generator)": generator ? true : null
-	});
-
-	f = funct;
-	state.tokens.curr.funct = funct;
+		r = expression(0, true);
 
-	state.functions.push(funct);
-
-	if (name) {
-		addlabel(name, { type: "function" });
-	}
+		// Look for the final semicolon.
 
-	var params = funct["(params)"] = functionparams(fatarrowparams);
-	params = params || [];
+		if (!t.block) {
+			if (!state.option.expr && (!r || !r.exps)) {
+				warn("W030", { token: state.tokens.curr });
+			} else if (state.option.nonew && r && r.left && r.id === "(" && r.left.id === "new") {
+				warn("W031", { token: t });
+			}
 
-	if (state.option.maxparams && params.length > state.option.maxparams) {
-		warn("W072", { token: funct["(metrics)"].token, args: [params.length] });
-	}
+			if (state.tokens.next.id !== ";") {
+				if (!state.option.asi) {
+					// If this is the last statement in a block that ends on
+					// the same line *and* option lastsemic is on, ignore the warning.
+					// Otherwise, complain about missing semicolon.
+					if (!state.option.lastsemic || state.tokens.next.id !== "}" ||
+						state.tokens.next.line !== state.tokens.curr.line) {
+						// A '++' or '--' after a line break is taken as postfix
+						// here but is the prefix of the next statement, so a
+						// semicolon after it would split that statement.
+						last = state.tokens.curr;
+						warn("W033", {
+							coord: { line: last.line, ch: last.character },
+							fix: (last.id === "++" || last.id === "--") &&
+								state.tokens.prev.line !== last.line ? null : insertAfter(last, ";")
+						});
+					}
+				}
+			} else {
+				advance(";");
 
-	block(false, true, true, fatarrowparams ? true : false);
+				// The semicolon is part of the statement.
+				if (!node && nodeOf(r)) {
+					nodeOf(r).loc.end = endOf(state.tokens.curr);
+				}
+			}
+		}
 
-	if (generator && funct["(generator)"] !== "yielded") {
-		warn("E047", { token: state.tokens.curr });
-	}
+		if (node) {
+			node.expression = nodeOf(r);
+			r = r || {};
+			r.node = exit(node);
+		}
 
-	var metrics = funct["(metrics)"];
-	if (state.option.maxstatements && metrics.statements > state.option.maxstatements) {
-		warn("W071", { token: metrics.token, args: [ metrics.statements ] });
-	}
+		// Restore the indentation.
 
-	var max = state.option.maxcomplexity;
-	var cc = metrics.complexity;
-	if (max && cc > max) {
-		warn("W074", { token: metrics.token, args: [cc] });
+		indent = i;
+		scope = s;
+		return labelled(r);
 	}
 
-	funct["(unusedOption)"] = state.option.unused;
-
-	scope = oldScope;
-	state.option = oldOption;
-	state.ignored = oldIgnored;
-	funct["(last)"] = state.tokens.curr.line;
-	funct["(lastcharacter)"] = state.tokens.curr.character;
-	funct = funct["(context)"];
+	function statements(startLine) {
+		var a = [], p, saved;
 
-	return f;
-}
+		while (!state.tokens.next.reach && state.tokens.next.id !== "(end)") {
+			saved = checkpoint();
 
-function increaseComplexityCount() {
-	funct["(metrics)"].complexity += 1;
-}
+			try {
+				if (state.tokens.next.id === ";") {
+					p = peek();
 
-// Parse assignments that were found instead of conditionals.
-// For example: if (a = 1) { ... }
+					if (!p || (p.id !== "(" && p.id !== "[")) {
+						warn("W032", { fix: removeToken(state.tokens.next) });
+					}
 
-function checkCondAssignment(expr) {
-	var id, paren;
-	if (expr) {
-		id = expr.id;
-		paren = expr.paren;
-		if (id === "," && (expr = expr.exprs[expr.exprs.length - 1])) {
-			id = expr.id;
-			paren = paren || expr.paren;
-		}
-	}
-	switch (id) {
-	case "=":
-	case "+=":
-	case "-=":
-	case "*=":
-	case "%=":
-	case "&=":
-	case "|=":
-	case "^=":
-	case "/=":
-		if (!paren && !state.option.boss) {
-			warn("W084");
+					advance(";");
+				} else {
+					a.push(statement(startLine === state.tokens.next.line));
+				}
+			} catch (err) {
+				if (err.name !== "SyntaxRecovery") throw err;
+				recover(err, saved);
+			}
 		}
+		return a;
 	}
-}
 
-(function (x) {
-	x.nud = function (isclassdef) {
-		var b, f, i, p, t, g;
-		var props = {}; // All properties, including accessors
-		var tag = "";
+	/*
+	 * read all directives
+	 * recognizes a simple form of asi, but always
+	 * warns, if it is used
+	 */
+	function directives() {
+		var a = [], i, p, pn, node;
 
-		function saveProperty(name, tkn) {
-			if (props[name] && _.has(props, name))
-				warn("W075", { token: state.tokens.next, args: [i] });
-			else
-				props[name] = {};
-
-			props[name].basic = true;
-			props[name].basictkn = tkn;
-		}
+		for (;;) {
+			if (state.tokens.next.id === "(string)") {
+				p = peek(0);
+				if (p.id === "(endline)") {
+					i = 1;
+					do {
+						pn = peek(i);
+						i = i + 1;
+					} while (pn.id === "(endline)");
+
+					if (pn.id !== ";") {
+						if (pn.id !== "(string)" && pn.id !== "(number)" &&
+							pn.id !== "(regexp)" && pn.identifier !== true &&
+							pn.id !== "}") {
+							break;
+						}
+						warn("W033", { token: state.tokens.next, fix: insertAfter(state.tokens.next, ";") });
+					} else {
+						p = pn;
+					}
+				} else if (p.id === "}") {
+					// Directive with no other statements, warn about missing semicolon
+					warn("W033", { token: p, fix: insertAfter(state.tokens.next, ";") });
+				} else if (p.id !== ";") {
+					break;
+				}
 
-		function saveSetter(name, tkn) {
-			if (props[name] && _.has(props, name)) {
-				if (props[name].basic || props[name].setter)
-					warn("W075", { token: state.tokens.next, args: [i] });
-			} else {
-				props[name] = {};
-			}
+				advance();
+				node = enter("ExpressionStatement", state.tokens.curr, {
+					expression: leaf("Literal", state.tokens.curr, { value: state.tokens.curr.value }),
+					directive: state.tokens.curr.value
+				});
 
-			props[name].setter = true;
-			props[name].setterToken = tkn;
-		}
+				if (state.directive[state.tokens.curr.value]) {
+					warn("W034", { token: state.tokens.curr, args: [state.tokens.curr.value] });
+				}
 
-		function saveGetter(name) {
-			if (props[name] && _.has(props, name)) {
-				if (props[name].basic || props[name].getter)
-					warn("W075", { token: state.tokens.next, args: [i] });
-			} else {
-				props[name] = {};
-			}
+				if (state.tokens.curr.value === "use strict") {
+					state.option.undef = true;
+				}
 
-			props[name].getter = true;
-			props[name].getterToken = state.tokens.curr;
-		}
+				// there's no directive negation, so always set to true
+				state.directive[state.tokens.curr.value] = true;
 
-		b = state.tokens.curr.line !== state.tokens.next.line;
-		if (b) {
-			indent += state.option.indent;
-			if (state.tokens.next.from === indent + state.option.indent) {
-				indent += state.option.indent;
+				if (p.id === ";") {
+					advance(";");
+				}
+				a.push(exit(node));
+				continue;
 			}
+			break;
 		}
+		return a;
+	}
+
+	/*
+	 * Parses a single block. A block is a sequence of statements wrapped in
+	 * braces.
+	 *
+	 * ordinary   - true for everything but function bodies and try blocks.
+	 * stmt       - true if block can be a single statement (e.g. in if/for/while).
+	 * isfunc     - true if block is a function body
+	 * isfatarrow - true if block is a body of a fat arrow function
+	 * iscase     - true if block is a switch case block
+	 *
+	 * Returns the parsed statements. Their AST node, either a BlockStatement,
+	 * a single statement or the expression body of a function, is in the node
+	 * property.
+	 */
+	function block(ordinary, stmt, isfunc, isfatarrow, iscase) {
+		var a = [];
+		var b = inblock;
+		var old_indent = indent;
+		var m;
+		var s = scope;
+		var t;
+		var line;
+		var d;
+		var node;
+		var dirs = [];
+
+		inblock = ordinary;
+
+		if (!ordinary || !state.option.funcscope)
+			scope = Object.create(scope);
 
-		for (;;) {
-			if (state.tokens.next.id === "}") {
-				break;
-			}
-
-			if (isclassdef && state.tokens.next.value === "static") {
-				advance("static");
-				tag = "static ";
-			}
-
-			if (state.tokens.next.value === "get" && peek().id !== ":") {
-				advance("get");
+		t = state.tokens.next;
 
-				if (!api.getEnvironment("es5", !isclassdef))
-					warn("E034");
+		var metrics = funct["(metrics)"];
+		var max = state.option.maxdepth;
+		metrics.blockDepth += 1;
 
-				i = property_name();
+		// Global code has no function body block.
+		metrics.depth = Math.max(metrics.depth, metrics.blockDepth + (funct["(global)"] ? 1 : 0));
 
-				// ES6 allows for get() {...} and set() {...} method
-				// definition shorthand syntax, so we don't produce an error
-				// if the esnext option is enabled.
-				if (!i && !api.getEnvironment("es6"))
-					warn("E035");
+		if (max && metrics.blockDepth > 0 && metrics.blockDepth === max + 1) {
+			warn("W073", { token: null, args: [ metrics.blockDepth ] });
+		}
 
-				// It is a Syntax Error if PropName of MethodDefinition is
-				// "constructor" and SpecialMethod of MethodDefinition is true.
-				if (isclassdef && i === "constructor")
-					warn("E049", { token: state.tokens.next, args: ["class getter method", i] });
+		if (state.tokens.next.id === "{") {
+			node = enter("BlockStatement", t, { body: [] });
+			advance("{");
 
-				// We don't want to save this getter unless it's an actual getter
-				// and not an ES6 concise method
-				if (i)
-					saveGetter(tag + i);
+			// create a new block scope
+			funct["(blockscope)"].stack();
 
-				t = state.tokens.next;
-				f = doFunction();
-				p = f["(params)"];
-				// Don't warn about getter/setter pairs if this is an ES6 concise method
-				if (i && p)
-					warn("W076", { token: t, args: [p[0], i] });
+			line = state.tokens.curr.line;
+			if (state.tokens.next.id !== "}") {
+				indent += state.option.indent;
+				while (!ordinary && state.tokens.next.from > indent) {
+					indent += state.option.indent;
+				}
 
-			} else if (state.tokens.next.value === "set" && peek().id !== ":") {
-				advance("set");
+				if (isfunc) {
+					m = {};
+					for (d in state.directive) {
+						if (_.has(state.directive, d)) {
+							m[d] = state.directive[d];
+						}
+					}
+					dirs = directives();
 
-				if (!api.getEnvironment("es5", !isclassdef))
-					warn("E034");
+					if (state.option.strict && funct["(context)"]["(global)"]) {
+						if (!m["use strict"] && !state.directive["use strict"]) {
+							warn("E007");
+						}
+					}
+				}
 
-				i = property_name();
+				a = statements(line);
 
-				// ES6 allows for get() {...} and set() {...} method
-				// definition shorthand syntax, so we don't produce an error
-				// if the esnext option is enabled.
-				if (!i && !api.getEnvironment("es6"))
-					warn("E035");
+				metrics.statements += a.length;
 
-				// It is a Syntax Error if PropName of MethodDefinition is
-				// "constructor" and SpecialMethod of MethodDefinition is true.
-				if (isclassdef && i === "constructor")
-					warn("E049", { token: state.tokens.next, args: ["class setter method", i ] });
+				if (isfunc) {
+					state.directive = m;
+				}
 
-				// We don't want to save this getter unless it's an actual getter
-				// and not an ES6 concise method
-				if (i)
-					saveSetter(tag + i, state.tokens.next);
+				indent -= state.option.indent;
+			}
+			advance("}", t);
 
-				t = state.tokens.next;
-				f = doFunction();
-				p = f["(params)"];
+			node.body = dirs.concat(_.compact(a.map(nodeOf)));
+			a.node = exit(node);
 
-				// Don't warn about getter/setter pairs if this is an ES6 concise method
-				if (i && (!p || p.length !== 1))
-					warn("W077", { token: t, args: [i] });
-			} else {
-				g = false;
-				if (state.tokens.next.value === "*" && state.tokens.next.type === "(punctuator)") {
-					if (!api.getEnvironment("es6")) {
-						warn("W104", { token: state.tokens.next, args: ["generator functions"] });
-					}
-					advance("*");
-					g = true;
-				}
-				i = property_name();
-				saveProperty(tag + i, state.tokens.next);
+			funct["(blockscope)"].unstack();
 
-				if (typeof i !== "string") {
-					break;
+			indent = old_indent;
+		} else if (!ordinary) {
+			if (isfunc) {
+				m = {};
+				if (stmt && !isfatarrow && !api.getEnvironment("moz", true)) {
+					warn("W118", { token: state.tokens.curr, args: ["function closure expressions"] });
 				}
 
-				if (state.tokens.next.value === "(") {
-					if (!api.getEnvironment("es6")) {
-						warn("W104", { token: state.tokens.curr, args: ["concise methods"] });
+				if (!stmt) {
+					for (d in state.directive) {
+						if (_.has(state.directive, d)) {
+							m[d] = state.directive[d];
+						}
 					}
-					doFunction(i, undefined, g);
-				} else if (!isclassdef) {
-					advance(":");
-					expression(10);
 				}
-			}
-			// It is a Syntax Error if PropName of MethodDefinition is "prototype".
-			if (isclassdef && i === "prototype") {
-				warn("E049", { token: state.tokens.next, args: ["class method", i] });
-			}
+				a.node = nodeOf(expression(10));
 
-			if (isclassdef) {
-				tag = "";
-				continue;
-			}
-			if (state.tokens.next.id === ",") {
-				comma({ allowTrailing: true, property: true });
-				if (state.tokens.next.id === ",") {
-					warn("W070", { token: state.tokens.curr });
-				} else if (state.tokens.next.id === "}" && !api.getEnvironment("es5", true)) {
-					warn("W070", { token: state.tokens.curr });
+				if (state.option.strict && funct["(context)"]["(global)"]) {
+					if (!m["use strict"] && !state.directive["use strict"]) {
+						warn("E007");
+					}
 				}
 			} else {
-				break;
+				warn("E021", { token: state.tokens.next, args: ["{", state.tokens.next.value] });
 			}
-		}
-		if (b) {
-			indent -= state.option.indent;
-		}
-		advance("}", this);
+		} else {
 
-		// Check for lonely setters if in the ES5 mode.
-		if (api.getEnvironment("es5")) {
-			for (var name in props) {
-				if (_.has(props, name) && props[name].setter && !props[name].getter) {
-					warn("W078", { token: props[name].setterToken });
-				}
+			// check to avoid let declaration not within a block
+			funct["(nolet)"] = true;
+
+			if (!stmt || state.option.curly) {
+				warn("W116", { token: state.tokens.next, args: ["{", state.tokens.next.value] });
 			}
-		}
-		return this;
-	};
-	x.fud = function () {
-		warn("E036", { token: state.tokens.curr });
-	};
-}(delim("{")));
 
-function destructuringExpression() {
-	var id, ids;
-	var identifiers = [];
-	if (!api.getEnvironment("es6")) {
-		warn("W104", { token: state.tokens.curr, args: ["destructuring expression"] });
-	}
-	var nextInnerDE = function () {
-		var ident;
-		if (_.contains(["[", "{"], state.tokens.next.value)) {
-			ids = destructuringExpression();
-			for (var id in ids) {
-				id = ids[id];
-				identifiers.push({ id: id.id, token: id.token });
-			}
-		} else if (state.tokens.next.value === ",") {
-			identifiers.push({ id: null, token: state.tokens.curr });
-		} else {
-			ident = identifier();
-			if (ident)
-				identifiers.push({ id: ident, token: state.tokens.curr });
-		}
-	};
-	if (state.tokens.next.value === "[") {
-		advance("[");
-		nextInnerDE();
-		while (state.tokens.next.value !== "]") {
-			advance(",");
-			nextInnerDE();
-		}
-		advance("]");
-	} else if (state.tokens.next.value === "{") {
-		advance("{");
-		id = identifier();
-		if (state.tokens.next.value === ":") {
-			advance(":");
-			nextInnerDE();
-		} else {
-			identifiers.push({ id: id, token: state.tokens.curr });
+			noreach = true;
+			indent += state.option.indent;
+			// test indentation only if statement is in new line
+			a = [statement(state.tokens.next.line === state.tokens.curr.line)];
+			a.node = nodeOf(a[0]);
+			indent -= state.option.indent;
+			noreach = false;
+
+			delete funct["(nolet)"];
 		}
-		while (state.tokens.next.value !== "}") {
-			advance(",");
-			id = identifier();
-			if (state.tokens.next.value === ":") {
-				advance(":");
-				nextInnerDE();
-			} else {
-				identifiers.push({ id: id, token: state.tokens.curr });
-			}
+		// Don't clear and let it propagate out if it is "break", "return", or "throw" in switch case
+		if (!(iscase && ["break", "return", "throw"].indexOf(funct["(verb)"]) != -1)) {
+			funct["(verb)"] = null;
 		}
-		advance("}");
+
+		if (!ordinary || !state.option.funcscope) scope = s;
+		inblock = b;
+		metrics.blockDepth -= 1;
+		return a;
 	}
-	return identifiers;
-}
-function destructuringExpressionMatch(tokens, value) {
-	var first = value.first;
 
-	if (!first)
-		return;
+	function note_implied(tkn) {
+		var name = tkn.value;
+		var desc = Object.getOwnPropertyDescriptor(state.implied, name);
 
-	_.zip(tokens, Array.isArray(first) ? first : [ first ]).forEach(function (val) {
-		var token = val[0];
-		var value = val[1];
+		if (!desc)
+			state.implied[name] = [tkn.line];
+		else
+			desc.value.push(tkn.line);
+	}
 
-		if (token && value)
-			token.first = value;
-		else if (token && token.first && !value)
-			warn("W080", { token: token.first, args: [token.first.value] });
-	});
-}
+	// Build the syntax table by declaring the syntactic elements of the language.
 
-var conststatement = stmt("const", function (prefix) {
-	var tokens;
-	var value;
-	var lone; // State variable to know if it is a lone identifier, or a destructuring statement.
+	type("(number)", function () {
+		// Legacy octal literals are the only ones Number() gets wrong.
+		var value = /^0[0-7]+$/.test(this.value) ? parseInt(this.value, 8) : +this.value;
+		this.node = leaf("Literal", this, { value: value });
+		return this;
+	});
 
-	if (!api.getEnvironment("es6")) {
-		warn("W104", { token: state.tokens.curr, args: ["const"] });
-	}
+	type("(string)", function () {
+		this.node = leaf("Literal", this, { value: this.value });
+		return this;
+	});
 
-	this.first = [];
-	for (;;) {
-		var names = [];
-		if (_.contains(["{", "["], state.tokens.next.value)) {
-			tokens = destructuringExpression();
-			lone = false;
-		} else {
-			tokens = [ { id: identifier(), token: state.tokens.curr } ];
-			lone = true;
-		}
-		for (var t in tokens) {
-			t = tokens[t];
-			if (funct[t.id] === "const") {
-				warn("E011", { token: null, args: [t.id] });
+	syntax["(identifier)"] = {
+		type: "(identifier)",
+		lbp: 0,
+		identifier: true,
+
+		nud: function () {
+			var v = this.value;
+			var s = scope[v];
+			var f;
+			var block;
+
+			if (typeof s === "function") {
+				// Protection against accidental inheritance.
+				s = undefined;
+			} else if (!funct["(blockscope)"].current.has(v) && typeof s === "boolean") {
+				f = funct;
+				funct = state.functions[0];
+				addlabel(v, { type: "var" });
+				s = funct;
+				funct = f;
 			}
-			if (funct["(global)"] && predefined[t.id] === false) {
-				warn("W079", { token: t.token, args: [t.id] });
-			}
-			if (t.id) {
-				addlabel(t.id, { type: "const", token: t.token, unused: true });
-				names.push(t.token);
+
+			if (_.has(funct, "(blockscope)")) {
+				block = funct["(blockscope)"].getlabel(v);
 			}
-		}
-		if (prefix) {
-			break;
-		}
 
-		this.first = this.first.concat(names);
+			// The name is in scope and defined in the current function.
+			if (funct === s || block) {
+				// Change 'unused' to 'var', and reject labels.
+				// the name is in a block scope
+				switch (block ? block[v]["(type)"] : funct[v]) {
+				case "unused":
+					if (block) block[v]["(type)"] = "var";
+					else funct[v] = "var";
+					break;
+				case "unction":
+					if (block) block[v]["(type)"] = "function";
+					else funct[v] = "function";
+					this["function"] = true;
+					break;
+				case "const":
+					utils.setprop(funct, v, { unused: false });
+					break;
+				case "function":
+					this["function"] = true;
+					break;
+				case "label":
+					warn("W037", { token: state.tokens.curr, args: [v] });
+					break;
+				}
+			} else if (funct["(global)"]) {
+				// The name is not defined in the function.  If we are in the global
+				// scope, then we have an undefined variable.
+				//
+				// Operators typeof and delete do not raise runtime errors even if
+				// the base object of a reference is null so no need to display warning
+				// if we're inside of typeof or delete.
+
+				if (typeof predefined[v] !== "boolean") {
+					// Attempting to subscript a null reference will throw an
+					// error, even within the typeof and delete operators
+					if (!(anonname === "typeof" || anonname === "delete") ||
+						(state.tokens.next && (state.tokens.next.value === "." ||
+							state.tokens.next.value === "["))) {
 
-		if (state.tokens.next.id !== "=") {
-			warn("E012", { token: state.tokens.curr, args: [state.tokens.curr.value] });
-		}
+						// if we're in a list comprehension, variables are declared
+						// locally and used before being defined. So we check
+						// the presence of the given variable in the comp array
+						// before declaring it undefined.
 
-		if (state.tokens.next.id === "=") {
-			advance("=");
-			if (state.tokens.next.id === "undefined") {
-				warn("W080", { token: state.tokens.prev, args: [state.tokens.prev.value] });
-			}
-			if (peek(0).id === "=" && state.tokens.next.identifier) {
-				warn("W120", { token: state.tokens.next, args: [state.tokens.next.value] });
-			}
-			value = expression(10);
-			if (lone) {
-				tokens[0].first = value;
+						if (!funct["(comparray)"].check(v)) {
+							isundef(funct, "W117", { token: state.tokens.curr, args: [v] });
+						}
+					}
+				}
+
+				note_implied(state.tokens.curr);
 			} else {
-				destructuringExpressionMatch(names, value);
-			}
-		}
+				// If the name is already defined in the current
+				// function, but not as outer, then there is a scope error.
+
+				switch (funct[v]) {
+				case "closure":
+				case "function":
+				case "var":
+				case "unused":
+					warn("W038", { token: state.tokens.curr, args: [v] });
+					break;
+				case "label":
+					warn("W037", { token: state.tokens.curr, args: [v] });
+					break;
+				case "outer":
+				case "global":
+					break;
+				default:
+					// If the name is defined in an outer function, make an outer entry,
+					// and if it was unused, make it var.
+					if (s === true) {
+						funct[v] = true;
+					} else if (s === null) {
+						warn("W039", { token: state.tokens.curr, args: [v] });
+						note_implied(state.tokens.curr);
+					} else if (typeof s !== "object") {
+						// Operators typeof and delete do not raise runtime errors even
+						// if the base object of a reference is null so no need to
+						//
+						// display warning if we're inside of typeof or delete.
+						// Attempting to subscript a null reference will throw an
+						// error, even within the typeof and delete operators
+						if (!(anonname === "typeof" || anonname === "delete") ||
+							(state.tokens.next &&
+								(state.tokens.next.value === "." || state.tokens.next.value === "["))) {
+
+							isundef(funct, "W117", { token: state.tokens.curr, args: [v] });
+						}
+						funct[v] = true;
+						note_implied(state.tokens.curr);
+					} else {
+						switch (s[v]) {
+						case "function":
+						case "unction":
+							this["function"] = true;
+							s[v] = "closure";
+							funct[v] = s["(global)"] ? "global" : "outer";
+							break;
+						case "var":
+						case "unused":
+							s[v] = "closure";
+							funct[v] = s["(global)"] ? "global" : "outer";
+							break;
+						case "const":
+							utils.setprop(s, v, { unused: false });
+							break;
+						case "closure":
+							funct[v] = s["(global)"] ? "global" : "outer";
+							break;
+						case "label":
+							warn("W037", { token: state.tokens.curr, args: [v] });
+						}
 
-		if (state.tokens.next.id !== ",") {
-			break;
-		}
-		comma();
-	}
-	return this;
-});
-conststatement.exps = true;
-var varstatement = stmt("var", function (prefix) {
-	// JavaScript does not have block scope. It only has function scope. So,
-	// declaring a variable in a block can have unexpected consequences.
-	var tokens, lone, value;
-
-	this.first = [];
-	for (;;) {
-		var names = [];
-		if (_.contains(["{", "["], state.tokens.next.value)) {
-			tokens = destructuringExpression();
-			lone = false;
-		} else {
-			tokens = [ { id: identifier(), token: state.tokens.curr } ];
-			lone = true;
-		}
-		for (var t in tokens) {
-			t = tokens[t];
-			if (api.getEnvironment("es6") && funct[t.id] === "const") {
-				warn("E011", { token: null, args: [t.id] });
-			}
-			if (funct["(global)"] && predefined[t.id] === false) {
-				warn("W079", { token: t.token, args: [t.id] });
-			}
-			if (t.id) {
-				addlabel(t.id, { type: "unused", token: t.token });
-				names.push(t.token);
+						// Remember where an outer name was first used in this function.
+						if (funct[v] === "outer" || funct[v] === "global")
+							funct["(tokens)"][v] = this;
+					}
+				}
 			}
-		}
-		if (prefix) {
-			break;
-		}
 
-		this.first = this.first.concat(names);
+			this.node = identNode(this);
+			return this;
+		},
 
-		if (state.tokens.next.id === "=") {
-			advance("=");
-			if (state.tokens.next.id === "undefined") {
-				warn("W080", { token: state.tokens.prev, args: [state.tokens.prev.value] });
-			}
-			if (peek(0).id === "=" && state.tokens.next.identifier) {
-				warn("W120", { token: state.tokens.next, args: [state.tokens.next.value] });
-			}
-			value = expression(10);
-			if (lone) {
-				tokens[0].first = value;
-			} else {
-				destructuringExpressionMatch(names, value);
-			}
+		led: function () {
+			warn("E033", { token: state.tokens.next, args: [state.tokens.next.value] });
 		}
+	};
 
-		if (state.tokens.next.id !== ",") {
-			break;
-		}
-		comma();
-	}
-	return this;
-});
-varstatement.exps = true;
-var letstatement = stmt("let", function (prefix) {
-	var tokens, lone, value, letblock;
+	type("(regexp)", function () {
+		var i = this.value.lastIndexOf("/");
+		var regex = { pattern: this.value.slice(1, i), flags: this.value.slice(i + 1) };
+		var value = null;
 
-	if (!api.getEnvironment("es6")) {
-		warn("W104", { token: state.tokens.curr, args: ["let"] });
-	}
+		try {
+			value = new RegExp(regex.pattern, regex.flags);
+		} catch (err) {
+			// Flags or syntax the host engine does not support.
+		}
 
-	if (state.tokens.next.value === "(") {
-		if (!api.getEnvironment("moz", true))
-			warn("W118", { token: state.tokens.next, args: ["let block"] });
+		this.node = leaf("Literal", this, { value: value, regex: regex });
+		return this;
+	});
 
-		advance("(");
-		funct["(blockscope)"].stack();
-		letblock = true;
-	} else if (funct["(nolet)"]) {
-		warn("E048", { token: state.tokens.curr });
-	}
-
-	this.first = [];
-	for (;;) {
-		var names = [];
-		if (_.contains(["{", "["], state.tokens.next.value)) {
-			tokens = destructuringExpression();
-			lone = false;
-		} else {
-			tokens = [ { id: identifier(), token: state.tokens.curr.value } ];
-			lone = true;
+	// ECMAScript parser
+
+	delim("(endline)");
+	delim("(begin)");
+	delim("(end)").reach = true;
+	delim("(error)").reach = true;
+	delim("}").reach = true;
+	delim(")");
+	delim("]");
+	delim("\"").reach = true;
+	delim("'").reach = true;
+	delim(";");
+	delim(":").reach = true;
+	delim("#");
+
+	reserve("else");
+	reserve("case").reach = true;
+	reserve("catch");
+	reserve("default").reach = true;
+	reserve("finally");
+	reservevar("arguments", function (x) {
+		if (state.directive["use strict"] && funct["(global)"]) {
+			warn("E008", { token: x });
 		}
-		for (var t in tokens) {
-			t = tokens[t];
-			if (api.getEnvironment("es6") && funct[t.id] === "const") {
-				warn("E011", { token: null, args: [t.id] });
-			}
-			if (funct["(global)"] && predefined[t.id] === false) {
-				warn("W079", { token: t.token, args: [t.id] });
-			}
-			if (t.id && !funct["(nolet)"]) {
-				addlabel(t.id, { type: "unused", token: t.token, islet: true });
-				names.push(t.token);
-			}
+	});
+	reservevar("eval");
+	reservevar("false");
+	reservevar("Infinity");
+	reservevar("null");
+	reservevar("this", function (x) {
+		if (state.directive["use strict"] && !state.option.validthis && ((funct["(statement)"] &&
+				funct["(name)"].charAt(0) > "Z") || funct["(global)"])) {
+			warn("W040", { token: x });
 		}
-		if (prefix) {
-			break;
+	});
+	reservevar("true");
+	reservevar("undefined");
+
+	assignop("=", "assign", 20);
+	assignop("+=", "assignadd", 20);
+	assignop("-=", "assignsub", 20);
+	assignop("*=", "assignmult", 20);
+	assignop("/=", "assigndiv", 20).nud = function () { warn("E014") };
+	assignop("%=", "assignmod", 20);
+
+	bitwiseassignop("&=", "assignbitand", 20);
+	bitwiseassignop("|=", "assignbitor", 20);
+	bitwiseassignop("^=", "assignbitxor", 20);
+	bitwiseassignop("<<=", "assignshiftleft", 20);
+	bitwiseassignop(">>=", "assignshiftright", 20);
+	bitwiseassignop(">>>=", "assignshiftrightunsigned", 20);
+	infix(",", function (left, that) {
+		var expr;
+		var node = enter("SequenceExpression", left || that, { expressions: [] });
+
+		that.exprs = [left];
+		if (comma({peek: true})) {
+			while (true) {
+				if (!(expr = expression(10)))  {
+					break;
+				}
+				that.exprs.push(expr);
+				if (state.tokens.next.value !== "," || !comma()) {
+					break;
+				}
+			}
 		}
 
-		this.first = this.first.concat(names);
+		node.expressions = _.compact(that.exprs.map(nodeOf));
+		that.node = exit(node);
+		return that;
+	}, 10, true);
 
-		if (state.tokens.next.id === "=") {
-			advance("=");
-			if (state.tokens.next.id === "undefined") {
-				warn("W080", { token: state.tokens.prev, args: [state.tokens.prev.value] });
-			}
-			if (peek(0).id === "=" && state.tokens.next.identifier) {
-				warn("W120", { token: state.tokens.next, args: [state.tokens.next.value] });
-			}
-			value = expression(10);
-			if (lone) {
-				tokens[0].first = value;
-			} else {
-				destructuringExpressionMatch(names, value);
-			}
-		}
+	infix("?", function (left, that) {
+		var node = enter("ConditionalExpression", left || that, {
+			test: nodeOf(left),
+			consequent: null,
+			alternate: null
+		});
 
-		if (state.tokens.next.id !== ",") {
-			break;
-		}
-		comma();
-	}
-	if (letblock) {
-		advance(")");
-		block(true, true);
-		this.block = true;
-		funct["(blockscope)"].unstack();
-	}
+		increaseComplexityCount();
+		that.left = left;
+		that.right = expression(10);
+		advance(":");
+		that["else"] = expression(10);
 
-	return this;
-});
-letstatement.exps = true;
+		node.consequent = nodeOf(that.right);
+		node.alternate = nodeOf(that["else"]);
+		that.node = exit(node);
+		return that;
+	}, 30);
 
-blockstmt("class", function () {
-	return classdef.call(this, true);
-});
+	var orPrecendence = 40;
+	infix("||", function (left, that) {
+		increaseComplexityCount();
+		that.node = binary("LogicalExpression", left, that, orPrecendence);
+		return that;
+	}, orPrecendence);
+	infix("&&", "and", 50);
+	bitwise("|", "bitor", 70);
+	bitwise("^", "bitxor", 80);
+	bitwise("&", "bitand", 90);
 
-function classdef(stmt) {
-	/*jshint validthis:true */
-	if (!api.getEnvironment("es6")) {
-		warn("W104", { token: state.tokens.curr, args: ["class"] });
-	}
-	if (stmt) {
-		// BindingIdentifier
-		this.name = identifier();
-		addlabel(this.name, { type: "unused", token: state.tokens.curr });
-	} else if (state.tokens.next.identifier && state.tokens.next.value !== "extends") {
-		// BindingIdentifier(opt)
-		this.name = identifier();
+	function operatorFix(t, text) {
+		return edit({ line: t.line, ch: t.from }, { line: t.line, ch: t.character }, text);
 	}
-	classtail(this);
-	return this;
-}
-
-function classtail(c) {
-	var strictness = state.directive["use strict"];
 
-	// ClassHeritage(opt)
-	if (state.tokens.next.value === "extends") {
-		advance("extends");
-		c.heritage = expression(10);
+	// '== null' and '== undefined' also match the other one, so making them
+	// strict would change what the code does.
+	function isNullish(node) {
+		return node && (node.type === "null" || node.type === "undefined");
 	}
 
-	// A ClassBody is always strict code.
-	state.directive["use strict"] = true;
-	advance("{");
-	// ClassBody(opt)
-	c.body = syntax["{"].nud(true);
-	state.directive["use strict"] = strictness;
-}
+	relation("==", function (left, right) {
+		var eqnull = state.option.eqnull && (left.value === "null" || right.value === "null");
+		var fix;
 
-blockstmt("function", function () {
-	var generator = false;
-	if (state.tokens.next.value === "*") {
-		advance("*");
-		if (api.getEnvironment("es6", true)) {
-			generator = true;
-		} else {
-			warn("W119", { token: state.tokens.curr, args: ["function*"] });
+		switch (true) {
+			case !eqnull && state.option.eqeqeq:
+				fix = operatorFix(this, "===");
+				warn("W116", {
+					token: this,
+					args:  ["===", "=="],
+					fix:   isNullish(left) || isNullish(right) ? null : fix
+				});
+				break;
+			case isPoorRelation(left):
+				warn("W041", { token: this, args: ["===", left.value] });
+				break;
+			case isPoorRelation(right):
+				warn("W041", { token: this, args: ["===", right.value] });
+				break;
+			case isTypoTypeof(right, left):
+				warn("W122", { token: this, args: [right.value] });
+				break;
+			case isTypoTypeof(left, right):
+				warn("W122", { token: this, args: [left.value] });
 		}
-	}
-	if (inblock) {
-		warn("W082", { token: state.tokens.curr });
 
+		return this;
+	});
+
+	relation("===", function (left, right) {
+		if (isTypoTypeof(right, left))
+			warn("W122", { token: this, args: [right.value] });
+		else if (isTypoTypeof(left, right))
+			warn("W122", { token: this, args: [left.value] });
+
+		return this;
+	});
+
+	relation("!=", function (left, right) {
+		var eqnull = state.option.eqnull && (left.value === "null" || right.value === "null");
+		var fix;
+
+		switch (true) {
+			case !eqnull && state.option.eqeqeq:
+				fix = operatorFix(this, "!==");
+				warn("W116", {
+					token: this,
+					args:  ["!==", "!="],
+					fix:   isNullish(left) || isNullish(right) ? null : fix
+				});
+				break;
+			case isPoorRelation(left):
+				warn("W041", { token: this, args: ["!==", left.value] });
+				break;
+			case isPoorRelation(right):
+				warn("W041", { token: this, args: ["!==", right.value] });
+				break;
+			case isTypoTypeof(right, left):
+				warn("W122", { token: this, args: [right.value] });
+				break;
+			case isTypoTypeof(left, right):
+				warn("W122", { token: this, args: [left.value] });
+		}
+
+		return this;
+	});
+
+	relation("!==", function (left, right) {
+		if (isTypoTypeof(right, left))
+			warn("W122", { token: this, args: [right.value] });
+		else if (isTypoTypeof(left, right))
+			warn("W122", { token: this, args: [left.value] });
+
+		return this;
+	});
+
+	relation("<");
+	relation(">");
+	relation("<=");
+	relation(">=");
+	bitwise("<<", "shiftleft", 120);
+	bitwise(">>", "shiftright", 120);
+	bitwise(">>>", "shiftrightunsigned", 120);
+	infix("in", "in", 120);
+	infix("instanceof", "instanceof", 120);
+	infix("+", function (left, that) {
+		var node = binary("BinaryExpression", left, that, 130);
+		var right = that.right;
+
+		if (left && right && left.id === "(string)" && right.id === "(string)") {
+			left.value += right.value;
+			left.character = right.character;
+			left.node = node;
+			if (!state.option.scripturl && reg.javascriptURL.test(left.value)) {
+				warn("W050", { token: left });
+			}
+			return left;
+		}
+
+		that.node = node;
+		return that;
+	}, 130);
+	prefix("+", "num");
+	prefix("+++", function () {
+		warn("W007");
+		this.right = expression(150);
+		this.arity = "unary";
+		return this;
+	});
+	infix("+++", function (left) {
+		warn("W007");
+		this.left = left;
+		this.right = expression(130);
+		return this;
+	}, 130);
+	infix("-", "sub", 130);
+	prefix("-", "neg");
+	prefix("---", function () {
+		warn("W006");
+		this.right = expression(150);
+		this.arity = "unary";
+		return this;
+	});
+	infix("---", function (left) {
+		warn("W006");
+		this.left = left;
+		this.right = expression(130);
+		return this;
+	}, 130);
+	infix("*", "mult", 140);
+	infix("/", "div", 140);
+	infix("%", "mod", 140);
+
+	suffix("++", "postinc");
+	prefix("++", "preinc");
+	syntax["++"].exps = true;
+
+	suffix("--", "postdec");
+	prefix("--", "predec");
+	syntax["--"].exps = true;
+	prefix("delete", function () {
+		var node = enter("UnaryExpression", this, { operator: "delete", prefix: true, argument: null });
+		var p = expression(10);
+		if (!p || (p.id !== "." && p.id !== "[")) {
+			warn("W051");
+		}
+		this.first = p;
+		node.argument = nodeOf(p);
+		this.node = exit(node);
+		return this;
+	}).exps = true;
+
+	prefix("~", function () {
+		var node = enter("UnaryExpression", this, { operator: "~", prefix: true, argument: null });
+		if (state.option.bitwise) {
+			warn("W052", { token: this, args: ["~"] });
+		}
+		node.argument = nodeOf(expression(150));
+		this.node = exit(node);
+		return this;
+	});
+
+	prefix("...", function () {
+		var node = enter("SpreadElement", this, { argument: null });
+
+		if (!api.getEnvironment("es6"))
+			warn("W104", { token: this, args: ["spread/rest operator"] });
+
+		if (!state.tokens.next.identifier)
+			warn("E030", { token: state.tokens.next, args: [state.tokens.next.value] });
+
+		node.argument = nodeOf(expression(150));
+		this.node = exit(node);
+		return this;
+	});
+
+	prefix("!", function () {
+		// These are operators that should not be used with the ! operator.
+		var bang = [ "<", "<=", "==", "===", "!==", "!=", ">", ">=", "+", "-", "*", "/", "%" ];
+		var node = enter("UnaryExpression", this, { operator: "!", prefix: true, argument: null });
+
+		this.right = expression(150);
+		this.arity = "unary";
+
+		if (!this.right)
+			fail(this.line, this.from); // '!' followed by nothing? Give up.
+
+		node.argument = nodeOf(this.right);
+		this.node = exit(node);
+
+		if (_.contains(bang, this.right.id))
+			warn("W018", { token: this, args: ["!"] });
+
+		return this;
+	});
+
+	prefix("typeof", "typeof");
+	prefix("new", function () {
+		var node = enter("NewExpression", this, { callee: null, arguments: null });
+		var c = expression(155), i;
+
+		// Arguments, if any, are parsed by the call operator which then
+		// completes the node. In 'new new Foo()()' the first ones belong to
+		// the inner 'new' and the next ones to this one.
+		if (c && c.id === "new" && !c.paren && state.tokens.next.id === "(") {
+			advance("(");
+			c = state.tokens.curr.led(c);
+		}
+
+		node.callee = nodeOf(c);
+		if (node.callee && node.callee.type === "NewExpression" && !node.callee.arguments) {
+			node.callee.arguments = [];
+			exit(node.callee);
+		}
+
+		this.node = node;
+		if (state.tokens.next.id !== "(") {
+			node.arguments = [];
+			exit(node);
+		}
+
+		if (c && c.id !== "function") {
+			if (c.identifier) {
+				c["new"] = true;
+				switch (c.value) {
+				case "Number":
+				case "String":
+				case "Boolean":
+				case "Math":
+				case "JSON":
+					warn("W053", { token: state.tokens.prev, args: [c.value] });
+					break;
+				case "Function":
+					if (!state.option.evil) {
+						warn("W054");
+					}
+					break;
+				case "Date":
+				case "RegExp":
+				case "this":
+					break;
+				default:
+					if (c.id !== "function") {
+						i = c.value.substr(0, 1);
+					}
+				}
+			} else {
+				if (c.id !== "." && c.id !== "[" && c.id !== "(") {
+					warn("W056", { token: state.tokens.curr });
+				}
+			}
+		} else {
+			if (!state.option.supernew)
+				warn("W057", { token: this });
+		}
+
+		if (state.tokens.next.id !== "(" && !state.option.supernew) {
+			warn("W058", { token: state.tokens.curr, args: [state.tokens.curr.value] });
+		}
+		this.first = c;
+		return this;
+	});
+	syntax["new"].exps = true;
+
+	prefix("void").exps = true;
+
+	infix(".", function (left, that) {
+		var node = enter("MemberExpression", left || that, {
+			object: nodeOf(left),
+			property: null,
+			computed: false
+		});
+		var m = identifier(false, true);
+
+		that.left = left;
+		that.right = m;
+
+		if (m) {
+			node.property = identNode(state.tokens.curr);
+		}
+		that.node = exit(node);
+
+		if (m && m === "hasOwnProperty" && state.tokens.next.value === "=") {
+			warn("W001");
+		}
+
+		if (left && left.value === "arguments" && (m === "callee" || m === "caller")) {
+			if (state.option.noarg)
+				warn("W059", { token: left, args: [m] });
+			else if (state.directive["use strict"])
+				warn("E008");
+		} else if (!state.option.evil && left && left.value === "document" &&
+				(m === "write" || m === "writeln")) {
+			warn("W060", { token: left });
+		}
+
+		if (!state.option.evil && (m === "eval" || m === "execScript")) {
+			warn("W061");
+		}
+
+		return that;
+	}, 160, true);
+
+	infix("(", function (left, that) {
+		var n = 0;
+		var p = [];
+		var node;
+
+		// The call operator completes the node of a preceding 'new'.
+		if (left && left.id === "new" && !left.paren && nodeOf(left) && !nodeOf(left).arguments) {
+			node = nodeOf(left);
+		} else {
+			node = enter("CallExpression", left || that, { callee: nodeOf(left), arguments: null });
+		}
+
+		if (left) {
+			if (left.type === "(identifier)") {
+				if (left.value.match(/^[A-Z]([A-Z0-9_$]*[a-z][A-Za-z0-9_$]*)?$/)) {
+					if ("Number String Boolean Date Object".indexOf(left.value) === -1) {
+						if (left.value === "Math") {
+							warn("W063", { token: left });
+						}
+					}
+				}
+			}
+		}
+
+		if (state.tokens.next.id !== ")") {
+			for (;;) {
+				p[p.length] = expression(10);
+				n += 1;
+				if (state.tokens.next.id !== ",") {
+					break;
+				}
+				comma();
+			}
+		}
+
+		advance(")");
+
+		node.arguments = _.compact(p.map(nodeOf));
+		that.node = exit(node);
+
+		// Tracking of "internal" scripts, like eval containing a static string
+		function addInternal(elem, src) {
+			state.scripts.push({ id: "(internal)", elem: elem, value: src });
+		}
+
+		if (typeof left === "object") {
+			if (api.getEnvironment("es3") && left.value === "parseInt" && n === 1) {
+				warn("W065", { token: state.tokens.curr });
+			}
+			if (!state.option.evil) {
+				if (left.value === "eval" || left.value === "Function" || left.value === "execScript") {
+					warn("W061", { token: left });
+
+					if (p[0] && [0].id === "(string)")
+						addInternal(left, p[0].value);
+
+				} else if (p[0] && p[0].id === "(string)" &&
+					(left.value === "setTimeout" || left.value === "setInterval")) {
+					warn("W066", { token: left });
+					addInternal(left, p[0].value);
+
+				// window.setTimeout/setInterval
+				} else if (p[0] && p[0].id === "(string)" && left.value === "." &&
+					left.left.value === "window" &&
+					(left.right === "setTimeout" || left.right === "setInterval")) {
+					warn("W066", { token: left });
+					addInternal(left, p[0].value);
+				}
+			}
+			if (!left.identifier && left.id !== "." && left.id !== "[" &&
+					left.id !== "(" && left.id !== "&&" && left.id !== "||" &&
+					left.id !== "?") {
+				warn("W067", { token: left });
+			}
+		}
+
+		that.left = left;
+		return that;
+	}, 155, true).exps = true;
+
+	prefix("(", function () {
+		var bracket, brackets = [];
+		var pn, pn1, i = 0;
+		var ret;
+
+		do {
+			pn = peek(i);
+			i += 1;
+			pn1 = peek(i);
+			i += 1;
+		} while (pn.value !== ")" && pn1.value !== "=>" && pn1.value !== ";" && pn1.type !== "(end)");
+
+		var exprs = [];
+
+		if (state.tokens.next.id !== ")") {
+			for (;;) {
+				if (pn1.value === "=>" && state.tokens.next.value === "{") {
+					bracket = state.tokens.next;
+					bracket.left = destructuringExpression();
+					brackets.push(bracket);
+					exprs.push(bracket);
+				} else {
+					exprs.push(expression(10));
+				}
+				if (state.tokens.next.id !== ",") {
+					break;
+				}
+				comma();
+			}
+		}
+
+		advance(")", this);
+
+		if (state.tokens.next.value === "=>") {
+			// Remember where the parameter list starts for the arrow function node.
+			Object.defineProperty(exprs, "paren", { value: this });
+			return exprs;
+		}
+		if (!exprs.length) {
+			return;
+		}
+		if (exprs.length > 1) {
+			ret = Object.create(syntax[","]);
+			ret.exprs = exprs;
+			ret.node = sequence(exprs);
+		} else {
+			ret = exprs[0];
+		}
+		if (ret) {
+			ret.paren = true;
+		}
+		return ret;
+	});
+
+	application("=>");
+
+	infix("[", function (left, that) {
+		var node = enter("MemberExpression", left || that, {
+			object: nodeOf(left),
+			property: null,
+			computed: true
+		});
+		var e = expression(10), s;
+		if (e && e.type === "(string)") {
+			if (!state.option.evil && (e.value === "eval" || e.value === "execScript")) {
+				warn("W061", { token: that });
+			}
+
+			if (!state.option.sub && reg.identifier.test(e.value)) {
+				s = syntax[e.value];
+			}
+		}
+		advance("]", that);
+
+		node.property = nodeOf(e);
+		that.node = exit(node);
+
+		if (e && e.value === "hasOwnProperty" && state.tokens.next.value === "=") {
+			warn("W001");
+		}
+
+		that.left = left;
+		that.right = e;
+		return that;
+	}, 160, true);
+
+	function comprehensiveArrayExpression() {
+		var res = {};
+		var node = enter("ComprehensionExpression", state.tokens.curr, {
+			body: null,
+			blocks: [],
+			filter: null
+		});
+		var comp;
+		res.exps = true;
+		funct["(comparray)"].stack();
+
+		// Handle reversed for expressions, used in spidermonkey
+		var reversed = false;
+		if (state.tokens.next.value !== "for") {
+			reversed = true;
+
+			if (!api.getEnvironment("moz", true))
+				warn("W116", { token: state.tokens.next, args: ["for", state.tokens.next.value] });
+
+			funct["(comparray)"].setState("use");
+			res.right = expression(10);
+		}
+
+		advance("for");
+		comp = enter("ComprehensionBlock", state.tokens.curr, { left: null, right: null, each: false });
+		if (state.tokens.next.value === "each") {
+			advance("each");
+			comp.each = true;
+
+			if (!api.getEnvironment("moz", true))
+				warn("W118", { token: state.tokens.curr, args: ["for each"] });
+		}
+		advance("(");
+		funct["(comparray)"].setState("define");
+		res.left = expression(130);
+		comp.left = nodeOf(res.left);
+		if (_.contains(["in", "of"], state.tokens.next.value)) {
+			advance();
+		} else {
+			warn("E045", { token: state.tokens.curr });
+		}
+		funct["(comparray)"].setState("generate");
+		comp.right = nodeOf(expression(10));
+
+		advance(")");
+		node.blocks.push(exit(comp));
+		if (state.tokens.next.value === "if") {
+			advance("if");
+			advance("(");
+			funct["(comparray)"].setState("filter");
+			res.filter = expression(10);
+			node.filter = nodeOf(res.filter);
+			advance(")");
+		}
+
+		if (!reversed) {
+			funct["(comparray)"].setState("use");
+			res.right = expression(10);
+		}
+
+		advance("]");
+		funct["(comparray)"].unstack();
+		node.body = nodeOf(res.right);
+		res.node = exit(node);
+		return res;
+	}
+
+	prefix("[", function () {
+		var blocktype = lookupBlockType(true);
+		if (blocktype.isCompArray) {
+			if (!api.getEnvironment("es6")) {
+				warn("W119", { token: state.tokens.curr, args: ["array comprehension"] });
+			}
+			return comprehensiveArrayExpression();
+		} else if (blocktype.isDestAssign && !api.getEnvironment("es6")) {
+			warn("W104", { token: state.tokens.curr, args: ["destructuring assignment"] });
+		}
+		var b = state.tokens.curr.line !== state.tokens.next.line;
+		var node = enter(isPattern(this) ? "ArrayPattern" : "ArrayExpression", this, { elements: [] });
+		this.first = [];
+		if (b) {
+			indent += state.option.indent;
+			if (state.tokens.next.from === indent + state.option.indent) {
+				indent += state.option.indent;
+			}
+		}
+		while (state.tokens.next.id !== "(end)") {
+			while (state.tokens.next.id === ",") {
+				if (!api.getEnvironment("es5"))
+					warn("W070");
+				advance(",");
+				node.elements.push(null);
+			}
+			if (state.tokens.next.id === "]") {
+				break;
+			}
+			state.tokens.next.inPattern = node.type === "ArrayPattern";
+			this.first.push(expression(10));
+			node.elements.push(nodeOf(_.last(this.first)));
+			if (state.tokens.next.id === ",") {
+				comma({ allowTrailing: true });
+				if (state.tokens.next.id === "]" && !api.getEnvironment("es5", true)) {
+					warn("W070", { token: state.tokens.curr, fix: removeToken(state.tokens.curr) });
+					break;
+				}
+			} else {
+				break;
+			}
+		}
+		if (b) {
+			indent -= state.option.indent;
+		}
+		advance("]", this);
+		this.node = exit(node);
+		return this;
+	}, 160);
+
+	function property_name() {
+		var id = optionalidentifier(false, true);
+
+		if (!id) {
+			if (state.tokens.next.id === "(string)") {
+				id = state.tokens.next.value;
+				advance();
+			} else if (state.tokens.next.id === "(number)") {
+				id = state.tokens.next.value.toString();
+				advance();
+			}
+		}
+
+		if (id === "hasOwnProperty") {
+			warn("W001");
+		}
+
+		return id;
+	}
+
+	function functionparams(parsed, node) {
+		var curr, next;
+		var params = [];
+		var ident;
+		var tokens = [];
+		var t;
+		var pastDefault = false;
+
+		if (parsed) {
+			if (parsed instanceof Array) {
+				for (var i in parsed) {
+					curr = parsed[i];
+					if (_.contains(["{", "["], curr.id)) {
+						for (t in curr.left) {
+							t = curr.left[t];
+							if (t.id) {
+								params.push(t.id);
+								addlabel(t.id, { type: "unused", token: t.token });
+							}
+						}
+						node.params.push(nodeOf(curr.left));
+					} else if (curr.value === "...") {
+						if (!api.getEnvironment("es6")) {
+							warn("W104", { token: curr, args: ["spread/rest operator"] });
+						}
+						node.rest = nodeOf(curr) && nodeOf(curr).argument;
+						continue;
+					} else {
+						addlabel(curr.value, { type: "unused", token: curr });
+						node.params.push(nodeOf(curr) || identNode(curr));
+					}
+				}
+				return params;
+			} else {
+				if (parsed.identifier === true) {
+					addlabel(parsed.value, { type: "unused", token: parsed });
+					node.params.push(nodeOf(parsed) || identNode(parsed));
+					return [parsed];
+				}
+			}
+		}
+
+		next = state.tokens.next;
+
+		advance("(");
+
+		if (state.tokens.next.id === ")") {
+			advance(")");
+			return;
+		}
+
+		for (;;) {
+			if (_.contains(["{", "["], state.tokens.next.id)) {
+				tokens = destructuringExpression();
+				for (t in tokens) {
+					t = tokens[t];
+					if (t.id) {
+						params.push(t.id);
+						addlabel(t.id, { type: "unused", token: t.token });
+					}
+				}
+				node.params.push(nodeOf(tokens));
+				node.defaults.push(null);
+			} else if (state.tokens.next.value === "...") {
+				if (!api.getEnvironment("es6")) {
+					warn("W104", { token: state.tokens.next, args: ["spread/rest operator"] });
+				}
+				advance("...");
+				ident = identifier(true);
+				params.push(ident);
+				addlabel(ident, { type: "unused", token: state.tokens.curr });
+				node.rest = identNode(state.tokens.curr);
+			} else {
+				ident = identifier(true);
+				params.push(ident);
+				addlabel(ident, { type: "unused", token: state.tokens.curr });
+				node.params.push(identNode(state.tokens.curr));
+				node.defaults.push(null);
+			}
+
+			// it is a syntax error to have a regular argument after a default argument
+			if (pastDefault) {
+				if (state.tokens.next.id !== "=") {
+					warn("E051", { token: state.tokens.current });
+				}
+			}
+			if (state.tokens.next.id === "=") {
+				if (!api.getEnvironment("es6")) {
+					warn("W119", { token: state.tokens.next, args: ["default parameters"] });
+				}
+				advance("=");
+				pastDefault = true;
+				node.defaults[node.params.length - 1] = nodeOf(expression(10));
+			}
+			if (state.tokens.next.id === ",") {
+				comma();
+			} else {
+				advance(")", next);
+				return params;
+			}
+		}
+	}
+
+	// The AST node starts at the start token, if given, or at the current
+	// token, which is the property key for concise methods and accessors.
+	// Only functions with a start token and a name get an id.
+
+	function doFunction(name, statement, generator, fatarrowparams, start) {
+		var f;
+		var node = enter(statement ? "FunctionDeclaration" :
+			fatarrowparams ? "ArrowFunctionExpression" : "FunctionExpression",
+			start || state.tokens.curr, {
+			id: start && name ? identNode(state.tokens.curr) : null,
+			params: [],
+			defaults: [],
+			rest: null,
+			body: null,
+			generator: !!generator,
+			expression: false
+		});
+		var oldOption  = state.option;
+		var oldIgnored = state.ignored;
+		var oldScope   = scope;
+
+		state.option   = Object.create(state.option);
+		state.ignored  = Object.create(state.ignored);
+		scope          = Object.create(scope);
+
+		funct = utils.functor(name || "\"" + anonname + "\"", state.tokens.next, scope, {
+			"(statement)": statement,
+			"(context)":   funct,
+			"(generator)": generator ? true : null
+		});
+
+		f = funct;
+		state.tokens.curr.funct = funct;
+
+		state.functions.push(funct);
+
+		if (name) {
+			addlabel(name, { type: "function", token: state.tokens.curr });
+		}
+
+		var params = funct["(params)"] = functionparams(fatarrowparams, node);
+		params = params || [];
+
+		if (state.option.maxparams && params.length > state.option.maxparams) {
+			warn("W072", { token: funct["(metrics)"].token, args: [params.length] });
+		}
+
+		node.body = block(false, true, true, fatarrowparams ? true : false).node;
+		node.expression = !!node.body && node.body.type !== "BlockStatement";
+		if (!_.compact(node.defaults).length) {
+			node.defaults = [];
+		}
+		f["(node)"] = exit(node);
+
+		if (generator && funct["(generator)"] !== "yielded") {
+			warn("E047", { token: state.tokens.curr });
+		}
+
+		var metrics = funct["(metrics)"];
+		if (state.option.maxstatements && metrics.statements > state.option.maxstatements) {
+			warn("W071", { token: metrics.token, args: [ metrics.statements ] });
+		}
+
+		var max = state.option.maxcomplexity;
+		var cc = metrics.complexity;
+		if (max && cc > max) {
+			warn("W074", { token: metrics.token, args: [cc] });
+		}
+
+		funct["(unusedOption)"] = state.option.unused;
+
+		scope = oldScope;
+		state.option = oldOption;
+		state.ignored = oldIgnored;
+		funct["(last)"] = state.tokens.curr.line;
+		funct["(lastcharacter)"] = state.tokens.curr.character;
+		funct = funct["(context)"];
+
+		return f;
+	}
+
+	function increaseComplexityCount() {
+		funct["(metrics)"].complexity += 1;
+	}
+
+	// Counts a token for the Halstead metrics of the current function.
+	// Identifiers and literals are operands, punctuators and keywords are
+	// operators. Closing brackets are counted with the opening ones.
+
+	function countToken(tkn) {
+		var metrics = funct["(metrics)"];
+		var table;
+
+		if (!metrics || !tkn || tkn.id === "(end)" || tkn.id === "(error)")
+			return;
+
+		if (tkn.type === "(punctuator)" && /^[)\]}]$/.test(tkn.value))
+			return;
+
+		if (tkn.type === "(punctuator)" || (tkn.reserved && !tkn.operand))
+			table = metrics.operators;
+		else
+			table = metrics.operands;
+
+		table[tkn.value] = (table[tkn.value] || 0) + 1;
+	}
+
+	// Parse assignments that were found instead of conditionals.
+	// For example: if (a = 1) { ... }
+
+	function checkCondAssignment(expr) {
+		var id, paren;
+		if (expr) {
+			id = expr.id;
+			paren = expr.paren;
+			if (id === "," && (expr = expr.exprs[expr.exprs.length - 1])) {
+				id = expr.id;
+				paren = paren || expr.paren;
+			}
+		}
+		switch (id) {
+		case "=":
+		case "+=":
+		case "-=":
+		case "*=":
+		case "%=":
+		case "&=":
+		case "|=":
+		case "^=":
+		case "/=":
+			if (!paren && !state.option.boss) {
+				warn("W084");
+			}
+		}
+	}
+
+	(function (x) {
+		x.nud = function (isclassdef) {
+			var b, f, i, p, t, g, k, start;
+			var props = {}; // All properties, including accessors
+			var tag = "";
+			var node = isclassdef ?
+				enter("ClassBody", state.tokens.curr, { body: [] }) :
+				enter(isPattern(state.tokens.curr) ? "ObjectPattern" : "ObjectExpression",
+					state.tokens.curr, { properties: [] });
+
+			// Property keys are identifiers, strings or numbers.
+			function key(tkn) {
+				return tkn.identifier ? identNode(tkn) : tkn.nud().node;
+			}
+
+			// Class members are method definitions that start at their
+			// 'static' keyword, if any.
+			function property(key, kind, method) {
+				if (!isclassdef)
+					return enter("Property", start, { key: key, value: null, kind: kind, method: method });
+
+				if (kind === "init")
+					kind = key.name === "constructor" && !tag ? "constructor" : "method";
+
+				return enter("MethodDefinition", start, {
+					key: key,
+					value: null,
+					kind: kind,
+					"static": tag !== ""
+				});
+			}
+
+			function addProperty(prop, value) {
+				prop.value = value;
+				(isclassdef ? node.body : node.properties).push(exit(prop));
+			}
+
+			function saveProperty(name, tkn) {
+				if (props[name] && _.has(props, name))
+					warn("W075", { token: state.tokens.next, args: [i] });
+				else
+					props[name] = {};
+
+				props[name].basic = true;
+				props[name].basictkn = tkn;
+			}
+
+			function saveSetter(name, tkn) {
+				if (props[name] && _.has(props, name)) {
+					if (props[name].basic || props[name].setter)
+						warn("W075", { token: state.tokens.next, args: [i] });
+				} else {
+					props[name] = {};
+				}
+
+				props[name].setter = true;
+				props[name].setterToken = tkn;
+			}
+
+			function saveGetter(name) {
+				if (props[name] && _.has(props, name)) {
+					if (props[name].basic || props[name].getter)
+						warn("W075", { token: state.tokens.next, args: [i] });
+				} else {
+					props[name] = {};
+				}
+
+				props[name].getter = true;
+				props[name].getterToken = state.tokens.curr;
+			}
+
+			b = state.tokens.curr.line !== state.tokens.next.line;
+			if (b) {
+				indent += state.option.indent;
+				if (state.tokens.next.from === indent + state.option.indent) {
+					indent += state.option.indent;
+				}
+			}
+
+			for (;;) {
+				if (state.tokens.next.id === "}") {
+					break;
+				}
+
+				start = state.tokens.next;
+				if (isclassdef && state.tokens.next.value === "static") {
+					advance("static");
+					tag = "static ";
+				}
+
+				if (state.tokens.next.value === "get" && peek().id !== ":") {
+					advance("get");
+					k = state.tokens.curr;
+
+					if (!api.getEnvironment("es5", !isclassdef))
+						warn("E034");
+
+					i = property_name();
+					k = i ? property(key(state.tokens.curr), "get", false) :
+						property(identNode(k), "init", true);
+
+					// ES6 allows for get() {...} and set() {...} method
+					// definition shorthand syntax, so we don't produce an error
+					// if the esnext option is enabled.
+					if (!i && !api.getEnvironment("es6"))
+						warn("E035");
+
+					// It is a Syntax Error if PropName of MethodDefinition is
+					// "constructor" and SpecialMethod of MethodDefinition is true.
+					if (isclassdef && i === "constructor")
+						warn("E049", { token: state.tokens.next, args: ["class getter method", i] });
+
+					// We don't want to save this getter unless it's an actual getter
+					// and not an ES6 concise method
+					if (i)
+						saveGetter(tag + i);
+
+					t = state.tokens.next;
+					f = doFunction();
+					p = f["(params)"];
+					addProperty(k, f["(node)"]);
+
+					// Don't warn about getter/setter pairs if this is an ES6 concise method
+					if (i && p)
+						warn("W076", { token: t, args: [p[0], i] });
+
+				} else if (state.tokens.next.value === "set" && peek().id !== ":") {
+					advance("set");
+					k = state.tokens.curr;
+
+					if (!api.getEnvironment("es5", !isclassdef))
+						warn("E034");
+
+					i = property_name();
+					k = i ? property(key(state.tokens.curr), "set", false) :
+						property(identNode(k), "init", true);
+
+					// ES6 allows for get() {...} and set() {...} method
+					// definition shorthand syntax, so we don't produce an error
+					// if the esnext option is enabled.
+					if (!i && !api.getEnvironment("es6"))
+						warn("E035");
+
+					// It is a Syntax Error if PropName of MethodDefinition is
+					// "constructor" and SpecialMethod of MethodDefinition is true.
+					if (isclassdef && i === "constructor")
+						warn("E049", { token: state.tokens.next, args: ["class setter method", i ] });
+
+					// We don't want to save this getter unless it's an actual getter
+					// and not an ES6 concise method
+					if (i)
+						saveSetter(tag + i, state.tokens.next);
+
+					t = state.tokens.next;
+					f = doFunction();
+					p = f["(params)"];
+					addProperty(k, f["(node)"]);
+
+					// Don't warn about getter/setter pairs if this is an ES6 concise method
+					if (i && (!p || p.length !== 1))
+						warn("W077", { token: t, args: [i] });
+				} else {
+					g = false;
+					k = state.tokens.next;
+					if (state.tokens.next.value === "*" && state.tokens.next.type === "(punctuator)") {
+						if (!api.getEnvironment("es6")) {
+							warn("W104", { token: state.tokens.next, args: ["generator functions"] });
+						}
+						advance("*");
+						g = true;
+					}
+					i = property_name();
+					saveProperty(tag + i, state.tokens.next);
+
+					if (typeof i !== "string") {
+						break;
+					}
+
+					if (state.tokens.next.value === "(") {
+						if (!api.getEnvironment("es6")) {
+							warn("W104", { token: state.tokens.curr, args: ["concise methods"] });
+						}
+						k = property(key(state.tokens.curr), "init", true);
+						addProperty(k, doFunction(i, undefined, g)["(node)"]);
+					} else if (!isclassdef) {
+						k = property(key(state.tokens.curr), "init", false);
+						advance(":");
+						state.tokens.next.inPattern = node.type === "ObjectPattern";
+						addProperty(k, nodeOf(expression(10)));
+					}
+				}
+				// It is a Syntax Error if PropName of MethodDefinition is "prototype".
+				if (isclassdef && i === "prototype") {
+					warn("E049", { token: state.tokens.next, args: ["class method", i] });
+				}
+
+				if (isclassdef) {
+					tag = "";
+					continue;
+				}
+				if (state.tokens.next.id === ",") {
+					comma({ allowTrailing: true, property: true });
+					if (state.tokens.next.id === ",") {
+						warn("W070", { token: state.tokens.curr, fix: removeToken(state.tokens.curr) });
+					} else if (state.tokens.next.id === "}" && !api.getEnvironment("es5", true)) {
+						warn("W070", { token: state.tokens.curr, fix: removeToken(state.tokens.curr) });
+					}
+				} else {
+					break;
+				}
+			}
+			if (b) {
+				indent -= state.option.indent;
+			}
+			advance("}", this);
+			this.node = exit(node);
+
+			// Check for lonely setters if in the ES5 mode.
+			if (api.getEnvironment("es5")) {
+				for (var name in props) {
+					if (_.has(props, name) && props[name].setter && !props[name].getter) {
+						warn("W078", { token: props[name].setterToken });
+					}
+				}
+			}
+			return this;
+		};
+		x.fud = function () {
+			warn("E036", { token: state.tokens.curr });
+		};
+	}(delim("{")));
+
+	function destructuringExpression() {
+		var id, ids, key;
+		var identifiers = [];
+		var node;
+		if (!api.getEnvironment("es6")) {
+			warn("W104", { token: state.tokens.curr, args: ["destructuring expression"] });
+		}
+		var nextInnerDE = function () {
+			var ident;
+			if (_.contains(["[", "{"], state.tokens.next.value)) {
+				ids = destructuringExpression();
+				for (var id in ids) {
+					id = ids[id];
+					identifiers.push({ id: id.id, token: id.token });
+				}
+				return nodeOf(ids);
+			} else if (state.tokens.next.value === ",") {
+				identifiers.push({ id: null, token: state.tokens.curr });
+				return null;
+			} else {
+				ident = identifier();
+				if (ident) {
+					identifiers.push({ id: ident, token: state.tokens.curr });
+					return identNode(state.tokens.curr);
+				}
+				return null;
+			}
+		};
+		// Builds a Property node for the object pattern member whose key
+		// has just been parsed.
+		var property = function () {
+			var prop = enter("Property", key, { key: key, value: null, kind: "init", shorthand: false });
+
+			if (state.tokens.next.value === ":") {
+				advance(":");
+				prop.value = nextInnerDE();
+			} else {
+				identifiers.push({ id: id, token: state.tokens.curr });
+				prop.value = key;
+				prop.shorthand = true;
+			}
+
+			node.properties.push(exit(prop));
+		};
+		if (state.tokens.next.value === "[") {
+			node = enter("ArrayPattern", state.tokens.next, { elements: [] });
+			advance("[");
+			node.elements.push(nextInnerDE());
+			while (state.tokens.next.value !== "]") {
+				advance(",");
+				node.elements.push(nextInnerDE());
+			}
+			advance("]");
+		} else if (state.tokens.next.value === "{") {
+			node = enter("ObjectPattern", state.tokens.next, { properties: [] });
+			advance("{");
+			id = identifier();
+			key = identNode(state.tokens.curr);
+			property();
+			while (state.tokens.next.value !== "}") {
+				advance(",");
+				id = identifier();
+				key = identNode(state.tokens.curr);
+				property();
+			}
+			advance("}");
+		}
+
+		// The pattern is not enumerable so that callers can keep iterating
+		// over the returned identifiers with for..in.
+		if (node) {
+			Object.defineProperty(identifiers, "node", { value: exit(node) });
+		}
+		return identifiers;
+	}
+	// Drops an 'undefined' initializer, from the end of the variable name to
+	// the end of 'undefined', when nothing but a comma or a semicolon follows.
+
+	function initializerFix() {
+		var name = state.tokens.prev;
+		var init = state.tokens.next;
+
+		if (!_.contains([",", ";"], peek(0).id))
+			return null;
+
+		return edit({ line: name.line, ch: name.character },
+			{ line: init.line, ch: init.character }, "");
+	}
+
+	function destructuringExpressionMatch(tokens, value) {
+		var first = value.first;
+
+		if (!first)
+			return;
+
+		_.zip(tokens, Array.isArray(first) ? first : [ first ]).forEach(function (val) {
+			var token = val[0];
+			var value = val[1];
+
+			if (token && value)
+				token.first = value;
+			else if (token && token.first && !value)
+				warn("W080", { token: token.first, args: [token.first.value] });
+		});
 	}
-	var i = identifier();
-	if (funct[i] === "const") {
-		warn("E011", { token: null, args: [i] });
-	}
 
-	addlabel(i, { type: "unction", token: state.tokens.curr });
+	var conststatement = stmt("const", function (prefix) {
+		var tokens;
+		var value;
+		var lone; // State variable to know if it is a lone identifier, or a destructuring statement.
+		var decl;
+		var node = enter("VariableDeclaration", this, { declarations: [], kind: "const" });
+
+		if (!api.getEnvironment("es6")) {
+			warn("W104", { token: state.tokens.curr, args: ["const"] });
+		}
+
+		this.first = [];
+		for (;;) {
+			var names = [];
+			value = null;
+			if (_.contains(["{", "["], state.tokens.next.value)) {
+				tokens = destructuringExpression();
+				lone = false;
+			} else {
+				tokens = [ { id: identifier(), token: state.tokens.curr } ];
+				lone = true;
+			}
+
+			decl = null;
+			if (lone && tokens[0].id) {
+				decl = enter("VariableDeclarator", state.tokens.curr, {
+					id: identNode(state.tokens.curr),
+					init: null
+				});
+				node.declarations.push(decl);
+			} else if (!lone) {
+				decl = enter("VariableDeclarator", nodeOf(tokens), { id: nodeOf(tokens), init: null });
+				node.declarations.push(decl);
+			}
+
+			for (var t in tokens) {
+				t = tokens[t];
+				if (funct[t.id] === "const") {
+					warn("E011", { token: null, args: [t.id] });
+				}
+				if (funct["(global)"] && predefined[t.id] === false) {
+					warn("W079", { token: t.token, args: [t.id] });
+				}
+				if (t.id) {
+					addlabel(t.id, { type: "const", token: t.token, unused: true });
+					names.push(t.token);
+				}
+			}
+			if (prefix) {
+				if (decl) {
+					exit(decl);
+				}
+				break;
+			}
+
+			this.first = this.first.concat(names);
+
+			if (state.tokens.next.id !== "=") {
+				warn("E012", { token: state.tokens.curr, args: [state.tokens.curr.value] });
+			}
+
+			if (state.tokens.next.id === "=") {
+				advance("=");
+				if (state.tokens.next.id === "undefined") {
+					warn("W080", { token: state.tokens.prev, args: [state.tokens.prev.value] });
+				}
+				if (peek(0).id === "=" && state.tokens.next.identifier) {
+					warn("W120", { token: state.tokens.next, args: [state.tokens.next.value] });
+				}
+				value = expression(10);
+				if (lone) {
+					tokens[0].first = value;
+				} else {
+					destructuringExpressionMatch(names, value);
+				}
+			}
+
+			if (decl) {
+				decl.init = nodeOf(value);
+				exit(decl);
+			}
+
+			if (state.tokens.next.id !== ",") {
+				break;
+			}
+			comma();
+		}
+		this.node = exit(node);
+		return this;
+	});
+	conststatement.exps = true;
+	var varstatement = stmt("var", function (prefix) {
+		// JavaScript does not have block scope. It only has function scope. So,
+		// declaring a variable in a block can have unexpected consequences.
+		var tokens, lone, value, decl;
+		var node = enter("VariableDeclaration", this, { declarations: [], kind: "var" });
+
+		this.first = [];
+		for (;;) {
+			var names = [];
+			value = null;
+			if (_.contains(["{", "["], state.tokens.next.value)) {
+				tokens = destructuringExpression();
+				lone = false;
+			} else {
+				tokens = [ { id: identifier(), token: state.tokens.curr } ];
+				lone = true;
+			}
+
+			decl = null;
+			if (lone && tokens[0].id) {
+				decl = enter("VariableDeclarator", state.tokens.curr, {
+					id: identNode(state.tokens.curr),
+					init: null
+				});
+				node.declarations.push(decl);
+			} else if (!lone) {
+				decl = enter("VariableDeclarator", nodeOf(tokens), { id: nodeOf(tokens), init: null });
+				node.declarations.push(decl);
+			}
+
+			for (var t in tokens) {
+				t = tokens[t];
+				if (api.getEnvironment("es6") && funct[t.id] === "const") {
+					warn("E011", { token: null, args: [t.id] });
+				}
+				if (funct["(global)"] && predefined[t.id] === false) {
+					warn("W079", { token: t.token, args: [t.id] });
+				}
+				if (t.id) {
+					addlabel(t.id, { type: "unused", token: t.token });
+					names.push(t.token);
+				}
+			}
+			if (prefix) {
+				if (decl) {
+					exit(decl);
+				}
+				break;
+			}
+
+			this.first = this.first.concat(names);
+
+			if (state.tokens.next.id === "=") {
+				advance("=");
+				if (state.tokens.next.id === "undefined") {
+					warn("W080", {
+						token: state.tokens.prev,
+						args: [state.tokens.prev.value],
+						fix: lone && initializerFix()
+					});
+				}
+				if (peek(0).id === "=" && state.tokens.next.identifier) {
+					warn("W120", { token: state.tokens.next, args: [state.tokens.next.value] });
+				}
+				value = expression(10);
+				if (lone) {
+					tokens[0].first = value;
+				} else {
+					destructuringExpressionMatch(names, value);
+				}
+			}
+
+			if (decl) {
+				decl.init = nodeOf(value);
+				exit(decl);
+			}
+
+			if (state.tokens.next.id !== ",") {
+				break;
+			}
+			comma();
+		}
+		this.node = exit(node);
+		return this;
+	});
+	varstatement.exps = true;
+	var letstatement = stmt("let", function (prefix) {
+		var tokens, lone, value, letblock, decl;
+		var node, decls;
+
+		if (!api.getEnvironment("es6")) {
+			warn("W104", { token: state.tokens.curr, args: ["let"] });
+		}
+
+		if (state.tokens.next.value === "(") {
+			if (!api.getEnvironment("moz", true))
+				warn("W118", { token: state.tokens.next, args: ["let block"] });
+
+			advance("(");
+			funct["(blockscope)"].stack();
+			letblock = true;
+		} else if (funct["(nolet)"]) {
+			warn("E048", { token: state.tokens.curr });
+		}
+
+		// A Mozilla let block has its declarators in the head of a LetStatement.
+		if (letblock) {
+			node = enter("LetStatement", this, { head: [], body: null });
+			decls = node.head;
+		} else {
+			node = enter("VariableDeclaration", this, { declarations: [], kind: "let" });
+			decls = node.declarations;
+		}
+
+		this.first = [];
+		for (;;) {
+			var names = [];
+			value = null;
+			if (_.contains(["{", "["], state.tokens.next.value)) {
+				tokens = destructuringExpression();
+				lone = false;
+			} else {
+				tokens = [ { id: identifier(), token: state.tokens.curr.value } ];
+				lone = true;
+			}
+
+			decl = null;
+			if (lone && tokens[0].id) {
+				decl = enter("VariableDeclarator", state.tokens.curr, {
+					id: identNode(state.tokens.curr),
+					init: null
+				});
+				decls.push(decl);
+			} else if (!lone) {
+				decl = enter("VariableDeclarator", nodeOf(tokens), { id: nodeOf(tokens), init: null });
+				decls.push(decl);
+			}
+
+			for (var t in tokens) {
+				t = tokens[t];
+				if (api.getEnvironment("es6") && funct[t.id] === "const") {
+					warn("E011", { token: null, args: [t.id] });
+				}
+				if (funct["(global)"] && predefined[t.id] === false) {
+					warn("W079", { token: t.token, args: [t.id] });
+				}
+				if (t.id && !funct["(nolet)"]) {
+					addlabel(t.id, { type: "unused", token: t.token, islet: true });
+					names.push(t.token);
+				}
+			}
+			if (prefix) {
+				if (decl) {
+					exit(decl);
+				}
+				break;
+			}
+
+			this.first = this.first.concat(names);
+
+			if (state.tokens.next.id === "=") {
+				advance("=");
+				if (state.tokens.next.id === "undefined") {
+					warn("W080", {
+						token: state.tokens.prev,
+						args: [state.tokens.prev.value],
+						fix: lone && initializerFix()
+					});
+				}
+				if (peek(0).id === "=" && state.tokens.next.identifier) {
+					warn("W120", { token: state.tokens.next, args: [state.tokens.next.value] });
+				}
+				value = expression(10);
+				if (lone) {
+					tokens[0].first = value;
+				} else {
+					destructuringExpressionMatch(names, value);
+				}
+			}
+
+			if (decl) {
+				decl.init = nodeOf(value);
+				exit(decl);
+			}
+
+			if (state.tokens.next.id !== ",") {
+				break;
+			}
+			comma();
+		}
+		if (letblock) {
+			advance(")");
+			node.body = block(true, true).node;
+			this.block = true;
+			funct["(blockscope)"].unstack();
+		}
+
+		this.node = exit(node);
 
-	doFunction(i, { statement: true }, generator);
-	if (state.tokens.next.id === "(" && state.tokens.next.line === state.tokens.curr.line) {
-		warn("E039");
-	}
-	return this;
-});
+		return this;
+	});
+	letstatement.exps = true;
+
+	blockstmt("class", function () {
+		return classdef.call(this, true);
+	});
+
+	function classdef(stmt) {
+		/*jshint validthis:true */
+		var node = enter(stmt ? "ClassDeclaration" : "ClassExpression", this, {
+			id: null,
+			superClass: null,
+			body: null
+		});
 
-prefix("function", function () {
-	var generator = false;
-	if (state.tokens.next.value === "*") {
 		if (!api.getEnvironment("es6")) {
-			warn("W119", { token: state.tokens.curr, args: ["function*"] });
-		}
-		advance("*");
-		generator = true;
-	}
-	var i = optionalidentifier();
-	doFunction(i, undefined, generator);
-	if (!state.option.loopfunc && funct["(loopage)"]) {
-		warn("W083");
-	}
-	return this;
-});
-
-blockstmt("if", function () {
-	var t = state.tokens.next;
-	increaseComplexityCount();
-	state.condition = true;
-	advance("(");
-	checkCondAssignment(expression(0));
-	advance(")", t);
-	state.condition = false;
-	block(true, true);
-	if (state.tokens.next.id === "else") {
-		advance("else");
-		if (state.tokens.next.id === "if" || state.tokens.next.id === "switch") {
-			statement(true);
-		} else {
-			block(true, true);
-		}
+			warn("W104", { token: state.tokens.curr, args: ["class"] });
+		}
+		if (stmt) {
+			// BindingIdentifier
+			this.name = identifier();
+			addlabel(this.name, { type: "unused", token: state.tokens.curr });
+		} else if (state.tokens.next.identifier && state.tokens.next.value !== "extends") {
+			// BindingIdentifier(opt)
+			this.name = identifier();
+		}
+		if (this.name) {
+			node.id = identNode(state.tokens.curr);
+		}
+		classtail(this);
+		node.superClass = nodeOf(this.heritage);
+		node.body = nodeOf(this.body);
+		this.node = exit(node);
+		return this;
 	}
-	return this;
-});
 
-blockstmt("try", function () {
-	var b;
+	function classtail(c) {
+		var strictness = state.directive["use strict"];
 
-	function doCatch() {
-		var oldScope = scope;
-		var e;
+		// ClassHeritage(opt)
+		if (state.tokens.next.value === "extends") {
+			advance("extends");
+			c.heritage = expression(10);
+		}
 
-		advance("catch");
-		advance("(");
+		// A ClassBody is always strict code.
+		state.directive["use strict"] = true;
+		advance("{");
+		// ClassBody(opt)
+		c.body = syntax["{"].nud.call(state.tokens.curr, true);
+		state.directive["use strict"] = strictness;
+	}
 
-		scope = Object.create(oldScope);
+	blockstmt("function", function () {
+		var generator = false;
+		if (state.tokens.next.value === "*") {
+			advance("*");
+			if (api.getEnvironment("es6", true)) {
+				generator = true;
+			} else {
+				warn("W119", { token: state.tokens.curr, args: ["function*"] });
+			}
+		}
+		if (inblock) {
+			warn("W082", { token: state.tokens.curr });
 
-		e = state.tokens.next.value;
-		if (state.tokens.next.type !== "(identifier)") {
-			e = null;
-			warn("E030", { token: state.tokens.next, args: [e] });
+		}
+		var i = identifier();
+		if (funct[i] === "const") {
+			warn("E011", { token: null, args: [i] });
 		}
 
-		advance();
+		addlabel(i, { type: "unction", token: state.tokens.curr });
 
-		funct = utils.functor("(catch)", state.tokens.next, scope, {
-			"(context)"  : funct,
-			"(breakage)" : funct["(breakage)"],
-			"(loopage)"  : funct["(loopage)"],
-			"(statement)": false,
-			"(catch)"    : true
-		});
+		this.node = doFunction(i, { statement: true }, generator, undefined, this)["(node)"];
+		if (state.tokens.next.id === "(" && state.tokens.next.line === state.tokens.curr.line) {
+			warn("E039");
+		}
+		return this;
+	});
 
-		if (e) {
-			addlabel(e, { type: "exception" });
+	prefix("function", function () {
+		var generator = false;
+		if (state.tokens.next.value === "*") {
+			if (!api.getEnvironment("es6")) {
+				warn("W119", { token: state.tokens.curr, args: ["function*"] });
+			}
+			advance("*");
+			generator = true;
+		}
+		var i = optionalidentifier();
+		this.node = doFunction(i, undefined, generator, undefined, this)["(node)"];
+		if (!state.option.loopfunc && funct["(loopage)"]) {
+			warn("W083");
 		}
+		return this;
+	});
 
-		if (state.tokens.next.value === "if") {
-			if (!api.getEnvironment("moz", true))
-				warn("W118", { token: state.tokens.curr, args: ["catch filter"] });
+	blockstmt("if", function () {
+		var t = state.tokens.next;
+		var node = enter("IfStatement", this, { test: null, consequent: null, alternate: null });
+		var test;
 
-			advance("if");
-			expression(0);
+		increaseComplexityCount();
+		state.condition = true;
+		advance("(");
+		test = expression(0);
+		checkCondAssignment(test);
+		node.test = nodeOf(test);
+		advance(")", t);
+		state.condition = false;
+		node.consequent = block(true, true).node;
+		if (state.tokens.next.id === "else") {
+			advance("else");
+			if (state.tokens.next.id === "if" || state.tokens.next.id === "switch") {
+				node.alternate = nodeOf(statement(true));
+			} else {
+				node.alternate = block(true, true).node;
+			}
 		}
+		this.node = exit(node);
+		return this;
+	});
 
-		advance(")");
-
-		state.tokens.curr.funct = funct;
-		state.functions.push(funct);
+	blockstmt("try", function () {
+		var b;
+		var node = enter("TryStatement", this, {
+			block: null,
+			handler: null,
+			guardedHandlers: [],
+			finalizer: null
+		});
 
-		block(false);
+		function doCatch() {
+			var oldScope = scope;
+			var e;
+			var clause = enter("CatchClause", state.tokens.next,
+				{ param: null, guard: null, body: null });
 
-		scope = oldScope;
+			advance("catch");
+			advance("(");
 
-		funct["(last)"] = state.tokens.curr.line;
-		funct["(lastcharacter)"] = state.tokens.curr.character;
-		funct = funct["(context)"];
-	}
+			scope = Object.create(oldScope);
 
-	block(true);
+			e = state.tokens.next.value;
+			if (state.tokens.next.type !== "(identifier)") {
+				e = null;
+				warn("E030", { token: state.tokens.next, args: [e] });
+			}
 
-	while (state.tokens.next.id === "catch") {
-		increaseComplexityCount();
+			advance();
+			if (e) {
+				clause.param = identNode(state.tokens.curr);
+			}
 
-		if (b && !api.getEnvironment("moz", true))
-			warn("W118", { token: state.tokens.next, args: ["multiple catch blocks"] });
+			funct = utils.functor("(catch)", state.tokens.next, scope, {
+				"(context)"  : funct,
+				"(breakage)" : funct["(breakage)"],
+				"(loopage)"  : funct["(loopage)"],
+				"(statement)": false,
+				"(catch)"    : true
+			});
 
-		doCatch();
-		b = true;
-	}
+			if (e) {
+				addlabel(e, { type: "exception", token: state.tokens.curr });
+			}
 
-	if (state.tokens.next.id === "finally") {
-		advance("finally");
-		block(true);
-		return;
-	}
+			if (state.tokens.next.value === "if") {
+				if (!api.getEnvironment("moz", true))
+					warn("W118", { token: state.tokens.curr, args: ["catch filter"] });
 
-	if (!b) {
-		warn("E021", { token: state.tokens.next, args: ["catch", state.tokens.next.value] });
-	}
+				advance("if");
+				clause.guard = nodeOf(expression(0));
+			}
 
-	return this;
-});
+			advance(")");
 
-blockstmt("while", function () {
-	var t = state.tokens.next;
-	funct["(breakage)"] += 1;
-	funct["(loopage)"] += 1;
-	increaseComplexityCount();
-	advance("(");
-	checkCondAssignment(expression(0));
-	advance(")", t);
-	block(true, true);
-	funct["(breakage)"] -= 1;
-	funct["(loopage)"] -= 1;
-	return this;
-}).labelled = true;
+			state.tokens.curr.funct = funct;
+			state.functions.push(funct);
 
-blockstmt("with", function () {
-	var t = state.tokens.next;
-	if (state.directive["use strict"]) {
-		warn("E010", { token: state.tokens.curr });
-	} else if (!state.option.withstmt) {
-		warn("W085", { token: state.tokens.curr });
-	}
+			clause.body = block(false).node;
+			exit(clause);
 
-	advance("(");
-	expression(0);
-	advance(")", t);
-	block(true, true);
+			// Catch clauses with a guard are a Mozilla extension.
+			if (clause.guard) {
+				node.guardedHandlers.push(clause);
+			} else {
+				node.handler = clause;
+			}
 
-	return this;
-});
+			scope = oldScope;
 
-blockstmt("switch", function () {
-	var t = state.tokens.next;
-	var g = false;
-	var noindent = false;
+			funct["(last)"] = state.tokens.curr.line;
+			funct["(lastcharacter)"] = state.tokens.curr.character;
+			funct = funct["(context)"];
+		}
 
-	funct["(breakage)"] += 1;
-	advance("(");
-	checkCondAssignment(expression(0));
-	advance(")", t);
-	t = state.tokens.next;
-	advance("{");
+		node.block = block(true).node;
 
-	if (state.tokens.next.from === indent)
-		noindent = true;
+		while (state.tokens.next.id === "catch") {
+			increaseComplexityCount();
 
-	if (!noindent)
-		indent += state.option.indent;
+			if (b && !api.getEnvironment("moz", true))
+				warn("W118", { token: state.tokens.next, args: ["multiple catch blocks"] });
 
-	this.cases = [];
+			doCatch();
+			b = true;
+		}
 
-	for (;;) {
-		switch (state.tokens.next.id) {
-		case "case":
-			switch (funct["(verb)"]) {
-			case "yield":
-			case "break":
-			case "case":
-			case "continue":
-			case "return":
-			case "switch":
-			case "throw":
-				break;
-			default:
-				// You can tell JSHint that you don't use break intentionally by
-				// adding a comment /* falls through */ on a line just before
-				// the next `case`.
-				if (!reg.fallsThrough.test(lex.source[state.tokens.next.line - 2])) {
-					warn("W086", { token: state.tokens.curr, args: ["case"] });
-				}
-			}
-			advance("case");
-			this.cases.push(expression(20));
-			increaseComplexityCount();
-			g = true;
-			advance(":");
-			funct["(verb)"] = "case";
-			break;
-		case "default":
-			switch (funct["(verb)"]) {
-			case "yield":
-			case "break":
-			case "continue":
-			case "return":
-			case "throw":
-				break;
-			default:
-				// Do not display a warning if 'default' is the first statement or if
-				// there is a special /* falls through */ comment.
-				if (this.cases.length) {
-					if (!reg.fallsThrough.test(lex.source[state.tokens.next.line - 2])) {
-						warn("W086", { token: state.tokens.curr, args: ["default"] });
-					}
-				}
-			}
-			advance("default");
-			g = true;
-			advance(":");
-			break;
-		case "}":
-			if (!noindent)
-				indent -= state.option.indent;
-			advance("}", t);
-			funct["(breakage)"] -= 1;
-			funct["(verb)"] = undefined;
-			return;
-		case "(end)":
-			warn("E023", { token: state.tokens.next, args: ["}"] });
-			return;
-		default:
-			indent += state.option.indent;
-			if (g) {
-				switch (state.tokens.curr.id) {
-				case ",":
-					warn("E040");
-					return;
-				case ":":
-					g = false;
-					statements();
-					break;
-				default:
-					warn("E025", { token: state.tokens.curr });
-					return;
-				}
-			} else {
-				if (state.tokens.curr.id === ":") {
-					advance(":");
-					warn("E024", { token: state.tokens.curr, args: [":"] });
-					statements();
-				} else {
-					warn("E021", { token: state.tokens.next, args: ["case", state.tokens.next.value] });
-					return;
-				}
-			}
-			indent -= state.option.indent;
+		if (state.tokens.next.id === "finally") {
+			advance("finally");
+			node.finalizer = block(true).node;
+		} else if (!b) {
+			warn("E021", { token: state.tokens.next, args: ["catch", state.tokens.next.value] });
 		}
-	}
-}).labelled = true;
 
-stmt("debugger", function () {
-	if (!state.option.debug) {
-		warn("W087", { token: this });
-	}
-	return this;
-}).exps = true;
+		this.node = exit(node);
+		return this;
+	});
+
+	blockstmt("while", function () {
+		var t = state.tokens.next;
+		var node = enter("WhileStatement", this, { test: null, body: null });
+		var test;
 
-(function () {
-	var x = stmt("do", function () {
 		funct["(breakage)"] += 1;
 		funct["(loopage)"] += 1;
 		increaseComplexityCount();
-
-		this.first = block(true, true);
-		advance("while");
-		var t = state.tokens.next;
 		advance("(");
-		checkCondAssignment(expression(0));
+		test = expression(0);
+		checkCondAssignment(test);
+		node.test = nodeOf(test);
 		advance(")", t);
+		node.body = block(true, true).node;
 		funct["(breakage)"] -= 1;
 		funct["(loopage)"] -= 1;
+		this.node = exit(node);
+		return this;
+	}).labelled = true;
+
+	blockstmt("with", function () {
+		var t = state.tokens.next;
+		var node = enter("WithStatement", this, { object: null, body: null });
+
+		if (state.directive["use strict"]) {
+			warn("E010", { token: state.tokens.curr });
+		} else if (!state.option.withstmt) {
+			warn("W085", { token: state.tokens.curr });
+		}
+
+		advance("(");
+		node.object = nodeOf(expression(0));
+		advance(")", t);
+		node.body = block(true, true).node;
+
+		this.node = exit(node);
 		return this;
 	});
-	x.labelled = true;
-	x.exps = true;
-}());
-
-blockstmt("for", function () {
-	var s, t = state.tokens.next;
-	var letscope = false;
-	var foreachtok = null;
-
-	if (t.value === "each") {
-		foreachtok = t;
-		advance("each");
-
-		if (!api.getEnvironment("moz", true))
-			warn("W118", { token: state.tokens.curr, args: ["for each"] });
-	}
-
-	funct["(breakage)"] += 1;
-	funct["(loopage)"] += 1;
-	increaseComplexityCount();
-	advance("(");
-
-	// what kind of for(…) statement it is? for(…of…)? for(…in…)? for(…;…;…)?
-	var nextop; // contains the token of the "in" or "of" operator
-	var i = 0;
-	var inof = ["in", "of"];
-	do {
-		nextop = peek(i);
-		++i;
-	} while (!_.contains(inof, nextop.value) && nextop.value !== ";" &&
-				nextop.type !== "(end)");
-
-	// if we're in a for (… in|of …) statement
-	if (_.contains(inof, nextop.value)) {
-		if (!api.getEnvironment("es6") && nextop.value === "of") {
-			warn("W104", { token: nextop, args: ["for of"] });
+
+	blockstmt("switch", function () {
+		var t = state.tokens.next;
+		var g = false;
+		var noindent = false;
+		var that = this;
+		var node = enter("SwitchStatement", this, { discriminant: null, cases: [] });
+		var kase = null;
+		var test;
+
+		function endCase() {
+			if (kase) {
+				node.cases.push(exit(kase));
+			}
+			kase = null;
 		}
-		if (state.tokens.next.id === "var") {
-			advance("var");
-			syntax["var"].fud.call(syntax["var"].fud, true);
-		} else if (state.tokens.next.id === "let") {
-			advance("let");
-			// create a new block scope
-			letscope = true;
-			funct["(blockscope)"].stack();
-			syntax["let"].fud.call(syntax["let"].fud, true);
-		} else {
-			switch (funct[state.tokens.next.value]) {
-			case "unused":
-				funct[state.tokens.next.value] = "var";
+
+		function end() {
+			endCase();
+			that.node = exit(node);
+			return that;
+		}
+
+		function consequent(stmts) {
+			if (kase) {
+				kase.consequent = kase.consequent.concat(_.compact(stmts.map(nodeOf)));
+			}
+		}
+
+		funct["(breakage)"] += 1;
+		advance("(");
+		test = expression(0);
+		checkCondAssignment(test);
+		node.discriminant = nodeOf(test);
+		advance(")", t);
+		t = state.tokens.next;
+		advance("{");
+
+		if (state.tokens.next.from === indent)
+			noindent = true;
+
+		if (!noindent)
+			indent += state.option.indent;
+
+		this.cases = [];
+
+		for (;;) {
+			switch (state.tokens.next.id) {
+			case "case":
+				switch (funct["(verb)"]) {
+				case "yield":
+				case "break":
+				case "case":
+				case "continue":
+				case "return":
+				case "switch":
+				case "throw":
+					break;
+				default:
+					// You can tell JSHint that you don't use break intentionally by
+					// adding a comment /* falls through */ on a line just before
+					// the next `case`.
+					if (!reg.fallsThrough.test(lex.source[state.tokens.next.line - 2])) {
+						warn("W086", { token: state.tokens.curr, args: ["case"] });
+					}
+				}
+				endCase();
+				kase = enter("SwitchCase", state.tokens.next, { test: null, consequent: [] });
+				advance("case");
+				test = expression(20);
+				kase.test = nodeOf(test);
+				this.cases.push(test);
+				increaseComplexityCount();
+				g = true;
+				advance(":");
+				funct["(verb)"] = "case";
 				break;
-			case "var":
+			case "default":
+				switch (funct["(verb)"]) {
+				case "yield":
+				case "break":
+				case "continue":
+				case "return":
+				case "throw":
+					break;
+				default:
+					// Do not display a warning if 'default' is the first statement or if
+					// there is a special /* falls through */ comment.
+					if (this.cases.length) {
+						if (!reg.fallsThrough.test(lex.source[state.tokens.next.line - 2])) {
+							warn("W086", { token: state.tokens.curr, args: ["default"] });
+						}
+					}
+				}
+				endCase();
+				kase = enter("SwitchCase", state.tokens.next, { test: null, consequent: [] });
+				advance("default");
+				g = true;
+				advance(":");
 				break;
+			case "}":
+				if (!noindent)
+					indent -= state.option.indent;
+				advance("}", t);
+				funct["(breakage)"] -= 1;
+				funct["(verb)"] = undefined;
+				return end();
+			case "(end)":
+				warn("E023", { token: state.tokens.next, args: ["}"] });
+				return end();
 			default:
-				if (!funct["(blockscope)"].getlabel(state.tokens.next.value))
-					warn("W088", { token: state.tokens.next, args: [state.tokens.next.value] });
+				indent += state.option.indent;
+				if (g) {
+					switch (state.tokens.curr.id) {
+					case ",":
+						warn("E040");
+						return end();
+					case ":":
+						g = false;
+						consequent(statements());
+						break;
+					default:
+						warn("E025", { token: state.tokens.curr });
+						return end();
+					}
+				} else {
+					if (state.tokens.curr.id === ":") {
+						advance(":");
+						warn("E024", { token: state.tokens.curr, args: [":"] });
+						consequent(statements());
+					} else {
+						warn("E021", { token: state.tokens.next, args: ["case", state.tokens.next.value] });
+						return end();
+					}
+				}
+				indent -= state.option.indent;
 			}
-			advance();
 		}
-		advance(nextop.value);
-		expression(20);
-		advance(")", t);
-		s = block(true, true);
-		if (state.option.forin && s && (s.length > 1 || typeof s[0] !== "object" ||
-				s[0].value !== "if")) {
-			warn("W089", { token: this });
+	}).labelled = true;
+
+	stmt("debugger", function () {
+		if (!state.option.debug) {
+			warn("W087", { token: this });
 		}
-		funct["(breakage)"] -= 1;
-		funct["(loopage)"] -= 1;
-	} else {
-		if (foreachtok) {
-			warn("E045", { token: foreachtok });
+		this.node = leaf("DebuggerStatement", this);
+		return this;
+	}).exps = true;
+
+	(function () {
+		var x = stmt("do", function () {
+			var node = enter("DoWhileStatement", this, { body: null, test: null });
+			var test;
+
+			funct["(breakage)"] += 1;
+			funct["(loopage)"] += 1;
+			increaseComplexityCount();
+
+			this.first = block(true, true);
+			node.body = this.first.node;
+			advance("while");
+			var t = state.tokens.next;
+			advance("(");
+			test = expression(0);
+			checkCondAssignment(test);
+			node.test = nodeOf(test);
+			advance(")", t);
+			funct["(breakage)"] -= 1;
+			funct["(loopage)"] -= 1;
+			this.node = exit(node);
+			return this;
+		});
+		x.labelled = true;
+		x.exps = true;
+	}());
+
+	blockstmt("for", function () {
+		var s, t = state.tokens.next;
+		var letscope = false;
+		var foreachtok = null;
+		var start = this;
+		var node, left, exprs;
+
+		if (t.value === "each") {
+			foreachtok = t;
+			advance("each");
+
+			if (!api.getEnvironment("moz", true))
+				warn("W118", { token: state.tokens.curr, args: ["for each"] });
 		}
-		if (state.tokens.next.id !== ";") {
+
+		funct["(breakage)"] += 1;
+		funct["(loopage)"] += 1;
+		increaseComplexityCount();
+		advance("(");
+
+		// what kind of for(…) statement it is? for(…of…)? for(…in…)? for(…;…;…)?
+		var nextop; // contains the token of the "in" or "of" operator
+		var i = 0;
+		var inof = ["in", "of"];
+		do {
+			nextop = peek(i);
+			++i;
+		} while (!_.contains(inof, nextop.value) && nextop.value !== ";" &&
+					nextop.type !== "(end)");
+
+		// if we're in a for (… in|of …) statement
+		if (_.contains(inof, nextop.value)) {
+			if (!api.getEnvironment("es6") && nextop.value === "of") {
+				warn("W104", { token: nextop, args: ["for of"] });
+			}
+
+			if (nextop.value === "of") {
+				node = enter("ForOfStatement", start, { left: null, right: null, body: null });
+			} else {
+				node = enter("ForInStatement", start, {
+					left: null,
+					right: null,
+					body: null,
+					each: !!foreachtok
+				});
+			}
+
 			if (state.tokens.next.id === "var") {
 				advance("var");
-				syntax["var"].fud.call(syntax["var"].fud);
+				left = syntax["var"].fud.call(state.tokens.curr, true);
 			} else if (state.tokens.next.id === "let") {
 				advance("let");
 				// create a new block scope
 				letscope = true;
 				funct["(blockscope)"].stack();
-				syntax["let"].fud.call(syntax["let"].fud);
+				left = syntax["let"].fud.call(state.tokens.curr, true);
 			} else {
+				switch (funct[state.tokens.next.value]) {
+				case "unused":
+					funct[state.tokens.next.value] = "var";
+					break;
+				case "var":
+					break;
+				default:
+					if (!funct["(blockscope)"].getlabel(state.tokens.next.value))
+						warn("W088", { token: state.tokens.next, args: [state.tokens.next.value] });
+				}
+				advance();
+				left = { node: identNode(state.tokens.curr) };
+			}
+			node.left = nodeOf(left);
+			advance(nextop.value);
+			node.right = nodeOf(expression(20));
+			advance(")", t);
+			s = block(true, true);
+			node.body = s.node;
+			if (state.option.forin && s.length && (s.length > 1 || typeof s[0] !== "object" ||
+					s[0].value !== "if")) {
+				warn("W089", { token: this });
+			}
+			funct["(breakage)"] -= 1;
+			funct["(loopage)"] -= 1;
+		} else {
+			node = enter("ForStatement", start, { init: null, test: null, update: null, body: null });
+
+			if (foreachtok) {
+				warn("E045", { token: foreachtok });
+			}
+			if (state.tokens.next.id !== ";") {
+				if (state.tokens.next.id === "var") {
+					advance("var");
+					node.init = nodeOf(syntax["var"].fud.call(state.tokens.curr));
+				} else if (state.tokens.next.id === "let") {
+					advance("let");
+					// create a new block scope
+					letscope = true;
+					funct["(blockscope)"].stack();
+					node.init = nodeOf(syntax["let"].fud.call(state.tokens.curr));
+				} else {
+					exprs = [];
+					for (;;) {
+						exprs.push(expression(0, "for"));
+						if (state.tokens.next.id !== ",") {
+							break;
+						}
+						comma();
+					}
+					node.init = sequence(exprs);
+				}
+			}
+			advance(";");
+			if (state.tokens.next.id !== ";") {
+				s = expression(0);
+				checkCondAssignment(s);
+				node.test = nodeOf(s);
+			}
+			advance(";");
+			if (state.tokens.next.id === ";") {
+				warn("E021", { token: state.tokens.next, args: [")", ";"] });
+			}
+			if (state.tokens.next.id !== ")") {
+				exprs = [];
 				for (;;) {
-					expression(0, "for");
+					exprs.push(expression(0, "for"));
 					if (state.tokens.next.id !== ",") {
 						break;
 					}
 					comma();
 				}
+				node.update = sequence(exprs);
 			}
+			advance(")", t);
+			node.body = block(true, true).node;
+			funct["(breakage)"] -= 1;
+			funct["(loopage)"] -= 1;
+
 		}
-		advance(";");
-		if (state.tokens.next.id !== ";") {
-			checkCondAssignment(expression(0));
-		}
-		advance(";");
-		if (state.tokens.next.id === ";") {
-			warn("E021", { token: state.tokens.next, args: [")", ";"] });
+		// unstack loop blockscope
+		if (letscope) {
+			funct["(blockscope)"].unstack();
 		}
-		if (state.tokens.next.id !== ")") {
-			for (;;) {
-				expression(0, "for");
-				if (state.tokens.next.id !== ",") {
-					break;
+		this.node = exit(node);
+		return this;
+	}).labelled = true;
+
+	stmt("break", function () {
+		var v = state.tokens.next.value;
+
+		if (funct["(breakage)"] === 0)
+			warn("W052", { token: state.tokens.next, args: [this.value] });
+
+		if (state.tokens.next.id !== ";" && !state.tokens.next.reach) {
+			if (state.tokens.curr.line === state.tokens.next.line) {
+				if (funct[v] !== "label") {
+					warn("W090", { token: state.tokens.next, args: [v] });
+				} else if (scope[v] !== funct) {
+					warn("W091", { token: state.tokens.next, args: [v] });
 				}
-				comma();
+				this.first = state.tokens.next;
+				advance();
 			}
 		}
-		advance(")", t);
-		block(true, true);
-		funct["(breakage)"] -= 1;
-		funct["(loopage)"] -= 1;
-
-	}
-	// unstack loop blockscope
-	if (letscope) {
-		funct["(blockscope)"].unstack();
-	}
-	return this;
-}).labelled = true;
+		this.node = exit(enter("BreakStatement", this, {
+			label: this.first ? identNode(this.first) : null
+		}));
+		reachable("break");
+		return this;
+	}).exps = true;
 
-stmt("break", function () {
-	var v = state.tokens.next.value;
+	stmt("continue", function () {
+		var v = state.tokens.next.value;
 
-	if (funct["(breakage)"] === 0)
-		warn("W052", { token: state.tokens.next, args: [this.value] });
+		if (funct["(breakage)"] === 0)
+			warn("W052", { token: state.tokens.next, args: [this.value] });
 
-	if (state.tokens.next.id !== ";" && !state.tokens.next.reach) {
-		if (state.tokens.curr.line === state.tokens.next.line) {
-			if (funct[v] !== "label") {
-				warn("W090", { token: state.tokens.next, args: [v] });
-			} else if (scope[v] !== funct) {
-				warn("W091", { token: state.tokens.next, args: [v] });
+		if (state.tokens.next.id !== ";" && !state.tokens.next.reach) {
+			if (state.tokens.curr.line === state.tokens.next.line) {
+				if (funct[v] !== "label") {
+					warn("W090", { token: state.tokens.next, args: [v] });
+				} else if (scope[v] !== funct) {
+					warn("W091", { token: state.tokens.next, args: [v] });
+				}
+				this.first = state.tokens.next;
+				advance();
 			}
-			this.first = state.tokens.next;
-			advance();
+		} else if (!funct["(loopage)"]) {
+			warn("W052", { token: state.tokens.next, args: [this.value] });
 		}
-	}
-	reachable("break");
-	return this;
-}).exps = true;
+		this.node = exit(enter("ContinueStatement", this, {
+			label: this.first ? identNode(this.first) : null
+		}));
+		reachable("continue");
+		return this;
+	}).exps = true;
 
-stmt("continue", function () {
-	var v = state.tokens.next.value;
+	stmt("return", function () {
+		var node = enter("ReturnStatement", this, { argument: null });
 
-	if (funct["(breakage)"] === 0)
-		warn("W052", { token: state.tokens.next, args: [this.value] });
+		if (this.line === state.tokens.next.line) {
+			if (state.tokens.next.id !== ";" && !state.tokens.next.reach) {
+				this.first = expression(0);
 
-	if (state.tokens.next.id !== ";" && !state.tokens.next.reach) {
-		if (state.tokens.curr.line === state.tokens.next.line) {
-			if (funct[v] !== "label") {
-				warn("W090", { token: state.tokens.next, args: [v] });
-			} else if (scope[v] !== funct) {
-				warn("W091", { token: state.tokens.next, args: [v] });
+				if (this.first && this.first.type === "(punctuator)" && this.first.value === "=") {
+					if (!this.first.paren && !state.option.boss) {
+						warn("W093", { coord: { line: this.first.line, ch: this.first.character }});
+					}
+				}
+			}
+		} else {
+			if (state.tokens.next.type === "(punctuator)" &&
+				["[", "{", "+", "-"].indexOf(state.tokens.next.value) > -1) {
 			}
-			this.first = state.tokens.next;
-			advance();
 		}
-	} else if (!funct["(loopage)"]) {
-		warn("W052", { token: state.tokens.next, args: [this.value] });
-	}
-	reachable("continue");
-	return this;
-}).exps = true;
 
-stmt("return", function () {
-	if (this.line === state.tokens.next.line) {
-		if (state.tokens.next.id !== ";" && !state.tokens.next.reach) {
-			this.first = expression(0);
-
-			if (this.first && this.first.type === "(punctuator)" && this.first.value === "=") {
-				if (!this.first.paren && !state.option.boss) {
-					warn("W093", { coord: { line: this.first.line, ch: this.first.character }});
+		node.argument = nodeOf(this.first);
+		this.node = exit(node);
+		reachable("return");
+		return this;
+	}).exps = true;
+
+	(function (x) {
+		x.exps = true;
+		x.lbp = 25;
+	}(prefix("yield", function () {
+		var prev = state.tokens.prev;
+		var node = enter("YieldExpression", this, { argument: null, delegate: false });
+
+		if (api.getEnvironment("es6", true) && !funct["(generator)"]) {
+			warn("E046", { token: state.tokens.curr, args: ["yield"] });
+		} else if (!api.getEnvironment("es6")) {
+			warn("W104", { token: state.tokens.curr, args: ["yield"] });
+		}
+		funct["(generator)"] = "yielded";
+		if (this.line === state.tokens.next.line || !api.getEnvironment("moz", true)) {
+			if (state.tokens.next.id !== ";" && !state.tokens.next.reach && state.tokens.next.nud) {
+				this.first = expression(10);
+
+				if (this.first.type === "(punctuator)" && this.first.value === "=") {
+					if (!this.first.paren && !state.option.boss) {
+						warn("W093", { coord: { line: this.first.line, ch: this.first.character } });
+					}
 				}
 			}
+
+			if (api.getEnvironment("moz", true) && state.tokens.next.id !== ")" &&
+					(prev.lbp > 30 || (!prev.assign && !isEndOfExpr()) || prev.id === "yield")) {
+				warn("E050", { token: this });
+			}
 		}
-	} else {
-		if (state.tokens.next.type === "(punctuator)" &&
-			["[", "{", "+", "-"].indexOf(state.tokens.next.value) > -1) {
-		}
-	}
 
-	reachable("return");
-	return this;
-}).exps = true;
+		node.argument = nodeOf(this.first);
+		this.node = exit(node);
+		return this;
+	})));
 
-(function (x) {
-	x.exps = true;
-	x.lbp = 25;
-}(prefix("yield", function () {
-	var prev = state.tokens.prev;
-	if (api.getEnvironment("es6", true) && !funct["(generator)"]) {
-		warn("E046", { token: state.tokens.curr, args: ["yield"] });
-	} else if (!api.getEnvironment("es6")) {
-		warn("W104", { token: state.tokens.curr, args: ["yield"] });
-	}
-	funct["(generator)"] = "yielded";
-	if (this.line === state.tokens.next.line || !api.getEnvironment("moz", true)) {
-		if (state.tokens.next.id !== ";" && !state.tokens.next.reach && state.tokens.next.nud) {
-			this.first = expression(10);
+	stmt("throw", function () {
+		var node = enter("ThrowStatement", this, { argument: null });
+
+		this.first = expression(20);
+		node.argument = nodeOf(this.first);
+		this.node = exit(node);
+		reachable("throw");
+		return this;
+	}).exps = true;
+
+	stmt("import", function () {
+		var node = enter("ImportDeclaration", this, { specifiers: [], source: null });
+		var spec;
+
+		if (!api.getEnvironment("es6")) {
+			warn("W119", { token: state.tokens.curr, args: ["import"] });
+		}
 
-			if (this.first.type === "(punctuator)" && this.first.value === "=") {
-				if (!this.first.paren && !state.option.boss) {
-					warn("W093", { coord: { line: this.first.line, ch: this.first.character } });
+		if (state.tokens.next.identifier) {
+			this.name = identifier();
+			addlabel(this.name, { type: "unused", token: state.tokens.curr });
+			spec = enter("ImportDefaultSpecifier", state.tokens.curr, {
+				local: identNode(state.tokens.curr)
+			});
+			node.specifiers.push(exit(spec));
+		} else {
+			advance("{");
+			for (;;) {
+				var importName;
+				spec = enter("ImportSpecifier", state.tokens.next, { imported: null, local: null });
+				if (state.tokens.next.type === "default") {
+					importName = "default";
+					advance("default");
+				} else {
+					importName = identifier();
+				}
+				spec.imported = spec.local = identNode(state.tokens.curr);
+				if (state.tokens.next.value === "as") {
+					advance("as");
+					importName = identifier();
+					spec.local = identNode(state.tokens.curr);
+				}
+				addlabel(importName, { type: "unused", token: state.tokens.curr });
+				node.specifiers.push(exit(spec));
+
+				if (state.tokens.next.value === ",") {
+					advance(",");
+				} else if (state.tokens.next.value === "}") {
+					advance("}");
+					break;
+				} else {
+					warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
+					break;
 				}
 			}
 		}
 
-		if (api.getEnvironment("moz", true) && state.tokens.next.id !== ")" &&
-				(prev.lbp > 30 || (!prev.assign && !isEndOfExpr()) || prev.id === "yield")) {
-			warn("E050", { token: this });
-		}
-	}
-	return this;
-})));
+		advance("from");
+		advance("(string)");
+		node.source = leaf("Literal", state.tokens.curr, { value: state.tokens.curr.value });
+		this.node = exit(node);
+		return this;
+	}).exps = true;
 
-stmt("throw", function () {
-	this.first = expression(20);
-	reachable("throw");
-	return this;
-}).exps = true;
+	stmt("export", function () {
+		var node, spec, decl;
 
-stmt("import", function () {
-	if (!api.getEnvironment("es6")) {
-		warn("W119", { token: state.tokens.curr, args: ["import"] });
-	}
+		if (!api.getEnvironment("es6")) {
+			warn("W119", { token: state.tokens.curr, args: ["export"] });
+		}
 
-	if (state.tokens.next.identifier) {
-		this.name = identifier();
-		addlabel(this.name, { type: "unused", token: state.tokens.curr });
-	} else {
-		advance("{");
-		for (;;) {
-			var importName;
-			if (state.tokens.next.type === "default") {
-				importName = "default";
-				advance("default");
-			} else {
-				importName = identifier();
-			}
-			if (state.tokens.next.value === "as") {
-				advance("as");
-				importName = identifier();
+		if (state.tokens.next.type === "default") {
+			node = enter("ExportDefaultDeclaration", this, { declaration: null });
+			advance("default");
+			if (state.tokens.next.id === "function" || state.tokens.next.id === "class") {
+				this.block = true;
 			}
-			addlabel(importName, { type: "unused", token: state.tokens.curr });
+			this.exportee = expression(10);
+			node.declaration = nodeOf(this.exportee);
 
-			if (state.tokens.next.value === ",") {
-				advance(",");
-			} else if (state.tokens.next.value === "}") {
-				advance("}");
-				break;
-			} else {
-				warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
-				break;
+			// Default-exported functions and classes are declarations, even
+			// when they are anonymous.
+			if (this.block && node.declaration) {
+				node.declaration.type = node.declaration.type.replace("Expression", "Declaration");
 			}
+			this.node = exit(node);
+
+			return this;
 		}
-	}
 
-	advance("from");
-	advance("(string)");
-	return this;
-}).exps = true;
+		node = enter("ExportNamedDeclaration", this, {
+			declaration: null,
+			specifiers: [],
+			source: null
+		});
 
-stmt("export", function () {
-	if (!api.getEnvironment("es6")) {
-		warn("W119", { token: state.tokens.curr, args: ["export"] });
-	}
+		if (state.tokens.next.value === "{") {
+			advance("{");
+			for (;;) {
+				identifier();
+				spec = enter("ExportSpecifier", state.tokens.curr, { local: null, exported: null });
+				spec.local = spec.exported = identNode(state.tokens.curr);
+				node.specifiers.push(exit(spec));
+
+				if (state.tokens.next.value === ",") {
+					advance(",");
+				} else if (state.tokens.next.value === "}") {
+					advance("}");
+					break;
+				} else {
+					warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
+					break;
+				}
+			}
+			this.node = exit(node);
+			return this;
+		}
 
-	if (state.tokens.next.type === "default") {
-		advance("default");
-		if (state.tokens.next.id === "function" || state.tokens.next.id === "class") {
+		decl = state.tokens.next;
+		if (state.tokens.next.id === "var") {
+			advance("var");
+			syntax["var"].fud.call(state.tokens.curr);
+		} else if (state.tokens.next.id === "let") {
+			advance("let");
+			syntax["let"].fud.call(state.tokens.curr);
+		} else if (state.tokens.next.id === "const") {
+			advance("const");
+			syntax["const"].fud.call(state.tokens.curr);
+		} else if (state.tokens.next.id === "function") {
 			this.block = true;
+			advance("function");
+			syntax["function"].fud.call(state.tokens.curr);
+		} else if (state.tokens.next.id === "class") {
+			this.block = true;
+			advance("class");
+			syntax["class"].fud.call(state.tokens.curr);
+		} else {
+			warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
 		}
-		this.exportee = expression(10);
 
+		node.declaration = nodeOf(decl);
+		this.node = exit(node);
 		return this;
-	}
-
-	if (state.tokens.next.value === "{") {
-		advance("{");
-		for (;;) {
-			identifier();
-
-			if (state.tokens.next.value === ",") {
-				advance(",");
-			} else if (state.tokens.next.value === "}") {
-				advance("}");
+	}).exps = true;
+
+	// Future Reserved Words
+
+	FutureReservedWord("abstract");
+	FutureReservedWord("boolean");
+	FutureReservedWord("byte");
+	FutureReservedWord("char");
+	FutureReservedWord("class", { es5: true, nud: classdef });
+	FutureReservedWord("double");
+	FutureReservedWord("enum", { es5: true });
+	FutureReservedWord("export", { es5: true });
+	FutureReservedWord("extends", { es5: true });
+	FutureReservedWord("final");
+	FutureReservedWord("float");
+	FutureReservedWord("goto");
+	FutureReservedWord("implements", { es5: true, strictOnly: true });
+	FutureReservedWord("import", { es5: true });
+	FutureReservedWord("int");
+	FutureReservedWord("interface", { es5: true, strictOnly: true });
+	FutureReservedWord("long");
+	FutureReservedWord("native");
+	FutureReservedWord("package", { es5: true, strictOnly: true });
+	FutureReservedWord("private", { es5: true, strictOnly: true });
+	FutureReservedWord("protected", { es5: true, strictOnly: true });
+	FutureReservedWord("public", { es5: true, strictOnly: true });
+	FutureReservedWord("short");
+	FutureReservedWord("static", { es5: true, strictOnly: true });
+	FutureReservedWord("super", { es5: true });
+	FutureReservedWord("synchronized");
+	FutureReservedWord("throws");
+	FutureReservedWord("transient");
+	FutureReservedWord("volatile");
+
+	// this function is used to determine wether a squarebracket or a curlybracket
+	// expression is a comprehension array or a destructuring assignment.
+
+	var lookupBlockType = function () {
+		var pn, pn1;
+		var i = -1;
+		var bracketStack = 0;
+		var ret = {};
+		if (_.contains(["[", "{"], state.tokens.curr.value))
+			bracketStack += 1;
+		do {
+			pn = (i === -1) ? state.tokens.next : peek(i);
+			pn1 = peek(i + 1);
+			i = i + 1;
+			if (_.contains(["[", "{"], pn.value)) {
+				bracketStack += 1;
+			} else if (_.contains(["]", "}"], pn.value)) {
+				bracketStack -= 1;
+			}
+			if (pn.identifier && pn.value === "for" && bracketStack === 1) {
+				ret.isCompArray = true;
 				break;
-			} else {
-				warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
+			}
+			if (_.contains(["}", "]"], pn.value) && pn1.value === "=" && bracketStack === 0) {
+				ret.isDestAssign = true;
 				break;
 			}
-		}
-		return this;
-	}
-
-	if (state.tokens.next.id === "var") {
-		advance("var");
-		syntax["var"].fud.call(syntax["var"].fud);
-	} else if (state.tokens.next.id === "let") {
-		advance("let");
-		syntax["let"].fud.call(syntax["let"].fud);
-	} else if (state.tokens.next.id === "const") {
-		advance("const");
-		syntax["const"].fud.call(syntax["const"].fud);
-	} else if (state.tokens.next.id === "function") {
-		this.block = true;
-		advance("function");
-		syntax["function"].fud();
-	} else if (state.tokens.next.id === "class") {
-		this.block = true;
-		advance("class");
-		syntax["class"].fud();
-	} else {
-		warn("E024", { token: state.tokens.next, args: [state.tokens.next.value] });
-	}
-
-	return this;
-}).exps = true;
-
-// Future Reserved Words
-
-FutureReservedWord("abstract");
-FutureReservedWord("boolean");
-FutureReservedWord("byte");
-FutureReservedWord("char");
-FutureReservedWord("class", { es5: true, nud: classdef });
-FutureReservedWord("double");
-FutureReservedWord("enum", { es5: true });
-FutureReservedWord("export", { es5: true });
-FutureReservedWord("extends", { es5: true });
-FutureReservedWord("final");
-FutureReservedWord("float");
-FutureReservedWord("goto");
-FutureReservedWord("implements", { es5: true, strictOnly: true });
-FutureReservedWord("import", { es5: true });
-FutureReservedWord("int");
-FutureReservedWord("interface", { es5: true, strictOnly: true });
-FutureReservedWord("long");
-FutureReservedWord("native");
-FutureReservedWord("package", { es5: true, strictOnly: true });
-FutureReservedWord("private", { es5: true, strictOnly: true });
-FutureReservedWord("protected", { es5: true, strictOnly: true });
-FutureReservedWord("public", { es5: true, strictOnly: true });
-FutureReservedWord("short");
-FutureReservedWord("static", { es5: true, strictOnly: true });
-FutureReservedWord("super", { es5: true });
-FutureReservedWord("synchronized");
-FutureReservedWord("throws");
-FutureReservedWord("transient");
-FutureReservedWord("volatile");
-
-// this function is used to determine wether a squarebracket or a curlybracket
-// expression is a comprehension array or a destructuring assignment.
-
-var lookupBlockType = function () {
-	var pn, pn1;
-	var i = -1;
-	var bracketStack = 0;
-	var ret = {};
-	if (_.contains(["[", "{"], state.tokens.curr.value))
-		bracketStack += 1;
-	do {
-		pn = (i === -1) ? state.tokens.next : peek(i);
-		pn1 = peek(i + 1);
-		i = i + 1;
-		if (_.contains(["[", "{"], pn.value)) {
-			bracketStack += 1;
-		} else if (_.contains(["]", "}"], pn.value)) {
-			bracketStack -= 1;
-		}
-		if (pn.identifier && pn.value === "for" && bracketStack === 1) {
-			ret.isCompArray = true;
-			break;
-		}
-		if (_.contains(["}", "]"], pn.value) && pn1.value === "=" && bracketStack === 0) {
-			ret.isDestAssign = true;
-			break;
-		}
-		if (pn.value === ";") {
-			ret.isBlock = true;
-		}
-	} while (bracketStack > 0 && pn.id !== "(end)" && i < 15);
-	return ret;
-};
-
-// array comprehension parsing function
-// parses and defines the three states of the list comprehension in order
-// to avoid defining global variables, but keeping them to the list comprehension scope
-// only. The order of the states are as follows:
-//  * "use" which will be the returned iterative part of the list comprehension
-//  * "define" which will define the variables local to the list comprehension
-//  * "filter" which will help filter out values
-
-var arrayComprehension = function () {
-	var CompArray = function () {
-		this.mode = "use";
-		this.variables = [];
+			if (pn.value === ";") {
+				ret.isBlock = true;
+			}
+		} while (bracketStack > 0 && pn.id !== "(end)" && i < 15);
+		return ret;
 	};
-	var _carrays = [];
-	var _current;
-	function declare(v) {
-		var l = _current.variables.filter(function (elt) {
-			// if it has, change its undef state
-			if (elt.value === v) {
-				elt.undef = false;
-				return v;
-			}
-		}).length;
-		return l !== 0;
-	}
-	function use(v) {
-		var l = _current.variables.filter(function (elt) {
-			// and if it has been defined
-			if (elt.value === v && !elt.undef) {
-				if (elt.unused === true) {
-					elt.unused = false;
-				}
-				return v;
-			}
-		}).length;
-		// otherwise we warn about it
-		return (l === 0);
-	}
-	return {stack: function () {
-				_current = new CompArray();
-				_carrays.push(_current);
-			},
-			unstack: function () {
-				_current.variables.filter(function (v) {
-					if (v.unused)
-						warn("W098", { token: v.token, args: [v.value] });
-					if (v.undef)
-						isundef(v.funct, "W117", { token: v.token, args: [v.value] });
-				});
-				_carrays.splice(-1, 1);
-				_current = _carrays[_carrays.length - 1];
-			},
-			setState: function (s) {
-				if (_.contains(["use", "define", "generate", "filter"], s))
-					_current.mode = s;
-			},
-			check: function (v) {
-				if (!_current) {
-					return;
+
+	// array comprehension parsing function
+	// parses and defines the three states of the list comprehension in order
+	// to avoid defining global variables, but keeping them to the list comprehension scope
+	// only. The order of the states are as follows:
+	//  * "use" which will be the returned iterative part of the list comprehension
+	//  * "define" which will define the variables local to the list comprehension
+	//  * "filter" which will help filter out values
+
+	var arrayComprehension = function () {
+		var CompArray = function () {
+			this.mode = "use";
+			this.variables = [];
+		};
+		var _carrays = [];
+		var _current;
+		function declare(v) {
+			var l = _current.variables.filter(function (elt) {
+				// if it has, change its undef state
+				if (elt.value === v) {
+					elt.undef = false;
+					return v;
 				}
-				// When we are in "use" state of the list comp, we enqueue that var
-				if (_current && _current.mode === "use") {
-					if (use(v)) {
-						_current.variables.push({
-							funct: funct,
-							token: state.tokens.curr,
-							value: v,
-							undef: true,
-							unused: false
-						});
+			}).length;
+			return l !== 0;
+		}
+		function use(v) {
+			var l = _current.variables.filter(function (elt) {
+				// and if it has been defined
+				if (elt.value === v && !elt.undef) {
+					if (elt.unused === true) {
+						elt.unused = false;
 					}
-					return true;
-				// When we are in "define" state of the list comp,
-				} else if (_current && _current.mode === "define") {
-					// check if the variable has been used previously
-					if (!declare(v)) {
-						_current.variables.push({
-							funct: funct,
-							token: state.tokens.curr,
-							value: v,
-							undef: false,
-							unused: true
-						});
+					return v;
+				}
+			}).length;
+			// otherwise we warn about it
+			return (l === 0);
+		}
+		return {stack: function () {
+					_current = new CompArray();
+					_carrays.push(_current);
+				},
+				unstack: function () {
+					_current.variables.filter(function (v) {
+						if (v.unused)
+							warn("W098", { token: v.token, args: [v.value] });
+						if (v.undef)
+							isundef(v.funct, "W117", { token: v.token, args: [v.value] });
+					});
+					_carrays.splice(-1, 1);
+					_current = _carrays[_carrays.length - 1];
+				},
+				depth: function () {
+					return _carrays.length;
+				},
+				unwind: function (depth) {
+					_carrays.splice(depth);
+					_current = _carrays[_carrays.length - 1];
+				},
+				setState: function (s) {
+					if (_.contains(["use", "define", "generate", "filter"], s))
+						_current.mode = s;
+				},
+				check: function (v) {
+					if (!_current) {
+						return;
 					}
-					return true;
-				// When we are in the "generate" state of the list comp,
-				} else if (_current && _current.mode === "generate") {
-					isundef(funct, "W117", { token: state.tokens.curr, args: [v] });
-					return true;
-				// When we are in "filter" state,
-				} else if (_current && _current.mode === "filter") {
-					// we check whether current variable has been declared
-					if (use(v)) {
-						// if not we warn about it
+					// When we are in "use" state of the list comp, we enqueue that var
+					if (_current && _current.mode === "use") {
+						if (use(v)) {
+							_current.variables.push({
+								funct: funct,
+								token: state.tokens.curr,
+								value: v,
+								undef: true,
+								unused: false
+							});
+						}
+						return true;
+					// When we are in "define" state of the list comp,
+					} else if (_current && _current.mode === "define") {
+						// check if the variable has been used previously
+						if (!declare(v)) {
+							_current.variables.push({
+								funct: funct,
+								token: state.tokens.curr,
+								value: v,
+								undef: false,
+								unused: true
+							});
+						}
+						return true;
+					// When we are in the "generate" state of the list comp,
+					} else if (_current && _current.mode === "generate") {
 						isundef(funct, "W117", { token: state.tokens.curr, args: [v] });
+						return true;
+					// When we are in "filter" state,
+					} else if (_current && _current.mode === "filter") {
+						// we check whether current variable has been declared
+						if (use(v)) {
+							// if not we warn about it
+							isundef(funct, "W117", { token: state.tokens.curr, args: [v] });
+						}
+						return true;
 					}
-					return true;
+					return false;
 				}
-				return false;
-			}
-			};
-};
+				};
+	};
 
-var blockScope = function () {
-	var _current = {};
-	var _variables = [_current];
+	var blockScope = function () {
+		var _current = {};
+		var _variables = [_current];
 
-	function _checkBlockLabels() {
-		for (var t in _current) {
-			if (_current[t]["(type)"] === "unused") {
-				if (state.option.unused) {
-					var tkn = _current[t]["(token)"];
-					warn("W098", { coord: { line: tkn.line, ch: tkn.character }, args: [t] });
+		function _checkBlockLabels() {
+			for (var t in _current) {
+				if (_current[t]["(type)"] === "unused") {
+					if (state.option.unused) {
+						var tkn = _current[t]["(token)"];
+						warn("W098", { coord: { line: tkn.line, ch: tkn.character }, args: [t] });
+					}
 				}
 			}
 		}
-	}
 
-	return {
-		stack: function () {
-			_current = {};
-			_variables.push(_current);
-		},
+		return {
+			stack: function () {
+				_current = {};
+				_variables.push(_current);
+			},
 
-		unstack: function () {
-			_checkBlockLabels();
-			_variables.splice(_variables.length - 1, 1);
-			_current = _.last(_variables);
-		},
+			unstack: function () {
+				_checkBlockLabels();
+				_variables.splice(_variables.length - 1, 1);
+				_current = _.last(_variables);
+			},
 
-		getlabel: function (l) {
-			for (var i = _variables.length - 1 ; i >= 0; --i) {
-				if (_.has(_variables[i], l)) {
-					return _variables[i];
-				}
-			}
-		},
+			// Used to drop the blocks that a syntax error left open.
+			depth: function () {
+				return _variables.length;
+			},
+
+			unwind: function (depth) {
+				_variables.splice(depth);
+				_current = _.last(_variables);
+			},
 
-		current: {
-			has: function (t) {
-				return _.has(_current, t);
+			getlabel: function (l) {
+				for (var i = _variables.length - 1 ; i >= 0; --i) {
+					if (_.has(_variables[i], l)) {
+						return _variables[i];
+					}
+				}
 			},
-			add: function (t, type, tok) {
-				_current[t] = { "(type)" : type, "(token)": tok };
+
+			current: {
+				has: function (t) {
+					return _.has(_current, t);
+				},
+				add: function (t, type, tok) {
+					_current[t] = { "(type)" : type, "(token)": tok };
+				}
 			}
-		}
+		};
 	};
-};
 
-function parse(input, options, program) {
-	// Reset parser state
-	state.option    = options.passed;
-	state.ignored   = options.ignored;
-	state.blacklist = options.blacklist;
-	state.directive = {};
-	state.implied   = {};
-	state.unused    = [];
-
-	state.tokens = {
-		prev: syntax["(begin)"],
-		curr: syntax["(begin)"],
-		next: syntax["(begin)"]
-	};
+	function parse(input, options, program) {
+		// Reset parser state
+		state.option    = options.passed;
+		state.ignored   = options.ignored;
+		state.severity  = options.severity;
+		state.blacklist = options.blacklist;
+		state.directive = {};
+		state.implied   = {};
+		state.unused    = [];
+
+		state.suppressions = [];
+
+		state.tokens = {
+			prev: syntax["(begin)"],
+			curr: syntax["(begin)"],
+			next: syntax["(begin)"]
+		};
 
-	if (program) {
-		state.program = program;
-	} else {
-		state.program = "(main)";
-		state.errors  = [];
-		state.undefs  = [];
-		state.scripts = [];
-	}
+		if (program) {
+			state.program = program;
+		} else {
+			state.program = "(main)";
+			state.errors  = [];
+			state.undefs  = [];
+			state.scripts = [];
+			state.ast     = null;
 
-	declared = {};
-	exported = options.exported;
+			// A line break at the end of the source doesn't start a line.
+			state.lines = _.isArray(input) ? input.length :
+				input.split(/\r\n|\r|\n/).length - (/[\r\n]$/.test(input) ? 1 : 0);
+		}
 
-	state.option.indent = state.option.indent || 4;
-	state.option.maxerr = state.option.maxerr || 50;
+		declared = {};
+		exported = options.exported;
 
-	predefined = {};
-	globalscope = Object.create(predefined);
-	scope = globalscope;
+		state.option.indent = state.option.indent || 4;
+		state.option.maxerr = state.option.maxerr || 50;
 
-	comma.first = true;
-	indent = 1;
+		predefined = {};
+		globalscope = Object.create(predefined);
+		scope = globalscope;
 
-	funct = utils.functor("(global)", null, scope, {
-		"(global)"    : true,
-		"(blockscope)": blockScope(),
-		"(comparray)" : arrayComprehension(),
-		"(metrics)"   : utils.metrics(state.tokens.next)
-	});
+		comma.first = true;
+		indent = 1;
 
-	state.functions = [funct];
-	stack = null;
-	inblock = false;
-	lookahead = [];
-	warnings = 0;
+		funct = utils.functor("(global)", null, scope, {
+			"(global)"    : true,
+			"(blockscope)": blockScope(),
+			"(comparray)" : arrayComprehension(),
+			"(metrics)"   : utils.metrics(state.tokens.next)
+		});
 
-	// Configure and start lexer
-	lex = new Lexer(input, { indent: state.option.indent });
+		state.functions = [funct];
+		stack = null;
+		inblock = false;
+		lookahead = [];
+		warnings = 0;
+		braces = 0;
+		fatal = null;
+		recoveries = [];
 
-	lex.on("warning", function (ev) {
-		warn.call(null, ev.code, { coord: { line: ev.line, ch: ev.character }, args: ev.data });
-	});
+		// Configure and start lexer
+		lex = new Lexer(input, { indent: state.option.indent });
 
-	lex.on("error", function (ev) {
-		warn.call(null, ev.code, { coord: { line: ev.line, ch: ev.character }, args: ev.data });
-	});
+		lex.on("warning", function (ev) {
+			warn.call(null, ev.code, { coord: { line: ev.line, ch: ev.character }, args: ev.data });
+		});
 
-	lex.on("fatal", function (ev) {
-		quit("E041", ev.line, ev.from);
-	});
+		lex.on("error", function (ev) {
+			warn.call(null, ev.code, { coord: { line: ev.line, ch: ev.character }, args: ev.data });
+		});
 
-	lex.on("Hashbang", function (ev) {
-		if (~ev.value.indexOf("node"))
-			state.option.node = true;
-	});
+		lex.on("fatal", function (ev) {
+			fatal = ev;
+		});
 
-	[ "Identifier", "String", "Number" ].forEach(function (name) {
-		lex.on(name, function (ev) { emitter.emit(name, ev) });
-	});
+		lex.on("Hashbang", function (ev) {
+			if (~ev.value.indexOf("node"))
+				state.option.node = true;
+		});
 
-	lex.start();
+		[ "Identifier", "String", "Number" ].forEach(function (name) {
+			lex.on(name, function (ev) { emitter.emit(name, ev) });
+		});
 
-	// Check options
-	_.each(state.option, function (val, name) { checkOption(name, state.tokens.curr) });
+		lex.start();
 
-	// Setup variables for the environment
-	function ifenabled(acc, varsets, opt) {
-		if (!state.option[opt])
-			return acc;
+		// Check options
+		_.each(state.option, function (val, name) { checkOption(name, state.tokens.curr) });
 
-		_.each(varsets, function (set) { _.extend(acc, set) });
-		return acc;
-	}
+		_.each(state.severity, function (level, code) {
+			if (!(/^[WE]\d{3}$/).test(code) || (level !== "off" && !_.has(SEVERITY, level)))
+				warn("E002", { token: state.tokens.curr });
+		});
 
-	_.extend(predefined, vars.ecma, vars.reserved);
-	_.extend(predefined, _.reduce(varmap, ifenabled, {}), options.variables);
+		// Setup variables for the environment
+		function ifenabled(acc, varsets, opt) {
+			if (!state.option[opt])
+				return acc;
 
-	_.each(predefined, function (val, name) {
-		if (_.has(state.blacklist, name)) delete predefined[name];
-	});
+			_.each(varsets, function (set) { _.extend(acc, set) });
+			return acc;
+		}
 
-	if (state.option.globalstrict && state.option.strict !== false)
-		state.option.strict = true;
+		_.extend(predefined, vars.ecma, vars.reserved);
+		_.extend(predefined, _.reduce(varmap, ifenabled, {}), options.variables);
 
-	advance();
-	directives();
+		_.each(predefined, function (val, name) {
+			if (_.has(state.blacklist, name)) delete predefined[name];
+		});
 
-	if (state.tokens.next.id === "{" || state.tokens.next.id === "[") {
-		if (!api.getEnvironment("es6") && lookupBlockType().isDestAssign) {
-			warn("W104", { token: state.tokens.curr, args: ["destructuring assignment"] });
-		}
-	} else {
-		if (state.directive["use strict"]) {
-			if (!state.option.globalstrict && !(state.option.node || state.option.phantom)) {
-				warn("W097", { token: state.tokens.prev });
-			}
-		}
-	}
+		if (state.option.globalstrict && state.option.strict !== false)
+			state.option.strict = true;
 
-	statements();
-	advance((state.tokens.next && state.tokens.next.value !== ".")	? "(end)" : undefined);
-	funct["(blockscope)"].unstack();
+		var node = enter("Program", { line: 1, from: 1 }, { body: [] });
+		var dirs = [];
+		var saved = checkpoint();
 
-	var markDefined = function (name, context) {
-		do {
-			if (typeof context[name] === "string") {
-				// JSHINT marks unused variables as 'unused' and
-				// unused function declaration as 'unction'. This
-				// code changes such instances back 'var' and
-				// 'closure' so that the code in JSHINT.data()
-				// doesn't think they're unused.
-
-				if (context[name] === "unused")
-					context[name] = "var";
-				else if (context[name] === "unction")
-					context[name] = "closure";
+		try {
+			advance();
+			dirs = directives();
+		} catch (err) {
+			if (err.name !== "SyntaxRecovery") throw err;
+			recover(err, saved);
+		}
 
-				return true;
+		if (state.tokens.next.id === "{" || state.tokens.next.id === "[") {
+			if (!api.getEnvironment("es6") && lookupBlockType().isDestAssign) {
+				warn("W104", { token: state.tokens.curr, args: ["destructuring assignment"] });
 			}
+		} else {
+			if (state.directive["use strict"]) {
+				if (!state.option.globalstrict && !(state.option.node || state.option.phantom)) {
+					warn("W097", { token: state.tokens.prev });
+				}
+			}
+		}
 
-			context = context["(context)"];
-		} while (context);
-
-		return false;
-	};
+		var body = statements();
+		funct["(metrics)"].statements += body.length;
 
-	var clearImplied = function (name, line) {
-		if (!state.implied[name])
-			return;
+		node.body = dirs.concat(_.compact(body.map(nodeOf)));
+		advance((state.tokens.next && state.tokens.next.value !== ".")	? "(end)" : undefined);
+		funct["(last)"] = state.tokens.curr.line;
+		exit(node);
+		funct["(blockscope)"].unstack();
 
-		var newImplied = [];
-		for (var i = 0; i < state.implied[name].length; i += 1) {
-			if (state.implied[name][i] !== line)
-				newImplied.push(state.implied[name][i]);
+		if (options.ast && state.program === "(main)") {
+			state.ast = located(node);
 		}
 
-		if (newImplied.length === 0)
-			delete state.implied[name];
-		else
-			state.implied[name] = newImplied;
-	};
+		var markDefined = function (name, context) {
+			do {
+				if (typeof context[name] === "string") {
+					// JSHINT marks unused variables as 'unused' and
+					// unused function declaration as 'unction'. This
+					// code changes such instances back 'var' and
+					// 'closure' so that the code in JSHINT.data()
+					// doesn't think they're unused.
 
-	var warnUnused = function (name, tkn, type, unused_opt) {
-		var line = tkn.line;
-		var chr  = tkn.character;
+					if (context[name] === "unused")
+						context[name] = "var";
+					else if (context[name] === "unction")
+						context[name] = "closure";
 
-		if (unused_opt === undefined) {
-			unused_opt = state.option.unused;
-		}
+					return true;
+				}
 
-		if (unused_opt === true) {
-			unused_opt = "last-param";
-		}
+				context = context["(context)"];
+			} while (context);
 
-		var warnable_types = {
-			"vars": ["var"],
-			"last-param": ["var", "param"],
-			"strict": ["var", "param", "last-param"]
+			return false;
 		};
 
-		if (unused_opt) {
-			if (warnable_types[unused_opt] && warnable_types[unused_opt].indexOf(type) !== -1) {
-				warn("W098", { coord: { line: line, ch: chr }, args: [name] });
+		var clearImplied = function (name, line) {
+			if (!state.implied[name])
+				return;
+
+			var newImplied = [];
+			for (var i = 0; i < state.implied[name].length; i += 1) {
+				if (state.implied[name][i] !== line)
+					newImplied.push(state.implied[name][i]);
 			}
-		}
 
-		state.unused.push({
-			name: name,
-			line: line,
-			character: chr
-		});
-	};
+			if (newImplied.length === 0)
+				delete state.implied[name];
+			else
+				state.implied[name] = newImplied;
+		};
 
-	var checkUnused = function (func, key) {
-		var type = func[key];
-		var tkn = func["(tokens)"][key];
+		var warnUnused = function (name, tkn, type, unused_opt) {
+			var line = tkn.line;
+			var chr  = tkn.character;
 
-		if (key.charAt(0) === "(")
-			return;
+			if (unused_opt === undefined) {
+				unused_opt = state.option.unused;
+			}
 
-		if (type !== "unused" && type !== "unction" && type !== "const")
-			return;
+			if (unused_opt === true) {
+				unused_opt = "last-param";
+			}
 
-		// Params are checked separately from other variables.
-		if (func["(params)"] && func["(params)"].indexOf(key) !== -1)
-			return;
+			var warnable_types = {
+				"vars": ["var"],
+				"last-param": ["var", "param"],
+				"strict": ["var", "param", "last-param"]
+			};
 
-		// Variable is in global scope and defined as exported.
-		if (func["(global)"] && _.has(exported, key))
-			return;
+			if (unused_opt) {
+				if (warnable_types[unused_opt] && warnable_types[unused_opt].indexOf(type) !== -1) {
+					warn("W098", { coord: { line: line, ch: chr }, args: [name] });
+				}
+			}
 
-		// Is this constant unused?
-		if (type === "const" && !utils.getprop(func, key, "unused"))
-			return;
+			state.unused.push({
+				name: name,
+				line: line,
+				character: chr
+			});
+		};
 
-		warnUnused(key, tkn, "var");
-	};
+		var checkUnused = function (func, key) {
+			var type = func[key];
+			var tkn = func["(tokens)"][key];
 
-	// Check queued 'x is not defined' instances to see if they're still undefined.
-	state.undefs.forEach(function (params) {
-		var scope = params[0];
-		var code  = params[1];
-		var opts  = params[2];
+			if (key.charAt(0) === "(")
+				return;
 
-		if (markDefined(opts.token.value, scope))
-			return void clearImplied(opts.token.value, opts.token.line);
+			if (type !== "unused" && type !== "unction" && type !== "const")
+				return;
 
-		if (state.option.undef)
-			warn.call(null, code, opts);
-	});
+			// Params are checked separately from other variables.
+			if (func["(params)"] && func["(params)"].indexOf(key) !== -1)
+				return;
 
-	state.functions.forEach(function (func) {
-		if (func["(unusedOption)"] === false) {
-			return;
-		}
+			// Variable is in global scope and defined as exported.
+			if (func["(global)"] && _.has(exported, key))
+				return;
 
-		for (var key in func) {
-			if (_.has(func, key)) {
-				checkUnused(func, key);
-			}
-		}
+			// Is this constant unused?
+			if (type === "const" && !utils.getprop(func, key, "unused"))
+				return;
 
-		if (!func["(params)"])
-			return;
+			warnUnused(key, tkn, "var");
+		};
 
-		var params = func["(params)"].slice();
-		var param  = params.pop();
-		var type, unused_opt;
+		// Check queued 'x is not defined' instances to see if they're still undefined.
+		state.undefs.forEach(function (params) {
+			var scope = params[0];
+			var code  = params[1];
+			var opts  = params[2];
 
-		while (param) {
-			type = func[param];
-			unused_opt = func["(unusedOption)"] || state.option.unused;
-			unused_opt = unused_opt === true ? "last-param" : unused_opt;
+			if (markDefined(opts.token.value, scope))
+				return void clearImplied(opts.token.value, opts.token.line);
 
-			// 'undefined' is a special case for (function (window, undefined) { ... })();
-			// patterns.
+			if (state.option.undef)
+				warn.call(null, code, opts);
+		});
 
-			if (param === "undefined")
+		state.functions.forEach(function (func) {
+			if (func["(unusedOption)"] === false) {
 				return;
+			}
+
+			for (var key in func) {
+				if (_.has(func, key)) {
+					checkUnused(func, key);
+				}
+			}
 
-			if (type === "unused" || type === "unction") {
-				warnUnused(param, func["(tokens)"][param], "param", func["(unusedOption)"]);
-			} else if (unused_opt === "last-param") {
+			if (!func["(params)"])
 				return;
+
+			var params = func["(params)"].slice();
+			var param  = params.pop();
+			var type, unused_opt;
+
+			while (param) {
+				type = func[param];
+				unused_opt = func["(unusedOption)"] || state.option.unused;
+				unused_opt = unused_opt === true ? "last-param" : unused_opt;
+
+				// 'undefined' is a special case for (function (window, undefined) { ... })();
+				// patterns.
+
+				if (param === "undefined")
+					return;
+
+				if (type === "unused" || type === "unction") {
+					warnUnused(param, func["(tokens)"][param], "param", func["(unusedOption)"]);
+				} else if (unused_opt === "last-param") {
+					return;
+				}
+
+				param = params.pop();
 			}
+		});
 
-			param = params.pop();
+		for (var key in declared) {
+			if (_.has(declared, key) && !_.has(globalscope, key) && !_.has(exported, key)) {
+				warnUnused(key, declared[key], "var");
+			}
 		}
-	});
 
-	for (var key in declared) {
-		if (_.has(declared, key) && !_.has(globalscope, key) && !_.has(exported, key)) {
-			warnUnused(key, declared[key], "var");
+		// Report suppression comments that didn't suppress anything.
+		if (state.option.suppress === true || state.option.suppress === "unused") {
+			state.suppressions.forEach(function (entry) {
+				if (!entry.used)
+					warn("W124", { token: entry.token, args: [entry.code || "all warnings"] });
+			});
 		}
-	}
 
-	// Loop over the listed scripts, and check them as well.
-	if (state.program === "(main)") {
-		state.scripts.forEach(function (internal) {
-			parse(internal.value, options, internal.elem);
-		});
+		// Loop over the listed scripts, and check them as well.
+		if (state.program === "(main)") {
+			state.scripts.forEach(function (internal) {
+				parse(internal.value, options, internal.elem);
+			});
+		}
+
+		state.env = scope;
+		return state;
 	}
 
-	state.env = scope;
-	return state;
+	return {
+		messages: messages,
+		parse: parse,
+		extend: function (fn) { fn(api) },
+
+		// Stops at a syntax error that no statement recovered from and
+		// returns the state, just like errors that stop the parser do.
+		stop: function (err) {
+			try {
+				quit("E052", err.line, err.ch);
+			} catch (e) {
+				if (e.name !== "ParseError") throw e;
+				return e.state;
+			}
+		},
+
+		reset: function () {
+			emitter.removeAllListeners();
+			messages.reset();
+			custom = {};
+		}
+	};
 }
 
-exports.parse  = parse;
-exports.extend = function (fn) { fn(api) };
-exports.reset  = function () { emitter.removeAllListeners() };
\ No newline at end of file
+exports.create = create;
@@ -76,6 +76,6 @@ module.exports =
 
 		out.push("</checkstyle>");
 
-		process.stdout.write(out.join("\n") + "\n");
+		(opts.out || process.stdout).write(out.join("\n") + "\n");
 	}
 };
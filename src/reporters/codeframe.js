@@ -0,0 +1,150 @@
+"use strict";
+
+var fs = require("fs");
+
+// Reporter that shows each warning with the source lines around it and
+// carets under its span, followed by a summary for every file. With the
+// 'color' option it uses ANSI colors.
+
+var CONTEXT = 2; // Lines shown before and after the offending line.
+
+var COLORS = {
+	bold:    [ 1, 22 ],
+	gray:    [ 90, 39 ],
+	red:     [ 31, 39 ],
+	yellow:  [ 33, 39 ]
+};
+
+function plural(count, word) {
+	return count + " " + word + (count === 1 ? "" : "s");
+}
+
+function summary(errors, warnings) {
+	return plural(errors + warnings, "problem") + " (" + plural(errors, "error") + ", " +
+		plural(warnings, "warning") + ")";
+}
+
+// Returns the lines of a file, or null if it can't be read (stdin, for
+// example). A line break at the end of the file doesn't start a line.
+
+function readLines(file) {
+	var lines;
+
+	try {
+		lines = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+	} catch (err) {
+		return null;
+	}
+
+	if (lines.length > 1 && lines[lines.length - 1] === "")
+		lines.pop();
+
+	return lines;
+}
+
+// Returns the column where a warning ends on its first line.
+
+function endOf(error, column) {
+	return error.endLine === error.line ? error.endCh : column + 1;
+}
+
+module.exports = {
+	reporter: function (results, data, opts) {
+		var out = [];
+		var files = {};
+		var total = { errors: 0, warnings: 0 };
+		var file, count;
+
+		opts = opts || {};
+
+		function paint(color, str) {
+			if (!opts.color)
+				return str;
+
+			return "\u001b[" + COLORS[color][0] + "m" + str + "\u001b[" + COLORS[color][1] + "m";
+		}
+
+		// Columns count tabs as 'indent' characters, just like the lexer does.
+		(data || []).forEach(function (fileData) {
+			files[fileData.file] = { indent: (fileData.options || {}).indent || 4 };
+		});
+
+		function frame(error, lines, indent) {
+			var tab = new Array(indent + 1).join(" ");
+			var column = error.ch !== undefined ? error.ch : error.character;
+			var first = Math.max(error.line - CONTEXT, 1);
+			var last = error.line + CONTEXT;
+			var width, ln;
+
+			// The file may be gone or have changed since it was linted.
+			if (!lines || (error.source !== undefined && lines[error.line - 1] !== error.source)) {
+				lines = [];
+				lines[error.line - 1] = error.source || "";
+				first = last = error.line;
+			}
+
+			last = Math.min(last, lines.length);
+			width = String(last).length;
+
+			function gutter(num) {
+				num = String(num === null ? "" : num);
+				return new Array(width - num.length + 1).join(" ") + num + " | ";
+			}
+
+			for (ln = first; ln <= last; ln += 1) {
+				var text = (lines[ln - 1] || "").replace(/\t/g, tab);
+
+				if (ln !== error.line) {
+					out.push(paint("gray", "    " + gutter(ln) + text));
+					continue;
+				}
+
+				out.push(paint("bold", "  > ") + gutter(ln) + text);
+
+				// Warnings that end on the same line are underlined in full.
+				if (column > 0) {
+					out.push("    " + gutter(null) + new Array(column).join(" ") +
+						paint(error.type === "error" ? "red" : "yellow",
+							new Array(Math.max(endOf(error, column) - column, 1) + 1).join("^")));
+				}
+			}
+		}
+
+		function flush() {
+			if (!file)
+				return;
+
+			out.push(paint("bold", file.name) + ": " + summary(file.errors, file.warnings));
+			out.push("");
+		}
+
+		results.forEach(function (result) {
+			var error = result.error;
+			var isError = error.type === "error";
+
+			if (!file || file.name !== result.file) {
+				flush();
+				file = { name: result.file, lines: readLines(result.file), errors: 0, warnings: 0 };
+			}
+
+			out.push(paint(isError ? "red" : "yellow", error.type) + " " +
+				paint("bold", error.code) + ": " + error.message + " " +
+				paint("gray", "(" + result.file + ":" + error.line + ":" +
+					(error.ch !== undefined ? error.ch : error.character) + ")"));
+
+			frame(error, file.lines, (files[result.file] || {}).indent || 4);
+			out.push("");
+
+			file[isError ? "errors" : "warnings"] += 1;
+			total[isError ? "errors" : "warnings"] += 1;
+		});
+
+		flush();
+
+		count = total.errors + total.warnings;
+		if (count) {
+			out.push(paint(total.errors ? "red" : "yellow", summary(total.errors, total.warnings)));
+			(opts.out || process.stdout).write(out.join("\n") + "\n");
+		}
+	}
+};
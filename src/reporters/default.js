@@ -4,9 +4,10 @@ module.exports = {
 	reporter: function (results, data, opts) {
 		var len = results.length;
 		var str = '';
-		var prevfile;
+		var prevfile, out;
 
 		opts = opts || {};
+		out = opts.out || process.stdout;
 
 		results.forEach(function (result) {
 			var file = result.file;
@@ -28,7 +29,29 @@ module.exports = {
 		});
 
 		if (str) {
-			process.stdout.write(str + "\n" + len + ' error' + ((len === 1) ? '' : 's') + "\n");
+			out.write(str + "\n" + len + ' error' + ((len === 1) ? '' : 's') + "\n");
+		}
+
+		// Files changed with --fix list the warnings that were fixed.
+		str = '';
+		len = 0;
+
+		(data || []).forEach(function (fileData) {
+			(fileData.fixed || []).forEach(function (error) {
+				str += fileData.file + ': fixed line ' + error.line + ', col ' +
+					error.ch + ', ' + error.message;
+
+				if (opts.verbose) {
+					str += ' (' + error.code + ')';
+				}
+
+				str += '\n';
+				len += 1;
+			});
+		});
+
+		if (str) {
+			out.write(str + "\n" + len + ' problem' + ((len === 1) ? '' : 's') + " fixed\n");
 		}
 	}
 };
@@ -1,6 +1,6 @@
 module.exports =
 {
-	reporter: function (results)
+	reporter: function (results, data, opts)
 	{
 		"use strict";
 
@@ -15,6 +15,8 @@ module.exports =
 		},
 		file, i, issue;
 
+		opts = opts || {};
+
 		function encode(s) {
 			for (var r in pairs) {
 				if (typeof(s) !== "undefined") {
@@ -52,6 +54,6 @@ module.exports =
 
 		out.push("</jslint>");
 
-		process.stdout.write(out.join("\n") + "\n");
+		(opts.out || process.stdout).write(out.join("\n") + "\n");
 	}
 };
@@ -0,0 +1,39 @@
+"use strict";
+
+var VERSION = require("../../package.json").version;
+
+// JSON reporter. It writes a single document with everything 'cli.run'
+// collected:
+//
+//   {
+//     "schema":  1,        // Version of this format, bumped on breaking changes.
+//     "jshint":  "2.3.0",  // Version of JSHint that produced the document.
+//     "results": [         // One entry per warning.
+//       { "file": "a.js", "error": { "code", "type", "line", "ch", "endLine",
+//                                    "endCh", "range", "message", "source",
+//                                    "scope", "fix" (optional),
+//                                    "afterSyntaxError" (optional) } }
+//     ],
+//     "data": [            // One entry per linted file.
+//       { "file", "functions", "metrics", "options", "errors", "implieds",
+//         "unused", "globals", "fixed" }
+//     ]
+//   }
+//
+// Properties of the 'data' entries other than 'file' are only there when
+// they are not empty; see normalize() in jshint.js for their contents.
+
+module.exports = {
+	SCHEMA: 1,
+
+	reporter: function (results, data, opts) {
+		opts = opts || {};
+
+		(opts.out || process.stdout).write(JSON.stringify({
+			schema:  module.exports.SCHEMA,
+			jshint:  VERSION,
+			results: results,
+			data:    data || []
+		}, null, 2) + "\n");
+	}
+};
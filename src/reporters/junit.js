@@ -0,0 +1,77 @@
+"use strict";
+
+// JUnit XML reporter. Every file is a test suite; each warning is a failing
+// test case and a file without warnings has a single passing test case.
+
+function encode(s) {
+	return String(s === undefined ? "" : s)
+		.replace(/&/g, "&amp;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+module.exports = {
+	reporter: function (results, data, opts) {
+		var files = {};
+		var order = [];
+		var out = [];
+		var failures = 0;
+		var tests = 0;
+
+		opts = opts || {};
+
+		function add(file) {
+			file = file.replace(/^\.\//, "");
+
+			if (!files.hasOwnProperty(file)) {
+				files[file] = [];
+				order.push(file);
+			}
+
+			return files[file];
+		}
+
+		// Files without warnings are only listed in the data.
+		(data || []).forEach(function (fileData) { add(fileData.file) });
+		results.forEach(function (result) { add(result.file).push(result.error) });
+
+		order.forEach(function (file) {
+			var errors = files[file];
+			var name = encode(file);
+
+			out.push("\t<testsuite name=\"" + name + "\" tests=\"" + (errors.length || 1) +
+				"\" failures=\"" + errors.length + "\" errors=\"0\">");
+
+			if (errors.length === 0) {
+				out.push("\t\t<testcase name=\"jshint\" classname=\"" + name + "\" />");
+			}
+
+			errors.forEach(function (error) {
+				var column = error.ch !== undefined ? error.ch : error.character;
+				var position = "line " + error.line + ", col " + column;
+
+				out.push("\t\t<testcase name=\"" + encode(position + ", " + error.code) +
+					"\" classname=\"" + name + "\">");
+				out.push("\t\t\t<failure message=\"" + encode(error.message) +
+					"\" type=\"" + encode(error.type) + "\">" +
+					encode(file + ": " + position + ", " + error.message + " (" + error.code + ")") +
+					"</failure>");
+				out.push("\t\t</testcase>");
+			});
+
+			out.push("\t</testsuite>");
+
+			tests += errors.length || 1;
+			failures += errors.length;
+		});
+
+		out.unshift("<testsuites name=\"jshint\" tests=\"" + tests +
+			"\" failures=\"" + failures + "\" errors=\"0\">");
+		out.unshift("<?xml version=\"1.0\" encoding=\"utf-8\"?>");
+		out.push("</testsuites>");
+
+		(opts.out || process.stdout).write(out.join("\n") + "\n");
+	}
+};
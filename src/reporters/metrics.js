@@ -0,0 +1,176 @@
+"use strict";
+
+var _ = require("underscore");
+
+// Metrics reporter for finding refactoring targets. It lists the functions
+// and files with the highest cyclomatic complexity, nesting depth, number
+// of statements, parameters, lines, Halstead volume or the lowest
+// maintainability index. Reporter options come from '--metrics-*':
+//
+//   format  text, json or csv; by default it depends on the extension of
+//           the output file and is text otherwise.
+//   sort    metric to sort by, complexity by default.
+//   top     number of functions and files to list, all of them by default.
+//
+// The JSON format is:
+//
+//   {
+//     "schema":    1,
+//     "sort":      "complexity",
+//     "functions": [ { "file", "name", "line", "character", <metrics> } ],
+//     "files":     [ { "file", <metrics> } ]
+//   }
+
+var METRICS = [
+	"complexity", "depth", "statements", "parameters", "lines", "volume", "maintainability"
+];
+
+// Columns of the function and file tables, in output order.
+var FUNCTION_COLUMNS = METRICS;
+var FILE_COLUMNS = [
+	"complexity", "depth", "statements", "functions", "lines", "volume", "maintainability"
+];
+
+function rows(data) {
+	var functions = [];
+	var files = [];
+
+	(data || []).forEach(function (fileData) {
+		// Cached results of older versions have no metrics.
+		if (!fileData.metrics)
+			return;
+
+		files.push(_.extend({ file: fileData.file }, fileData.metrics));
+
+		(fileData.functions || []).forEach(function (fn) {
+			functions.push(_.extend({
+				file: fileData.file,
+				name: fn.name,
+				line: fn.line,
+				character: fn.character
+			}, fn.metrics));
+		});
+	});
+
+	return { functions: functions, files: files };
+}
+
+// Sorts worst first: a high maintainability index is good, high values of
+// the other metrics are bad. Files have no parameters and are sorted by
+// complexity instead.
+
+function sort(list, key, top) {
+	if (list.length && !_.has(list[0], key))
+		key = "complexity";
+
+	list = _.sortBy(list, function (row) {
+		return key === "maintainability" ? row[key] : -row[key];
+	});
+
+	return top > 0 ? list.slice(0, top) : list;
+}
+
+function pad(str, width) {
+	str = String(str);
+	return new Array(Math.max(width - str.length, 0) + 1).join(" ") + str;
+}
+
+function table(title, columns, list, label) {
+	var widths = columns.map(function (column) {
+		return _.max(list.map(function (row) {
+			return String(row[column]).length;
+		}).concat(column.length));
+	});
+
+	var lines = [ title, "" ];
+
+	lines.push("  " + columns.map(function (column, index) {
+		return pad(column, widths[index]);
+	}).join("  ") + "  " + (label === "name" ? "function" : "file"));
+
+	list.forEach(function (row) {
+		lines.push("  " + columns.map(function (column, index) {
+			return pad(row[column], widths[index]);
+		}).join("  ") + "  " + (label === "name" ?
+			row.file + ":" + row.line + " " + row.name : row.file));
+	});
+
+	return lines.concat("").join("\n");
+}
+
+function csv(value) {
+	value = value === undefined || value === null ? "" : String(value);
+	return (/[",\r\n]/).test(value) ? "\"" + value.replace(/"/g, "\"\"") + "\"" : value;
+}
+
+var formats = {
+	text: function (list, key) {
+		if (!list.functions.length && !list.files.length)
+			return "";
+
+		return table("Functions by " + key + ":", FUNCTION_COLUMNS, list.functions, "name") +
+			"\n" + table("Files by " + key + ":", FILE_COLUMNS, list.files, "file");
+	},
+
+	json: function (list, key) {
+		return JSON.stringify({
+			schema: module.exports.SCHEMA,
+			sort: key,
+			functions: list.functions,
+			files: list.files
+		}, null, 2) + "\n";
+	},
+
+	// Functions and files share one table; the 'kind' column tells them
+	// apart and columns that don't apply are empty.
+	csv: function (list) {
+		var columns = [ "kind", "file", "name", "line", "character" ]
+			.concat(METRICS, "functions");
+
+		var lines = [ columns.join(",") ];
+
+		list.functions.forEach(function (row) {
+			lines.push(columns.map(function (column) {
+				return csv(column === "kind" ? "function" : row[column]);
+			}).join(","));
+		});
+
+		list.files.forEach(function (row) {
+			lines.push(columns.map(function (column) {
+				return csv(column === "kind" ? "file" : row[column]);
+			}).join(","));
+		});
+
+		return lines.join("\n") + "\n";
+	}
+};
+
+module.exports = {
+	SCHEMA: 1,
+	METRICS: METRICS,
+	FORMATS: _.keys(formats),
+
+	reporter: function (results, data, opts) {
+		var options, format, key, list, out;
+
+		opts = opts || {};
+		options = opts.metrics || {};
+		key = options.sort || "complexity";
+		format = options.format;
+
+		if (!format && opts.outfile) {
+			format = _.find(_.keys(formats), function (name) {
+				return opts.outfile.slice(-name.length - 1).toLowerCase() === "." + name;
+			});
+		}
+
+		list = rows(data);
+		list.functions = sort(list.functions, key, options.top);
+		list.files = sort(list.files, key, options.top);
+
+		out = formats[format || "text"](list, key);
+		if (out) {
+			(opts.out || process.stdout).write(out);
+		}
+	}
+};
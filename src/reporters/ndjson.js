@@ -0,0 +1,37 @@
+"use strict";
+
+var json = require("./json.js");
+
+// Newline-delimited JSON reporter. Every line is a record, one per linted
+// file, written as soon as the file is linted, followed by a summary:
+//
+//   { "schema": 1, "type": "file", "file": "a.js", "errors": [ ... ], "data": { ... } }
+//   { "schema": 1, "type": "summary", "files": 1, "errors": 0, "warnings": 1 }
+//
+// File records hold the errors of the file, in the format of the 'error'
+// property of the JSON reporter results, and its entry of the JSON reporter
+// data, or null for files without one. The schema version is the same as
+// the one of the JSON reporter.
+
+function write(record, opts) {
+	record = JSON.stringify(record);
+	((opts && opts.out) || process.stdout).write(record + "\n");
+}
+
+module.exports = {
+	reporter: {
+		onFile: function (file, errors, data, opts) {
+			write({ schema: json.SCHEMA, type: "file", file: file, errors: errors, data: data }, opts);
+		},
+
+		onEnd: function (summary, opts) {
+			write({
+				schema:   json.SCHEMA,
+				type:     "summary",
+				files:    summary.files,
+				errors:   summary.errors,
+				warnings: summary.warnings
+			}, opts);
+		}
+	}
+};
@@ -46,7 +46,7 @@ module.exports = {
 		});
 
 		if (str) {
-			process.stdout.write(str + "\n");
+			(opts.out || process.stdout).write(str + "\n");
 		}
 	}
 };
@@ -0,0 +1,94 @@
+"use strict";
+
+var _        = require("underscore");
+var path     = require("path");
+var messages = require("../messages.js");
+var VERSION  = require("../../package.json").version;
+
+// SARIF 2.1.0 reporter for code scanning tools. Every JSHint message is a
+// rule and every warning is a result that points at the rule by its index.
+// Rules are the built-in messages and the ones plugins added, as found in
+// the data of each file. Their descriptions have no placeholders.
+
+function uri(file) {
+	file = file.replace(/\\/g, "/").replace(/^\.\//, "");
+
+	if (path.resolve(file) === path.normalize(file))
+		file = "file://" + (file.charAt(0) === "/" ? "" : "/") + file;
+
+	return encodeURI(file);
+}
+
+function location(result) {
+	var error = result.error;
+	var column = error.ch !== undefined ? error.ch : error.character;
+	var physical = { artifactLocation: { uri: uri(result.file) } };
+
+	if (error.line > 0) {
+		physical.region = { startLine: error.line, startColumn: Math.max(column || 1, 1) };
+
+		// Regions end at the column after their last character, as warnings do.
+		if (error.endLine > error.line || (error.endLine === error.line && error.endCh > column)) {
+			physical.region.endLine = error.endLine;
+			physical.region.endColumn = error.endCh;
+		}
+	}
+
+	return { physicalLocation: physical };
+}
+
+module.exports = {
+	reporter: function (results, data, opts) {
+		var rules = [];
+		var index = {};
+
+		opts = opts || {};
+
+		function rule(code, desc, type) {
+			if (!index.hasOwnProperty(code)) {
+				index[code] = rules.length;
+				rules.push({
+					id: code,
+					shortDescription: { text: desc ? desc.replace(/\{[a-z]\}/g, "...") : code },
+					defaultConfiguration: { level: type === "error" ? "error" : "warning" }
+				});
+			}
+
+			return index[code];
+		}
+
+		var plugins = _.flatten(_.compact(_.pluck(data || [], "messages")), true);
+
+		messages.all().concat(plugins).forEach(function (msg) {
+			rule(msg.code, msg.desc, msg.type);
+		});
+
+		var log = {
+			$schema: "https://json.schemastore.org/sarif-2.1.0.json",
+			version: "2.1.0",
+			runs: [ {
+				tool: {
+					driver: {
+						name: "JSHint",
+						version: VERSION,
+						informationUri: "http://jshint.com/",
+						rules: rules
+					}
+				},
+				results: results.map(function (result) {
+					var error = result.error;
+
+					return {
+						ruleId: error.code,
+						ruleIndex: rule(error.code, null, error.code.charAt(0) === "E" ? "error" : "warning"),
+						level: error.type === "error" ? "error" : "warning",
+						message: { text: error.message },
+						locations: [ location(result) ]
+					};
+				})
+			} ]
+		};
+
+		(opts.out || process.stdout).write(JSON.stringify(log, null, 2) + "\n");
+	}
+};
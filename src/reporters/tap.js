@@ -0,0 +1,62 @@
+"use strict";
+
+// TAP version 13 reporter. Every file is a test; the warnings of a failing
+// file are listed in its YAML diagnostics block.
+
+module.exports = {
+	reporter: function (results, data, opts) {
+		var files = {};
+		var order = [];
+		var out = [ "TAP version 13" ];
+
+		opts = opts || {};
+
+		function add(file) {
+			file = file.replace(/^\.\//, "");
+
+			if (!files.hasOwnProperty(file)) {
+				files[file] = [];
+				order.push(file);
+			}
+
+			return files[file];
+		}
+
+		// Files without warnings are only listed in the data.
+		(data || []).forEach(function (fileData) { add(fileData.file) });
+		results.forEach(function (result) { add(result.file).push(result.error) });
+
+		out.push("1.." + order.length);
+
+		order.forEach(function (file, index) {
+			var errors = files[file];
+
+			// Test descriptions can't contain '#', which starts a directive.
+			var desc = file.replace(/#/g, "\\#");
+
+			if (errors.length === 0) {
+				out.push("ok " + (index + 1) + " - " + desc);
+				return;
+			}
+
+			out.push("not ok " + (index + 1) + " - " + desc);
+			out.push("  ---");
+			out.push("  messages:");
+
+			errors.forEach(function (error) {
+				var column = error.ch !== undefined ? error.ch : error.character;
+
+				// JSON strings are valid YAML scalars.
+				out.push("    - message: " + JSON.stringify(error.message));
+				out.push("      severity: " + error.type);
+				out.push("      code: " + error.code);
+				out.push("      line: " + error.line);
+				out.push("      column: " + column);
+			});
+
+			out.push("  ...");
+		});
+
+		(opts.out || process.stdout).write(out.join("\n") + "\n");
+	}
+};
@@ -39,7 +39,8 @@ exports.register = function (linter) {
 			linter.warn("W008", {
 				line: data.line,
 				char: data.char,
-				data: [ data.value ]
+				data: [ data.value ],
+				fix: { line: data.line, from: data.from, to: data.from, text: "0" }
 			});
 		}
 
@@ -48,7 +49,8 @@ exports.register = function (linter) {
 			linter.warn("W047", {
 				line: data.line,
 				char: data.char,
-				data: [ data.value ]
+				data: [ data.value ],
+				fix: { line: data.line, from: data.char, to: data.char, text: "0" }
 			});
 		}
 
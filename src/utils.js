@@ -63,7 +63,12 @@ function metrics(token) {
 		token      : token,
 		statements : 0,
 		blockDepth : -1,
+		depth      : 0,
 		complexity : 1,
+
+		// Halstead operators and operands, by value.
+		operators  : Object.create(null),
+		operands   : Object.create(null)
 	};
 }
 
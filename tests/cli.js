@@ -1,5 +1,6 @@
 "use strict";
 
+var _     = require("underscore");
 var path  = require("path");
 var shjs  = require("shelljs");
 var sinon = require("sinon");
@@ -117,6 +118,554 @@ exports.group = {
 		test.done();
 	},
 
+	testPlugins: function (test) {
+		var rep = require("../examples/reporter.js");
+		var config = path.join(__dirname, "config.json");
+		sinon.stub(rep, "reporter");
+
+		sinon.stub(shjs, "cat")
+			.withArgs(sinon.match(/file\.js$/)).returns("var foo = 1;")
+			.withArgs(config).returns("{\"nofoo\":true,\"plugins\":[\"./helpers/plugin.js\"]}");
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/file\.js$/)).returns(true)
+			.withArgs("-e", config).returns(true);
+
+		cli.interpret([
+			"node", "jshint", "file.js", "--config", config,
+			"--reporter", path.join(__dirname, "../examples/reporter.js")
+		]);
+
+		test.equal(rep.reporter.args[0][0].length, 1);
+		test.equal(rep.reporter.args[0][0][0].error.code, "W900");
+		test.equal(process.exit.args[0][0], 2);
+
+		// Plugins that can't be loaded are reported, not thrown.
+		var _cli = require("cli");
+		sinon.stub(_cli, "error");
+		process.exit.reset();
+		shjs.cat.withArgs(config).returns("{\"plugins\":[\"./helpers/missing.js\"]}");
+
+		cli.interpret([
+			"node", "jshint", "file.js", "--config", config,
+			"--reporter", path.join(__dirname, "../examples/reporter.js")
+		]);
+
+		test.equal(_cli.error.args[0][0].indexOf("Can't load plugin: ./helpers/missing.js"), 0);
+		test.equal(process.exit.args[0][0], 1);
+
+		// So is anything else thrown while linting, Error or not.
+		var jshint = require("../src/jshint.js");
+		sinon.stub(jshint, "run").throws({ name: "Oops" });
+		process.exit.reset();
+
+		cli.interpret([
+			"node", "jshint", "file.js", "--config", config,
+			"--reporter", path.join(__dirname, "../examples/reporter.js")
+		]);
+
+		test.equal(_cli.error.args[1][0], "Can't lint file.js");
+		test.equal(process.exit.args[0][0], 1);
+		jshint.run.restore();
+
+		_cli.error.restore();
+		rep.reporter.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testFix: function (test) {
+		var rep = require("../examples/reporter.js");
+		var config = path.join(__dirname, "config.json");
+		var fs = require("fs");
+		sinon.stub(rep, "reporter");
+		sinon.stub(fs, "writeFileSync");
+
+		sinon.stub(shjs, "cat")
+			.withArgs(sinon.match(/file\.js$/)).returns("var a = undefined, c\nif (a == b) a();;\n")
+			.withArgs(sinon.match(/file\.html$/)).returns("<script>a()</script>")
+			.withArgs(config).returns("{\"eqeqeq\":true}");
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/file\.(js|html)$/)).returns(true)
+			.withArgs("-e", config).returns(true);
+
+		cli.interpret([
+			"node", "jshint", "file.js", "file.html", "--config", config, "--fix", "--extract=auto",
+			"--reporter", path.join(__dirname, "../examples/reporter.js")
+		]);
+
+		test.ok(fs.writeFileSync.calledOnce);
+		test.equal(fs.writeFileSync.args[0][0], "file.js");
+		test.equal(fs.writeFileSync.args[0][1], "var a, c;\nif (a === b) a();\n");
+
+		// Inline scripts can't be fixed in place, so their warnings stay.
+		var results = rep.reporter.args[0][0];
+		test.equal(results.length, 1);
+		test.equal(results[0].file, "file.html");
+		test.equal(results[0].error.code, "W033");
+
+		var data = rep.reporter.args[0][1];
+		test.deepEqual(_.pluck(data[0].fixed, "code"), [ "W080", "W033", "W116", "W032" ]);
+		test.strictEqual(data[1].fixed, undefined);
+
+		// Fixes that break the code are thrown away.
+		fs.writeFileSync.reset();
+		rep.reporter.reset();
+		shjs.cat.withArgs(sinon.match(/foo\.js$/)).returns("var foo = 1;\n");
+		shjs.cat.withArgs(config).returns("{\"plugins\":[\"./helpers/badfix.js\"]}");
+		shjs.test.withArgs("-e", sinon.match(/foo\.js$/)).returns(true);
+
+		cli.interpret([
+			"node", "jshint", "foo.js", "--config", config, "--fix",
+			"--reporter", path.join(__dirname, "../examples/reporter.js")
+		]);
+
+		test.ok(fs.writeFileSync.notCalled);
+		results = rep.reporter.args[0][0];
+		test.equal(results.length, 1);
+		test.equal(results[0].error.code, "W901");
+		test.strictEqual(rep.reporter.args[0][1][0].fixed, undefined);
+
+		fs.writeFileSync.restore();
+		rep.reporter.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testWatch: function (test) {
+		var fs = require("fs");
+		var _cli = require("cli");
+		var clock = sinon.useFakeTimers();
+		var reporter = sinon.spy();
+		var tty = process.stdout.isTTY;
+		var files = {
+			"a.js": { code: "a();", mtime: 1 },
+			"b.js": { code: "b()", mtime: 1 }
+		};
+
+		process.stdout.isTTY = false;
+		sinon.stub(_cli, "error");
+
+		sinon.stub(shjs, "test", function (flag, fp) {
+			return flag === "-e" && _.has(files, fp);
+		});
+
+		sinon.stub(shjs, "cat", function (fp) {
+			return files[fp].code;
+		});
+
+		sinon.stub(fs, "statSync", function (fp) {
+			return { size: files[fp].code.length, mtime: new Date(files[fp].mtime) };
+		});
+
+		var watcher = cli.watch({
+			args: [ "a.js", "b.js" ],
+			ignores: [],
+			config: {},
+			reporter: reporter
+		});
+
+		test.ok(reporter.calledOnce);
+		test.equal(reporter.args[0][0].length, 1);
+		test.equal(reporter.args[0][0][0].file, "b.js");
+		test.deepEqual(_.pluck(reporter.args[0][1], "file"), [ "a.js", "b.js" ]);
+
+		// Nothing changed: nothing is linted or reported.
+		clock.tick(500);
+		test.ok(reporter.calledOnce);
+		test.equal(shjs.cat.callCount, 2);
+
+		// Only the changed file is linted again.
+		files["b.js"] = { code: "b();", mtime: 2 };
+		clock.tick(500);
+		test.ok(reporter.calledTwice);
+		test.equal(reporter.args[1][0].length, 0);
+		test.deepEqual(shjs.cat.args.slice(2), [ [ "b.js" ] ]);
+
+		// Removed files are dropped from the report.
+		delete files["b.js"];
+		clock.tick(500);
+		test.ok(reporter.calledThrice);
+		test.deepEqual(_.pluck(reporter.args[2][1], "file"), [ "a.js" ]);
+
+		watcher.close();
+		clock.tick(500);
+		test.ok(reporter.calledThrice);
+
+		process.stdout.isTTY = tty;
+		_cli.error.restore();
+		fs.statSync.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		clock.restore();
+
+		// The --watch flag keeps the process running.
+		sinon.stub(cli, "watch");
+		sinon.stub(cli, "run");
+		cli.interpret([ "node", "jshint", "file.js", "--watch" ]);
+
+		test.ok(cli.watch.calledOnce);
+		test.equal(cli.watch.args[0][0].args[0], "file.js");
+		test.ok(cli.run.notCalled);
+		test.ok(process.exit.notCalled);
+
+		cli.watch.restore();
+		cli.run.restore();
+		test.done();
+	},
+
+	testWatchConfig: function (test) {
+		var fs = require("fs");
+		var clock = sinon.useFakeTimers();
+		var reporter = sinon.spy();
+		var tty = process.stdout.isTTY;
+		var config = path.resolve("config.json");
+		var base = path.resolve("base.json");
+		var files = {
+			"a.js": { code: "a();", mtime: 1 }
+		};
+
+		files[path.resolve("package.json")] = { code: "{\"jshintConfig\":{}}", mtime: 1 };
+		files[config] = { code: "{\"extends\":\"base.json\"}", mtime: 1 };
+		files[base] = { code: "{}", mtime: 1 };
+
+		process.stdout.isTTY = false;
+
+		sinon.stub(shjs, "test", function (flag, fp) {
+			return flag === "-e" && _.has(files, fp);
+		});
+
+		sinon.stub(shjs, "cat", function (fp) {
+			return files[fp].code;
+		});
+
+		sinon.stub(fs, "statSync", function (fp) {
+			return { size: files[fp].code.length, mtime: new Date(files[fp].mtime) };
+		});
+
+		// A changed package.json is read again.
+		var watcher = cli.watch({ args: [ "a.js" ], ignores: [], reporter: reporter });
+		test.equal(reporter.args[0][0].length, 0);
+
+		files[path.resolve("package.json")] = {
+			code: "{\"jshintConfig\":{\"undef\":true}}",
+			mtime: 2
+		};
+		clock.tick(500);
+		test.ok(reporter.calledTwice);
+		test.deepEqual(_.pluck(_.pluck(reporter.args[1][0], "error"), "code"), [ "W117" ]);
+		watcher.close();
+
+		// So is the --config file when a file it extends changes.
+		reporter.reset();
+		watcher = cli.watch({ args: [ "a.js" ], ignores: [], reporter: reporter,
+			config: cli.readConfig(config), configFile: config });
+		test.equal(reporter.args[0][0].length, 0);
+
+		clock.tick(500);
+		test.ok(reporter.calledOnce);
+
+		files[base] = { code: "{\"undef\":true}", mtime: 2 };
+		clock.tick(500);
+		test.ok(reporter.calledTwice);
+		test.deepEqual(_.pluck(_.pluck(reporter.args[1][0], "error"), "code"), [ "W117" ]);
+		watcher.close();
+
+		process.stdout.isTTY = tty;
+		fs.statSync.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		clock.restore();
+		test.done();
+	},
+
+	testCache: function (test) {
+		var fs = require("fs");
+		var jshint = require("../src/jshint.js");
+		var reporter = sinon.spy();
+		var code = "a()";
+		var plugin = "// v1";
+		var stored = null;
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/\.js$/)).returns(true);
+
+		sinon.stub(shjs, "cat", function (fp) {
+			return (/plugin\.js$/).test(fp) ? plugin : code;
+		});
+		sinon.stub(fs, "readFileSync", function (fp) {
+			if (fp !== "cache.json" || stored === null)
+				throw new Error("ENOENT");
+			return stored;
+		});
+		sinon.stub(fs, "writeFileSync", function (fp, str) { stored = str; });
+		sinon.spy(jshint, "run");
+
+		function run(config, args) {
+			cli.run({
+				args: args || [ "file.js" ],
+				ignores: [],
+				config: config,
+				reporter: reporter,
+				cache: "cache.json"
+			});
+		}
+
+		run({ undef: false });
+		test.ok(jshint.run.calledOnce);
+		test.equal(fs.writeFileSync.args[0][0], "cache.json");
+		test.equal(reporter.args[0][0][0].error.code, "W033");
+
+		// Same file, same config: results come from the cache.
+		run({ undef: false });
+		test.ok(jshint.run.calledOnce);
+		test.deepEqual(reporter.args[1][0], reporter.args[0][0]);
+		test.deepEqual(reporter.args[1][1], reporter.args[0][1]);
+
+		// Changing the config or the file invalidates the cache.
+		run({ undef: true });
+		test.ok(jshint.run.calledTwice);
+		test.equal(reporter.args[2][0].length, 2);
+
+		code = "a();";
+		run({ undef: false });
+		test.ok(jshint.run.calledThrice);
+		test.equal(reporter.args[3][0].length, 0);
+
+		// So does changing a plugin.
+		var config = { plugins: [ "./helpers/plugin.js" ], dirname: __dirname };
+		run(config);
+		run(config);
+		test.equal(jshint.run.callCount, 4);
+
+		plugin = "// v2";
+		run(config);
+		test.equal(jshint.run.callCount, 5);
+
+		// Files that are not linted any more are dropped from the cache.
+		run({}, [ "file.js", "other.js" ]);
+		test.deepEqual(_.keys(JSON.parse(stored)), [ "file.js", "other.js" ]);
+		run({}, [ "file.js" ]);
+		test.deepEqual(_.keys(JSON.parse(stored)), [ "file.js" ]);
+
+		jshint.run.restore();
+		fs.readFileSync.restore();
+		fs.writeFileSync.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testBaseline: function (test) {
+		var fs = require("fs");
+		var reporter = sinon.spy();
+		var code = "a()\nb()";
+		var stored = null;
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/file\.js$/)).returns(true);
+
+		sinon.stub(shjs, "cat", function () { return code; });
+		sinon.stub(fs, "readFileSync", function () { return stored; });
+		sinon.stub(fs, "writeFileSync", function (fp, str) { stored = str; });
+
+		function run(opts) {
+			return cli.run(_.extend({
+				args: [ "file.js" ],
+				ignores: [],
+				config: {},
+				reporter: reporter
+			}, opts));
+		}
+
+		// Writing a baseline records the current warnings and reports none of them.
+		test.strictEqual(run({ writeBaseline: "baseline.json", baseline: "baseline.json" }), true);
+		test.equal(fs.writeFileSync.args[0][0], "baseline.json");
+		test.deepEqual(_.values(JSON.parse(stored)["file.js"]), [ 1, 1 ]);
+		test.equal(reporter.args[0][0].length, 0);
+
+		// Shifted lines are still in the baseline; new warnings are not.
+		code = "\n\nb()\nc()\na()";
+		test.strictEqual(run({ baseline: "baseline.json" }), false);
+		test.equal(reporter.args[1][0].length, 1);
+		test.equal(reporter.args[1][0][0].error.line, 4);
+
+		// Extra warnings on a line that is already in the baseline are reported.
+		code = "a()\na()\nb()";
+		run({ baseline: "baseline.json" });
+		test.equal(reporter.args[2][0].length, 1);
+
+		fs.readFileSync.restore();
+		fs.writeFileSync.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testExitPolicy: function (test) {
+		var reporter = sinon.spy();
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/file\.js$/)).returns(true);
+
+		sinon.stub(shjs, "cat").returns("a = b\nc()");
+
+		function run(config, opts) {
+			return cli.run(_.extend({
+				args: [ "file.js" ],
+				ignores: [],
+				config: config,
+				reporter: reporter
+			}, opts));
+		}
+
+		// Without --max-warnings any warning fails the run.
+		test.strictEqual(run({ undef: true }), false);
+		test.strictEqual(run({ undef: true }, { maxWarnings: 5 }), true);
+		test.strictEqual(run({ undef: true }, { maxWarnings: 4 }), false);
+		test.strictEqual(run({ undef: true }, { maxWarnings: -1 }), true);
+		test.equal(reporter.args[3][0].length, 5);
+
+		// Errors fail the run no matter how many warnings are allowed.
+		var config = { undef: true, severity: { W117: "error", W033: "off" } };
+		test.strictEqual(run(config, { maxWarnings: -1 }), false);
+		test.deepEqual(_.map(reporter.args[4][0], function (r) { return r.error.type; }),
+			[ "error", "error", "error" ]);
+
+		// With --quiet only errors are reported.
+		config = { undef: true, severity: { W117: "error" } };
+		test.strictEqual(run(config, { quiet: true, maxWarnings: -1 }), false);
+		test.equal(reporter.args[5][0].length, 3);
+
+		config = { undef: true, severity: { W117: "warn" } };
+		test.strictEqual(run(config, { quiet: true, maxWarnings: -1 }), true);
+		test.equal(reporter.args[6][0].length, 0);
+
+		// Without --max-warnings, warnings don't fail a --quiet run.
+		test.strictEqual(run(config, { quiet: true }), true);
+		test.equal(reporter.args[7][0].length, 0);
+		test.strictEqual(run(config, { quiet: true, maxWarnings: 0 }), false);
+
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testJobs: function (test) {
+		var serial = sinon.spy();
+		var parallel = sinon.spy();
+		var args = [ "asi.js", "boss.js", "comma.js", "curly.js", "eqeqeq.js" ].map(function (name) {
+			return path.join(__dirname, "unit/fixtures", name);
+		});
+
+		var config = { plugins: [ path.join(__dirname, "helpers/plugin.js") ] };
+
+		var passed = cli.run({ args: args, ignores: [], config: config, reporter: serial });
+
+		var ret = cli.run({ args: args, ignores: [], config: config, reporter: parallel, jobs: 2 },
+			function (parallelPassed) {
+				test.strictEqual(parallelPassed, passed);
+
+				// Results are merged in the same order as in a serial run.
+				test.ok(parallel.calledOnce);
+				test.equal(JSON.stringify(parallel.args[0]), JSON.stringify(serial.args[0]));
+				test.deepEqual(_.pluck(parallel.args[0][1], "file"), args);
+
+				// Messages of plugins come back from the workers.
+				test.deepEqual(parallel.args[0][1][0].messages, [
+					{ type: "warning", code: "W900", desc: "Avoid naming things '{a}'." }
+				]);
+				test.done();
+			});
+
+		test.strictEqual(ret, null);
+	},
+
+	testOverrides: function (test) {
+		var jshint = require("../src/jshint.js");
+		var dir = path.resolve("project");
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/\.js$/)).returns(true);
+
+		sinon.stub(shjs, "cat").returns("a();");
+		sinon.spy(jshint, "run");
+
+		cli.run({
+			args: [ "project/src/app.js", "project/tests/app.test.js", "project/lib/util.test.js" ],
+			ignores: [],
+			reporter: function () {},
+			config: {
+				undef: true,
+				globals: { app: false },
+				dirname: dir,
+				overrides: {
+					"tests/**/*.js": { node: true, globals: { describe: false } },
+					"*.test.js": { unused: true, undef: false }
+				}
+			}
+		});
+
+		var calls = jshint.run.args;
+
+		// No pattern matches.
+		test.deepEqual(calls[0][1], { undef: true, dirname: dir });
+		test.deepEqual(calls[0][2], { app: false });
+
+		// Both patterns match and are merged in order.
+		test.deepEqual(calls[1][1], { undef: false, dirname: dir, node: true, unused: true });
+		test.deepEqual(calls[1][2], { app: false, describe: false });
+
+		// Patterns without a slash match the file name in any directory.
+		test.deepEqual(calls[2][1], { undef: false, dirname: dir, unused: true });
+		test.deepEqual(calls[2][2], { app: false });
+
+		jshint.run.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testOverridesInPackageJson: function (test) {
+		var jshint = require("../src/jshint.js");
+		var pkg = path.resolve("/project/package.json");
+
+		// Patterns are relative to the package, not to the current directory.
+		sinon.stub(process, "cwd").returns(path.resolve("/elsewhere"));
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/\.js$/)).returns(true)
+			.withArgs("-e", pkg).returns(true);
+
+		sinon.stub(shjs, "cat")
+			.withArgs(pkg).returns(JSON.stringify({ jshintConfig: {
+				undef: true,
+				overrides: { "tests/*.js": { undef: false } }
+			} }))
+			.withArgs(sinon.match(/\.js$/)).returns("a();");
+
+		sinon.spy(jshint, "run");
+
+		cli.run({
+			args: [ path.resolve("/project/src/app.js"), path.resolve("/project/tests/app.js") ],
+			ignores: [],
+			reporter: function () {}
+		});
+
+		var calls = jshint.run.args;
+		test.strictEqual(calls[0][1].undef, true);
+		test.strictEqual(calls[1][1].undef, false);
+
+		jshint.run.restore();
+		shjs.cat.restore();
+		shjs.test.restore();
+		process.cwd.restore();
+		test.done();
+	},
+
 	testReporter: function (test) {
 		test.expect(5);
 
@@ -172,6 +721,7 @@ exports.group = {
 		shjs.test.restore();
 		shjs.cat.restore();
 		process.cwd.restore();
+		_cli.error.restore();
 		test.done();
 	},
 
@@ -189,6 +739,12 @@ exports.group = {
 		]);
 		test.equal(run.args[1][0].reporter, rep.reporter);
 
+		// The deprecated option replaces the reporter instead of adding one.
+		cli.interpret([
+			"node", "jshint", "file.js", "--reporter", "json", "--jslint-reporter"
+		]);
+		test.equal(run.args[2][0].reporter, rep.reporter);
+
 		run.restore();
 		test.done();
 	},
@@ -207,7 +763,490 @@ exports.group = {
 		]);
 		test.equal(run.args[1][0].reporter, rep.reporter);
 
+		cli.interpret([
+			"node", "jshint", "file.js", "--reporter=json", "--checkstyle-reporter"
+		]);
+		test.equal(run.args[2][0].reporter, rep.reporter);
+
+		run.restore();
+		test.done();
+	},
+
+	testSarifReporter: function (test) {
+		var rep = require("../src/reporters/sarif.js");
+		var run = sinon.stub(cli, "run");
+
+		cli.interpret([
+			"node", "jshint", "file.js", "--reporter", "sarif"
+		]);
+		test.equal(run.args[0][0].reporter, rep.reporter);
+		run.restore();
+
+		sinon.stub(process.stdout, "write");
+		rep.reporter([
+			{ file: "./lib/a b.js", error: { code: "W033", type: "warning", line: 2, ch: 4,
+				message: "Missing semicolon." } },
+			{ file: "lib/c.js", error: { code: "W117", type: "error", line: 1, ch: 1,
+				endLine: 1, endCh: 2, message: "'x' is not defined." } },
+			{ file: "lib/c.js", error: { code: "W900", type: "warning", line: 1, ch: 1,
+				message: "Avoid naming things 'foo'." } }
+		], [
+			{ file: "lib/a b.js" },
+			{ file: "lib/c.js", messages: [
+				{ type: "warning", code: "W900", desc: "Avoid naming things '{a}'." }
+			] }
+		]);
+
+		var log = JSON.parse(process.stdout.write.args[0][0]);
+		process.stdout.write.restore();
+
+		test.equal(log.version, "2.1.0");
+
+		var rules = log.runs[0].tool.driver.rules;
+		var results = log.runs[0].results;
+		test.equal(rules[results[0].ruleIndex].id, "W033");
+		test.equal(rules[results[0].ruleIndex].shortDescription.text, "Missing semicolon.");
+		test.equal(rules[results[1].ruleIndex].defaultConfiguration.level, "warning");
+		test.ok(_.findWhere(rules, { id: "E001" }));
+
+		// Placeholders are left out of the descriptions of rules, which
+		// include the ones of plugins.
+		test.equal(rules[results[1].ruleIndex].shortDescription.text, "'...' is not defined.");
+		test.equal(rules[results[2].ruleIndex].shortDescription.text, "Avoid naming things '...'.");
+
+		// Levels follow the configured severity of each result.
+		test.deepEqual(_.pluck(results, "level"), [ "warning", "error", "warning" ]);
+		test.deepEqual(results[0].locations[0].physicalLocation, {
+			artifactLocation: { uri: "lib/a%20b.js" },
+			region: { startLine: 2, startColumn: 4 }
+		});
+
+		// Warnings with a span have regions with an end.
+		test.deepEqual(results[1].locations[0].physicalLocation.region,
+			{ startLine: 1, startColumn: 1, endLine: 1, endColumn: 2 });
+
+		test.done();
+	},
+
+	testJUnitAndTapReporters: function (test) {
+		var junit = require("../src/reporters/junit.js");
+		var tap = require("../src/reporters/tap.js");
+		var run = sinon.stub(cli, "run");
+
+		cli.interpret([ "node", "jshint", "file.js", "--reporter", "junit" ]);
+		test.equal(run.args[0][0].reporter, junit.reporter);
+
+		cli.interpret([ "node", "jshint", "file.js", "--reporter", "tap" ]);
+		test.equal(run.args[1][0].reporter, tap.reporter);
+		run.restore();
+
+		var results = [
+			{ file: "b.js", error: { code: "W033", type: "warning", line: 2, ch: 4,
+				message: "Missing semicolon." } },
+			{ file: "b.js", error: { code: "W117", type: "error", line: 3, ch: 1,
+				message: "'<x>' is not defined." } }
+		];
+		var data = [ { file: "a.js" }, { file: "b.js" } ];
+
+		sinon.stub(process.stdout, "write");
+		junit.reporter(results, data);
+		tap.reporter(results, data);
+
+		var xml = process.stdout.write.args[0][0].split("\n");
+		var out = process.stdout.write.args[1][0].split("\n");
+		process.stdout.write.restore();
+
+		test.equal(xml[1], "<testsuites name=\"jshint\" tests=\"3\" failures=\"2\" errors=\"0\">");
+		test.equal(xml[2], "\t<testsuite name=\"a.js\" tests=\"1\" failures=\"0\" errors=\"0\">");
+		test.equal(xml[3], "\t\t<testcase name=\"jshint\" classname=\"a.js\" />");
+		test.equal(xml[5], "\t<testsuite name=\"b.js\" tests=\"2\" failures=\"2\" errors=\"0\">");
+		test.equal(xml[6], "\t\t<testcase name=\"line 2, col 4, W033\" classname=\"b.js\">");
+		test.equal(xml[10], "\t\t\t<failure message=\"&apos;&lt;x&gt;&apos; is not defined.\" " +
+			"type=\"error\">b.js: line 3, col 1, &apos;&lt;x&gt;&apos; is not defined. (W117)</failure>");
+
+		test.deepEqual(out.slice(0, 9), [
+			"TAP version 13",
+			"1..2",
+			"ok 1 - a.js",
+			"not ok 2 - b.js",
+			"  ---",
+			"  messages:",
+			"    - message: \"Missing semicolon.\"",
+			"      severity: warning",
+			"      code: W033"
+		]);
+		test.equal(out[out.length - 2], "  ...");
+
+		test.done();
+	},
+
+	testCodeFrameReporter: function (test) {
+		var fs = require("fs");
+		var rep = require("../src/reporters/codeframe.js");
+		var run = sinon.stub(cli, "run");
+
+		cli.interpret([ "node", "jshint", "file.js", "--reporter", "codeframe", "--color" ]);
+		test.equal(run.args[0][0].reporter, rep.reporter);
+		test.strictEqual(run.args[0][0].color, true);
+		run.restore();
+
+		sinon.stub(fs, "readFileSync")
+			.withArgs("a.js").returns("var a = 1;\nfunction f() {\n\tb = a\n}\nf();\n")
+			.withArgs("stdin").throws(new Error("ENOENT"));
+
+		sinon.stub(process.stdout, "write");
+		rep.reporter([
+			{ file: "a.js", error: { code: "W033", type: "warning", line: 3, ch: 6,
+				endLine: 3, endCh: 6, message: "Missing semicolon.", source: "\tb = a" } },
+			{ file: "a.js", error: { code: "W117", type: "warning", line: 5, ch: 1,
+				endLine: 5, endCh: 2, message: "'f' is not defined.", source: "f();" } },
+			{ file: "stdin", error: { code: "E030", type: "error", line: 1, ch: 1,
+				endLine: 1, endCh: 3, message: "Expected an identifier.", source: "a.;" } }
+		], [ { file: "a.js", options: { indent: 2 } }, { file: "stdin", options: {} } ]);
+
+		var out = process.stdout.write.args[0][0].split("\n");
+		process.stdout.write.restore();
+		fs.readFileSync.restore();
+
+		test.deepEqual(out, [
+			"warning W033: Missing semicolon. (a.js:3:6)",
+			"    1 | var a = 1;",
+			"    2 | function f() {",
+			"  > 3 |   b = a",
+			"      |      ^",
+			"    4 | }",
+			"    5 | f();",
+			"",
+			"warning W117: 'f' is not defined. (a.js:5:1)",
+			"    3 |   b = a",
+			"    4 | }",
+			"  > 5 | f();",
+			"      | ^",
+			"",
+			"a.js: 2 problems (0 errors, 2 warnings)",
+			"",
+			"error E030: Expected an identifier. (stdin:1:1)",
+			"  > 1 | a.;",
+			"      | ^^",
+			"",
+			"stdin: 1 problem (1 error, 0 warnings)",
+			"",
+			"3 problems (1 error, 2 warnings)",
+			""
+		]);
+
+		test.done();
+	},
+
+	testMultipleReporters: function (test) {
+		var fs = require("fs");
+		var _cli = require("cli");
+		var rep = require("../examples/reporter.js");
+		var def = require("../src/reporters/default.js");
+		var run = sinon.stub(cli, "run");
+
+		// Reporters are looked up by name and by relative path.
+		cli.interpret([ "node", "jshint", "file.js", "--reporter", "examples/reporter.js" ]);
+		test.equal(run.args[0][0].reporter, rep.reporter);
+
+		sinon.stub(def, "reporter");
+		cli.interpret([
+			"node", "jshint", "file.js", "--reporter", "default",
+			"--reporter=checkstyle:out/lint.xml", "--reporter", "default:lint.txt", "--color"
+		]);
+
+		var reporter = run.args[1][0].reporter;
+		run.restore();
+
+		sinon.stub(fs, "writeFileSync");
+		sinon.stub(process.stdout, "write");
+
+		// Several reporters are combined into an object-style reporter.
+		reporter.onStart([ "file.js" ], { verbose: false, color: true });
+		reporter.onFile("file.js", [ { code: "W033", type: "warning", line: 1, ch: 4,
+			message: "Missing semicolon." } ], null);
+		reporter.onEnd({ files: 1, errors: 0, warnings: 1, passed: false });
+
+		var stdout = process.stdout.write.args;
+		process.stdout.write.restore();
+
+		// Reporters writing to stdout get it as their output stream.
+		test.ok(def.reporter.calledTwice);
+		test.equal(def.reporter.args[0][2].out, process.stdout);
+		test.strictEqual(def.reporter.args[0][2].color, true);
+		test.strictEqual(def.reporter.args[1][2].color, false);
+		test.equal(def.reporter.args[1][2].outfile, path.resolve("lint.txt"));
+
+		// The checkstyle output goes to its file only.
+		test.equal(stdout.length, 0);
+		test.equal(fs.writeFileSync.args[0][0], path.resolve("out/lint.xml"));
+		test.ok(fs.writeFileSync.args[0][1].indexOf("<checkstyle") !== -1);
+		test.equal(fs.writeFileSync.args[1][0], path.resolve("lint.txt"));
+
+		fs.writeFileSync.restore();
+		def.reporter.restore();
+
+		// Unknown reporters are an error.
+		sinon.stub(_cli, "error");
+		sinon.stub(cli, "run");
+		cli.interpret([ "node", "jshint", "file.js", "--reporter", "no-such-reporter" ]);
+		test.equal(_cli.error.args[0][0], "Can't load reporter file: no-such-reporter");
+		test.equal(process.exit.args[0][0], 1);
+
+		cli.run.restore();
+		_cli.error.restore();
+		test.done();
+	},
+
+	testJsonReporters: function (test) {
+		var json = require("../src/reporters/json.js");
+		var ndjson = require("../src/reporters/ndjson.js");
+		var run = sinon.stub(cli, "run");
+
+		cli.interpret([ "node", "jshint", "file.js", "--reporter", "json" ]);
+		test.equal(run.args[0][0].reporter, json.reporter);
+
+		cli.interpret([ "node", "jshint", "file.js", "--reporter", "ndjson" ]);
+		test.equal(run.args[1][0].reporter, ndjson.reporter);
 		run.restore();
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/\.js$/)).returns(true);
+
+		sinon.stub(shjs, "cat")
+			.withArgs("a.js").returns("function f(a) { return a + b }")
+			.withArgs("b.js").returns("var c = 1;");
+
+		function lint(reporter) {
+			sinon.stub(process.stdout, "write");
+			cli.run({ args: [ "a.js", "b.js" ], ignores: [], config: { undef: true },
+				reporter: reporter });
+
+			var out = _.map(process.stdout.write.args, _.first).join("");
+			process.stdout.write.restore();
+			return out;
+		}
+
+		var doc = JSON.parse(lint(json.reporter));
+		test.equal(doc.schema, 1);
+		test.equal(doc.results.length, 2);
+		test.equal(doc.results[0].file, "a.js");
+		test.deepEqual(_.pluck(doc.data, "file"), [ "a.js", "b.js" ]);
+		test.equal(doc.data[0].functions[0].name, "f");
+		test.deepEqual(_.pick(doc.data[0].functions[0].metrics,
+			"complexity", "parameters", "statements"), { complexity: 1, parameters: 1, statements: 1 });
+		test.equal(doc.data[0].implieds[0].name, "b");
+
+		var records = lint(ndjson.reporter).trim().split("\n").map(JSON.parse);
+		test.equal(records.length, 3);
+		test.deepEqual(_.pluck(records, "type"), [ "file", "file", "summary" ]);
+		test.equal(records[0].file, "a.js");
+		test.deepEqual(_.pluck(records[0].errors, "code"), [ "W033", "W117" ]);
+		test.equal(records[0].data.functions[0].name, "f");
+		test.deepEqual(records[1].errors, []);
+		test.deepEqual(records[2], { schema: 1, type: "summary", files: 2, errors: 0, warnings: 2 });
+
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testMetricsReporter: function (test) {
+		var metrics = require("../src/reporters/metrics.js");
+		var run = sinon.stub(cli, "run");
+
+		cli.interpret([
+			"node", "jshint", "file.js", "--reporter", "metrics",
+			"--metrics-format", "csv", "--metrics-top", "1"
+		]);
+
+		test.equal(run.args[0][0].reporter, metrics.reporter);
+		test.deepEqual(run.args[0][0].metrics, { format: "csv", sort: "complexity", top: 1 });
+		run.restore();
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/\.js$/)).returns(true);
+
+		sinon.stub(shjs, "cat")
+			.withArgs("a.js").returns("function f(a) { return a; }\nfunction g(a, b) { if (a) b(); }")
+			.withArgs("b.js").returns("function h(a) {\n  while (a) { if (a) { a = 0; } }\n}");
+
+		function lint(options) {
+			sinon.stub(process.stdout, "write");
+			cli.run({ args: [ "a.js", "b.js" ], ignores: [], config: {},
+				reporter: metrics.reporter, metrics: options });
+
+			var out = _.map(process.stdout.write.args, _.first).join("");
+			process.stdout.write.restore();
+			return out;
+		}
+
+		var text = lint({}).split("\n");
+		test.equal(text[0], "Functions by complexity:");
+		test.ok(/^\s+complexity\s+depth\s+statements\s+parameters\s+lines\s+volume\s+maintainability\s+function$/
+			.test(text[2]));
+		test.ok(/^\s+3\s+2\s+3\s+1\s+3\s+[\d.]+\s+[\d.]+\s+b\.js:1 h$/.test(text[3]));
+		test.ok(/ a\.js:2 g$/.test(text[4]));
+		test.ok(/ a\.js:1 f$/.test(text[5]));
+		test.equal(text[7], "Files by complexity:");
+		test.ok(/^\s+complexity\s+depth\s+statements\s+functions\s+lines\s+volume\s+maintainability\s+file$/
+			.test(text[9]));
+		test.ok(/^\s+3\s+2\s+4\s+1\s+3\s+[\d.]+\s+[\d.]+\s+b\.js$/.test(text[10]));
+
+		var doc = JSON.parse(lint({ format: "json", sort: "parameters", top: 2 }));
+		test.equal(doc.schema, 1);
+		test.equal(doc.sort, "parameters");
+		test.deepEqual(_.pluck(doc.functions, "name"), [ "g", "f" ]);
+		test.deepEqual(_.keys(doc.functions[0]), [
+			"file", "name", "line", "character", "complexity", "parameters", "statements",
+			"depth", "lines", "volume", "maintainability"
+		]);
+
+		// Files have no parameters and are sorted by complexity.
+		test.deepEqual(_.pluck(doc.files, "file"), [ "b.js", "a.js" ]);
+
+		// A high maintainability index is good.
+		doc = JSON.parse(lint({ format: "json", sort: "maintainability", top: 1 }));
+		test.equal(doc.functions[0].name, "h");
+		test.equal(doc.files[0].file, "b.js");
+
+		var csv = lint({ format: "csv", sort: "depth" }).trim().split("\n");
+		test.equal(csv[0], "kind,file,name,line,character,complexity,depth,statements," +
+			"parameters,lines,volume,maintainability,functions");
+		test.equal(csv.length, 6);
+		test.ok(/^function,b\.js,h,1,\d+,3,2,3,1,3,[\d.]+,[\d.]+,$/.test(csv[1]));
+		test.ok(/^file,b\.js,,,,3,2,4,,3,[\d.]+,[\d.]+,1$/.test(csv[4]));
+
+		// Without a format, the extension of the output file decides.
+		var out = [];
+		metrics.reporter([], [ { file: "a.js", functions: [],
+			metrics: { complexity: 1, statements: 0, depth: 0, functions: 0, lines: 1,
+				volume: 0, maintainability: 100 } } ],
+			{ outfile: "/tmp/metrics.CSV", out: { write: function (str) { out.push(str); } } });
+		test.equal(out[0].split("\n")[0].slice(0, 5), "kind,");
+
+		shjs.cat.restore();
+		shjs.test.restore();
+		test.done();
+	},
+
+	testLintFiles: function (test) {
+		var _cli = require("cli");
+
+		sinon.stub(_cli, "error");
+
+		sinon.stub(shjs, "test", function (flag, fp) {
+			if (flag === "-d")
+				return (/^lib(\/sub)?$/).test(fp);
+
+			return (/^(lib(\/sub)?|lib\/a\.js|lib\/sub\/b\.js|lib\/c\.txt|broken\.js|.*\/cfg\.json)$/)
+				.test(fp.replace(/\\/g, "/"));
+		});
+
+		sinon.stub(shjs, "ls")
+			.withArgs("lib").returns([ "a.js", "c.txt", "sub" ])
+			.withArgs(sinon.match(/^lib[\/\\]sub$/)).returns([ "b.js" ]);
+
+		sinon.stub(shjs, "cat", function (fp) {
+			fp = fp.replace(/\\/g, "/");
+
+			if (fp === "broken.js")
+				throw new Error("EACCES");
+
+			if ((/\/cfg\.json$/).test(fp))
+				return "{ \"undef\": true }";
+
+			return {
+				"lib/a.js": "a()",
+				"lib/sub/b.js": "var b = 1;",
+				"lib/c.txt": "c"
+			}[fp];
+		});
+
+		cli.lintFiles([ "lib/**/*.js", "missing.js", "broken.js" ], { config: "cfg.json", ignores: [] },
+			function (err, report) {
+				test.strictEqual(err, null);
+
+				test.deepEqual(_.pluck(report.files, "file").map(function (fp) {
+					return fp.replace(/\\/g, "/");
+				}), [ "lib/a.js", "lib/sub/b.js", "missing.js", "broken.js" ]);
+
+				test.deepEqual(_.pluck(report.files[0].errors, "code"), [ "W033", "W117" ]);
+				test.equal(report.files[0].data.implieds[0].name, "a");
+				test.deepEqual(report.files[1].errors, []);
+				test.equal(report.files[1].data.functions.length, 0);
+
+				// Files that can't be linted have an error instead.
+				test.equal(report.files[2].error.message, "Can't open missing.js");
+				test.strictEqual(report.files[2].data, null);
+				test.equal(report.files[3].error.message, "EACCES");
+
+				test.equal(report.errors, 0);
+				test.equal(report.warnings, 2);
+
+				// Directories are linted like on the command line.
+				cli.lintFiles("lib", { config: {}, extensions: [ "txt" ], ignores: [] },
+					function (err, report) {
+						test.deepEqual(_.pluck(report.files, "file").map(function (fp) {
+							return fp.replace(/\\/g, "/");
+						}), [ "lib/a.js", "lib/c.txt", "lib/sub/b.js" ]);
+
+						// Wrong options are passed to the callback.
+						cli.lintFiles("lib", { config: "nope.json" }, function (err, report) {
+							test.ok(/^Can't find config file: .*nope\.json$/.test(err.message));
+							test.strictEqual(report, undefined);
+
+							test.ok(process.exit.notCalled);
+							test.ok(_cli.error.notCalled);
+
+							_cli.error.restore();
+							shjs.cat.restore();
+							shjs.ls.restore();
+							shjs.test.restore();
+							test.done();
+						});
+					});
+			});
+	},
+
+	testReporterHooks: function (test) {
+		var reporter = {
+			onStart: sinon.spy(),
+			onFile: sinon.spy(),
+			onEnd: sinon.spy()
+		};
+
+		sinon.stub(shjs, "test")
+			.withArgs("-e", sinon.match(/\.js$/)).returns(true);
+
+		sinon.stub(shjs, "cat")
+			.withArgs("a.js").returns("function f(a) { return a + b }")
+			.withArgs("b.js").returns("var c = 1;");
+
+		var passed = cli.run({ args: [ "a.js", "b.js" ], ignores: [], config: { undef: true },
+			reporter: reporter });
+
+		test.strictEqual(passed, false);
+
+		test.ok(reporter.onStart.calledOnce);
+		test.deepEqual(reporter.onStart.args[0][0], [ "a.js", "b.js" ]);
+		test.ok(reporter.onStart.calledBefore(reporter.onFile));
+
+		test.equal(reporter.onFile.callCount, 2);
+		test.equal(reporter.onFile.args[0][0], "a.js");
+		test.deepEqual(_.pluck(reporter.onFile.args[0][1], "code"), [ "W033", "W117" ]);
+		test.equal(reporter.onFile.args[0][2].functions[0].name, "f");
+		test.equal(reporter.onFile.args[1][0], "b.js");
+		test.deepEqual(reporter.onFile.args[1][1], []);
+		test.deepEqual(_.keys(reporter.onFile.args[1][3]), [ "verbose", "color", "metrics" ]);
+
+		test.ok(reporter.onEnd.calledOnce);
+		test.ok(reporter.onEnd.calledAfter(reporter.onFile));
+		test.deepEqual(reporter.onEnd.args[0][0],
+			{ files: 2, errors: 0, warnings: 2, passed: false });
+
+		shjs.cat.restore();
+		shjs.test.restore();
 		test.done();
 	},
 
@@ -220,6 +1259,12 @@ exports.group = {
 		]);
 		test.equal(run.args[0][0].reporter, rep.reporter);
 
+		// It replaces the reporter, as it always did.
+		cli.interpret([
+			"node", "jshint", "file.js", "--reporter", "json", "--show-non-errors"
+		]);
+		test.equal(run.args[1][0].reporter, rep.reporter);
+
 		run.restore();
 		test.done();
 	},
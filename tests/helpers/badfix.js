@@ -0,0 +1,22 @@
+/*jshint node: true */
+
+"use strict";
+
+// Plugin used by the tests: warns about variables named 'foo' with a fix
+// that breaks the code.
+
+exports.register = function (linter) {
+	linter.addMessage("W901", "Don't name things '{a}'.");
+
+	linter.on("Identifier", function (data) {
+		if (data.name !== "foo")
+			return;
+
+		linter.warn("W901", {
+			line: data.line,
+			char: data.char,
+			data: [ data.name ],
+			fix: { line: data.line, from: data.char, to: data.char, text: " bar" }
+		});
+	});
+};
@@ -0,0 +1,21 @@
+/*jshint node: true */
+
+"use strict";
+
+// Example plugin used by the tests: warns about variables named 'foo'.
+
+exports.register = function (linter) {
+	linter.addMessage("W900", "Avoid naming things '{a}'.");
+	linter.addOption("nofoo");
+
+	linter.on("Identifier", function (data) {
+		if (!linter.getOption("nofoo") || data.name !== "foo")
+			return;
+
+		linter.warn("W900", {
+			line: data.line,
+			char: data.char,
+			data: [ data.name ]
+		});
+	});
+};
@@ -0,0 +1,252 @@
+"use strict";
+
+var _      = require("underscore");
+var events = require("events");
+var shjs   = require("shelljs");
+var sinon  = require("sinon");
+var lsp    = require("../src/lsp.js");
+
+var URI = "file:///project/file.js";
+
+function open(server, text, uri) {
+	server.handle({
+		jsonrpc: "2.0",
+		method: "textDocument/didOpen",
+		params: { textDocument: { uri: uri || URI, languageId: "javascript", version: 1, text: text } }
+	});
+}
+
+exports.group = {
+	testInitialize: function (test) {
+		var send = sinon.spy();
+		var server = lsp.createServer({ config: {} }, send);
+
+		server.handle({ jsonrpc: "2.0", id: 1, method: "initialize", params: {} });
+
+		var result = send.args[0][0].result;
+		test.equal(send.args[0][0].id, 1);
+		test.deepEqual(result.capabilities.textDocumentSync, { openClose: true, change: 1 });
+		test.deepEqual(result.capabilities.codeActionProvider, { codeActionKinds: [ "quickfix" ] });
+		test.equal(result.serverInfo.name, "jshint");
+
+		// Unknown requests get an error, unknown notifications are ignored.
+		server.handle({ jsonrpc: "2.0", id: 2, method: "textDocument/hover", params: {} });
+		test.equal(send.args[1][0].id, 2);
+		test.equal(send.args[1][0].error.code, -32601);
+
+		server.handle({ jsonrpc: "2.0", method: "$/setTrace", params: {} });
+		test.ok(send.calledTwice);
+
+		test.done();
+	},
+
+	testDiagnostics: function (test) {
+		var send = sinon.spy();
+		var server = lsp.createServer({ config: { undef: true } }, send);
+
+		open(server, "var a = 1\n\tfoo(a);\n");
+
+		var msg = send.args[0][0];
+		test.equal(msg.method, "textDocument/publishDiagnostics");
+		test.equal(msg.params.uri, URI);
+		test.equal(msg.params.version, 1);
+		test.deepEqual(msg.params.diagnostics, [
+			{
+				range: { start: { line: 0, character: 9 }, end: { line: 0, character: 10 } },
+				severity: 2,
+				code: "W033",
+				source: "jshint",
+				message: "Missing semicolon."
+			},
+			{
+				// Columns of lines with tabs are converted to characters.
+				range: { start: { line: 1, character: 1 }, end: { line: 1, character: 4 } },
+				severity: 2,
+				code: "W117",
+				source: "jshint",
+				message: "'foo' is not defined."
+			}
+		]);
+
+		// Documents are linted again when they change.
+		server.handle({
+			jsonrpc: "2.0",
+			method: "textDocument/didChange",
+			params: {
+				textDocument: { uri: URI, version: 2 },
+				contentChanges: [ { text: "var a = 1;\n" } ]
+			}
+		});
+
+		test.equal(send.args[1][0].params.version, 2);
+		test.deepEqual(send.args[1][0].params.diagnostics, []);
+
+		// Diagnostics cover the span of the warning.
+		open(server, "var a = 1;\nif (!!a == 1) {}\n", "file:///project/span.js");
+		test.deepEqual(send.args[2][0].params.diagnostics[0].range,
+			{ start: { line: 1, character: 4 }, end: { line: 1, character: 7 } });
+
+		// Closed documents have no diagnostics.
+		open(server, "a()", "file:///project/other.js");
+		test.equal(send.args[3][0].params.diagnostics.length, 2);
+
+		server.handle({
+			jsonrpc: "2.0",
+			method: "textDocument/didClose",
+			params: { textDocument: { uri: "file:///project/other.js" } }
+		});
+
+		test.deepEqual(send.args[4][0].params, { uri: "file:///project/other.js", diagnostics: [] });
+		test.done();
+	},
+
+	testConfigLookup: function (test) {
+		var send = sinon.spy();
+		var server = lsp.createServer({}, send);
+
+		var configs = [ "/lsp/good/.jshintrc", "/lsp/bad/.jshintrc" ];
+
+		sinon.stub(shjs, "test", function (flag, fp) {
+			return _.contains(configs, fp);
+		});
+
+		sinon.stub(shjs, "cat")
+			.withArgs("/lsp/good/.jshintrc").returns("{ \"undef\": true }")
+			.withArgs("/lsp/bad/.jshintrc").returns("wat");
+
+		open(server, "foo();", "file:///lsp/good/file.js");
+		test.deepEqual(_.pluck(send.args[0][0].params.diagnostics, "code"), [ "W117" ]);
+
+		// A broken configuration is reported instead of stopping the server.
+		open(server, "foo();", "file:///lsp/bad/file.js");
+		test.deepEqual(send.args[1][0].params.diagnostics, [ {
+			range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+			severity: 1,
+			source: "jshint",
+			message: "Can't parse config file: /lsp/bad/.jshintrc"
+		} ]);
+
+		// Configuration files are looked up again when they change.
+		send.reset();
+		server = lsp.createServer({}, send);
+		open(server, "foo();", "file:///lsp/good/file.js");
+		test.deepEqual(_.pluck(send.args[0][0].params.diagnostics, "code"), [ "W117" ]);
+
+		configs.shift();
+		server.handle({ jsonrpc: "2.0", method: "workspace/didChangeWatchedFiles", params: {} });
+		test.deepEqual(send.args[1][0].params.diagnostics, []);
+
+		shjs.cat.restore();
+		shjs.test.restore();
+
+		// So is a plugin that can't be loaded.
+		send.reset();
+		server = lsp.createServer({ config: { plugins: [ "./missing-plugin.js" ] } }, send);
+		open(server, "foo();");
+
+		var diagnostics = send.args[0][0].params.diagnostics;
+		test.equal(diagnostics.length, 1);
+		test.equal(diagnostics[0].severity, 1);
+		test.ok(/missing-plugin\.js/.test(diagnostics[0].message));
+
+		// Errors in notifications are logged instead of stopping the server.
+		server.handle({ jsonrpc: "2.0", method: "textDocument/didChange", params: {} });
+		test.equal(send.args[1][0].method, "window/logMessage");
+		test.equal(send.args[1][0].params.type, 1);
+
+		test.done();
+	},
+
+	testCodeActions: function (test) {
+		var send = sinon.spy();
+		var server = lsp.createServer({ config: { undef: true } }, send);
+
+		open(server, "#!/usr/bin/env node\nif (true) {\n  var a = 1\n}\n");
+
+		var diagnostic = send.args[0][0].params.diagnostics[0];
+		test.equal(diagnostic.code, "W033");
+
+		server.handle({
+			jsonrpc: "2.0",
+			id: 1,
+			method: "textDocument/codeAction",
+			params: {
+				textDocument: { uri: URI },
+				range: diagnostic.range,
+				context: { diagnostics: [ diagnostic ] }
+			}
+		});
+
+		var actions = send.args[1][0].result;
+		test.deepEqual(_.pluck(actions, "title"), [
+			"Fix: Missing semicolon.",
+			"Disable W033 for this line",
+			"Disable W033 for this file"
+		]);
+
+		test.deepEqual(actions[0].edit.changes[URI], [ {
+			range: { start: { line: 2, character: 11 }, end: { line: 2, character: 11 } },
+			newText: ";"
+		} ]);
+
+		test.deepEqual(actions[1].edit.changes[URI], [ {
+			range: { start: { line: 2, character: 0 }, end: { line: 2, character: 0 } },
+			newText: "  // jshint-disable-next-line W033\n"
+		} ]);
+
+		// File-wide suppressions go below the hashbang.
+		test.deepEqual(actions[2].edit.changes[URI], [ {
+			range: { start: { line: 1, character: 0 }, end: { line: 1, character: 0 } },
+			newText: "/* jshint-disable W033 */\n"
+		} ]);
+
+		test.deepEqual(actions[0].diagnostics, [ diagnostic ]);
+		test.done();
+	},
+
+	testListen: function (test) {
+		var input = new events.EventEmitter();
+		var output = { data: "", write: function (str) { this.data += str; } };
+		var exit = sinon.spy();
+
+		lsp.listen(input, output, { config: {}, exit: exit });
+
+		function frame(message) {
+			var body = JSON.stringify(message);
+			return "Content-Length: " + Buffer.byteLength(body) + "\r\n\r\n" + body;
+		}
+
+		var data = frame({ jsonrpc: "2.0", id: 1, method: "initialize", params: {} }) +
+			frame({ jsonrpc: "2.0", id: 2, method: "shutdown" });
+
+		// Messages can be split across chunks anywhere.
+		input.emit("data", new Buffer(data.slice(0, 10)));
+		test.equal(output.data, "");
+		input.emit("data", new Buffer(data.slice(10, 100)));
+		input.emit("data", new Buffer(data.slice(100)));
+
+		var bodies = output.data.split(/Content-Length: \d+\r\n\r\n/).slice(1).map(JSON.parse);
+		test.deepEqual(_.pluck(bodies, "id"), [ 1, 2 ]);
+		test.strictEqual(bodies[1].result, null);
+
+		// The length is in bytes, not characters.
+		output.data = "";
+		input.emit("data", new Buffer(frame({
+			jsonrpc: "2.0",
+			method: "textDocument/didOpen",
+			params: { textDocument: { uri: URI, languageId: "javascript", version: 1, text: "var s = 'é'" } }
+		})));
+
+		test.equal(output.data.match(/^Content-Length: (\d+)/)[1],
+			Buffer.byteLength(output.data.replace(/^[^{]*/, "")));
+		test.equal(JSON.parse(output.data.replace(/^[^{]*/, "")).params.diagnostics[0].code, "W033");
+
+		input.emit("data", new Buffer("Content-Length: 4\r\n\r\nwat!"));
+		test.ok(/"code":-32700/.test(output.data));
+
+		input.emit("data", new Buffer(frame({ jsonrpc: "2.0", method: "exit" })));
+		test.ok(exit.calledWith(0));
+
+		test.done();
+	}
+};
@@ -1,5 +1,6 @@
 "use strict";
 
+var _       = require('underscore');
 var jshint	= require('../../src/jshint.js');
 var fs      = require('fs');
 var TestRun = require("../helpers/testhelper").setup.testRun;
@@ -715,8 +716,499 @@ exports.testColumnNumAfterNonStrictComparison = function (test) {
 				"  }\n"+
 				"}";
 	TestRun(test)
-		.addError(1, "Expected '===' and instead saw '=='.", {ch: 9})
-		.addError(3, "Expected '!==' and instead saw '!='.", {ch: 11})
+		.addError(1, "Expected '===' and instead saw '=='.", {ch: 7})
+		.addError(3, "Expected '!==' and instead saw '!='.", {ch: 9})
 		.test(src, {eqeqeq: true});
 	test.done();
-};
\ No newline at end of file
+};
+
+// The classic stateful JSHINT API is a wrapper around jshint.run.
+exports.testClassicFacade = function (test) {
+	var JSHINT = jshint.JSHINT;
+
+	test.strictEqual(JSHINT("var a = 1;\na();", {}), true);
+	test.deepEqual(JSHINT.errors, []);
+	test.equal(JSHINT.scope, "(main)");
+	test.deepEqual(JSHINT.internals, []);
+	test.equal(JSHINT.data().functions.length, 0);
+
+	test.strictEqual(JSHINT("a = 1", { undef: true }), false);
+	test.equal(JSHINT.errors.length, 2);
+	test.equal(JSHINT.errors[0].id, "(error)");
+	test.equal(JSHINT.errors[0].code, "W033");
+	test.equal(JSHINT.errors[0].reason, "Missing semicolon.");
+	test.equal(JSHINT.errors[0].evidence, "a = 1");
+	test.equal(JSHINT.errors[0].line, 1);
+	test.equal(JSHINT.errors[0].character, 6);
+	test.equal(JSHINT.errors[1].reason, "'a' is not defined.");
+	test.strictEqual(JSHINT.data().errors, JSHINT.errors);
+
+	// Stopping the scan leaves a null entry at the end, just like before.
+	JSHINT("a = 1", { passfail: true });
+	test.strictEqual(JSHINT.errors[JSHINT.errors.length - 1], null);
+
+	test.done();
+};
+
+// Plugins get the same extension API as the built-in rules and can register
+// their own messages and options.
+exports.testPlugins = function (test) {
+	var plugin = require("../helpers/plugin.js");
+	var src = [
+		"var foo = 1;",
+		"/*jshint nofoo:false */",
+		"foo();"
+	];
+
+	TestRun(test)
+		.addError(0, "Bad option: 'nofoo'.")
+		.addError(2, "Bad option: 'nofoo'.")
+		.test(src, { nofoo: true });
+
+	TestRun(test)
+		.addError(1, "Avoid naming things 'foo'.")
+		.test(src, { nofoo: true, plugins: [ plugin ] });
+
+	TestRun(test)
+		.addError(1, "Avoid naming things 'foo'.")
+		.test(src, { nofoo: true, plugins: [ plugin.register ] });
+
+	TestRun(test)
+		.addError(1, "Avoid naming things 'foo'.")
+		.test(src, { nofoo: true, plugins: [ "./tests/helpers/plugin.js" ] });
+
+	// Relative paths are relative to 'dirname' when it is given.
+	TestRun(test)
+		.addError(1, "Avoid naming things 'foo'.")
+		.test(src, { nofoo: true, plugins: [ "./plugin.js" ], dirname: __dirname + "/../helpers" });
+
+	// Registered messages and options don't leak into the next run.
+	TestRun(test)
+		.addError(0, "Bad option: 'nofoo'.")
+		.addError(2, "Bad option: 'nofoo'.")
+		.test(src, { nofoo: true });
+
+	test.throws(function () {
+		jshint.run(src, { plugins: [ function (api) { api.addMessage("W033", "Taken.") } ] });
+	}, /already in use/);
+
+	test.throws(function () {
+		jshint.run(src, { plugins: [ function (api) { api.addOption("undef") } ] });
+	}, /already defined/);
+
+	test.throws(function () {
+		jshint.run(src, { plugins: [ {} ] });
+	}, /Invalid plugin/);
+
+	test.throws(function () {
+		jshint.run(src, { plugins: [ "./missing.js" ], dirname: __dirname });
+	}, /Can't load plugin: \.\/missing\.js/);
+
+	test.done();
+};
+
+exports.testNodeEvents = function (test) {
+	var src = [
+		"function f(a) {",
+		"  for (var k in a) {",
+		"    a[k] = g(k, 1);",
+		"  }",
+		"}"
+	];
+
+	var events = [];
+	var nodes = {};
+
+	jshint.run(src, {
+		plugins: [ function (api) {
+			[ "FunctionDeclaration", "ForInStatement", "BlockStatement", "ExpressionStatement",
+				"AssignmentExpression", "MemberExpression", "CallExpression" ].forEach(function (type) {
+				api.on(type, function (node) {
+					events.push(type);
+					nodes[type] = node;
+				});
+				api.on(type + ":exit", function () { events.push(type + ":exit") });
+			});
+		} ]
+	});
+
+	test.deepEqual(events, [
+		"FunctionDeclaration",
+		"BlockStatement",
+		"ForInStatement",
+		"BlockStatement",
+		"ExpressionStatement",
+		"MemberExpression",
+		"MemberExpression:exit",
+		"AssignmentExpression",
+		"CallExpression",
+		"CallExpression:exit",
+		"AssignmentExpression:exit",
+		"ExpressionStatement:exit",
+		"BlockStatement:exit",
+		"ForInStatement:exit",
+		"BlockStatement:exit",
+		"FunctionDeclaration:exit"
+	]);
+
+	var fn = nodes.FunctionDeclaration;
+	test.equal(fn.id.name, "f");
+	test.equal(fn.params[0].name, "a");
+	test.deepEqual(fn.loc, { start: { line: 1, column: 0 }, end: { line: 5, column: 1 } });
+
+	var loop = nodes.ForInStatement;
+	test.equal(loop.left.type, "VariableDeclaration");
+	test.equal(loop.left.declarations[0].id.name, "k");
+	test.equal(loop.right.name, "a");
+	test.equal(loop.body.body[0].expression, nodes.AssignmentExpression);
+
+	var assign = nodes.AssignmentExpression;
+	test.equal(assign.operator, "=");
+	test.equal(assign.left, nodes.MemberExpression);
+	test.equal(assign.left.computed, true);
+	test.equal(assign.right, nodes.CallExpression);
+	test.equal(assign.right.callee.name, "g");
+	test.equal(assign.right.arguments[0].type, "Identifier");
+	test.equal(assign.right.arguments[1].value, 1);
+	test.deepEqual(assign.right.loc, { start: { line: 3, column: 11 }, end: { line: 3, column: 18 } });
+
+	// Every node of the AST has one event and one exit event, including the
+	// literals that turn out to be destructuring targets.
+	[
+		"[a, b] = [b, a];",
+		"x = [[c], { d: [e] }, f[0], [g][0]] = y;"
+	].forEach(function (code) {
+		var counts = {};
+		var seen = {};
+
+		function walk(node) {
+			if (_.isArray(node)) {
+				node.forEach(walk);
+			} else if (node && node.type && node.loc) {
+				if (node.type !== "Identifier" && node.type !== "Literal") {
+					counts[node.type] = (counts[node.type] || 0) + 1;
+					counts[node.type + ":exit"] = (counts[node.type + ":exit"] || 0) + 1;
+				}
+				_.each(_.omit(node, "loc", "range"), walk);
+			}
+		}
+
+		var ast = jshint.run(code, {
+			esnext: true,
+			expr: true,
+			ast: true,
+			plugins: [ function (api) {
+				[ "ExpressionStatement", "AssignmentExpression", "MemberExpression",
+					"ArrayExpression", "ArrayPattern", "ObjectExpression", "ObjectPattern",
+					"Property" ].forEach(function (type) {
+					[ type, type + ":exit" ].forEach(function (name) {
+						api.on(name, function () { seen[name] = (seen[name] || 0) + 1; });
+					});
+				});
+			} ]
+		}).ast;
+
+		walk(ast.body);
+		test.deepEqual(seen, counts);
+	});
+
+	// Rules can report problems at the position of a node.
+	TestRun(test)
+		.addError(3, "Avoid naming things 'g'.")
+		.test(src, {
+			plugins: [ function (api) {
+				api.addMessage("W900", "Avoid naming things '{a}'.");
+				api.on("CallExpression", function (node) {
+					api.warn("W900", {
+						line: node.loc.start.line,
+						char: node.loc.start.column,
+						data: [ node.callee.name ]
+					});
+				});
+			} ]
+		});
+
+	test.done();
+};
+
+exports.testLinter = function (test) {
+	var plugin = require("../helpers/plugin.js");
+	var src = [ "var foo = 1;", "bar(foo);" ];
+	var inner = [];
+
+	function codes(result) {
+		return _.pluck(_.compact(result.data.errors || []), "code");
+	}
+
+	var linter = new jshint.Linter([ plugin ]);
+	var plain = new jshint.Linter();
+
+	// Plugins given to the constructor are used in every run.
+	test.deepEqual(codes(linter.run(src, { nofoo: true })), [ "W900", "W900" ]);
+	test.deepEqual(codes(linter.run(src, { nofoo: true, undef: true })), [ "W900", "W900", "W117" ]);
+	test.deepEqual(codes(plain.run(src, { nofoo: true })), [ "E001" ]);
+	test.deepEqual(codes(jshint.run(src, { nofoo: true })), [ "E001" ]);
+
+	test.ok(_.findWhere(linter.messages(), { code: "W900" }));
+	test.ok(!_.findWhere(plain.messages(), { code: "W900" }));
+
+	// Linters can run while another one is in the middle of a run, each
+	// one with its own options and messages.
+	var outer = new jshint.Linter([ function (api) {
+		api.addMessage("W900", "Outer message.");
+		api.on("CallExpression", function () {
+			inner.push(codes(linter.run("foo = 1", { nofoo: true, undef: true })));
+		});
+	} ]);
+
+	var result = outer.run([ "a();", "b()" ], { undef: true });
+	test.deepEqual(inner, [ [ "W900", "W033", "W117" ], [ "W900", "W033", "W117" ] ]);
+	test.deepEqual(codes(result), [ "W033", "W117", "W117" ]);
+	test.equal(_.findWhere(outer.messages(), { code: "W900" }).desc, "Outer message.");
+	test.equal(_.findWhere(linter.messages(), { code: "W900" }).desc, "Avoid naming things '{a}'.");
+
+	test.done();
+};
+
+exports.testAst = function (test) {
+	var src = "var a = 1;\r\n\tif (a) {\r\n\t\tb = \"x\";\r\n\t}\r\n";
+
+	test.strictEqual(jshint.run(src, {}).ast, undefined);
+
+	var ast = jshint.run(src, { ast: true }).ast;
+	test.equal(ast.type, "Program");
+	test.deepEqual(ast.range, [ 0, src.length ]);
+	test.equal(ast.body.length, 2);
+	test.equal(ast.body[0].type, "VariableDeclaration");
+	test.equal(ast.body[0].declarations[0].init.value, 1);
+
+	// Columns and ranges count raw characters: tabs are one character and
+	// CRLF line breaks are two.
+	var assign = ast.body[1].consequent.body[0].expression;
+	test.equal(assign.type, "AssignmentExpression");
+	test.deepEqual(assign.loc, { start: { line: 3, column: 2 }, end: { line: 3, column: 9 } });
+	test.deepEqual(assign.range, [ 25, 32 ]);
+	test.equal(src.slice(assign.range[0], assign.range[1]), "b = \"x\"");
+
+	// Sequences in parentheses end with their last expression.
+	src = "x = (a, b + c);";
+	var seq = jshint.run(src, { ast: true, expr: true }).ast.body[0].expression.right;
+	test.equal(seq.type, "SequenceExpression");
+	test.deepEqual(seq.loc.end, { line: 1, column: 13 });
+	test.equal(src.slice(seq.range[0], seq.range[1]), "a, b + c");
+
+	src = "(a, b);";
+	seq = jshint.run(src, { ast: true, expr: true }).ast.body[0].expression;
+	test.deepEqual(seq.range, [ 1, 5 ]);
+
+	// The first arguments after a nested 'new' are its own.
+	src = "new new Baz(1)(2);";
+	var outer = jshint.run(src, { ast: true }).ast.body[0].expression;
+	test.equal(outer.type, "NewExpression");
+	test.equal(outer.arguments[0].value, 2);
+	test.equal(outer.callee.type, "NewExpression");
+	test.equal(outer.callee.callee.name, "Baz");
+	test.equal(outer.callee.arguments[0].value, 1);
+	test.equal(src.slice(outer.callee.range[0], outer.callee.range[1]), "new Baz(1)");
+
+	src = [
+		"import d from 'm';",
+		"import { e as f } from 'm';",
+		"export const { g, h: [ i, , j ] } = f;",
+		"export default class K extends d {",
+		"  constructor(x, y = 1) { super(x); }",
+		"  static *gen(...z) { yield z; }",
+		"}",
+		"var l = ({ p }) => p;",
+		"let m = [ for (n of l) if (n) n ];"
+	];
+
+	ast = jshint.run(src, { esnext: true, ast: true }).ast;
+	test.deepEqual(_.pluck(ast.body, "type"), [
+		"ImportDeclaration",
+		"ImportDeclaration",
+		"ExportNamedDeclaration",
+		"ExportDefaultDeclaration",
+		"VariableDeclaration",
+		"VariableDeclaration"
+	]);
+
+	test.equal(ast.body[0].source.value, "m");
+	test.equal(ast.body[0].specifiers[0].type, "ImportDefaultSpecifier");
+	test.equal(ast.body[1].specifiers[0].imported.name, "e");
+	test.equal(ast.body[1].specifiers[0].local.name, "f");
+
+	var decl = ast.body[2].declaration;
+	test.equal(decl.kind, "const");
+	test.equal(decl.declarations[0].id.type, "ObjectPattern");
+	test.equal(decl.declarations[0].id.properties[0].shorthand, true);
+	var elements = decl.declarations[0].id.properties[1].value.elements;
+	test.equal(elements[0].name, "i");
+	test.strictEqual(elements[1], null);
+	test.equal(elements[2].name, "j");
+
+	var cls = ast.body[3].declaration;
+	test.equal(cls.type, "ClassDeclaration");
+	test.equal(cls.id.name, "K");
+	test.equal(cls.superClass.name, "d");
+	test.deepEqual(_.pluck(cls.body.body, "kind"), [ "constructor", "method" ]);
+	test.strictEqual(cls.body.body[0].value.defaults[0], null);
+	test.equal(cls.body.body[0].value.defaults[1].value, 1);
+	test.equal(cls.body.body[1].value.rest.name, "z");
+	test.equal(cls.body.body[1].static, true);
+	test.equal(cls.body.body[1].value.generator, true);
+	test.equal(cls.body.body[1].value.body.body[0].expression.type, "YieldExpression");
+
+	var arrow = ast.body[4].declarations[0].init;
+	test.equal(arrow.type, "ArrowFunctionExpression");
+	test.equal(arrow.expression, true);
+	test.equal(arrow.params[0].type, "ObjectPattern");
+	test.deepEqual(arrow.loc.start, { line: 8, column: 8 });
+
+	var comp = ast.body[5].declarations[0].init;
+	test.equal(ast.body[5].kind, "let");
+	test.equal(comp.type, "ComprehensionExpression");
+	test.equal(comp.blocks[0].left.name, "n");
+	test.equal(comp.blocks[0].right.name, "l");
+	test.equal(comp.filter.name, "n");
+	test.equal(comp.body.name, "n");
+
+	test.done();
+};
+
+exports.testFixes = function (test) {
+	var src = [
+		"var a = undefined, b = .5, c = 5.",
+		"\tif (a == b) { c = new Array() }",
+		"var d = new Object();;",
+		"var e = [1,], f = { x: 1, };",
+		"var g = undefined || 1;"
+	].join("\n");
+
+	var errors = jshint.run(src, { eqeqeq: true, es3: true }).data.errors;
+	var fixes = {};
+
+	errors.forEach(function (err) {
+		if (err.fix) {
+			fixes[err.code] = (fixes[err.code] || []).concat(
+				src.slice(err.fix.range[0], err.fix.range[1]) + " -> " + err.fix.text);
+		}
+	});
+
+	test.deepEqual(fixes, {
+		W080: [ " = undefined -> " ],
+		W008: [ " -> 0" ],
+		W047: [ " -> 0" ],
+		W033: [ " -> ;", " -> ;" ],
+		W116: [ "== -> ===" ],
+		W009: [ "new Array() -> []" ],
+		W010: [ "new Object() -> {}" ],
+		W032: [ "; -> " ],
+		W070: [ ", -> ", ", -> " ]
+	});
+
+	// Ranges point into the raw source, before the tabs are expanded.
+	var eq = _.find(errors, function (err) { return err.code === "W116"; });
+	test.deepEqual(eq.fix.range, [ 41, 43 ]);
+
+	// '== null' also matches undefined, so it isn't made strict.
+	errors = jshint.run("a == null;\nundefined != b;\n", { eqeqeq: true, expr: true }).data.errors;
+	test.deepEqual(_.pluck(errors, "code"), [ "W116", "W116" ]);
+	test.strictEqual(errors[0].fix, undefined);
+	test.strictEqual(errors[1].fix, undefined);
+
+	// A '++' on the next line belongs to the next statement, so there's no
+	// semicolon to insert after it.
+	[ "var x = 1\n++x\n", "var x = 1\n/* c */ ++x\n" ].forEach(function (code) {
+		var missing = jshint.run(code, {}).data.errors.filter(function (err) {
+			return err.code === "W033";
+		});
+
+		test.equal(missing.length, 2);
+		test.strictEqual(missing[0].fix, undefined);
+		test.equal(code.slice(missing[1].fix.range[0] - 3, missing[1].fix.range[0]), "++x");
+	});
+
+	// Code past a syntax error isn't fixed.
+	errors = jshint.run("if (a < ) {}\nb()", {}).data.errors;
+	test.equal(_.last(errors).code, "W033");
+	test.strictEqual(_.last(errors).fix, undefined);
+
+	// Warnings without a mechanical fix have no 'fix' property.
+	errors = jshint.run("a = b;", { undef: true }).data.errors;
+	test.equal(errors[0].code, "W117");
+	test.strictEqual(errors[0].fix, undefined);
+
+	test.done();
+};
+
+exports.testRanges = function (test) {
+	var src = [
+		"var a = 1",
+		"\tif (!!a == 1) { b(); }",
+		"c.d"
+	].join("\n");
+
+	var errors = jshint.run(src, { undef: true }).data.errors;
+	var spans = errors.map(function (err) {
+		return [ err.code, err.line, err.ch, err.endLine, err.endCh,
+			src.slice(err.range[0], err.range[1]) ];
+	});
+
+	// Warnings cover their token, or the expression that starts with it.
+	// Columns count tabs as 'indent' characters, offsets point into the
+	// raw source.
+	test.deepEqual(spans, [
+		[ "W033", 1, 10, 1, 10, "" ],
+		[ "W018", 2, 9, 2, 12, "!!a" ],
+		[ "W030", 3, 3, 3, 4, "d" ],
+		[ "W033", 3, 4, 3, 4, "" ],
+		[ "W117", 2, 21, 2, 22, "b" ],
+		[ "W117", 3, 1, 3, 2, "c" ]
+	]);
+
+	// W116 covers the operator it is about.
+	src = "a ==  b;\n\ta != b;";
+	errors = jshint.run(src, { eqeqeq: true, expr: true }).data.errors;
+	test.deepEqual(errors.map(function (err) {
+		return [ err.code, err.line, err.ch, err.endLine, err.endCh,
+			src.slice(err.range[0], err.range[1]) ];
+	}), [ [ "W116", 1, 3, 1, 5, "==" ], [ "W116", 2, 7, 2, 9, "!=" ] ]);
+
+	// Plugins can give the end of their warnings or an AST node to cover.
+	errors = jshint.run([ "var foo = 1;", "foo(1 +", "  2);" ], { plugins: [ function (api) {
+		api.addMessage("W900", "Found '{a}'.");
+		api.on("VariableDeclaration", function () {
+			api.warn("W900", { line: 1, char: 5, endLine: 1, endChar: 8, data: [ "foo" ] });
+		});
+		api.on("CallExpression:exit", function (node) {
+			api.warn("W900", { node: node, data: [ "call" ] });
+		});
+	} ] }).data.errors;
+
+	test.deepEqual(errors.map(function (err) {
+		return [ err.line, err.ch, err.endLine, err.endCh ].concat(err.range);
+	}), [ [ 1, 5, 1, 8, 4, 7 ], [ 2, 1, 3, 5, 13, 25 ] ]);
+
+	test.done();
+};
+
+exports.testSeverity = function (test) {
+	var src = "a = b\nvar c = 1;;";
+	var opts = { undef: true, severity: { W033: "error", W117: "off" } };
+	var errors = jshint.run(src, opts).data.errors;
+
+	test.deepEqual(errors.map(function (err) { return err.code + ":" + err.type; }),
+		[ "W033:error", "W032:warning" ]);
+
+	// Errors can be turned into warnings too.
+	errors = jshint.run("var a = 1 +;", { severity: { E030: "warn" } }).data.errors;
+	test.equal(errors[0].code, "E030");
+	test.equal(errors[0].type, "warning");
+
+	// Invalid codes and levels are bad option values.
+	errors = jshint.run("var a;", { severity: { W033: "fatal" } }).data.errors;
+	test.equal(errors[0].code, "E002");
+
+	test.done();
+};
@@ -0,0 +1,21 @@
+// jshint-disable-next-line W117 -- provided by the page
+foo();
+bar();
+
+/* jshint-disable W083, W033 */
+for (var i = 0; i < 2; i++) {
+	setTimeout(function () { return i; });
+}
+var a = 1
+/* jshint-enable W083 */
+
+for (var j = 0; j < 2; j++) {
+	setTimeout(function () { return j; });
+}
+var b = 2
+
+// jshint-disable-next-line W098
+var c = a + b;
+
+/* jshint-disable */
+baz();
@@ -1225,15 +1225,57 @@ exports.fnmetrics = function (test) {
 	test.deepEqual(rep.data.functions[0].metrics, {
 		complexity: 2,
 		parameters: 2,
-		statements: 1
+		statements: 1,
+		depth: 1,
+		lines: 1,
+		volume: 33,
+		maintainability: 89.1
 	});
 
 	test.deepEqual(rep.data.functions[1].metrics, {
 		complexity: 1,
 		parameters: 0,
-		statements: 3
+		statements: 3,
+		depth: 0,
+		lines: 1,
+		volume: 46.51,
+		maintainability: 88.19
 	});
 
+	// File metrics cover the global code and all functions.
+	test.deepEqual(rep.data.metrics, {
+		complexity: 2,
+		statements: 6,
+		depth: 1,
+		functions: 2,
+		lines: 2,
+		volume: 122.62,
+		maintainability: 78.54
+	});
+
+	rep = jshint.run([
+		"function foo(a) {",
+		"  while (a) {",
+		"    if (a.b) {",
+		"      a = a.b;",
+		"    }",
+		"  }",
+		"",
+		"  return a;",
+		"}"
+	]);
+
+	test.equal(rep.data.functions[0].metrics.depth, 2);
+	test.equal(rep.data.functions[0].metrics.lines, 9);
+	test.equal(rep.data.metrics.lines, 9);
+
+	// A line break at the end of the file doesn't count as another line.
+	var lf = jshint.run("a();\nb();\nc();\n").data.metrics;
+	var crlf = jshint.run("a();\r\nb();\r\nc();\r\n").data.metrics;
+	test.equal(lf.lines, 3);
+	test.deepEqual(crlf, lf);
+	test.deepEqual(jshint.run("a();\nb();\nc();").data.metrics, lf);
+
 	test.done();
 };
 
@@ -1268,6 +1310,49 @@ exports.unignored = function (test) {
 	test.done();
 };
 
+/*
+ * Tests suppression comments and the `suppress` option.
+ */
+exports.suppress = function (test) {
+	var src = fs.readFileSync(__dirname + "/fixtures/suppressions.js", "utf-8");
+
+	TestRun(test)
+		.addError(3, "'bar' is not defined.")
+		.addError(7, "'setTimeout' is not defined.")
+		.addError(13, "Don't make functions within a loop.")
+		.addError(13, "'setTimeout' is not defined.")
+		.test(src, { undef: true });
+
+	TestRun(test)
+		.addError(3, "'bar' is not defined.")
+		.addError(7, "'setTimeout' is not defined.")
+		.addError(13, "Don't make functions within a loop.")
+		.addError(13, "'setTimeout' is not defined.")
+		.addError(17, "Unused suppression of W098.")
+		.test(src, { undef: true, suppress: "unused" });
+
+	TestRun(test)
+		.addError(3, "'bar' is not defined.")
+		.addError(5, "Missing reason for suppression (add one after '--').")
+		.addError(7, "'setTimeout' is not defined.")
+		.addError(13, "Don't make functions within a loop.")
+		.addError(13, "'setTimeout' is not defined.")
+		.addError(17, "Missing reason for suppression (add one after '--').")
+		.addError(17, "Unused suppression of W098.")
+		.addError(20, "Missing reason for suppression (add one after '--').")
+		.test(src, { undef: true, suppress: true });
+
+	TestRun(test)
+		.addError(1, "Bad option value.")
+		.test("// jshint-disable-next-line unused\nvar a = 1;");
+
+	TestRun(test)
+		.addError(2, "Unused suppression of all warnings.")
+		.test("/*jshint suppress:unused */\n// jshint-disable-next-line\nvar a = 1;");
+
+	test.done();
+};
+
 /*
 * Tests the `freeze` option -- Warn if native object prototype is assigned to.
 */
@@ -4,6 +4,7 @@
 
 "use strict";
 
+var _       = require("underscore");
 var jshint  = require('../../src/jshint.js');
 var fs      = require('fs');
 var TestRun = require("../helpers/testhelper").setup.testRun;
@@ -31,13 +32,13 @@ exports.other = function (test) {
 		.addError(1, "Unexpected '\\'.")
 		.addError(2, "Unexpected early end of program.")
 		.addError(2, "Expected an identifier and instead saw '(end)'.")
-		.addError(2, "Unrecoverable syntax error. (100% scanned).")
+		.addError(2, "Syntax error; skipped to line 2.")
 		.test(code, {es3: true});
 
 	// GH-818
 	TestRun(test)
 		.addError(1, "Expected an identifier and instead saw ')'.")
-		.addError(1, "Unrecoverable syntax error. (100% scanned).")
+		.addError(1, "Syntax error; skipped to line 1.")
 		.test("if (product < ) {}", {es3: true});
 
 	test.done();
@@ -340,7 +341,7 @@ exports.regexp = function (test) {
 		.addError(20, "Invalid regular expression.")
 		.addError(21, "Invalid regular expression.")
 		.addError(24, "Unclosed regular expression.")
-		.addError(24, "Unrecoverable syntax error. (88% scanned).");
+		.addError(24, "Syntax error; skipped to line 25.");
 	run.test(code, {es3: true});
 	run.test(code, {}); // es5
 	run.test(code, {esnext: true});
@@ -526,6 +527,38 @@ exports.functionCharacterLocation = function (test) {
 	test.done();
 };
 
+exports.functionScopeData = function (test) {
+	var src = [
+		"var g = 1;",
+		"function outer(a, b) {",
+		"  var x = 1, y;",
+		"  lbl: for (;;) { break lbl; }",
+		"  try { x(); } catch (e) {}",
+		"  return function inner() { return x + g + b; };",
+		"}"
+	];
+
+	var fns = jshint.run(src, { unused: true }).data.functions;
+	var names = function (list) { return _.pluck(list, "name"); };
+
+	test.equal(fns.length, 3);
+
+	test.deepEqual(names(fns[0].closure), [ "b", "x" ]);
+	test.deepEqual(names(fns[0].unused), [ "a", "y" ]);
+	test.deepEqual(fns[0].label, [ { name: "lbl", line: 4, character: 6 } ]);
+	test.strictEqual(fns[0].outer, undefined);
+
+	test.equal(fns[1].name, "(catch)");
+	test.deepEqual(fns[1].exception, [ { name: "e", line: 5, character: 24 } ]);
+
+	test.equal(fns[2].name, "inner");
+	test.deepEqual(fns[2].global, [ { name: "g", line: 6, character: 41 } ]);
+	test.deepEqual(names(fns[2].outer), [ "x", "b" ]);
+	test.equal(fns[2].outer[0].line, 6);
+
+	test.done();
+};
+
 exports.exported = function (test) {
 	var src = fs.readFileSync(__dirname + "/fixtures/exported.js", "utf8");
 
@@ -627,7 +660,7 @@ exports.testHtml = function (test) {
 		.addError(1, "Expected an assignment or function call and instead saw an expression.")
 		.addError(1, "Missing semicolon.")
 		.addError(1, "Expected an identifier and instead saw '<'.")
-		.addError(1, "Unrecoverable syntax error. (100% scanned).")
+		.addError(1, "Syntax error; skipped to line 1.")
 		.test(html);
 	test.done();
 };
@@ -3957,4 +3990,82 @@ exports["regression test for GH-1431"] = function (test) {
 		.test("for (i=0; (arr[i])!=null); i++);");
 
 	test.done();
-};
\ No newline at end of file
+};
+
+exports.testRecovery = function (test) {
+	var code = [
+		"function f(a) {",
+		"  while (a) {",
+		"    if (a < ) {",
+		"      a(b);",
+		"    }",
+		"  }",
+		"  break;",
+		"}",
+		"var r = /dsdg;",
+		"g();",
+		"var s = 1",
+	];
+
+	// Checking goes on after syntax errors at the next statement, which may
+	// be in the block of the broken statement. Loops, blocks and functions
+	// that the error cut short don't leak into it.
+	TestRun(test)
+		.addError(3, "Expected an identifier and instead saw ')'.")
+		.addError(3, "Syntax error; skipped to line 4.")
+		.addError(4, "'b' is not defined.")
+		.addError(7, "Unexpected 'break'.")
+		.addError(9, "Unclosed regular expression.")
+		.addError(9, "Syntax error; skipped to line 10.")
+		.addError(10, "'g' is not defined.")
+		.addError(11, "Missing semicolon.")
+		.test(code, { undef: true });
+
+	// Warnings past an error are marked as possibly caused by it.
+	var errors = jshint.run(code, { undef: true }).data.errors;
+	var after = _.object(_.map(errors, function (err) {
+		return [ err.line + ":" + err.code, err.afterSyntaxError ];
+	}));
+
+	test.strictEqual(after["3:E030"], undefined);
+	test.strictEqual(after["3:E041"], undefined);
+	test.deepEqual(after["4:W117"], { line: 3, ch: 13 });
+	test.deepEqual(after["7:W052"], { line: 3, ch: 13 });
+	test.deepEqual(after["10:W117"], { line: 9, ch: 9 });
+	test.deepEqual(after["11:W033"], { line: 9, ch: 9 });
+
+	// So do the other branches of an 'if'.
+	TestRun(test)
+		.addError(1, "Expected an identifier and instead saw ')'.")
+		.addError(1, "Syntax error; skipped to line 2.")
+		.addError(2, "'b' is not defined.")
+		.addError(4, "'c' is not defined.")
+		.addError(6, "'d' is not defined.")
+		.addError(8, "'f' is not defined.")
+		.test([ "if (a < ) {", "  b();", "} else if (a) {", "  c();", "} else {", "  d();", "}", "f();" ],
+			{ undef: true, predef: [ "a" ] });
+
+	// Errors that stop the parser still do.
+	TestRun(test)
+		.addError(1, "Expected an identifier and instead saw ')'.")
+		.addError(1, "Stopping. (50% scanned).")
+		.test([ "if (a < ) {}", "b()" ], { passfail: true });
+
+	// Empty statements recover from syntax errors too.
+	TestRun(test)
+		.addError(2, "Unnecessary semicolon.")
+		.addError(2, "Unclosed regular expression.")
+		.addError(2, "Syntax error; skipped to line 2.")
+		.test([ "a();", ";/x" ]);
+
+	// Syntax errors that nothing recovered from are reported, not thrown.
+	var result = jshint.run("a();", { plugins: [ function (api) {
+		api.on("Program:exit", function () {
+			throw { name: "SyntaxRecovery", line: 1, ch: 2 };
+		});
+	} ] });
+
+	test.equal(_.compact(result.data.errors).pop().code, "E052");
+
+	test.done();
+};